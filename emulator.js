@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Recurly API Emulator
+ * Runs a local in-memory stand-in for Recurly API v3 so rescue, stats, seed and rollback
+ * can be exercised end-to-end without a sandbox key
+ *
+ * Usage: node emulator.js [--port=<n>] [--host=<ip>] [--fixtures=<file>] [--api-key=<key>] [--quiet]
+ */
+
+const { createEmulator, loadFixtures } = require('./src/emulator/recurly-emulator');
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Process arguments
+ * @returns {Object} Parsed options
+ * @throws {Error} If an argument is unknown or invalid
+ */
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const options = {
+    port: 4010,
+    host: '127.0.0.1',
+    fixtures: null,
+    apiKey: null,
+    quiet: false,
+    help: false
+  };
+
+  for (const arg of args) {
+    if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (arg.startsWith('--port=')) {
+      const value = arg.split('=')[1];
+      const parsed = parseInt(value, 10);
+      if (isNaN(parsed) || parsed < 0 || parsed > 65535) {
+        throw new Error(`Invalid --port value: '${value}' is not a valid port`);
+      }
+      options.port = parsed;
+    } else if (arg.startsWith('--host=')) {
+      options.host = arg.split('=')[1];
+    } else if (arg.startsWith('--fixtures=')) {
+      options.fixtures = arg.split('=')[1];
+    } else if (arg.startsWith('--api-key=')) {
+      options.apiKey = arg.split('=')[1];
+    } else if (arg === '--quiet') {
+      options.quiet = true;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+  let options;
+
+  try {
+    options = parseArgs(process.argv);
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    console.error('Usage: node emulator.js [--port=<n>] [--fixtures=<file>]');
+    process.exit(1);
+  }
+
+  if (options.help) {
+    console.log('Usage: node emulator.js [--port=<n>] [--host=<ip>] [--fixtures=<file>] [--api-key=<key>] [--quiet]');
+    console.log('\nRuns a local in-memory Recurly API v3 emulator.');
+    console.log('\nOptions:');
+    console.log('  --port=<n>          Port to listen on (default: 4010)');
+    console.log('  --host=<ip>         Interface to bind (default: 127.0.0.1)');
+    console.log('  --fixtures=<file>   JSON or YAML file with accounts, subscriptions, plans, invoices, transactions');
+    console.log('  --api-key=<key>     Only accept this API key (default: accept any key)');
+    console.log('  --quiet             Do not log requests');
+    console.log('\nPoint the scripts at it with RECURLY_API_BASE_URL=http://127.0.0.1:<port>');
+    process.exit(0);
+  }
+
+  let fixtures = {};
+  if (options.fixtures) {
+    try {
+      fixtures = loadFixtures(options.fixtures);
+    } catch (error) {
+      console.error(`ERROR: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  const emulator = createEmulator({
+    fixtures,
+    apiKey: options.apiKey,
+    log: options.quiet ? null : message => console.log(`[EMULATOR] ${message}`)
+  });
+
+  const url = await emulator.start(options.port, options.host);
+  const store = emulator.getStore();
+
+  console.log(`Recurly emulator listening on ${url}`);
+  console.log(`Loaded ${store.accounts.length} account(s), ${store.subscriptions.length} subscription(s), ${store.plans.length} plan(s)`);
+  console.log(`Set RECURLY_API_BASE_URL=${url} in .env to use it`);
+
+  const shutdown = async () => {
+    await emulator.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch(err => {
+  console.error(`ERROR: ${err.message}`);
+  process.exit(1);
+});
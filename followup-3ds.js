@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+
+/**
+ * 3D Secure Follow-up
+ * Follows up on the REQUIRES_3DS clients of rescue runs: payment link or pending subscription per account,
+ * mailing export for the CRM, then later checks that finalize the authenticated clients and expire the rest
+ *
+ * Usage: node followup-3ds.js <prepare|check> --env=<sandbox|production> --project=<id> [options] <files...>
+ */
+
+const dotenv = require('dotenv');
+const { loadConfig } = require('./src/config/env');
+const { parseArgs, displayHelp } = require('./src/followup/args');
+const { confirmProduction } = require('./src/cli/prompt');
+const { getProjectConfig } = require('./src/config/projects');
+const { createClient } = require('./src/api/recurly-client');
+const { createAuditJournal } = require('./src/output/audit-journal');
+const { generateRunId } = require('./src/api/idempotency');
+const { RESCUE_PLAN_CODE, getRescuePlanCode } = require('./src/rescue/plan-manager');
+const { createFollowupExecutor } = require('./src/followup/followup-executor');
+const {
+  loadRequires3DS,
+  buildFollowupFile,
+  summarizeEntries,
+  writeFollowupFile,
+  loadFollowupFile,
+  validateFollowupTarget,
+  writeMailingExport,
+  FOLLOWUP_STATUSES
+} = require('./src/followup/followup-file');
+
+/**
+ * Print entry counts per status
+ * @param {Array<Object>} entries - Follow-up entries
+ */
+function displaySummary(entries) {
+  const summary = summarizeEntries(entries);
+  console.log('\n=== 3DS FOLLOW-UP ===');
+  console.log(`Pending:   ${summary.PENDING}`);
+  console.log(`Finalized: ${summary.FINALIZED}`);
+  console.log(`Expired:   ${summary.EXPIRED}`);
+  console.log(`Skipped:   ${summary.SKIPPED}`);
+  console.log(`Failed:    ${summary.FAILED}`);
+}
+
+/**
+ * Prepare step: gather REQUIRES_3DS clients, prepare their follow-up and export the mailing
+ * @param {Object} client - Recurly client instance
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} context - { config, projectConfig }
+ * @returns {Promise<number>} Exit code
+ */
+async function prepare(client, options, context) {
+  const { config, projectConfig } = context;
+  const planCode = projectConfig.currency ? getRescuePlanCode(projectConfig.currency) : RESCUE_PLAN_CODE;
+  const { entries, summary } = loadRequires3DS(options.files, {
+    project: options.project,
+    environment: options.env,
+    planCode,
+    projectCurrency: projectConfig.currency
+  });
+
+  console.log(`Results files: ${summary.files}`);
+  console.log(`REQUIRES_3DS clients: ${summary.requires_3ds}${summary.rescued_since > 0 ? ` (${summary.rescued_since} rescued in a later run, left out)` : ''}`);
+  if (entries.length === 0) {
+    console.log('No client to follow up.');
+    return 0;
+  }
+  console.log(`Mode: ${options.mode}, customers have ${options.expireAfterDays} day(s) to authenticate\n`);
+
+  const runId = generateRunId();
+  const executor = createFollowupExecutor(client, {
+    runId,
+    baseUrl: config.baseUrl,
+    mode: options.mode,
+    expireAfterDays: options.expireAfterDays,
+    project: options.project
+  });
+
+  const prepared = [];
+  const contacts = [];
+  for (const entry of entries) {
+    const result = await executor.prepare(entry);
+    prepared.push(result.entry);
+    if (result.contact) {
+      contacts.push(result.contact);
+    }
+  }
+
+  const followup = buildFollowupFile({
+    project: options.project,
+    environment: options.env,
+    runId,
+    mode: options.mode,
+    expireAfterDays: options.expireAfterDays,
+    resultsFiles: options.files,
+    entries: prepared
+  });
+  const followupPath = writeFollowupFile(followup, { outputDir: options.outputDir });
+
+  displaySummary(prepared);
+  console.log(`\nFollow-up file: ${followupPath}`);
+  if (contacts.length > 0) {
+    const mailingPath = writeMailingExport(contacts, { project: options.project, format: options.format, outputDir: options.outputDir });
+    console.log(`Mailing export: ${mailingPath} (${contacts.length} contact(s))`);
+  }
+  console.log(`Check later with: node followup-3ds.js check --env=${options.env} --project=${options.project} ${followupPath}`);
+  return prepared.some(entry => entry.status === FOLLOWUP_STATUSES.FAILED) ? 1 : 0;
+}
+
+/**
+ * Check step: finalize the clients who authenticated, expire the ones past their deadline
+ * @param {Object} client - Recurly client instance
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} context - { config }
+ * @returns {Promise<number>} Exit code
+ */
+async function check(client, options, context) {
+  const filePath = options.files[0];
+  const followup = loadFollowupFile(filePath);
+  validateFollowupTarget(followup, options.project, options.env);
+
+  const pending = followup.entries.filter(entry => entry.status === FOLLOWUP_STATUSES.PENDING).length;
+  console.log(`Follow-up file: ${filePath} (${followup.mode} mode, ${pending} pending)\n`);
+
+  const executor = createFollowupExecutor(client, {
+    runId: followup.run_id,
+    baseUrl: context.config.baseUrl,
+    mode: followup.mode,
+    expireAfterDays: followup.expire_after_days,
+    project: options.project
+  });
+
+  const checked = [];
+  for (const entry of followup.entries) {
+    checked.push(await executor.check(entry));
+  }
+
+  writeFollowupFile({ ...followup, checked_at: new Date().toISOString(), entries: checked }, { filePath });
+  displaySummary(checked);
+  console.log(`\nFollow-up file updated: ${filePath}`);
+  return 0;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  let options;
+
+  try {
+    options = parseArgs(process.argv);
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    console.error('Usage: node followup-3ds.js <prepare|check> --env=<sandbox|production> --project=<id> [options] <files...>');
+    process.exit(1);
+  }
+
+  if (options.help) {
+    displayHelp();
+    process.exit(0);
+  }
+
+  // Load .env early
+  dotenv.config({ quiet: true });
+
+  try {
+    const config = loadConfig(options.env);
+    const projectConfig = getProjectConfig(options.project);
+    console.log(`Configuration loaded for ${config.envType} environment`);
+    console.log(`Project: ${projectConfig.name} (${projectConfig.id})`);
+
+    // Production confirmation prompt (FR29: prevent accidental production execution)
+    if (config.envType === 'production') {
+      const confirmed = await confirmProduction();
+      if (!confirmed) {
+        console.log('Operation cancelled by user.');
+        process.exit(0);
+      }
+    }
+
+    const auditJournal = createAuditJournal({ mode: 'followup-3ds', project: options.project, outputDir: '.' });
+    const recurlyClient = createClient({
+      apiKey: config.apiKey,
+      apiBaseUrl: config.apiBaseUrl,
+      proxyUrl: config.proxyUrl,
+      projectConfig,
+      maxRetries: config.retryCount,
+      retryBackoffBase: config.retryBackoffBase,
+      retryBackoffMax: config.retryBackoffMax,
+      rateLimitTarget: config.rateLimitTarget,
+      audit: auditJournal
+    });
+
+    const context = { config, projectConfig };
+    const exitCode = options.command === 'prepare'
+      ? await prepare(recurlyClient, options, context)
+      : await check(recurlyClient, options, context);
+
+    if (auditJournal.getCount() > 0) {
+      console.log(`Audit journal: ${auditJournal.getFilePath()} (${auditJournal.getCount()} calls)`);
+    }
+    process.exit(exitCode);
+  } catch (error) {
+    console.error(`ERROR: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Run main function
+main().catch(err => {
+  console.error(`ERROR: ${err.message}`);
+  process.exit(1);
+});
@@ -7,6 +7,8 @@
  * Usage: node rescue.js --env=<sandbox|production> --project=<id> [options]
  */
 
+const fs = require('fs');
+const path = require('path');
 const dotenv = require('dotenv');
 const { loadConfig } = require('./src/config/env');
 const { parseArgs } = require('./src/cli/args');
@@ -14,65 +16,46 @@ const { initEnvironment } = require('./src/env/environment');
 const { confirmProduction, confirmRollback } = require('./src/cli/prompt');
 const { displayHelp } = require('./src/cli/help');
 const { getProjectConfig } = require('./src/config/projects');
-const { createClient } = require('./src/api/recurly-client');
-const { queryClosedAccounts, getAccountById, hasBillingInfo, reopenAccount } = require('./src/api/accounts');
+const { createClient, listAll } = require('./src/api/recurly-client');
+const { queryClosedAccounts, recheckAccounts, getAccountById, reopenAccount } = require('./src/api/accounts');
+const { assessPaymentMethod } = require('./src/rescue/payment-method');
+const { createRiskChecker, loadRiskPolicy, RISK_ACTIONS } = require('./src/rescue/risk-checks');
+const { createRestorePlanner, loadPlanMap } = require('./src/rescue/restore-plan');
+const { createCurrencyDetector } = require('./src/rescue/currency-detection');
+const { createBillingScheduler } = require('./src/rescue/billing-schedule');
+const { createCouponSelector, loadCouponRules, getRuleCoupons, describeDiscount, formatDiscount } = require('./src/rescue/coupon-rules');
+const { toAccountReference } = require('./src/api/account-resolver');
 const { createStateManager, findLatestStateFile, loadStateFile } = require('./src/state/state-manager');
 const { createResultsWriter, displayStatistics, displayRollbackStatistics } = require('./src/output/results-writer');
+const { createAuditJournal } = require('./src/output/audit-journal');
 const { loadRollbackFile, calculateRollbackSummary, validateEnvironmentMatch, validateProjectMatch } = require('./src/rollback/rollback-loader');
 const { displayRollbackSummary } = require('./src/rollback/rollback-display');
 const { createRollbackExecutor } = require('./src/rollback/rollback-executor');
 const { createLogger } = require('./src/ui/logger');
 const { createProgressBar } = require('./src/ui/progress');
-const { findOrCreateMultiCurrencyRescuePlan, findOrCreateRescuePlan, RESCUE_PLAN_CODE, getRescuePlanCode, getUnitAmountForCurrency, CURRENCY_UNIT_AMOUNTS } = require('./src/rescue/plan-manager');
+const { findOrCreateMultiCurrencyRescuePlan, findOrCreateRescuePlan, verifyCoupons, RESCUE_PLAN_CODE, getRescuePlanCode, getUnitAmountForCurrency, CURRENCY_UNIT_AMOUNTS } = require('./src/rescue/plan-manager');
 const { rescueClient, getSubscriptionInvoices, getAccountInvoices, getAccountLineItems } = require('./src/rescue/subscription-manager');
 const { createExecutionController, getConfirmationInterval, displayConfirmationInfo } = require('./src/rescue/execution-control');
 const { setDryRunMode } = require('./src/rescue/dry-run');
+const { buildIdempotencyKey, IDEMPOTENT_ACTIONS } = require('./src/api/idempotency');
+const { createCircuitBreaker, isOutageError } = require('./src/api/circuit-breaker');
+const { CircuitOpenError } = require('./src/api/errors');
+const { createOutageHandler, OUTAGE_EXIT_CODE } = require('./src/rescue/outage-control');
+const { createEligibilityEngine, loadRules } = require('./src/rescue/eligibility-rules');
+const { buildScanSnapshot, writeScanSnapshot, loadScanSnapshot, validateSnapshotTarget, runIncrementalScan, toRejections } = require('./src/rescue/scan-snapshot');
+const { resolveClosedWindow, formatZonedDate } = require('./src/cli/date-window');
+const { createExclusionList, DEFAULT_EXCLUDE_FILE } = require('./src/rescue/exclusions');
+const { loadAccountsFile, resolveAccountsFile } = require('./src/rescue/accounts-file');
 
-/** Account IDs to exclude from resubscribe (edit this array as needed) */
-const EXCLUDE_ACCOUNT_IDS = [
-  "cus_prod_254774_UvygY68z",
-  "cus_prod_255016_3ZxVcdYe",
-  "cus_prod_255350_jOZkJw3q",
-
-  "cus_prod_256299_xmjcTUBD",
-  "cus_prod_257021_Od4mpEjP",
-  "cus_prod_257059_DcLNhgD6",
-  "cus_prod_257222_atGnKQza",
-  "cus_prod_257257_cBykppCT",
-  "cus_prod_257312_Y7jGIYKG",
-  "cus_prod_257515_HMH2Cpj4",
-  "cus_prod_16479_UQTpK9LW",
-  "cus_prod_258275_ZQP7F07s",
-  "cus_prod_258553_4YgLBvS1",
-  "cus_prod_257230_CBDqQDkk",
-  "cus_prod_258182_Mb8D1KDt",
-  "cus_prod_259854_EfSszWCN",
-  "cus_prod_260304_jzn5eXjq",
-  "cus_prod_261538_zg7vxcvn",
-  "cus_prod_261599_KC8o4Li0",
-  "cus_prod_261815_HBJ4BuWR",
-  "cus_prod_261867_bu6XZJ2G",
-  "cus_prod_261888_gCB914Gx",
-  "cus_prod_262300_4XR5DQQA",
-  "cus_prod_262315_9GL6FkWm",
-  "cus_prod_262526_bi16uPu2",
-  "cus_prod_263141_Bgn5KHau",
-  "cus_prod_263173_u6FBWsEc",
-  "cus_prod_263204_ZnqT0LWC",
-  "cus_prod_264228_PnDCPCxU",
-  "cus_prod_264694_8wCOUfzx",
-  "cus_prod_264694_8wCOUfzx",
-  "cus_prod_265541_lUWL871N",
-  "cus_prod_265747_pTYYHSPE",
-  "cus_prod_265956_9tI3xRh7",
-  "cus_prod_266254_Y5WvH024",
-  "cus_prod_266254_Y5WvH024",
-  "cus_prod_266384_ljlyjjkA",
-  "cus_prod_266782_09i1t1QI",
-  "cus_prod_266858_yxlJ52RG",
-  "cus_prod_267073_Id43U0yX",
-
-];
+/**
+ * Print how many evaluated accounts the eligibility rules accepted, and why the others were rejected
+ * @param {Object} eligibility - Eligibility engine
+ */
+function logEligibilitySummary(eligibility) {
+  const summary = eligibility.getSummary();
+  const rejections = Object.entries(summary.rejected_by_rule).map(([rule, count]) => `${rule}=${count}`).join(', ');
+  console.log(`Eligibility: ${summary.eligible}/${summary.evaluated} accepted${rejections ? ` (rejected by ${rejections})` : ''}`);
+}
 
 /**
  * Main entry point
@@ -146,15 +129,23 @@ async function main() {
         // Load configuration
         const config = loadConfig(options.env);
 
+        // Every mutating call is journaled as it completes
+        const auditJournal = createAuditJournal({ mode: 'rollback', project: options.project, outputDir: '.' });
+
         // Initialize Recurly API client
         const projectConfig = getProjectConfig(options.project);
         const recurlyClient = createClient({
           apiKey: config.apiKey,
           apiBaseUrl: config.apiBaseUrl,
+          proxyUrl: config.proxyUrl,
           projectConfig,
           maxRetries: config.retryCount,
           retryBackoffBase: config.retryBackoffBase,
-          retryBackoffMax: config.retryBackoffMax
+          retryBackoffMax: config.retryBackoffMax,
+          rateLimitTarget: config.rateLimitTarget,
+          record: options.record,
+          replay: options.replay,
+          audit: auditJournal
         });
 
         // Initialize logger for rollback
@@ -177,8 +168,8 @@ async function main() {
           ...rollbackSummary.clients.skip
         ];
 
-        // Initialize state manager with clients
-        stateManager.initialize(allClients.map(c => ({ id: c.id })));
+        // Initialize state manager with clients (results ids are account codes; older files have no account reference)
+        stateManager.initialize(allClients.map(c => ({ id: c.account?.id || null, code: c.account?.code || c.id })));
         console.log(`State file created: ${stateManager.getStateFilePath()}`);
 
         // Create progress bar (Story 4.1)
@@ -219,10 +210,14 @@ async function main() {
         }
 
         // Finalize and write output file
+        rollbackResultsWriter.setRequestMetrics(recurlyClient.getRequestMetrics());
         const finalResult = rollbackResultsWriter.finalize();
 
         // Display rollback statistics
-        displayRollbackStatistics(finalResult.summary, finalResult.filePath);
+        displayRollbackStatistics(finalResult.summary, finalResult.filePath, { requestMetrics: finalResult.requestMetrics });
+        if (auditJournal.getCount() > 0) {
+          console.log(`Audit journal: ${auditJournal.getFilePath()} (${auditJournal.getCount()} calls)`);
+        }
 
         // Clean up state file on success (no failures)
         if (finalResult.summary.failed === 0) {
@@ -250,6 +245,22 @@ async function main() {
     // Load configuration using validated envType
     const config = loadConfig(options.env);
 
+    // Load eligibility rules before any prompt so an invalid file fails fast
+    const eligibility = createEligibilityEngine(loadRules(options.rules));
+    const riskPolicy = loadRiskPolicy(options.riskPolicy);
+    const planMap = options.restore ? loadPlanMap(options.planMap) : null;
+    const couponRules = loadCouponRules(options.coupons);
+
+    // Same for the accounts file (--accounts-file)
+    const accountsFileEntries = options.accountsFile ? loadAccountsFile(options.accountsFile) : null;
+
+    // Load exclusion lists too: exclusions.txt (required), then --exclude-file files
+    const exclusionFiles = [...new Set([DEFAULT_EXCLUDE_FILE, ...options.excludeFiles].map(file => path.resolve(file)))];
+    const exclusions = createExclusionList({ files: exclusionFiles, field: options.excludeField });
+    for (const duplicate of exclusions.getDuplicates()) {
+      console.warn(`Warning: ${duplicate.key} is listed twice (${duplicate.first}, ${duplicate.source})`);
+    }
+
     // Initialize environment configuration (Story 1.3)
     const environment = initEnvironment(options.env, config.apiBaseUrl);
 
@@ -282,6 +293,18 @@ async function main() {
     if (options.dryRun) {
       console.log('Mode: DRY-RUN (no changes will be made)');
     }
+    if (options.rules) {
+      console.log(`Eligibility rules: ${options.rules}`);
+    }
+    if (options.riskPolicy) {
+      console.log(`Risk policy: ${options.riskPolicy}`);
+    }
+    if (options.coupons) {
+      console.log(`Coupon rules: ${options.coupons}`);
+    }
+    if (options.restore) {
+      console.log(`Mode: RESTORE previous subscriptions${options.planMap ? ` (plan map: ${options.planMap})` : ''}`);
+    }
     if (options.rollback) {
       console.log(`Mode: ROLLBACK from ${options.rollback}`);
     }
@@ -307,21 +330,90 @@ async function main() {
       return;
     }
 
+    // Every mutating call is journaled as it completes (file created on the first one)
+    const auditJournal = createAuditJournal({ mode: 'rescue', project: options.project, outputDir: '.' });
+
+    // Trips after consecutive 5xx/network failures so an outage does not fail every remaining client
+    const circuitBreaker = createCircuitBreaker({
+      threshold: config.circuitBreakerThreshold,
+      cooldownMs: config.circuitBreakerCooldown * 1000
+    });
+
     // Initialize Recurly API client (Story 2.1 + 2.2)
     const recurlyClient = createClient({
       apiKey: config.apiKey,
       apiBaseUrl: config.apiBaseUrl,
+      proxyUrl: config.proxyUrl,
       projectConfig,
       maxRetries: config.retryCount,
       retryBackoffBase: config.retryBackoffBase,
-      retryBackoffMax: config.retryBackoffMax
+      retryBackoffMax: config.retryBackoffMax,
+      rateLimitTarget: config.rateLimitTarget,
+      record: options.record,
+      replay: options.replay,
+      audit: auditJournal,
+      circuitBreaker
     });
 
+    if (options.record) {
+      console.log(`Recording API traffic to ${options.record}`);
+    } else if (options.replay) {
+      console.log(`Replaying API traffic from ${options.replay} (no network calls)`);
+    }
+
     // State management variables (Story 4.3)
     let accounts;
     let stateManager;
     let resumeIndex = 0;
     let totalForProgress = 0;  // Track total count for progress bar (different from accounts.length during resume)
+    let scanSummary = null;  // Candidate scan benchmark (batch mode only)
+    let excludedAccounts = [];  // Accounts removed by exclusion lists (reported as EXCLUDED)
+    let accountsFileSummary = null;  // Resolution of --accounts-file entries
+
+    /**
+     * Create the results writer with the scan, accounts file, EXCLUDED accounts and eligibility decisions
+     * @param {string|null} runId - Run ID (null when exclusions left no account to process)
+     * @returns {Object} Results writer instance
+     */
+    function createRunResultsWriter(runId) {
+      const writer = createResultsWriter({
+        project: options.project,
+        environment: options.env,
+        mode: options.rollback ? 'rollback' : 'rescue',
+        dryRun: options.dryRun,
+        outputDir: '.',
+        runId
+      });
+
+      if (scanSummary) {
+        writer.setScanSummary(scanSummary);
+      }
+
+      if (accountsFileSummary) {
+        writer.setAccountsFile(accountsFileSummary);
+      }
+
+      for (const { account, source, reason } of excludedAccounts) {
+        writer.addClientResult({
+          id: account.code || account.id,
+          account: toAccountReference(account),
+          status: 'EXCLUDED',
+          reason,
+          source
+        });
+      }
+
+      // Record which rule accepted or rejected each queried account
+      if (eligibility.getDecisions().length > 0) {
+        writer.setEligibility({
+          rules_file: options.rules,
+          rules: eligibility.getRules(),
+          ...eligibility.getSummary(),
+          decisions: eligibility.getDecisions()
+        });
+      }
+      return writer;
+    }
 
     // Handle --resume flag: attempt to load state file (Story 4.3 AC2)
     if (options.resume) {
@@ -369,9 +461,8 @@ async function main() {
         console.log(`Resuming from client ${resumeIndex + 1}/${totalCount}`);
         console.log(`${pendingIds.length} clients remaining to process`);
 
-        // Convert pending IDs back to account objects for processing
-        // Note: pendingIds are account codes, so set code property
-        accounts = pendingIds.map(id => ({ id, code: id }));
+        // Pending accounts come back as the { id, code } references stored by the original run
+        accounts = stateManager.getPendingReferences();
         totalForProgress = totalCount;  // Use original total for progress bar
 
       } catch (error) {
@@ -400,11 +491,7 @@ async function main() {
 
         // Subscriptions
         try {
-          const subsResponse = await recurlyClient.request(
-            'GET',
-            `/accounts/code-${encodeURIComponent(account.code)}/subscriptions?limit=20`
-          );
-          const subs = subsResponse.data?.data || [];
+          const subs = await listAll(recurlyClient, `/accounts/code-${encodeURIComponent(account.code)}/subscriptions`);
           console.log(`\nSubscriptions (aaaaaaaaaaa):`, subs);
           console.log(`\nSubscriptions (${subs.length}):`);
           subs.forEach(sub => {
@@ -422,11 +509,7 @@ async function main() {
 
         // Invoices
         try {
-          const invResponse = await recurlyClient.request(
-            'GET',
-            `/accounts/code-${encodeURIComponent(account.code)}/invoices?limit=20`
-          );
-          const invoices = invResponse.data?.data || [];
+          const invoices = await listAll(recurlyClient, `/accounts/code-${encodeURIComponent(account.code)}/invoices`);
           console.log(`\nInvoices (${invoices.length}):`);
           invoices.forEach(inv => {
             console.log(`  - #${inv.number}: state=${inv.state}, origin=${inv.origin}, type=${inv.type}`);
@@ -440,11 +523,7 @@ async function main() {
 
         // Line Items (charges/credits)
         try {
-          const lineResponse = await recurlyClient.request(
-            'GET',
-            `/accounts/code-${encodeURIComponent(account.code)}/line_items?limit=20`
-          );
-          const lines = lineResponse.data?.data || [];
+          const lines = await listAll(recurlyClient, `/accounts/code-${encodeURIComponent(account.code)}/line_items`);
           console.log(`\nLine Items (${lines.length}):`);
           lines.slice(0, 5).forEach(line => {
             console.log(`  - ${line.description}: ${line.type}, state=${line.state}, amount=${line.amount}`);
@@ -455,11 +534,7 @@ async function main() {
 
         // Transactions
         try {
-          const txResponse = await recurlyClient.request(
-            'GET',
-            `/accounts/code-${encodeURIComponent(account.code)}/transactions?limit=20`
-          );
-          const txs = txResponse.data?.data || [];
+          const txs = await listAll(recurlyClient, `/accounts/code-${encodeURIComponent(account.code)}/transactions`);
           console.log(`\nTransactions (${txs.length}):`);
           txs.forEach(tx => {
             console.log(`  - ${tx.type}: status=${tx.status}, amount=${tx.amount}, created=${tx.created_at}`);
@@ -477,35 +552,170 @@ async function main() {
         }
 
         accounts = [account];
+      } else if (accountsFileEntries) {
+        // Accounts file mode - resolve the listed accounts, then apply the eligibility rules like a scan
+        console.log(`Accounts file: ${options.accountsFile} (${accountsFileEntries.length} entries)`);
+        const resolved = await resolveAccountsFile(recurlyClient, accountsFileEntries, { concurrency: options.scanConcurrency });
+        for (const { value, source, reason } of resolved.unresolved) {
+          console.warn(`  Warning: ${source} ${value} - ${reason}`);
+        }
+        for (const { value, source, code } of resolved.duplicates) {
+          console.log(`  ${source} ${value} is account ${code}, already listed`);
+        }
+        console.log(`Resolved ${resolved.accounts.length} account(s), ${resolved.unresolved.length} unresolved`);
+
+        // No subscription data means no evidence the account qualifies: it is not rescued
+        accounts = await recheckAccounts(recurlyClient, resolved.accounts, {
+          eligibility,
+          concurrency: options.scanConcurrency,
+          keepUnchecked: false
+        });
+        logEligibilitySummary(eligibility);
+
+        accountsFileSummary = {
+          file: options.accountsFile,
+          entries: accountsFileEntries.length,
+          resolved: resolved.accounts.length,
+          eligible: accounts.length,
+          unresolved: resolved.unresolved,
+          duplicates: resolved.duplicates
+        };
       } else {
-        // Batch mode - query all closed accounts (Story 2.1)
-        console.log('Querying closed accounts from Recurly...');
-        const queryOptions = {
-          onProgress: ({ type, startDate, endDate, page, count, total, message }) => {
-            if (type === 'start') {
-              console.log(`  Date range: ${startDate.toISOString().split('T')[0]} to ${endDate.toISOString().split('T')[0]}`);
-            } else if (type === 'page') {
-              console.log(`  Page ${page}: ${count} accounts (total: ${total})`);
-            } else if (type === 'warning') {
-              console.warn(`  Warning: ${message}`);
-            } else if (type === 'complete') {
-              console.log(`Query complete: ${total} closed accounts found`);
+        // Batch mode - query all closed accounts (Story 2.1), or reuse a scan snapshot
+        let scanTimezone = 'UTC';
+        const onScanProgress = ({ type, startDate, endDate, strategy, updatedSince, page, count, total, message, scan }) => {
+          if (type === 'start') {
+            console.log(`  Date range: ${formatZonedDate(startDate, scanTimezone)} to ${formatZonedDate(endDate, scanTimezone)} (${scanTimezone})`);
+            if (updatedSince) {
+              console.log(`  Updated since: ${updatedSince.toISOString()} (incremental)`);
             }
+            console.log(`  Scan strategy: ${strategy}`);
+          } else if (type === 'page') {
+            console.log(`  Page ${page}: ${count} accounts (total: ${total})`);
+          } else if (type === 'warning') {
+            console.warn(`  Warning: ${message}`);
+          } else if (type === 'complete') {
+            console.log(`Query complete: ${total} closed accounts found`);
+            console.log(`Scan summary (${scan.strategy}, concurrency ${scan.concurrency}): ${scan.scanned} records scanned, ${scan.candidates} candidates, ${scan.eligible} eligible, ${scan.api_calls} API calls in ${(scan.duration_ms / 1000).toFixed(1)}s`);
+            scanSummary = scan;
           }
         };
-        // Pass date range if provided via CLI
-        if (options.startDate) {
-          queryOptions.startDate = options.startDate;
+
+        let previousSnapshot = null;
+        if (options.fromScan) {
+          previousSnapshot = loadScanSnapshot(options.fromScan);
+          validateSnapshotTarget(previousSnapshot, options.project, options.env);
+          console.log(`Scan snapshot: ${options.fromScan} (${previousSnapshot.eligible.length} eligible, scanned ${previousSnapshot.created_at})`);
+          if (!previousSnapshot.complete) {
+            console.warn('  WARNING: Snapshot is partial (scanned with --limit)');
+          }
         }
-        if (options.endDate) {
-          queryOptions.endDate = options.endDate;
+
+        if (previousSnapshot && !options.incremental) {
+          accounts = previousSnapshot.eligible.map(account => ({ ...account }));
+        } else {
+          const snapshotData = {
+            project: options.project,
+            environment: options.env,
+            rulesFile: options.rules,
+            rules: eligibility.getRules()
+          };
+
+          if (previousSnapshot) {
+            scanTimezone = previousSnapshot.range.timezone || 'UTC';
+            console.log('Rescanning changes since the snapshot...');
+            const incremental = await runIncrementalScan(recurlyClient, previousSnapshot, {
+              eligibility,
+              strategy: options.scanStrategy,
+              concurrency: options.scanConcurrency,
+              onProgress: onScanProgress
+            });
+            console.log(`Re-checked ${incremental.rechecked} account(s) carried over from the snapshot`);
+            accounts = incremental.accounts;
+            Object.assign(snapshotData, {
+              parent: options.fromScan,
+              startDate: new Date(previousSnapshot.range.start_date),
+              endDate: new Date(previousSnapshot.range.end_date),
+              timezone: scanTimezone,
+              complete: true,
+              scan: incremental.scan,
+              rejected: incremental.rejected,
+              lastUpdatedAt: incremental.lastUpdatedAt
+            });
+          } else {
+            // Closed-date window: --start-date/--end-date, --closed-within/--closed-between, or the project default
+            const closedWindow = resolveClosedWindow({
+              startDate: options.startDate,
+              endDate: options.endDate,
+              window: options.closedWindow,
+              timezone: options.timezone,
+              projectConfig
+            });
+            scanTimezone = closedWindow.timezone;
+            snapshotData.timezone = closedWindow.timezone;
+            console.log(`Closed-date window: ${closedWindow.source}`);
+
+            console.log('Querying closed accounts from Recurly...');
+            const queryOptions = {
+              startDate: closedWindow.startDate,
+              endDate: closedWindow.endDate,
+              eligibility,
+              strategy: options.scanStrategy,
+              concurrency: options.scanConcurrency,
+              onProgress: (event) => {
+                if (event.type === 'start') {
+                  snapshotData.startDate = event.startDate;
+                  snapshotData.endDate = event.endDate;
+                }
+                onScanProgress(event);
+              }
+            };
+            // Pass limit to stop pagination early (unless random, then we need all accounts first)
+            // A --scan-only snapshot is always complete: --limit applies when it is rescued
+            if (options.limit && !options.random && !options.scanOnly) {
+              queryOptions.maxResults = options.limit;
+            }
+            accounts = await queryClosedAccounts(recurlyClient, queryOptions);
+            Object.assign(snapshotData, {
+              complete: !queryOptions.maxResults,
+              scan: scanSummary,
+              rejected: toRejections(eligibility.getDecisions())
+            });
+          }
+
+          logEligibilitySummary(eligibility);
+
+          const snapshotPath = writeScanSnapshot(buildScanSnapshot({ ...snapshotData, accounts }), { outputDir: '.' });
+          console.log(`Scan snapshot written: ${snapshotPath} (${accounts.length} eligible)`);
+
+          if (options.scanOnly) {
+            console.log(`Scan only - review the snapshot, then rescue with --from-scan=${snapshotPath}`);
+            process.exit(0);
+          }
         }
-        // Pass limit to stop pagination early (unless random, then we need all accounts first)
-        if (options.limit && !options.random) {
-          queryOptions.maxResults = options.limit;
+      }
+
+      // Exclusion lists and custom field: excluded accounts are reported, never rescued
+      const partitioned = exclusions.partition(accounts);
+      accounts = partitioned.kept;
+      excludedAccounts = partitioned.excluded;
+      for (const { account, source, reason } of excludedAccounts) {
+        console.log(`⊘ ${account.code || account.id} - EXCLUDED (${reason}; ${source})`);
+      }
+      if (excludedAccounts.length > 0) {
+        console.log(`Excluded ${excludedAccounts.length} account(s)`);
+      }
+      if (accounts.length === 0) {
+        console.log('No accounts remaining after exclusions.');
+        // The EXCLUDED accounts are still reported
+        const excludedResult = createRunResultsWriter(null).finalize();
+        if (excludedResult.filePath) {
+          console.log(`Results file: ${excludedResult.filePath}`);
         }
-        accounts = await queryClosedAccounts(recurlyClient, queryOptions);
+        process.exit(0);
+      }
 
+      if (!options.clientId) {
         // Shuffle if --random specified
         if (options.random) {
           console.log('Randomizing client order...');
@@ -522,26 +732,6 @@ async function main() {
         }
       }
 
-      // Filter out excluded account IDs (no resubscribe for these)
-      if (EXCLUDE_ACCOUNT_IDS.length > 0) {
-        const excludeSet = new Set(EXCLUDE_ACCOUNT_IDS.map(id => String(id).trim().toLowerCase()));
-        const beforeExclude = accounts.length;
-        accounts = accounts.filter(a => {
-          const code = (a.code || a.id || '').toString().trim();
-          const id = (a.id || a.code || '').toString().trim();
-          const inExclude = excludeSet.has(code.toLowerCase()) || excludeSet.has(id.toLowerCase());
-          return !inExclude;
-        });
-        const excluded = beforeExclude - accounts.length;
-        if (excluded > 0) {
-          console.log(`Excluded ${excluded} account(s)`);
-        }
-        if (accounts.length === 0) {
-          console.log('No accounts remaining after exclusions.');
-          process.exit(0);
-        }
-      }
-
       // Initialize state manager for new execution (Story 4.3 AC1)
       stateManager = createStateManager({
         project: options.project,
@@ -556,18 +746,17 @@ async function main() {
 
     console.log(`Found ${accounts.length} account(s) to process`);
 
+    // Run ID seeds the idempotency keys; it is stored in the state file so --resume reuses it
+    const runId = stateManager.getRunId();
+    console.log(`Run ID: ${runId}`);
+    auditJournal.setRunId(runId);
+
     // Initialize results writer (Story 4.4)
-    const resultsWriter = createResultsWriter({
-      project: options.project,
-      environment: options.env,
-      mode: options.rollback ? 'rollback' : 'rescue',
-      dryRun: options.dryRun,
-      outputDir: '.'
-    });
+    const resultsWriter = createRunResultsWriter(runId);
 
     // Determine currency for subscriptions (Story 3.1)
-    // Use project-specific currency, or default to EUR for multi-currency projects
-    const subscriptionCurrency = projectConfig.currency || 'EUR';
+    // Single-currency projects use the project currency; multi-currency projects detect it per account
+    const subscriptionCurrency = projectConfig.currency;
 
     // Initialize logger for rescue operations (Story 4.2)
     const logger = createLogger({
@@ -592,10 +781,19 @@ async function main() {
         .join(', ');
       priceDisplay = `currency-specific defaults (${defaults})`;
     }
-    const trialDisplay = options.noTrial ? 'charge immediately' : '1 day trial';
+    const trialDays = options.noTrial ? 0 : (options.trialDays ?? 1);
+    const trialDisplay = [
+      trialDays === 0 ? 'charge immediately' : `${trialDays} day trial`,
+      options.startsAt ? `starting ${options.startsAt.toISOString()}` : null,
+      options.alignToPreviousRenewal ? 'aligned to previous renewal' : null
+    ].filter(Boolean).join(', ');
 
     let rescuePlanCode;
-    if (projectConfig.currency) {
+    let rescuePlan = null;
+    if (options.restore) {
+      // Restore mode: each customer gets their previous plan back, no Rescue Plan needed
+      console.log(`Restoring previous plans, currencies, quantities and add-ons (${trialDisplay})...`);
+    } else if (projectConfig.currency) {
       // Single currency project (e.g., EUR)
       console.log(`Preparing Rescue Plan (${projectConfig.currency}, price: ${priceDisplay}, ${trialDisplay})...`);
       const planOptions = {};
@@ -604,7 +802,7 @@ async function main() {
         planOptions.unitAmount = options.price;
       }
       console.log('planOptions::::::::::::', planOptions);
-      await findOrCreateRescuePlan(recurlyClient, projectConfig.currency, planOptions);
+      rescuePlan = await findOrCreateRescuePlan(recurlyClient, projectConfig.currency, planOptions);
       rescuePlanCode = getRescuePlanCode(projectConfig.currency);
     } else {
       // Multi-currency project
@@ -616,10 +814,21 @@ async function main() {
       }
       console.log('planOptions123123::::::::::::', planOptions);
       console.log('recurlyClient::::::::::::', recurlyClient);
-      await findOrCreateMultiCurrencyRescuePlan(recurlyClient, planOptions);
+      rescuePlan = await findOrCreateMultiCurrencyRescuePlan(recurlyClient, planOptions);
       rescuePlanCode = RESCUE_PLAN_CODE;
     }
 
+    // Win-back coupons must exist and be redeemable before the first subscription is created
+    let coupons = {};
+    if (couponRules.length > 0) {
+      console.log(`Checking win-back coupons (${couponRules.length} rule(s))...`);
+      const requirements = getRuleCoupons(couponRules, projectConfig.currency ? [projectConfig.currency] : []);
+      coupons = await verifyCoupons(recurlyClient, requirements, { planCode: options.restore ? null : rescuePlanCode });
+      for (const [code, coupon] of Object.entries(coupons)) {
+        console.log(`  ${code}: ${formatDiscount(describeDiscount(coupon))}`);
+      }
+    }
+
     // Initialize progress bar (Story 4.1 AC1)
     // Use totalForProgress to show correct total during resume (HIGH-2, MEDIUM-2 fix)
     const progressBar = createProgressBar(totalForProgress, { dryRun: options.dryRun });
@@ -633,40 +842,203 @@ async function main() {
       totalCount: accounts.length
     });
 
+    // Pause and probe, or exit, when the circuit breaker trips (--on-outage)
+    const outageHandler = createOutageHandler({
+      circuitBreaker,
+      client: recurlyClient,
+      action: options.onOutage
+    });
+
+    // Risk pre-flight: chargebacks, refunds, fraud, credit balance and past-due invoices
+    const riskChecker = createRiskChecker(recurlyClient, riskPolicy);
+
+    // Restore mode: previous subscription of each account, through the plan map
+    const restorePlanner = options.restore ? createRestorePlanner(recurlyClient, planMap) : null;
+
+    // Multi-currency projects: currency of each account, checked against the rescue plan
+    const currencyDetector = !options.restore && !projectConfig.currency
+      ? createCurrencyDetector(recurlyClient, { plan: rescuePlan })
+      : null;
+
+    // Trial end, start date and first bill date of each subscription
+    const billingScheduler = createBillingScheduler(recurlyClient, {
+      trialDays,
+      startsAt: options.startsAt,
+      align: options.alignToPreviousRenewal
+    });
+
+    // Win-back coupon of each subscription, chosen by the coupon rules (--coupons)
+    const couponSelector = createCouponSelector(recurlyClient, couponRules, { coupons });
+
     // Process accounts with rescue logic
     let successCount = 0;
     let failedCount = 0;
     let skippedCount = 0;
+    let heldCount = 0;
+    let requires3DSCount = 0;
     let stoppedByUser = false;
+    let stoppedByOutage = false;
 
     for (let i = 0; i < accounts.length; i++) {
       const account = accounts[i];
-      // Use account.code for API operations (subscription creation uses account code, not internal ID)
-      const accountId = account.code || account.id;
-      
+
       // Skip accounts without a valid identifier
-      if (!accountId) {
+      if (!account.code && !account.id) {
         console.warn(`⚠ Skipping account at index ${i}: missing code and id`);
         continue;
       }
 
+      // One normalized reference for every API call; accountId keys the state file and results
+      const accountRef = toAccountReference(account);
+      const accountId = accountRef.code || accountRef.id;
+
       // Update progress bar (Story 4.1 AC1)
       // Use resumeIndex to show correct position during resume (HIGH-2 fix)
       progressBar.update(resumeIndex + i + 1, accountId);
 
+      // Risk pre-flight, before anything is written to the account
+      const risk = await riskChecker.check(accountRef);
+      if (risk.lookupFailed && circuitBreaker.isOpen()) {
+        // Recurly outage: leave this client pending, then retry it once Recurly answers or stop
+        if (await outageHandler.waitForRecovery()) {
+          i--;
+          continue;
+        }
+        stoppedByOutage = true;
+        break;
+      }
+      const riskDetail = risk.flags.filter(flag => flag.action === risk.action).map(flag => flag.detail).join('; ');
+      if (risk.action === RISK_ACTIONS.SKIP) {
+        skippedCount++;
+        console.log(`⊘ ${accountId} - SKIPPED (risk: ${riskDetail})`);
+        resultsWriter.addClientResult({
+          id: accountId,
+          account: accountRef,
+          status: 'SKIPPED',
+          reason: `Risk: ${riskDetail}`,
+          risk
+        });
+        stateManager.markProcessed(accountId, {
+          status: 'skipped',
+          reason: 'risk'
+        });
+        continue;
+      }
+      if (risk.action === RISK_ACTIONS.HOLD) {
+        heldCount++;
+        console.log(`⏸ ${accountId} - HELD for review (${riskDetail})`);
+        resultsWriter.addClientResult({
+          id: accountId,
+          account: accountRef,
+          status: 'HELD',
+          reason: riskDetail,
+          risk
+        });
+        stateManager.markProcessed(accountId, {
+          status: 'held',
+          reason: 'risk'
+        });
+        continue;
+      }
+      if (risk.action === RISK_ACTIONS.WARN) {
+        console.log(`⚠ ${accountId} - Risk warning: ${riskDetail}`);
+      }
+
+      // Restore mode: work out the subscription to recreate before touching the account
+      let restore = null;
+      if (restorePlanner) {
+        const restorePlan = await restorePlanner.plan(accountRef);
+        if (restorePlan.lookupFailed && circuitBreaker.isOpen()) {
+          // Recurly outage: leave this client pending, then retry it once Recurly answers or stop
+          if (await outageHandler.waitForRecovery()) {
+            i--;
+            continue;
+          }
+          stoppedByOutage = true;
+          break;
+        }
+        if (restorePlan.error) {
+          failedCount++;
+          console.log(`✗ ${accountId} - Cannot restore: ${restorePlan.error}`);
+          resultsWriter.addClientResult({
+            id: accountId,
+            account: accountRef,
+            risk,
+            status: 'FAILED',
+            error: restorePlan.error
+          });
+          stateManager.markProcessed(accountId, {
+            status: 'failed',
+            error: restorePlan.error
+          });
+          continue;
+        }
+        restore = restorePlan.restore;
+        const { original, restored } = restore;
+        const planChange = restore.mapped ? `${original.plan_code} as ${restored.plan_code}` : restored.plan_code;
+        console.log(`↺ ${accountId} - Restoring ${planChange} (${restored.currency}, quantity ${restored.quantity}, ${restored.add_ons.length} add-on(s))`);
+      }
+
+      // Subscription currency: restored one, project currency, or detected for this account
+      let currency = restore
+        ? { code: restore.restored.currency, source: 'restore' }
+        : { code: subscriptionCurrency, source: 'project' };
+      if (currencyDetector) {
+        const detected = await currencyDetector.detect({ ...accountRef, address: account.address });
+        if (detected.lookupFailed && circuitBreaker.isOpen()) {
+          // Recurly outage: leave this client pending, then retry it once Recurly answers or stop
+          if (await outageHandler.waitForRecovery()) {
+            i--;
+            continue;
+          }
+          stoppedByOutage = true;
+          break;
+        }
+        if (!detected.supported) {
+          skippedCount++;
+          console.log(`⊘ ${accountId} - SKIPPED (${detected.verdict}: ${detected.detail})`);
+          resultsWriter.addClientResult({
+            id: accountId,
+            account: accountRef,
+            risk,
+            status: 'SKIPPED',
+            reason: detected.detail,
+            currency: { code: detected.currency, source: detected.source, verdict: detected.verdict }
+          });
+          stateManager.markProcessed(accountId, {
+            status: 'skipped',
+            reason: detected.verdict.toLowerCase()
+          });
+          continue;
+        }
+        currency = { code: detected.currency, source: detected.source };
+      }
+
       // Reopen account if closed/inactive
       if (account.state === 'closed' || account.state === 'inactive') {
         try {
           console.log(`↻ ${accountId} - Reopening closed account...`);
-          // Use internal ID (account.id) for reopen API call, not account code
-          const internalId = account.id;
-          await reopenAccount(recurlyClient, internalId, true);
+          await reopenAccount(recurlyClient, accountRef, false, {
+            idempotencyKey: buildIdempotencyKey(runId, accountId, IDEMPOTENT_ACTIONS.REACTIVATE_ACCOUNT)
+          });
           console.log(`✓ ${accountId} - Account reopened`);
         } catch (reopenError) {
+          // Recurly outage: leave this client pending, then retry it once Recurly answers or stop
+          if (circuitBreaker.isOpen()) {
+            if (await outageHandler.waitForRecovery()) {
+              i--;
+              continue;
+            }
+            stoppedByOutage = true;
+            break;
+          }
           console.log(`✗ ${accountId} - Failed to reopen: ${reopenError.message}`);
           failedCount++;
           resultsWriter.addClientResult({
             id: accountId,
+            account: accountRef,
+            risk,
+            currency,
             status: 'FAILED',
             error: `Failed to reopen account: ${reopenError.message}`
           });
@@ -678,27 +1050,99 @@ async function main() {
         }
       }
 
-      // Check for valid billing info (required for automatic collection)
-      const hasBilling = await hasBillingInfo(recurlyClient, accountId);
-      if (!hasBilling) {
+      // Check for a payment method that can be charged (required for automatic collection)
+      const paymentMethod = await assessPaymentMethod(recurlyClient, accountRef);
+      if (!paymentMethod.chargeable) {
+        // Recurly outage: leave this client pending, then retry it once Recurly answers or stop
+        if (circuitBreaker.isOpen()) {
+          if (await outageHandler.waitForRecovery()) {
+            i--;
+            continue;
+          }
+          stoppedByOutage = true;
+          break;
+        }
         skippedCount++;
-        console.log(`⊘ ${accountId} - SKIPPED (no valid billing info)`);
+        console.log(`⊘ ${accountId} - SKIPPED (${paymentMethod.verdict}: ${paymentMethod.detail})`);
         resultsWriter.addClientResult({
           id: accountId,
+          account: accountRef,
+          risk,
+          currency,
           status: 'SKIPPED',
-          reason: 'No valid billing info for automatic collection'
+          reason: paymentMethod.detail,
+          paymentMethod
         });
         stateManager.markProcessed(accountId, {
           status: 'skipped',
-          reason: 'no_billing_info'
+          reason: paymentMethod.verdict.toLowerCase()
         });
         continue;
       }
 
+      // Billing schedule: trial end, or next bill date aligned to the expired subscription's renewal day
+      const { schedule, lookupFailed: scheduleLookupFailed } = await billingScheduler.schedule(accountRef);
+      if (scheduleLookupFailed && circuitBreaker.isOpen()) {
+        if (await outageHandler.waitForRecovery()) {
+          i--;
+          continue;
+        }
+        stoppedByOutage = true;
+        break;
+      }
+      if (schedule.note) {
+        console.log(`  ${accountId} - Billing not aligned (${schedule.note})`);
+      } else if (schedule.aligned || schedule.starts_at) {
+        console.log(`  ${accountId} - First bill on ${schedule.first_bill_at}${schedule.next_bill_date ? `, renews on ${schedule.next_bill_date}` : ''}`);
+      }
+
+      // Win-back coupon: first matching rule, with the discount on the first bill
+      let coupon = null;
+      if (couponSelector.hasRules()) {
+        let listPrice = null;
+        if (!restore) {
+          const pricing = rescuePlan?.currencies?.find(planPricing => planPricing.currency === currency.code);
+          listPrice = pricing?.unit_amount ?? getUnitAmountForCurrency(currency.code, options.price);
+        } else if (restore.restored.unit_amount !== null && restore.restored.unit_amount !== undefined) {
+          listPrice = restore.restored.unit_amount * (restore.restored.quantity || 1);
+        }
+        const selection = await couponSelector.select({ ...accountRef, created_at: account.created_at }, { currency: currency.code, listPrice });
+        if (selection.lookupFailed) {
+          // Recurly outage: leave this client pending, then retry it once Recurly answers or stop
+          if (circuitBreaker.isOpen()) {
+            if (await outageHandler.waitForRecovery()) {
+              i--;
+              continue;
+            }
+            stoppedByOutage = true;
+            break;
+          }
+          console.log(`✗ ${accountId} - Could not choose a coupon: ${selection.error}`);
+          failedCount++;
+          resultsWriter.addClientResult({
+            id: accountId,
+            account: accountRef,
+            risk,
+            currency,
+            status: 'FAILED',
+            error: `Could not choose a coupon: ${selection.error}`
+          });
+          stateManager.markProcessed(accountId, {
+            status: 'failed',
+            error: selection.error
+          });
+          continue;
+        }
+        coupon = selection.coupon;
+        if (coupon) {
+          console.log(`  ${accountId} - Coupon ${coupon.code} (${coupon.rule}: ${formatDiscount(coupon.discount)})`);
+        }
+      }
+
       // Capture before state for results (including existing invoices/line_items)
       const rescueStartTime = new Date().toISOString();
-      const beforeInvoices = await getAccountInvoices(recurlyClient, accountId);
-      const beforeLineItems = await getAccountLineItems(recurlyClient, accountId);
+      const beforeInvoices = await getAccountInvoices(recurlyClient, accountRef);
+      const beforeLineItems = await getAccountLineItems(recurlyClient, accountRef);
       const beforeState = {
         state: account.state,
         closed_at: account.closed_at,
@@ -708,19 +1152,38 @@ async function main() {
       };
 
       // Execute rescue operation (Story 3.2)
-      const trialDays = options.noTrial ? 0 : 1;
+      const scheduleDetails = {
+        trialEndsAt: schedule.trial_ends_at,
+        startsAt: schedule.starts_at,
+        nextBillDate: schedule.next_bill_date,
+        couponCodes: coupon ? [coupon.code] : []
+      };
       const result = await rescueClient(
         recurlyClient,
-        accountId,
-        rescuePlanCode,
-        subscriptionCurrency,
+        accountRef,
+        restore ? restore.restored.plan_code : rescuePlanCode,
+        currency.code,
         {
           trialDays,
           logger,
-          project: options.project
+          project: options.project,
+          idempotencyKey: buildIdempotencyKey(runId, accountId, IDEMPOTENT_ACTIONS.CREATE_SUBSCRIPTION),
+          details: restore
+            ? { quantity: restore.restored.quantity, unitAmount: restore.restored.unit_amount, addOns: restore.restored.add_ons, ...scheduleDetails }
+            : scheduleDetails
         }
       );
 
+      // Recurly outage: leave this client pending, then retry it once Recurly answers or stop
+      if (result.status !== 'RESCUED' && circuitBreaker.isOpen()) {
+        if (await outageHandler.waitForRecovery()) {
+          i--;
+          continue;
+        }
+        stoppedByOutage = true;
+        break;
+      }
+
       // Record result and update state
       if (result.status === 'RESCUED') {
         successCount++;
@@ -728,12 +1191,19 @@ async function main() {
         const subscriptionId = subscription?.uuid || subscription?.id;
 
         // Capture after state: complete snapshot after rescue
-        const afterInvoices = await getAccountInvoices(recurlyClient, accountId);
-        const afterLineItems = await getAccountLineItems(recurlyClient, accountId);
+        const afterInvoices = await getAccountInvoices(recurlyClient, accountRef);
+        const afterLineItems = await getAccountLineItems(recurlyClient, accountRef);
 
         resultsWriter.addClientResult({
           id: accountId,
+          account: accountRef,
+          risk,
+          restore,
+          currency,
+          schedule,
+          coupon,
           status: 'RESCUED',
+          idempotentReplay: result.idempotentReplay,
           before: beforeState,
           after: {
             state: 'active',
@@ -750,13 +1220,25 @@ async function main() {
       } else if (result.status === 'REQUIRES_3DS') {
         // 3DS required - needs manual intervention
         failedCount++;
+        requires3DSCount++;
         resultsWriter.addClientResult({
           id: accountId,
+          account: accountRef,
+          risk,
+          restore,
+          currency,
+          schedule,
+          coupon,
           status: 'REQUIRES_3DS',
+          idempotentReplay: result.idempotentReplay,
           before: beforeState,
           error: result.error,
-          declineCode: result.declineCode,
-          declineReason: 'Customer must authenticate via 3D Secure'
+          decline: {
+            code: result.declineCode,
+            reason: 'Customer must authenticate via 3D Secure',
+            gatewayMessage: result.gatewayMessage,
+            threeDSecureActionTokenId: result.threeDSecureActionTokenId
+          }
         });
         stateManager.markProcessed(accountId, {
           status: 'requires_3ds',
@@ -766,11 +1248,21 @@ async function main() {
         failedCount++;
         resultsWriter.addClientResult({
           id: accountId,
+          account: accountRef,
+          risk,
+          restore,
+          currency,
+          schedule,
+          coupon,
           status: 'FAILED',
+          idempotentReplay: result.idempotentReplay,
           before: beforeState,
           error: result.error,
-          declineCode: result.declineCode,
-          declineReason: result.declineReason
+          decline: {
+            code: result.declineCode,
+            reason: result.declineReason,
+            gatewayMessage: result.gatewayMessage
+          }
         });
         stateManager.markProcessed(accountId, {
           status: 'failed',
@@ -791,19 +1283,71 @@ async function main() {
     // Display completion summary (Story 4.1 AC2)
     progressBar.complete({ successful: successCount, failed: failedCount, skipped: skippedCount });
 
+    /**
+     * Store the run-wide summaries (risk, restore, schedule, coupons, request metrics) in the results
+     */
+    function recordRunSummaries() {
+      resultsWriter.setRisk({ policy_file: options.riskPolicy, policy: riskChecker.getPolicy(), ...riskChecker.getSummary() });
+      if (restorePlanner) {
+        resultsWriter.setRestore({ plan_map_file: options.planMap, plan_map: restorePlanner.getPlanMap(), ...restorePlanner.getSummary() });
+      }
+      resultsWriter.setSchedule({
+        trial_days: trialDays,
+        starts_at: options.startsAt ? options.startsAt.toISOString() : null,
+        align_to_previous_renewal: options.alignToPreviousRenewal,
+        ...billingScheduler.getSummary()
+      });
+      if (couponSelector.hasRules()) {
+        resultsWriter.setCoupons({
+          rules_file: options.coupons,
+          rules: couponRules,
+          coupons: Object.fromEntries(Object.entries(coupons).map(([code, found]) => [code, describeDiscount(found)])),
+          ...couponSelector.getSummary()
+        });
+      }
+      resultsWriter.setRequestMetrics(recurlyClient.getRequestMetrics());
+    }
+
+    // Stopped by --on-outage=exit: pending clients stay in the state file for --resume, and the
+    // clients already processed go to a partial results file (they are not processed again)
+    if (stoppedByOutage) {
+      recordRunSummaries();
+      resultsWriter.setStopped({ reason: 'outage', pending: stateManager.getPendingReferences().length });
+      const partialResult = resultsWriter.finalize();
+      if (partialResult.filePath) {
+        console.log(`Partial results file: ${partialResult.filePath}`);
+      }
+      console.log(`State file preserved at: ${stateManager.getStateFilePath()}`);
+      console.log('Run again with --resume once Recurly is available.');
+      if (auditJournal.getCount() > 0) {
+        console.log(`Audit journal: ${auditJournal.getFilePath()} (${auditJournal.getCount()} calls)`);
+      }
+      process.exit(OUTAGE_EXIT_CODE);
+    }
+
+    if (heldCount > 0) {
+      console.log(`${heldCount} client(s) held for review by the risk pre-flight (status HELD in the results file)`);
+    }
+
     // Finalize results and write output file (Story 4.4)
     if (!stoppedByUser) {
+      recordRunSummaries();
       const finalResult = resultsWriter.finalize();
-      displayStatistics(finalResult.summary, finalResult.filePath, options.dryRun);
+      displayStatistics(finalResult.summary, finalResult.filePath, options.dryRun, { requestMetrics: finalResult.requestMetrics });
+      if (auditJournal.getCount() > 0) {
+        console.log(`Audit journal: ${auditJournal.getFilePath()} (${auditJournal.getCount()} calls)`);
+      }
 
       // Generate URLs file for manual checking
-      const fs = require('fs');
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
       const urlsFileName = `rescue-urls-${options.project}-${timestamp}.txt`;
       const baseUrl = config.baseUrl;
       const urls = accounts.map(acc => `${baseUrl}/accounts/${acc.code}`).join('\n');
       fs.writeFileSync(urlsFileName, urls);
       console.log(`Client URLs file: ${urlsFileName}`);
+      if (requires3DSCount > 0 && !options.dryRun) {
+        console.log(`${requires3DSCount} client(s) need 3D Secure authentication. Follow up with: node followup-3ds.js prepare --env=${options.env} --project=${options.project} ${finalResult.filePath}`);
+      }
 
       // Clean up state file on full success (Story 4.3)
       if (!options.dryRun && finalResult.summary.failed === 0) {
@@ -818,10 +1362,19 @@ async function main() {
     } else {
       // User stopped execution - state is already preserved by execution controller
       console.log(`State file preserved at: ${stateManager.getStateFilePath()}`);
+      if (auditJournal.getCount() > 0) {
+        console.log(`Audit journal: ${auditJournal.getFilePath()} (${auditJournal.getCount()} calls)`);
+      }
       process.exit(0);
     }
 
   } catch (error) {
+    // Recurly unavailable before processing started (scan, re-check): no partial candidate list is used
+    if (isOutageError(error) || error instanceof CircuitOpenError) {
+      console.error(`ERROR: Recurly appears unavailable: ${error.message}`);
+      console.error('Run again once Recurly is available.');
+      process.exit(OUTAGE_EXIT_CODE);
+    }
     // Handle config errors with user-friendly messages
     console.error(`ERROR: ${error.message}`);
     process.exit(1);
@@ -12,6 +12,7 @@ const { loadConfig } = require('./src/config/env');
 const { parseArgs, displayHelp, ALLOWED_CURRENCIES } = require('./src/seed/args');
 const { getProjectConfig } = require('./src/config/projects');
 const { createClient } = require('./src/api/recurly-client');
+const { createAuditJournal } = require('./src/output/audit-journal');
 const { createAccount, deactivateAccount, addAccountNote } = require('./src/api/accounts');
 const { randomAccountData, randomCurrency, randomDate } = require('./src/seed/random');
 const { findOrCreateSeedPlan, getSeedPlanCode, getAllowedCurrencies } = require('./src/seed/plan-manager');
@@ -137,14 +138,20 @@ async function main() {
       return;
     }
 
+    // Every mutating call is journaled as it completes
+    const auditJournal = createAuditJournal({ mode: 'seed', project: options.project, outputDir: '.' });
+
     // Initialize Recurly API client
     const recurlyClient = createClient({
       apiKey: config.apiKey,
       apiBaseUrl: config.apiBaseUrl,
+      proxyUrl: config.proxyUrl,
       projectConfig,
       maxRetries: config.retryCount,
       retryBackoffBase: config.retryBackoffBase,
-      retryBackoffMax: config.retryBackoffMax
+      retryBackoffMax: config.retryBackoffMax,
+      rateLimitTarget: config.rateLimitTarget,
+      audit: auditJournal
     });
 
     // Find or create seed plan
@@ -276,6 +283,7 @@ async function main() {
     const totalFailed = results.active.failed + results.legit.failed + results.dunning.failed;
 
     console.log(`\nTotal: ${totalSuccess} created, ${totalFailed} failed`);
+    console.log(`Audit journal: ${auditJournal.getFilePath()} (${auditJournal.getCount()} calls)`);
 
     if (totalFailed > 0) {
       process.exit(1);
@@ -0,0 +1,227 @@
+/**
+ * Account Resolver Module
+ * Turns whatever identifies an account (CLI flag, list file, results file) into one Recurly account
+ *
+ * Features:
+ * - References: 'code-<code>', internal IDs, raw codes, email addresses or account objects
+ * - Raw values are looked up as a code; values shaped like an internal ID are also looked up
+ *   as an ID, and two different matches are reported instead of guessed
+ * - Emails are looked up through GET /accounts?email= and must match exactly one account
+ * - Normalized reference { id, code, pathId } for every API call made afterwards
+ * - Lookups are cached per resolver, so a reference listed twice costs one request
+ */
+
+const { listAll } = require('./recurly-client');
+const { AccountResolutionError, isNotFoundError } = require('./errors');
+
+/**
+ * Shape of Recurly internal account IDs; account codes can look the same
+ */
+const INTERNAL_ID_PATTERN = /^[a-z0-9]{12,13}$/;
+
+const CODE_PREFIX = 'code-';
+
+/**
+ * Tell what kind of account reference a value is
+ * @param {string|Object} value - 'code-<code>', internal ID, raw code, email or account object
+ * @returns {Object} { kind, value } (kind: 'code', 'id', 'email' or 'raw')
+ * @throws {Error} If the value is empty
+ */
+function parseAccountReference(value) {
+  if (value && typeof value === 'object') {
+    if (value.id) {
+      return { kind: 'id', value: String(value.id) };
+    }
+    if (value.code) {
+      return { kind: 'code', value: String(value.code) };
+    }
+    throw new Error('Account reference must have an id or a code');
+  }
+
+  const clean = typeof value === 'string' ? value.trim() : '';
+  if (clean === '') {
+    throw new Error('Account reference is required and must be a non-empty string');
+  }
+
+  if (clean.startsWith(CODE_PREFIX) && clean.length > CODE_PREFIX.length) {
+    return { kind: 'code', value: clean.slice(CODE_PREFIX.length) };
+  }
+  if (clean.includes('@')) {
+    return { kind: 'email', value: clean };
+  }
+  return { kind: 'raw', value: clean };
+}
+
+/**
+ * Build the {account_id} path parameter of an account
+ * Strings are always taken as account codes; resolve raw values first when unsure.
+ * @param {string|Object} account - Account code, or account/reference object ({ id, code })
+ * @returns {string} Internal ID or 'code-<code>' (not URL-encoded)
+ * @throws {Error} If there is nothing to identify the account
+ */
+function toAccountPathId(account) {
+  if (account && typeof account === 'object') {
+    if (account.id) {
+      return String(account.id);
+    }
+    if (account.code) {
+      return `${CODE_PREFIX}${account.code}`;
+    }
+    throw new Error('Account reference must have an id or a code');
+  }
+
+  const clean = typeof account === 'string' ? account.trim() : '';
+  if (clean === '') {
+    throw new Error('Account reference is required and must be a non-empty string');
+  }
+  return `${CODE_PREFIX}${clean}`;
+}
+
+/**
+ * Build the normalized reference of an account
+ * @param {Object} account - Recurly account (or { id, code })
+ * @returns {Object} { id, code, pathId }
+ */
+function toAccountReference(account) {
+  return {
+    id: account.id || null,
+    code: account.code || null,
+    pathId: toAccountPathId(account)
+  };
+}
+
+/**
+ * Describe accounts for error messages
+ * @param {Array<Object>} accounts - Accounts
+ * @returns {string} Comma-separated codes (IDs when there is no code)
+ */
+function describeAccounts(accounts) {
+  return accounts.map(account => account.code || account.id).join(', ');
+}
+
+/**
+ * Create account resolver instance
+ * @param {Object} client - Recurly client instance
+ * @returns {Object} Account resolver instance
+ * @throws {Error} If client is invalid
+ */
+function createAccountResolver(client) {
+  if (!client || typeof client.request !== 'function') {
+    throw new Error('Valid Recurly client is required');
+  }
+
+  const cache = new Map();
+
+  /**
+   * Fetch an account by path parameter
+   * @param {string} pathId - Internal ID or 'code-<code>'
+   * @returns {Promise<Object|null>} Account, or null if it does not exist
+   */
+  async function fetchAccount(pathId) {
+    try {
+      const response = await client.request('GET', `/accounts/${encodeURIComponent(pathId)}`);
+      return response.data;
+    } catch (error) {
+      if (isNotFoundError(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Look up the account of a parsed reference
+   * @param {string} reference - Reference as given
+   * @param {string} kind - Reference kind
+   * @param {string} value - Reference value
+   * @returns {Promise<Object>} Account
+   * @throws {AccountResolutionError} If no account, or several, match
+   */
+  async function lookup(reference, kind, value) {
+    const details = { reference, kind };
+
+    if (kind === 'email') {
+      const matches = await listAll(client, '/accounts', { email: value });
+      if (matches.length === 0) {
+        throw new AccountResolutionError('no account with this email', { ...details, reason: 'not_found' });
+      }
+      if (matches.length > 1) {
+        throw new AccountResolutionError(
+          `${matches.length} accounts share this email (${describeAccounts(matches)})`,
+          { ...details, reason: 'ambiguous', candidates: matches.map(toAccountReference) }
+        );
+      }
+      return matches[0];
+    }
+
+    if (kind === 'code' || kind === 'id') {
+      const account = await fetchAccount(kind === 'code' ? `${CODE_PREFIX}${value}` : value);
+      if (!account) {
+        throw new AccountResolutionError('account not found', { ...details, reason: 'not_found' });
+      }
+      return account;
+    }
+
+    // Raw value: a code first, then an internal ID when it has the shape of one
+    const byCode = await fetchAccount(`${CODE_PREFIX}${value}`);
+    const byId = INTERNAL_ID_PATTERN.test(value) ? await fetchAccount(value) : null;
+
+    if (byCode && byId && byCode.id !== byId.id) {
+      throw new AccountResolutionError(
+        `matches account ${describeAccounts([byCode])} by code and account ${describeAccounts([byId])} by internal ID ` +
+        `(use code-${value}, or code-${describeAccounts([byId])} for the other one)`,
+        { ...details, reason: 'ambiguous', candidates: [byCode, byId].map(toAccountReference) }
+      );
+    }
+
+    const account = byCode || byId;
+    if (!account) {
+      throw new AccountResolutionError('account not found', { ...details, reason: 'not_found' });
+    }
+    return account;
+  }
+
+  /**
+   * Resolve a reference to exactly one account
+   * @param {string|Object} reference - 'code-<code>', internal ID, raw code, email or account object
+   * @param {Object} [options={}] - Options
+   * @param {string} [options.kind] - Force the kind ('code', 'id' or 'email'), e.g. from a CSV column
+   * @returns {Promise<Object>} { id, code, pathId, account }
+   * @throws {AccountResolutionError} If no account, or several, match
+   * @throws {Error} If the reference is empty or the API request fails
+   */
+  async function resolve(reference, options = {}) {
+    const parsed = parseAccountReference(reference);
+    const kind = options.kind || parsed.kind;
+    const value = options.kind && typeof reference === 'string' ? reference.trim() : parsed.value;
+    const label = typeof reference === 'string' ? reference.trim() : value;
+
+    // Emails are case-insensitive, account codes are not
+    const key = `${kind}:${kind === 'email' ? value.toLowerCase() : value}`;
+    if (!cache.has(key)) {
+      const pending = lookup(label, kind, value);
+      // Only definite answers are cached; a failed request may succeed next time
+      pending.catch(error => {
+        if (!(error instanceof AccountResolutionError)) {
+          cache.delete(key);
+        }
+      });
+      cache.set(key, pending);
+    }
+
+    const account = await cache.get(key);
+    return { ...toAccountReference(account), account };
+  }
+
+  return {
+    resolve
+  };
+}
+
+module.exports = {
+  createAccountResolver,
+  parseAccountReference,
+  toAccountPathId,
+  toAccountReference,
+  INTERNAL_ID_PATTERN
+};
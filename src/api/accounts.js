@@ -8,77 +8,123 @@
  * - NFR-I4: Uses rate limit headers (via client)
  */
 
+const { listAll, paginatePages } = require('./recurly-client');
+const { isUnprocessableError, AccountResolutionError } = require('./errors');
+const { createAccountResolver, toAccountPathId } = require('./account-resolver');
+const { createEligibilityEngine } = require('../rescue/eligibility-rules');
+const { assessPaymentMethod, PAYMENT_VERDICTS } = require('../rescue/payment-method');
+const { mapWithConcurrency } = require('./concurrency');
+const { resolveClosedWindow } = require('../cli/date-window');
+
+/**
+ * Check if a failed lookup concerns the account itself, as opposed to Recurly being unavailable
+ * Outages, an open circuit breaker and exhausted 429 retries must stop the scan, not drop the account.
+ * @param {Error} error - Error thrown by a request
+ * @returns {boolean} True for 4xx responses other than 429
+ */
+function isAccountLookupError(error) {
+  const statusCode = error?.statusCode;
+  return statusCode >= 400 && statusCode < 500 && statusCode !== 429;
+}
+
 /**
- * Check if an account needs rescue (has expired subscription due to nonpayment)
- * and doesn't already have an active subscription
+ * Fetch every subscription of an account, across all pages
  * @param {Object} client - Recurly client instance
- * @param {string} accountCode - Account code to check
- * @returns {Promise<{needsRescue: boolean, hasActiveSubscription: boolean, expiredForNonpayment: boolean}>}
+ * @param {string} accountCode - Account code
+ * @returns {Promise<Array|null>} Subscriptions, or null if Recurly rejected the lookup (logged as a warning)
+ * @throws {Error} If Recurly is unavailable (outage, open circuit breaker, rate limit)
+ */
+async function fetchAccountSubscriptions(client, accountCode) {
+  try {
+    // Get ALL subscriptions (no state filter - API might not support it), across every page
+    return await listAll(
+      client,
+      `/accounts/code-${encodeURIComponent(accountCode)}/subscriptions`
+    );
+  } catch (error) {
+    if (!isAccountLookupError(error)) throw error;
+    console.warn(`Warning: Could not check rescue status for ${accountCode}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Apply the eligibility rules to an account's subscriptions
+ * Kept synchronous so parallel scans can evaluate (and log) accounts in a deterministic order.
+ * @param {Object|string} account - Account object, or account code
+ * @param {Array|null} allSubscriptions - Subscriptions from fetchAccountSubscriptions (null if the lookup failed)
+ * @param {Object} eligibility - Eligibility engine
+ * @returns {{needsRescue: boolean, hasActiveSubscription: boolean, expiredForNonpayment: boolean, decision: Object|null}}
  */
-async function checkIfNeedsRescue(client, accountCode) {
+function assessRescueNeed(account, allSubscriptions, eligibility) {
+  const accountCode = typeof account === 'string' ? account : account?.code;
   const result = {
     needsRescue: false,
     hasActiveSubscription: false,
-    expiredForNonpayment: false
+    expiredForNonpayment: false,
+    decision: null
   };
 
-  if (!accountCode) return result;
+  if (!accountCode || !allSubscriptions) return result;
 
-  try {
-    // Get ALL subscriptions (no state filter - API might not support it)
-    const subsResponse = await client.request(
-      'GET',
-      `/accounts/code-${encodeURIComponent(accountCode)}/subscriptions?limit=100`
-    );
-    const allSubscriptions = subsResponse.data?.data || [];
+  result.decision = eligibility.evaluate(typeof account === 'string' ? { code: account } : account, allSubscriptions);
+  result.needsRescue = result.decision.eligible;
 
-    if (allSubscriptions.length === 0) {
-      return result;
-    }
+  if (allSubscriptions.length === 0) {
+    return result;
+  }
 
-    // Sort by created_at descending to get the most recent subscription
-    const sortedSubscriptions = [...allSubscriptions].sort((a, b) => {
-      const dateA = a.created_at ? new Date(a.created_at).getTime() : 0;
-      const dateB = b.created_at ? new Date(b.created_at).getTime() : 0;
-      return dateB - dateA; // Descending order (newest first)
-    });
+  // Sort by created_at descending to get the most recent subscription
+  const sortedSubscriptions = [...allSubscriptions].sort((a, b) => {
+    const dateA = a.created_at ? new Date(a.created_at).getTime() : 0;
+    const dateB = b.created_at ? new Date(b.created_at).getTime() : 0;
+    return dateB - dateA; // Descending order (newest first)
+  });
 
-    // Use only the last (most recent) subscription
-    const lastSubscription = sortedSubscriptions[0];
+  // Use only the last (most recent) subscription
+  const lastSubscription = sortedSubscriptions[0];
 
-    // DEBUG: Log first few accounts to see what we get
-    if (!checkIfNeedsRescue._debugCount) {
-      checkIfNeedsRescue._debugCount = 0;
-    }
-    if (checkIfNeedsRescue._debugCount < 5) {
-      checkIfNeedsRescue._debugCount++;
-      console.log(`[DEBUG] ${accountCode}: ${allSubscriptions.length} total subscriptions, checking last one`);
-      console.log(`  - last subscription: state=${lastSubscription.state}, expiration_reason=${lastSubscription.expiration_reason}, created_at=${lastSubscription.created_at}`);
-    }
+  // DEBUG: Log first few accounts to see what we get
+  if (!assessRescueNeed._debugCount) {
+    assessRescueNeed._debugCount = 0;
+  }
+  if (assessRescueNeed._debugCount < 5) {
+    assessRescueNeed._debugCount++;
+    console.log(`[DEBUG] ${accountCode}: ${allSubscriptions.length} total subscriptions, checking last one`);
+    console.log(`  - last subscription: state=${lastSubscription.state}, expiration_reason=${lastSubscription.expiration_reason}, created_at=${lastSubscription.created_at}`);
+  }
 
-    // Check only the last subscription
-    // Check for active subscriptions (no rescue needed if already has one)
-    if (lastSubscription.state === 'active' || lastSubscription.state === 'trial') {
-      result.hasActiveSubscription = true;
-    }
+  // Check only the last subscription
+  // Check for active subscriptions (no rescue needed if already has one)
+  if (lastSubscription.state === 'active' || lastSubscription.state === 'trial') {
+    result.hasActiveSubscription = true;
+  }
 
-    // Check for expired due to nonpayment
-    if (lastSubscription.state === 'expired' && lastSubscription.expiration_reason === 'nonpayment') {
-      result.expiredForNonpayment = true;
-    }
+  // Check for expired due to nonpayment
+  if (lastSubscription.state === 'expired' && lastSubscription.expiration_reason === 'nonpayment') {
+    result.expiredForNonpayment = true;
+  }
 
-    // Needs rescue if: has expired subscription for nonpayment AND no active subscription
-    result.needsRescue = result.expiredForNonpayment && !result.hasActiveSubscription;
+  if (!result.needsRescue) {
+    console.log(`[SKIP] ${accountCode}: rejected by rule ${result.decision.rule} (${result.decision.reason})`);
+  }
 
-    if (result.expiredForNonpayment && result.hasActiveSubscription) {
-      console.log(`[SKIP] ${accountCode}: last subscription expired but also has active subscription`);
-    }
+  return result;
+}
 
-    return result;
-  } catch (error) {
-    console.warn(`Warning: Could not check rescue status for ${accountCode}: ${error.message}`);
-    return result;
-  }
+/**
+ * Check if an account needs rescue according to the eligibility rules
+ * (default: last subscription expired for nonpayment)
+ * @param {Object} client - Recurly client instance
+ * @param {Object|string} account - Account object, or account code
+ * @param {Object} [eligibility] - Eligibility engine (default: built-in rules)
+ * @returns {Promise<{needsRescue: boolean, hasActiveSubscription: boolean, expiredForNonpayment: boolean, decision: Object|null}>}
+ * @throws {Error} If Recurly is unavailable
+ */
+async function checkIfNeedsRescue(client, account, eligibility = createEligibilityEngine()) {
+  const accountCode = typeof account === 'string' ? account : account?.code;
+  const subscriptions = accountCode ? await fetchAccountSubscriptions(client, accountCode) : null;
+  return assessRescueNeed(account, subscriptions, eligibility);
 }
 
 /**
@@ -94,22 +140,71 @@ async function checkIfClosedByDunning(client, accountCode) {
   return result.expiredForNonpayment;
 }
 
+/**
+ * Candidate discovery strategies
+ * - accounts: list accounts updated in the window, then one subscriptions call per candidate account
+ * - subscriptions: list expired subscriptions updated in the window, group them by account,
+ *   then fetch account and subscriptions only for accounts whose latest expired subscription passes the rules
+ */
+const SCAN_STRATEGIES = {
+  ACCOUNTS: 'accounts',
+  SUBSCRIPTIONS: 'subscriptions'
+};
+
+/**
+ * Check if an account's closed_at (when set) falls within the date range
+ * Accounts without closed_at (including active accounts) are kept: the updated_at
+ * filter from the API query already ensures they're in range.
+ * @param {Object} account - Recurly account
+ * @param {Date} startDate - Start of date range
+ * @param {Date} endDate - End of date range
+ * @returns {boolean} True if the account is in range
+ */
+function isClosedInRange(account, startDate, endDate) {
+  if (!account.closed_at) {
+    return true;
+  }
+  const closedAt = new Date(account.closed_at);
+  return closedAt >= startDate && closedAt <= endDate;
+}
+
+/**
+ * Track the latest updated_at among scanned records (for incremental rescans)
+ * @param {Object} scan - Scan summary (last_updated_at updated in place)
+ * @param {Array<Object>} records - Accounts or subscriptions from a page
+ */
+function trackLastUpdatedAt(scan, records) {
+  for (const record of records) {
+    if (record.updated_at && (!scan.last_updated_at || new Date(record.updated_at) > new Date(scan.last_updated_at))) {
+      scan.last_updated_at = record.updated_at;
+    }
+  }
+}
+
 /**
  * Query closed accounts within date range
  *
  * Note: Recurly API v3 does not support filtering by 'state' or 'closed_at' directly.
- * This function queries accounts updated within the date range and filters client-side
- * for accounts with state='closed' and closed_at within the specified range.
+ * The accounts strategy queries accounts updated within the date range and filters client-side
+ * for closed_at within the specified range. The subscriptions strategy starts from
+ * subscriptions that expired (were updated) within the range instead.
  *
  * @param {Object} client - Recurly client instance
  * @param {Object} [options={}] - Query options
- * @param {Date} [options.startDate] - Start of date range (default: 2025-11-16)
- * @param {Date} [options.endDate] - End of date range (default: 2026-01-20)
+ * @param {Date} [options.startDate] - Start of date range (default: start of the project's closed-date window)
+ * @param {Date} [options.endDate] - End of date range (default: end of the project's closed-date window)
+ * @param {Object} [options.projectConfig] - Project config for the default window (closedWindow, timezone;
+ *   see resolveClosedWindow in src/cli/date-window.js)
  * @param {number} [options.pageSize=200] - Results per page (max 200)
  * @param {number} [options.maxResults] - Stop fetching after this many results (optional)
- * @param {Function} [options.onProgress] - Progress callback ({ type, page?, count?, fetched?, total? })
+ * @param {Function} [options.onProgress] - Progress callback ({ type, page?, count?, fetched?, total?, scan? })
+ * @param {Object} [options.eligibility] - Eligibility engine (see src/rescue/eligibility-rules.js; default: built-in rules)
+ * @param {string} [options.strategy='accounts'] - Discovery strategy ('accounts' or 'subscriptions')
+ * @param {number} [options.concurrency=1] - Candidate accounts checked in parallel (results keep scan order)
+ * @param {Date} [options.updatedSince] - Incremental scan: only records updated since this date (no upper bound);
+ *   startDate/endDate still bound closed_at
  * @returns {Promise<Array>} Array of closed account objects
- * @throws {Error} If client is invalid or date range is invalid
+ * @throws {Error} If client is invalid, date range is invalid or strategy is unknown
  */
 async function queryClosedAccounts(client, options = {}) {
   if (!client || typeof client.request !== 'function') {
@@ -117,13 +212,23 @@ async function queryClosedAccounts(client, options = {}) {
   }
 
   const {
-    startDate = new Date('2025-11-16T00:00:00Z'),
-    endDate = new Date('2026-01-20T23:59:59Z'),
     pageSize = 200,
     maxResults = null,
-    onProgress = null
+    onProgress = null,
+    eligibility = createEligibilityEngine(),
+    strategy = SCAN_STRATEGIES.ACCOUNTS,
+    concurrency = 1,
+    updatedSince = null
   } = options;
 
+  // A missing bound comes from the project's closed-date window, never from a fixed range
+  let { startDate, endDate } = options;
+  if (!startDate || !endDate) {
+    const closedWindow = resolveClosedWindow({ projectConfig: options.projectConfig || {} });
+    startDate = startDate || closedWindow.startDate;
+    endDate = endDate || closedWindow.endDate;
+  }
+
   // Progress notification helper
   const notify = (data) => {
     if (typeof onProgress === 'function') {
@@ -149,79 +254,99 @@ async function queryClosedAccounts(client, options = {}) {
     throw new Error('Invalid pageSize: must be a number between 1 and 200');
   }
 
-  const accounts = [];
-  let cursor = null;
-  let hasMore = true;
-  let pageCount = 0;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error('Invalid concurrency: must be a positive integer');
+  }
 
-  notify({ type: 'start', startDate, endDate });
-
-  while (hasMore) {
-    pageCount++;
-
-    // Build query parameters
-    // Note: Recurly API v3 does NOT support 'state' or 'filter[field]' parameters
-    // for the list accounts endpoint. We must fetch accounts and filter client-side.
-    // We use begin_time/end_time with sort=updated_at as a proxy since closing
-    // an account updates it, then filter client-side for state=closed and closed_at in range.
-    const params = new URLSearchParams({
-      limit: pageSize.toString(),
-      sort: 'updated_at',
-      order: 'asc',
-      begin_time: startDate.toISOString(),
-      end_time: endDate.toISOString()
-    });
+  if (updatedSince !== null && (!(updatedSince instanceof Date) || isNaN(updatedSince.getTime()))) {
+    throw new Error('Invalid updatedSince: must be a valid Date object');
+  }
+
+  if (!Object.values(SCAN_STRATEGIES).includes(strategy)) {
+    throw new Error(`Invalid scan strategy: '${strategy}'. Must be one of: ${Object.values(SCAN_STRATEGIES).join(', ')}`);
+  }
 
-    if (cursor) {
-      params.append('cursor', cursor);
+  // Scan summary doubles as a benchmark of the strategy (API calls and wall time)
+  const scan = { strategy, concurrency, scanned: 0, candidates: 0, eligible: 0, api_calls: 0, duration_ms: 0, last_updated_at: null };
+  const scanClient = {
+    request: (...args) => {
+      scan.api_calls++;
+      return client.request(...args);
     }
+  };
+  const startedAt = Date.now();
 
-    const path = `/accounts?${params.toString()}`;
+  notify({ type: 'start', startDate, endDate, strategy, updatedSince });
 
-    try {
-      const response = await client.request('GET', path);
+  // Records are listed by updated_at: the date range, or everything since the previous scan
+  const updatedWindow = updatedSince
+    ? { begin_time: updatedSince, end_time: null }
+    : { begin_time: startDate, end_time: endDate };
+  const context = { startDate, endDate, updatedWindow, pageSize, maxResults, eligibility, concurrency, notify, scan };
+  const accounts = strategy === SCAN_STRATEGIES.SUBSCRIPTIONS
+    ? await scanSubscriptions(scanClient, context)
+    : await scanAccounts(scanClient, context);
 
-      // Handle response data
-      const data = response.data;
+  scan.eligible = accounts.length;
+  scan.duration_ms = Date.now() - startedAt;
 
-      // Recurly API v3 returns data array directly or in a data property
-      const accountsData = Array.isArray(data) ? data : (data?.data || []);
+  notify({ type: 'complete', total: accounts.length, scan });
 
-      // Filter client-side for accounts that may need rescue
-      // Include: closed, inactive, AND active accounts (active accounts may have expired subscriptions)
-      // The key filter is: has subscription expired for nonpayment AND no active subscription
-      const candidateAccounts = accountsData.filter(account => {
-        // Accept closed, inactive, and active states
-        // Active accounts can have expired subscriptions from dunning
-        if (account.state !== 'closed' && account.state !== 'inactive' && account.state !== 'active') {
-          return false;
-        }
+  return accounts;
+}
 
-        // If closed_at is set, filter by it (for closed/inactive accounts)
-        if (account.closed_at) {
-          const closedAt = new Date(account.closed_at);
-          return closedAt >= startDate && closedAt <= endDate;
-        }
+/**
+ * Accounts-first discovery: one subscriptions call per candidate account
+ * @param {Object} client - Recurly client instance (counting wrapper)
+ * @param {Object} context - Query context ({ startDate, endDate, updatedWindow, pageSize, maxResults, eligibility, concurrency, notify, scan })
+ * @returns {Promise<Array>} Accounts accepted by the eligibility rules
+ * @throws {Error} If a page request fails
+ */
+async function scanAccounts(client, context) {
+  const { startDate, endDate, updatedWindow, pageSize, maxResults, eligibility, concurrency, notify, scan } = context;
+  const accounts = [];
+  let pageCount = 0;
 
-        // For accounts without closed_at (including active accounts),
-        // the updated_at filter from the API query already ensures they're in range
-        return true;
-      });
+  // Note: Recurly API v3 does NOT support 'state' or 'filter[field]' parameters
+  // for the list accounts endpoint. We must fetch accounts and filter client-side.
+  // We use begin_time/end_time with sort=updated_at as a proxy since closing
+  // an account updates it, then filter client-side for state=closed and closed_at in range.
+  const params = {
+    limit: pageSize,
+    sort: 'updated_at',
+    order: 'asc',
+    ...updatedWindow
+  };
+
+  const pages = paginatePages(client, '/accounts', params, {
+    onWarning: message => notify({ type: 'warning', message })
+  });
+
+  try {
+    for await (const { items: accountsData, page } of pages) {
+      pageCount = page;
+      scan.scanned += accountsData.length;
+      trackLastUpdatedAt(scan, accountsData);
+
+      // Filter client-side for accounts that may need rescue
+      // Account rules (state, country) are checked here, before any subscription lookup
+      const candidateAccounts = accountsData
+        .filter(account => isClosedInRange(account, startDate, endDate))
+        .filter(account => eligibility.checkAccount(account).eligible);
+      scan.candidates += candidateAccounts.length;
 
       // Log filtering stats
       const activeCount = accountsData.filter(a => a.state === 'active').length;
       const closedCount = accountsData.filter(a => a.state === 'closed' || a.state === 'inactive').length;
       console.log(`[QUERY] Page ${pageCount}: ${accountsData.length} accounts fetched (active: ${activeCount}, closed/inactive: ${closedCount}, candidates: ${candidateAccounts.length})`);
 
-      // Further filter: only accounts that need rescue (expired subscription for nonpayment, no active subscription)
-      const dunningAccounts = [];
-      for (const account of candidateAccounts) {
-        const rescueStatus = await checkIfNeedsRescue(client, account.code);
-        if (rescueStatus.needsRescue) {
-          dunningAccounts.push(account);
-        }
-      }
-      console.log(`[QUERY] Page ${pageCount}: ${dunningAccounts.length}/${candidateAccounts.length} need rescue (expired for nonpayment, no active sub)`);
+      // Further filter: only accounts accepted by the subscription rules
+      // Lookups run in parallel; rules are applied afterwards in page order
+      const subscriptionLists = await mapWithConcurrency(candidateAccounts, concurrency,
+        account => (account.code ? fetchAccountSubscriptions(client, account.code) : null));
+      const dunningAccounts = candidateAccounts.filter((account, index) =>
+        assessRescueNeed(account, subscriptionLists[index], eligibility).needsRescue);
+      console.log(`[QUERY] Page ${pageCount}: ${dunningAccounts.length}/${candidateAccounts.length} need rescue (accepted by eligibility rules)`);
 
       accounts.push(...dunningAccounts);
 
@@ -230,34 +355,9 @@ async function queryClosedAccounts(client, options = {}) {
         console.log(`[QUERY] Reached maxResults (${maxResults}), stopping pagination`);
         // Trim to exact limit (splice modifies in place)
         accounts.splice(maxResults);
-        hasMore = false;
         break;
       }
 
-      // Check for more pages
-      hasMore = data?.has_more || false;
-      cursor = data?.next || null;
-
-      // Handle cursor that might be a URL - extract cursor param if needed
-      if (cursor && cursor.includes('cursor=')) {
-        try {
-          const url = new URL(cursor, 'https://v3.recurly.com');
-          cursor = url.searchParams.get('cursor');
-        } catch {
-          // Not a URL, might already be a cursor value - extract from query string format
-          const match = cursor.match(/cursor=([^&]+)/);
-          if (match) {
-            cursor = match[1];
-          }
-        }
-      }
-
-      // Stop pagination if has_more is true but cursor is missing/empty
-      if (hasMore && (!cursor || cursor.trim() === '')) {
-        notify({ type: 'warning', message: 'Pagination stopped: has_more=true but no valid cursor returned' });
-        hasMore = false;
-      }
-
       notify({
         type: 'page',
         page: pageCount,
@@ -265,29 +365,166 @@ async function queryClosedAccounts(client, options = {}) {
         fetched: accountsData.length,
         total: accounts.length
       });
+    }
+  } catch (error) {
+    // Add context to error (the failing request is the page after the last one received)
+    error.message = `Failed to query accounts (page ${pageCount + 1}): ${error.message}`;
+    throw error;
+  }
 
-      // Safety check to prevent infinite loops
-      if (pageCount > 1000) {
-        notify({ type: 'warning', message: 'Exceeded 1000 pages, stopping pagination' });
-        break;
+  return accounts;
+}
+
+/**
+ * Subscription-first discovery: expired subscriptions grouped by account,
+ * account details fetched only for real candidates
+ * @param {Object} client - Recurly client instance (counting wrapper)
+ * @param {Object} context - Query context ({ startDate, endDate, updatedWindow, pageSize, maxResults, eligibility, concurrency, notify, scan })
+ * @returns {Promise<Array>} Accounts accepted by the eligibility rules
+ * @throws {Error} If a page request fails
+ */
+async function scanSubscriptions(client, context) {
+  const { startDate, endDate, updatedWindow, pageSize, maxResults, eligibility, concurrency, notify, scan } = context;
+  const accounts = [];
+  let pageCount = 0;
+
+  // Expiring a subscription updates it, so updated_at bounds the expiry time
+  const params = {
+    limit: pageSize,
+    state: 'expired',
+    sort: 'updated_at',
+    order: 'asc',
+    ...updatedWindow
+  };
+
+  // Latest expired subscription per account code
+  const latestByAccount = new Map();
+  const createdTime = subscription => new Date(subscription.created_at || 0).getTime();
+
+  const pages = paginatePages(client, '/subscriptions', params, {
+    onWarning: message => notify({ type: 'warning', message })
+  });
+
+  try {
+    for await (const { items: subscriptions, page } of pages) {
+      pageCount = page;
+      scan.scanned += subscriptions.length;
+      trackLastUpdatedAt(scan, subscriptions);
+
+      for (const subscription of subscriptions) {
+        const accountCode = subscription.account?.code;
+        if (!accountCode) continue;
+        const current = latestByAccount.get(accountCode);
+        if (!current || createdTime(subscription) > createdTime(current)) {
+          latestByAccount.set(accountCode, subscription);
+        }
       }
+      console.log(`[QUERY] Page ${pageCount}: ${subscriptions.length} expired subscriptions fetched (${latestByAccount.size} accounts so far)`);
+    }
+  } catch (error) {
+    error.message = `Failed to query subscriptions (page ${pageCount + 1}): ${error.message}`;
+    throw error;
+  }
+
+  // Subscription rules that need no account details weed out most accounts without any extra call
+  const candidateCodes = [...latestByAccount.entries()]
+    .filter(([code, subscription]) => eligibility.checkSubscription({ code }, subscription).eligible)
+    .map(([code]) => code);
+  scan.candidates = candidateCodes.length;
+  console.log(`[QUERY] ${candidateCodes.length}/${latestByAccount.size} accounts have a candidate expired subscription`);
+
+  /**
+   * Fetch account and subscriptions of a candidate
+   * @param {string} code - Account code
+   * @returns {Promise<Object|null>} { account, subscriptions }, or null if skipped
+   */
+  async function lookupCandidate(code) {
+    let account;
+    try {
+      const response = await client.request('GET', `/accounts/code-${encodeURIComponent(code)}`);
+      account = response.data;
     } catch (error) {
-      // Add context to error
-      error.message = `Failed to query accounts (page ${pageCount}): ${error.message}`;
-      throw error;
+      if (!isAccountLookupError(error)) throw error;
+      console.warn(`Warning: Could not fetch account ${code}: ${error.message}`);
+      return null;
     }
+
+    if (!isClosedInRange(account, startDate, endDate)) {
+      return null;
+    }
+
+    // Rejected accounts need no subscription lookup; the decision is recorded later, in scan order
+    if (!eligibility.checkAccount(account, { record: false }).eligible) {
+      return { account, subscriptions: null };
+    }
+
+    // The expired subscription may not be the latest one: evaluate against all of them
+    const subscriptions = await fetchAccountSubscriptions(client, code);
+    return { account, subscriptions };
   }
 
-  notify({ type: 'complete', total: accounts.length });
+  // Lookups run in parallel; rules are applied afterwards in scan order.
+  // With maxResults, candidates go in batches of `concurrency` so the scan can stop early.
+  const batchSize = maxResults ? concurrency : candidateCodes.length;
+  let reachedMax = false;
+  for (let start = 0; start < candidateCodes.length && !reachedMax; start += batchSize) {
+    const lookups = await mapWithConcurrency(candidateCodes.slice(start, start + batchSize), concurrency, lookupCandidate);
+
+    for (const lookup of lookups) {
+      if (!lookup || !eligibility.checkAccount(lookup.account).eligible) {
+        continue;
+      }
+      if (assessRescueNeed(lookup.account, lookup.subscriptions, eligibility).needsRescue) {
+        accounts.push(lookup.account);
+      }
+      if (maxResults && accounts.length >= maxResults) {
+        console.log(`[QUERY] Reached maxResults (${maxResults}), stopping`);
+        reachedMax = true;
+        break;
+      }
+    }
+  }
+  console.log(`[QUERY] ${accounts.length}/${candidateCodes.length} need rescue (accepted by eligibility rules)`);
 
   return accounts;
 }
 
 /**
- * Get single account by ID
+ * Re-check known accounts against the eligibility rules (e.g. accounts carried over from a scan snapshot)
+ * By default an account whose subscriptions cannot be fetched is kept, since there is no new evidence against it.
+ * @param {Object} client - Recurly client instance
+ * @param {Array<Object>} accounts - Accounts to re-check (code required)
+ * @param {Object} [options={}] - Options
+ * @param {Object} [options.eligibility] - Eligibility engine (default: built-in rules)
+ * @param {number} [options.concurrency=1] - Accounts checked in parallel
+ * @param {boolean} [options.keepUnchecked=true] - Keep accounts whose subscriptions cannot be fetched
+ * @returns {Promise<Array>} Accounts still accepted, in input order
+ * @throws {Error} If client is invalid, or Recurly is unavailable during the re-check
+ */
+async function recheckAccounts(client, accounts, options = {}) {
+  if (!client || typeof client.request !== 'function') {
+    throw new Error('Valid Recurly client is required');
+  }
+
+  const { eligibility = createEligibilityEngine(), concurrency = 1, keepUnchecked = true } = options;
+
+  const subscriptionLists = await mapWithConcurrency(accounts, concurrency,
+    account => (account.code ? fetchAccountSubscriptions(client, account.code) : null));
+
+  return accounts.filter((account, index) => {
+    if (!subscriptionLists[index]) {
+      return keepUnchecked && Boolean(account.code);
+    }
+    return assessRescueNeed(account, subscriptionLists[index], eligibility).needsRescue;
+  });
+}
+
+/**
+ * Get single account by code, internal ID or email
  * @param {Object} client - Recurly client instance
- * @param {string} accountId - Account ID to retrieve
+ * @param {string} accountId - Account reference ('code-<code>', internal ID, raw code or email)
  * @returns {Promise<Object>} Account object
+ * @throws {AccountResolutionError} If several accounts match
  * @throws {Error} If account not found or API error
  */
 async function getAccountById(client, accountId) {
@@ -301,17 +538,11 @@ async function getAccountById(client, accountId) {
 
   const cleanId = accountId.trim();
 
-  // Recurly API v3 requires 'code-' prefix for account codes
-  // Internal IDs (like 'yaxd9qiamjfg') work without prefix
-  // If it looks like an account code (not internal ID format), add the prefix
-  const isInternalId = /^[a-z0-9]{12,13}$/.test(cleanId);
-  const pathId = isInternalId ? cleanId : `code-${cleanId}`;
-
   try {
-    const response = await client.request('GET', `/accounts/${encodeURIComponent(pathId)}`);
-    return response.data;
+    const { account } = await createAccountResolver(client).resolve(cleanId);
+    return account;
   } catch (error) {
-    if (error.statusCode === 404) {
+    if (error instanceof AccountResolutionError && error.reason === 'not_found') {
       throw new Error(`Client not found: ${cleanId}`);
     }
     throw error;
@@ -373,7 +604,7 @@ async function deactivateAccount(client, accountCode) {
   } catch (error) {
     // Handle already inactive case gracefully (422 "already inactive")
     // Check multiple patterns for robustness against API message changes
-    if (error.statusCode === 422) {
+    if (isUnprocessableError(error)) {
       const msg = (error.message || '').toLowerCase();
       const isAlreadyInactive = msg.includes('already') && msg.includes('inactive');
       if (isAlreadyInactive) {
@@ -431,38 +662,42 @@ async function addAccountNote(client, accountCode, note) {
 /**
  * Reopen a closed account
  * @param {Object} client - Recurly client instance
- * @param {string} accountId - Account ID or code to reopen
- * @param {boolean} [isInternalId=false] - True if accountId is Recurly's internal ID
+ * @param {string|Object} accountId - Account ID or code to reopen, or account reference ({ id, code })
+ * @param {boolean} [isInternalId=false] - True if accountId is Recurly's internal ID (ignored for references)
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.idempotencyKey] - Idempotency-Key for the reactivate call
  * @returns {Promise<Object>} Reopened account object
  * @throws {Error} If reopening fails
  */
-async function reopenAccount(client, accountId, isInternalId = false) {
+async function reopenAccount(client, accountId, isInternalId = false, options = {}) {
   if (!client || typeof client.request !== 'function') {
     throw new Error('Valid Recurly client is required');
   }
 
-  if (!accountId || typeof accountId !== 'string' || accountId.trim() === '') {
+  const isReference = Boolean(accountId) && typeof accountId === 'object';
+  if (!isReference && (!accountId || typeof accountId !== 'string' || accountId.trim() === '')) {
     throw new Error('Account ID is required and must be a non-empty string');
   }
 
-  const cleanId = accountId.trim();
+  const cleanId = isReference ? (accountId.code || accountId.id) : accountId.trim();
 
   // Use internal ID directly, or add code- prefix for account codes
-  const pathId = isInternalId ? cleanId : `code-${cleanId}`;
+  const pathId = isReference || !isInternalId ? toAccountPathId(accountId) : cleanId;
 
   console.log(`[DEBUG] reopenAccount: cleanId=${cleanId}, pathId=${pathId}, isInternalId=${isInternalId}`);
 
   try {
     const response = await client.request(
       'PUT',
-      `/accounts/${encodeURIComponent(pathId)}/reactivate`
+      `/accounts/${encodeURIComponent(pathId)}/reactivate`,
+      { idempotencyKey: options.idempotencyKey || null }
     );
     console.log(`[DEBUG] reopenAccount success:`, response.data?.state);
     return response.data;
   } catch (error) {
     console.log(`[DEBUG] reopenAccount error: statusCode=${error.statusCode}, message=${error.message}`);
     // 422 = already active - not an error
-    if (error.statusCode === 422) {
+    if (isUnprocessableError(error)) {
       const msg = (error.message || '').toLowerCase();
       if (msg.includes('active') || msg.includes('already')) {
         return { id: cleanId, state: 'active', __alreadyActive: true };
@@ -476,61 +711,33 @@ async function reopenAccount(client, accountId, isInternalId = false) {
 }
 
 /**
- * Check if an account has valid billing info (credit card)
+ * Check if an account has a payment method that can be charged
+ * Yes/no shortcut over assessPaymentMethod, which also says why an account cannot be charged.
  * @param {Object} client - Recurly client instance
- * @param {string} accountCode - Account code to check
- * @returns {Promise<boolean>} True if account has valid billing info
+ * @param {string|Object} accountCode - Account code to check, or account reference ({ id, code })
+ * @returns {Promise<boolean>} True if account can be charged automatically
  */
 async function hasBillingInfo(client, accountCode) {
   if (!client || typeof client.request !== 'function') {
     throw new Error('Valid Recurly client is required');
   }
 
-  if (!accountCode || typeof accountCode !== 'string' || accountCode.trim() === '') {
+  const isReference = Boolean(accountCode) && typeof accountCode === 'object';
+  if (!isReference && (!accountCode || typeof accountCode !== 'string' || accountCode.trim() === '')) {
     return false;
   }
 
-  const cleanCode = accountCode.trim();
-  const accountId = `code-${cleanCode}`;
-
-  try {
-    const response = await client.request('GET', `/accounts/${encodeURIComponent(accountId)}/billing_info`);
-    const billingInfo = response.data;
-
-    console.log(`[DEBUG] hasBillingInfo for ${cleanCode}:`);
-    console.log(`[DEBUG]   raw: ${JSON.stringify(billingInfo).substring(0, 500)}`);
-
-    // Check if billing info exists and has valid payment method
-    if (!billingInfo) {
-      console.log(`[DEBUG]   result: false (no billing info)`);
-      return false;
-    }
-
-    // Check for valid card (has card type and last four digits)
-    const hasCard = billingInfo.card_type && billingInfo.last_four;
-    console.log(`[DEBUG]   card_type=${billingInfo.card_type}, last_four=${billingInfo.last_four}, hasCard=${hasCard}`);
-
-    // Or check for payment_method object
-    const hasPaymentMethod = billingInfo.payment_method && billingInfo.payment_method.card_type;
-    console.log(`[DEBUG]   payment_method=${JSON.stringify(billingInfo.payment_method)}, hasPaymentMethod=${hasPaymentMethod}`);
-
-    const result = hasCard || hasPaymentMethod || false;
-    console.log(`[DEBUG]   result: ${result}`);
-    return result;
-  } catch (error) {
-    // 404 = no billing info
-    if (error.statusCode === 404) {
-      console.log(`[DEBUG] hasBillingInfo for ${cleanCode}: 404 - no billing info`);
-      return false;
-    }
-    // Other errors - log but return false to skip gracefully
-    console.warn(`Warning: Could not check billing info for ${cleanCode}: ${error.message}`);
-    return false;
+  const assessment = await assessPaymentMethod(client, isReference ? accountCode : accountCode.trim());
+  if (assessment.verdict === PAYMENT_VERDICTS.UNKNOWN) {
+    console.warn(`Warning: ${assessment.detail}`);
   }
+  return assessment.chargeable;
 }
 
 module.exports = {
   queryClosedAccounts,
+  recheckAccounts,
+  SCAN_STRATEGIES,
   getAccountById,
   createAccount,
   deactivateAccount,
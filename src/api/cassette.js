@@ -0,0 +1,217 @@
+/**
+ * Cassette Module
+ * Records Recurly API request/response pairs to disk and replays them deterministically
+ *
+ * Features:
+ * - Record mode: one JSON file per interaction (0001-GET-accounts.json, ...)
+ * - Replay mode: serves recorded responses in order, matched on method + path
+ * - API key and PII redacted before anything is written
+ *
+ * NFR Compliance:
+ * - NFR-S4: Never writes API keys to disk
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { redactHeaders, redactBody, redactPath, scrubSecret } = require('./redaction');
+
+const CASSETTE_VERSION = '1.0.0';
+const INTERACTION_FILE_PATTERN = /^\d{4,}-[A-Z]+-.*\.json$/;
+
+/**
+ * Build the key used to match a request against recorded interactions
+ * @param {string} method - HTTP method
+ * @param {string} requestPath - API path (already redacted)
+ * @returns {string} Match key
+ */
+function getMatchKey(method, requestPath) {
+  return `${method.toUpperCase()} ${requestPath}`;
+}
+
+/**
+ * Build a readable file name for an interaction
+ * @param {number} index - 1-based interaction index
+ * @param {string} method - HTTP method
+ * @param {string} requestPath - API path
+ * @returns {string} File name
+ */
+function getInteractionFileName(index, method, requestPath) {
+  const slug = requestPath
+    .split('?')[0]
+    .replace(/[^a-zA-Z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'root';
+  return `${String(index).padStart(4, '0')}-${method.toUpperCase()}-${slug}.json`;
+}
+
+/**
+ * List interaction files in a cassette directory, in recording order
+ * @param {string} dir - Cassette directory
+ * @returns {string[]} File names
+ */
+function listInteractionFiles(dir) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir)
+    .filter(name => INTERACTION_FILE_PATTERN.test(name))
+    .sort();
+}
+
+/**
+ * Create a cassette recorder
+ * @param {Object} options - Recorder options
+ * @param {string} options.dir - Directory to write interactions to (created if missing)
+ * @param {string} [options.secret] - Secret to scrub from every file (API key)
+ * @returns {Object} Recorder with record and getCount methods
+ * @throws {Error} If the directory already holds recordings
+ */
+function createRecorder(options) {
+  const { dir, secret = null } = options;
+
+  if (!dir) {
+    throw new Error('Cassette directory is required');
+  }
+
+  if (listInteractionFiles(dir).length > 0) {
+    throw new Error(`Cassette directory already contains recordings: ${dir}`);
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  const secrets = secret ? [secret, Buffer.from(`${secret}:`).toString('base64')] : [];
+  let count = 0;
+
+  /**
+   * Record one request/response pair
+   * @param {Object} request - { method, path, body }
+   * @param {Object} response - { statusCode, headers, body }
+   * @returns {string} Path of the written file
+   */
+  function record(request, response) {
+    count++;
+    const requestPath = redactPath(request.path);
+    const interaction = {
+      version: CASSETTE_VERSION,
+      recordedAt: new Date().toISOString(),
+      request: {
+        method: request.method.toUpperCase(),
+        path: requestPath,
+        body: request.body === undefined ? null : redactBody(request.body)
+      },
+      response: {
+        statusCode: response.statusCode,
+        headers: redactHeaders(response.headers),
+        body: redactBody(response.body)
+      }
+    };
+
+    let content = JSON.stringify(interaction, null, 2);
+    for (const value of secrets) {
+      content = scrubSecret(content, value);
+    }
+
+    const filePath = path.join(dir, getInteractionFileName(count, request.method, requestPath));
+    fs.writeFileSync(filePath, content + '\n', 'utf8');
+    return filePath;
+  }
+
+  /**
+   * Get number of recorded interactions
+   * @returns {number}
+   */
+  function getCount() {
+    return count;
+  }
+
+  return {
+    record,
+    getCount
+  };
+}
+
+/**
+ * Create a cassette player
+ * Responses are served in recording order for each method + path; a request with no
+ * remaining recording fails instead of reaching the network.
+ * @param {Object} options - Player options
+ * @param {string} options.dir - Directory holding recorded interactions
+ * @returns {Object} Player with replay and getRemaining methods
+ * @throws {Error} If the directory holds no recordings or a file is invalid
+ */
+function createPlayer(options) {
+  const { dir } = options;
+
+  if (!dir) {
+    throw new Error('Cassette directory is required');
+  }
+
+  const files = listInteractionFiles(dir);
+  if (files.length === 0) {
+    throw new Error(`No recorded interactions found in ${dir}`);
+  }
+
+  const queues = new Map();
+  for (const name of files) {
+    let interaction;
+    try {
+      interaction = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid cassette file ${name}: ${error.message}`);
+    }
+    if (!interaction.request || !interaction.response) {
+      throw new Error(`Invalid cassette file ${name}: missing request or response`);
+    }
+    const key = getMatchKey(interaction.request.method, interaction.request.path);
+    if (!queues.has(key)) {
+      queues.set(key, []);
+    }
+    queues.get(key).push(interaction.response);
+  }
+
+  /**
+   * Serve the next recorded response for a request
+   * @param {string} method - HTTP method
+   * @param {string} requestPath - API path
+   * @returns {Object} { statusCode, headers, body }
+   * @throws {Error} If no recorded response remains for this request
+   */
+  function replay(method, requestPath) {
+    const key = getMatchKey(method, redactPath(requestPath));
+    const queue = queues.get(key);
+    if (!queue || queue.length === 0) {
+      const error = new Error(`No recorded interaction for ${key} in cassette ${dir}`);
+      error.code = 'CASSETTE_MISS';
+      throw error;
+    }
+    const response = queue.shift();
+    return {
+      statusCode: response.statusCode,
+      headers: response.headers || {},
+      body: response.body
+    };
+  }
+
+  /**
+   * Get number of recorded responses not served yet
+   * @returns {number}
+   */
+  function getRemaining() {
+    let remaining = 0;
+    for (const queue of queues.values()) {
+      remaining += queue.length;
+    }
+    return remaining;
+  }
+
+  return {
+    replay,
+    getRemaining
+  };
+}
+
+module.exports = {
+  createRecorder,
+  createPlayer,
+  CASSETTE_VERSION
+};
@@ -0,0 +1,165 @@
+/**
+ * Circuit Breaker Module
+ * Stops sending requests during a sustained Recurly outage
+ *
+ * Features:
+ * - Trips after N consecutive outage failures (5xx or network errors, after client retries)
+ * - Open: requests are refused immediately with CircuitOpenError
+ * - Half-open after the cooldown: the next request is a probe; success closes the circuit,
+ *   failure re-opens it for another cooldown
+ * - Only one probe at a time: concurrent requests (scan worker pool) are refused until it resolves
+ * - Any response below 500 (including 4xx) proves the API is up and resets the count
+ */
+
+const { ServerError, CircuitOpenError } = require('./errors');
+
+const NETWORK_ERROR_CODES = ['ENOTFOUND', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE'];
+
+/**
+ * Circuit states
+ */
+const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Check if an error indicates Recurly is unavailable (as opposed to rejecting the request)
+ * @param {Error} error - Error thrown by a request
+ * @returns {boolean} True for 5xx and network errors
+ */
+function isOutageError(error) {
+  if (!error) return false;
+  if (error instanceof ServerError || error.statusCode >= 500) return true;
+  return NETWORK_ERROR_CODES.includes(error.code) || error.message === 'Request timeout';
+}
+
+/**
+ * Create circuit breaker instance
+ * @param {Object} [options={}] - Configuration options
+ * @param {number} [options.threshold=5] - Consecutive failures that trip the breaker
+ * @param {number} [options.cooldownMs=60000] - Time before a probe request is allowed
+ * @param {Function} [options.now] - Clock returning milliseconds (for testing)
+ * @returns {Object} Circuit breaker instance
+ * @throws {Error} If threshold or cooldown is invalid
+ */
+function createCircuitBreaker(options = {}) {
+  const {
+    threshold = 5,
+    cooldownMs = 60000,
+    now = Date.now
+  } = options;
+
+  if (!Number.isInteger(threshold) || threshold <= 0) {
+    throw new Error(`Invalid circuit breaker threshold: ${threshold} (expected a positive integer)`);
+  }
+  if (typeof cooldownMs !== 'number' || cooldownMs < 0) {
+    throw new Error(`Invalid circuit breaker cooldown: ${cooldownMs} (expected a non-negative number)`);
+  }
+
+  let state = CIRCUIT_STATES.CLOSED;
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let probeInFlight = false;
+
+  /**
+   * Check that a request may be sent
+   * @throws {CircuitOpenError} If the circuit is open and the cooldown has not elapsed,
+   *   or half-open with its probe still in flight
+   */
+  function beforeRequest() {
+    if (state === CIRCUIT_STATES.CLOSED) {
+      return;
+    }
+    if (state === CIRCUIT_STATES.HALF_OPEN) {
+      if (!probeInFlight) {
+        probeInFlight = true;
+        return;
+      }
+      throw new CircuitOpenError(
+        `Circuit half-open after ${consecutiveFailures} consecutive outage failures - waiting for the probe request`,
+        { consecutiveFailures, retryAt: null }
+      );
+    }
+    if (now() - openedAt >= cooldownMs) {
+      state = CIRCUIT_STATES.HALF_OPEN;
+      probeInFlight = true;
+      return;
+    }
+    throw new CircuitOpenError(
+      `Circuit open after ${consecutiveFailures} consecutive outage failures - Recurly appears unavailable`,
+      { consecutiveFailures, retryAt: getRetryAt() }
+    );
+  }
+
+  /**
+   * Record a request that reached Recurly and got a non-5xx answer
+   */
+  function recordSuccess() {
+    state = CIRCUIT_STATES.CLOSED;
+    consecutiveFailures = 0;
+    openedAt = null;
+    probeInFlight = false;
+  }
+
+  /**
+   * Record a failed request; only outage errors count towards tripping
+   * @param {Error} error - Error thrown by the request
+   */
+  function recordFailure(error) {
+    if (!isOutageError(error)) {
+      recordSuccess();
+      return;
+    }
+    consecutiveFailures++;
+    if (state === CIRCUIT_STATES.HALF_OPEN || consecutiveFailures >= threshold) {
+      state = CIRCUIT_STATES.OPEN;
+      openedAt = now();
+      probeInFlight = false;
+    }
+  }
+
+  /**
+   * Get time when the next probe is allowed
+   * @returns {Date|null} Probe time, or null if the circuit is not open
+   */
+  function getRetryAt() {
+    return state === CIRCUIT_STATES.OPEN ? new Date(openedAt + cooldownMs) : null;
+  }
+
+  /**
+   * Check if the circuit is open (or waiting for its probe)
+   * @returns {boolean}
+   */
+  function isOpen() {
+    return state !== CIRCUIT_STATES.CLOSED;
+  }
+
+  /**
+   * Get current breaker state
+   * @returns {Object} { state, consecutiveFailures, threshold, retryAt }
+   */
+  function getState() {
+    return {
+      state,
+      consecutiveFailures,
+      threshold,
+      retryAt: getRetryAt()
+    };
+  }
+
+  return {
+    beforeRequest,
+    recordSuccess,
+    recordFailure,
+    isOpen,
+    getState
+  };
+}
+
+module.exports = {
+  createCircuitBreaker,
+  isOutageError,
+  CIRCUIT_STATES
+};
@@ -0,0 +1,51 @@
+/**
+ * Concurrency Module
+ * Bounded worker pool for per-account API lookups
+ *
+ * Features:
+ * - At most N items in flight; request pacing stays with the client's shared rate limiter
+ * - Results returned in input order, whatever order the workers finish in
+ * - A worker error stops new items from starting and is rethrown once in-flight items settle
+ */
+
+/**
+ * Map items through an async worker with bounded concurrency
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of items in flight
+ * @param {Function} worker - Async function (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ * @throws {Error} If concurrency is invalid, or the first error thrown by a worker
+ */
+async function mapWithConcurrency(items, concurrency, worker) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid concurrency: ${concurrency} (expected a positive integer)`);
+  }
+
+  const results = [];
+  let nextIndex = 0;
+  let firstError = null;
+
+  async function runWorker() {
+    while (nextIndex < items.length && !firstError) {
+      const index = nextIndex++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        firstError = firstError || error;
+      }
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, () => runWorker());
+  await Promise.all(workers);
+
+  if (firstError) {
+    throw firstError;
+  }
+
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
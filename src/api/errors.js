@@ -0,0 +1,208 @@
+/**
+ * Recurly Error Classes
+ * Typed errors thrown by the Recurly client, built from the API error response
+ *
+ * Features:
+ * - RecurlyError base class (statusCode, body, type, requestId)
+ * - ValidationError with per-param messages (422 type 'validation')
+ * - TransactionError with parsed transaction_error fields (decline code, merchant advice, 3DS token)
+ * - NotFoundError (404), RateLimitError (429 after retries), ServerError (5xx after retries)
+ * - CircuitOpenError when requests are refused during a sustained outage
+ * - AccountResolutionError when an account reference matches no account, or several
+ * - Helpers that also accept plain errors carrying a statusCode (mock clients, wrapped errors)
+ *
+ * NFR Compliance:
+ * - NFR-I5: Handles response codes (4xx, 5xx, 429)
+ */
+
+/**
+ * Base class for errors returned by the Recurly API
+ */
+class RecurlyError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details={}] - Response details
+   * @param {number} [details.statusCode] - HTTP status code
+   * @param {Object} [details.body] - Parsed response body
+   * @param {string} [details.requestId] - X-Request-Id response header
+   */
+  constructor(message, { statusCode, body, requestId } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode;
+    this.body = body;
+    this.type = body?.error?.type || null;
+    this.requestId = requestId || null;
+  }
+}
+
+/**
+ * 422 validation error - one entry per invalid parameter
+ */
+class ValidationError extends RecurlyError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.params = (details.body?.error?.params || []).map(({ param, message: paramMessage }) => ({
+      param,
+      message: paramMessage
+    }));
+  }
+}
+
+/**
+ * 422 transaction error - the payment gateway declined or needs customer action
+ */
+class TransactionError extends RecurlyError {
+  constructor(message, details = {}) {
+    super(message, details);
+    const transactionError = details.body?.error?.transaction_error || {};
+    this.code = transactionError.code || null;
+    this.category = transactionError.category || null;
+    this.declineCode = transactionError.decline_code || transactionError.code || null;
+    this.merchantAdvice = transactionError.merchant_advice || null;
+    this.gatewayMessage = transactionError.gateway_message || transactionError.message || null;
+    this.threeDSecureActionTokenId = transactionError.three_d_secure_action_token_id || null;
+    this.transactionId = transactionError.transaction_id || null;
+    this.requires3DS = this.declineCode === 'three_d_secure_action_required' ||
+      this.category === 'three_d_secure_action_required';
+  }
+}
+
+/**
+ * 404 not found
+ */
+class NotFoundError extends RecurlyError {}
+
+/**
+ * 429 rate limit still exceeded after waiting for resets
+ */
+class RateLimitError extends RecurlyError {}
+
+/**
+ * 5xx server error still failing after retries
+ */
+class ServerError extends RecurlyError {}
+
+/**
+ * Request refused locally: the circuit breaker is open after consecutive outage failures
+ */
+class CircuitOpenError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details={}] - Breaker state
+   * @param {number} [details.consecutiveFailures] - Failures that tripped the breaker
+   * @param {Date} [details.retryAt] - When the next probe request is allowed
+   */
+  constructor(message, { consecutiveFailures, retryAt } = {}) {
+    super(message);
+    this.name = 'CircuitOpenError';
+    this.code = 'CIRCUIT_OPEN';
+    this.consecutiveFailures = consecutiveFailures;
+    this.retryAt = retryAt || null;
+  }
+}
+
+/**
+ * Account reference that cannot be resolved to exactly one account
+ */
+class AccountResolutionError extends Error {
+  /**
+   * @param {string} detail - What went wrong, e.g. 'account not found'
+   * @param {Object} details - Resolution details
+   * @param {string} details.reference - Reference as given
+   * @param {string} details.kind - Reference kind ('code', 'id', 'email' or 'raw')
+   * @param {string} details.reason - 'not_found' or 'ambiguous'
+   * @param {Array<Object>} [details.candidates=[]] - Matching accounts ({ id, code }) when ambiguous
+   */
+  constructor(detail, { reference, kind, reason, candidates = [] }) {
+    super(`Cannot resolve account '${reference}': ${detail}`);
+    this.name = 'AccountResolutionError';
+    this.detail = detail;
+    this.reference = reference;
+    this.kind = kind;
+    this.reason = reason;
+    this.candidates = candidates;
+  }
+}
+
+/**
+ * Build the typed error for an API error response
+ * @param {Object} response - Response { statusCode, headers, body }
+ * @param {string} message - Error message
+ * @returns {RecurlyError} Error instance matching the status and error type
+ */
+function createErrorFromResponse(response, message) {
+  const details = {
+    statusCode: response.statusCode,
+    body: response.body,
+    requestId: response.headers?.['x-request-id']
+  };
+  const type = response.body?.error?.type;
+
+  if (response.statusCode === 404) {
+    return new NotFoundError(message, details);
+  }
+  if (response.statusCode === 429) {
+    return new RateLimitError(message, details);
+  }
+  if (response.statusCode >= 500) {
+    return new ServerError(message, details);
+  }
+  if (type === 'transaction' || response.body?.error?.transaction_error) {
+    return new TransactionError(message, details);
+  }
+  if (type === 'validation' || response.statusCode === 422) {
+    return new ValidationError(message, details);
+  }
+  return new RecurlyError(message, details);
+}
+
+/**
+ * Find an error of the given class in an error or its cause chain
+ * @param {Error} error - Error to inspect (possibly wrapping the API error)
+ * @param {Function} ErrorClass - Error class to look for
+ * @returns {Error|null} Matching error or null
+ */
+function findError(error, ErrorClass) {
+  let current = error;
+  while (current) {
+    if (current instanceof ErrorClass) {
+      return current;
+    }
+    current = current.cause;
+  }
+  return null;
+}
+
+/**
+ * Check if an error is a 404 not found
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+function isNotFoundError(error) {
+  return error instanceof NotFoundError || error?.statusCode === 404;
+}
+
+/**
+ * Check if an error is a 422 (validation or transaction)
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+function isUnprocessableError(error) {
+  return error instanceof ValidationError || error instanceof TransactionError || error?.statusCode === 422;
+}
+
+module.exports = {
+  RecurlyError,
+  ValidationError,
+  TransactionError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  CircuitOpenError,
+  AccountResolutionError,
+  createErrorFromResponse,
+  findError,
+  isNotFoundError,
+  isUnprocessableError
+};
@@ -0,0 +1,73 @@
+/**
+ * Idempotency Module
+ * Deterministic Idempotency-Key values for mutating Recurly calls
+ *
+ * Features:
+ * - Run ID generation (persisted in the state file, reused by --resume)
+ * - Idempotency key derived from run ID + account code + action
+ * - Replay detection from response headers
+ *
+ * A request retried after a timeout, or re-sent by a resumed run, carries the same key,
+ * so Recurly returns the original result instead of creating a second subscription.
+ */
+
+const crypto = require('crypto');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const IDEMPOTENT_REPLAYED_HEADER = 'idempotent-replayed';
+
+/**
+ * Actions that carry an idempotency key
+ */
+const IDEMPOTENT_ACTIONS = {
+  CREATE_SUBSCRIPTION: 'create-subscription',
+  REACTIVATE_ACCOUNT: 'reactivate-account',
+  CREATE_PENDING_SUBSCRIPTION: 'create-pending-subscription',
+  FINALIZE_SUBSCRIPTION: 'finalize-subscription'
+};
+
+/**
+ * Generate a new run ID
+ * @returns {string} Random run ID (UUID v4)
+ */
+function generateRunId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * Build the idempotency key for one action on one account
+ * Same inputs always give the same key; keys are hashed to stay short and opaque.
+ * @param {string} runId - Run ID from the state file
+ * @param {string} accountCode - Account code
+ * @param {string} action - Action name (see IDEMPOTENT_ACTIONS)
+ * @returns {string} Idempotency key (64 hex characters)
+ * @throws {Error} If any input is missing
+ */
+function buildIdempotencyKey(runId, accountCode, action) {
+  if (!runId || !accountCode || !action) {
+    throw new Error('runId, accountCode and action are required to build an idempotency key');
+  }
+  return crypto
+    .createHash('sha256')
+    .update(`${runId}|${action}|${accountCode}`)
+    .digest('hex');
+}
+
+/**
+ * Check whether a response is a replay of an earlier request with the same key
+ * @param {Object} headers - Response headers (lower-case names)
+ * @returns {boolean} True if the response was replayed
+ */
+function isIdempotentReplay(headers) {
+  const value = headers?.[IDEMPOTENT_REPLAYED_HEADER];
+  return value === true || String(value).toLowerCase() === 'true';
+}
+
+module.exports = {
+  IDEMPOTENCY_HEADER,
+  IDEMPOTENT_REPLAYED_HEADER,
+  IDEMPOTENT_ACTIONS,
+  generateRunId,
+  buildIdempotencyKey,
+  isIdempotentReplay
+};
@@ -0,0 +1,108 @@
+/**
+ * Request Metrics Module
+ * Per-endpoint call statistics collected by the Recurly client
+ *
+ * Features:
+ * - Endpoint templates: IDs replaced by {id}, query strings dropped (GET /accounts/{id}/billing_info)
+ * - Calls, errors, retries and 429 waits per endpoint
+ * - p50/p95 latency and total time per endpoint (latency covers retries and waits)
+ */
+
+/**
+ * Build the endpoint template for a request
+ * Recurly v3 paths alternate collection names and resource IDs, so every second segment is an ID.
+ * @param {string} method - HTTP method
+ * @param {string} path - API path or absolute URL (pagination cursors)
+ * @returns {string} Template, e.g. 'GET /accounts/{id}/billing_info'
+ */
+function toEndpointTemplate(method, path) {
+  let pathname = String(path || '');
+  if (/^https?:\/\//i.test(pathname)) {
+    pathname = new URL(pathname).pathname;
+  }
+  pathname = pathname.split('?')[0];
+
+  const segments = pathname.split('/').filter(Boolean);
+  const template = segments.map((segment, index) => (index % 2 === 1 ? '{id}' : segment));
+  return `${String(method).toUpperCase()} /${template.join('/')}`;
+}
+
+/**
+ * Nearest-rank percentile
+ * @param {number[]} sorted - Values sorted ascending
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} Percentile value, or null for an empty list
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(rank - 1, 0)];
+}
+
+/**
+ * Create request metrics instance
+ * @returns {Object} Request metrics instance
+ */
+function createRequestMetrics() {
+  const endpoints = new Map();
+
+  /**
+   * Record one request (after all of its retries)
+   * @param {Object} call - Call details
+   * @param {string} call.method - HTTP method
+   * @param {string} call.path - API path
+   * @param {number} call.durationMs - Time from first attempt to final outcome
+   * @param {boolean} [call.failed=false] - Whether the request threw
+   * @param {number} [call.retries=0] - Retries after 5xx or network errors
+   * @param {number} [call.rateLimitWaits=0] - Waits after 429 responses
+   */
+  function record(call) {
+    const endpoint = toEndpointTemplate(call.method, call.path);
+    if (!endpoints.has(endpoint)) {
+      endpoints.set(endpoint, { calls: 0, errors: 0, retries: 0, rateLimitWaits: 0, latencies: [] });
+    }
+    const entry = endpoints.get(endpoint);
+    entry.calls++;
+    if (call.failed) {
+      entry.errors++;
+    }
+    entry.retries += call.retries || 0;
+    entry.rateLimitWaits += call.rateLimitWaits || 0;
+    entry.latencies.push(call.durationMs);
+  }
+
+  /**
+   * Get per-endpoint statistics, slowest total time first
+   * @returns {Array<Object>} [{ endpoint, calls, errors, retries, rate_limit_waits, p50_ms, p95_ms, total_ms }]
+   */
+  function getSummary() {
+    return [...endpoints.entries()]
+      .map(([endpoint, entry]) => {
+        const sorted = [...entry.latencies].sort((a, b) => a - b);
+        return {
+          endpoint,
+          calls: entry.calls,
+          errors: entry.errors,
+          retries: entry.retries,
+          rate_limit_waits: entry.rateLimitWaits,
+          p50_ms: percentile(sorted, 50),
+          p95_ms: percentile(sorted, 95),
+          total_ms: sorted.reduce((sum, value) => sum + value, 0)
+        };
+      })
+      .sort((a, b) => b.total_ms - a.total_ms);
+  }
+
+  return {
+    record,
+    getSummary
+  };
+}
+
+module.exports = {
+  createRequestMetrics,
+  toEndpointTemplate,
+  percentile
+};
@@ -0,0 +1,179 @@
+/**
+ * Rate Limiter Module
+ * Token bucket driven by Recurly's X-RateLimit-* headers
+ *
+ * Features:
+ * - Refill rate computed from X-RateLimit-Limit, -Remaining and -Reset, so calls are
+ *   spread evenly over what is left of the window instead of bursting then stalling
+ * - Target utilisation: keep (1 - target) of the site's quota free for other integrations
+ * - Reserve: never consume the last N calls of the window
+ * - Shared instance per site, used by every client created in the process
+ *
+ * NFR Compliance:
+ * - NFR-P1/P2: Respects rate limits
+ */
+
+/**
+ * Default number of calls that may be issued back-to-back before pacing applies
+ */
+const DEFAULT_BURST = 20;
+
+/**
+ * Limiters shared across clients, keyed by site
+ */
+const sharedLimiters = new Map();
+
+/**
+ * Create rate limiter instance
+ * @param {Object} [options={}] - Configuration options
+ * @param {number} [options.targetUtilization=1] - Share of the site's quota this process may use (0 < x <= 1)
+ * @param {number} [options.reserve=0] - Calls always left unused at the end of a window
+ * @param {number} [options.burst=20] - Bucket capacity (calls allowed back-to-back)
+ * @param {Function} [options.now] - Clock returning milliseconds (for testing)
+ * @param {Function} [options.sleep] - Sleep function (for testing)
+ * @returns {Object} Rate limiter instance
+ * @throws {Error} If targetUtilization is out of range
+ */
+function createRateLimiter(options = {}) {
+  const {
+    targetUtilization = 1,
+    reserve = 0,
+    burst = DEFAULT_BURST,
+    now = Date.now,
+    sleep: wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+  } = options;
+
+  if (typeof targetUtilization !== 'number' || !(targetUtilization > 0 && targetUtilization <= 1)) {
+    throw new Error(`Invalid target utilization: ${targetUtilization} (expected a number between 0 and 1)`);
+  }
+
+  let limit = null;
+  let remaining = null;
+  let resetAt = null;
+  // Tokens per millisecond; null until the first headers are seen
+  let rate = null;
+  let tokens = 0;
+  let lastRefill = now();
+
+  /**
+   * Forget the window once it has reset (quota is back to full, pace freely until new headers)
+   */
+  function expireWindow() {
+    if (resetAt !== null && now() >= resetAt) {
+      rate = null;
+    }
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   */
+  function refill() {
+    const current = now();
+    if (rate !== null) {
+      tokens = Math.min(burst, tokens + (current - lastRefill) * rate);
+    }
+    lastRefill = current;
+  }
+
+  /**
+   * Update the bucket from response headers
+   * @param {Object} headers - Response headers (lower-case names)
+   */
+  function update(headers) {
+    const headerLimit = parseInt(headers?.['x-ratelimit-limit'], 10);
+    const headerRemaining = parseInt(headers?.['x-ratelimit-remaining'], 10);
+    const headerReset = parseInt(headers?.['x-ratelimit-reset'], 10);
+    if (isNaN(headerLimit) || isNaN(headerRemaining) || isNaN(headerReset)) {
+      return;
+    }
+
+    refill();
+    const wasPacing = rate !== null;
+    limit = headerLimit;
+    remaining = headerRemaining;
+    resetAt = headerReset * 1000;
+
+    const msLeft = resetAt - now();
+    if (msLeft <= 0) {
+      rate = null;
+      return;
+    }
+
+    // Calls this process may still make in the current window
+    const budget = remaining - Math.max(reserve, Math.ceil(limit * (1 - targetUtilization)));
+    if (budget <= 0) {
+      rate = 0;
+      tokens = 0;
+      return;
+    }
+
+    rate = budget / msLeft;
+    tokens = wasPacing ? Math.min(tokens, budget) : Math.min(burst, budget);
+  }
+
+  /**
+   * Wait until a call may be made, then consume one token
+   * @returns {Promise<number>} Milliseconds spent waiting
+   */
+  async function acquire() {
+    let waited = 0;
+    for (;;) {
+      expireWindow();
+      if (rate === null) {
+        return waited;
+      }
+
+      refill();
+      if (tokens >= 1) {
+        tokens -= 1;
+        return waited;
+      }
+
+      const untilReset = Math.max(resetAt - now(), 1);
+      const delay = rate === 0 ? untilReset : Math.min(Math.ceil((1 - tokens) / rate), untilReset);
+      await wait(delay);
+      waited += delay;
+    }
+  }
+
+  /**
+   * Get current limiter state
+   * @returns {Object} { limit, remaining, resetAt, targetUtilization, callsPerMinute }
+   */
+  function getStatus() {
+    expireWindow();
+    return {
+      limit,
+      remaining,
+      resetAt: resetAt === null ? null : new Date(resetAt),
+      targetUtilization,
+      callsPerMinute: rate === null ? null : Math.floor(rate * 60000)
+    };
+  }
+
+  return {
+    update,
+    acquire,
+    getStatus
+  };
+}
+
+/**
+ * Get the limiter shared by every client targeting the same site
+ * Options only apply when the limiter is first created.
+ * @param {string} key - Site key (API origin + site ID)
+ * @param {Object} [options={}] - Options for createRateLimiter
+ * @returns {Object} Shared rate limiter instance
+ */
+function getSharedRateLimiter(key, options = {}) {
+  if (!sharedLimiters.has(key)) {
+    sharedLimiters.set(key, createRateLimiter(options));
+  }
+  return sharedLimiters.get(key);
+}
+
+module.exports = {
+  createRateLimiter,
+  getSharedRateLimiter,
+  DEFAULT_BURST
+};
@@ -0,0 +1,116 @@
+/**
+ * Redaction Module
+ * Removes credentials and personal data from API traffic before it is written to disk
+ *
+ * Features:
+ * - Masks credential headers (Authorization, Proxy-Authorization, Cookie)
+ * - Masks PII fields at any depth of a JSON body (email, names, phone, address...)
+ * - Masks account hosted_login_token (grants access to the customer's hosted billing page)
+ * - Masks PII query parameters (e.g. ?email=)
+ * - Scrubs a known secret (API key) wherever it appears
+ *
+ * NFR Compliance:
+ * - NFR-S4: Never writes API keys to disk
+ */
+
+const REDACTED = '[REDACTED]';
+
+const SENSITIVE_HEADERS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie'];
+
+const PII_FIELDS = [
+  'email',
+  'cc_emails',
+  'first_name',
+  'last_name',
+  'company',
+  'username',
+  'phone',
+  'vat_number',
+  'street1',
+  'street2',
+  'city',
+  'postal_code',
+  'region',
+  'name_on_account',
+  'first_six',
+  'account_number',
+  'routing_number',
+  'iban',
+  'ip_address',
+  'hosted_login_token'
+];
+
+/**
+ * Redact credential headers
+ * @param {Object} headers - Header map
+ * @returns {Object} Copy of headers with credentials masked
+ */
+function redactHeaders(headers) {
+  const redacted = {};
+  for (const [name, value] of Object.entries(headers || {})) {
+    redacted[name] = SENSITIVE_HEADERS.includes(name.toLowerCase()) ? REDACTED : value;
+  }
+  return redacted;
+}
+
+/**
+ * Redact PII fields in a JSON value, recursively
+ * @param {*} value - Parsed JSON value
+ * @returns {*} Copy of value with PII fields masked
+ */
+function redactBody(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactBody);
+  }
+  if (value && typeof value === 'object') {
+    const redacted = {};
+    for (const [key, field] of Object.entries(value)) {
+      redacted[key] = PII_FIELDS.includes(key) && field !== null && field !== ''
+        ? REDACTED
+        : redactBody(field);
+    }
+    return redacted;
+  }
+  return value;
+}
+
+/**
+ * Redact PII query parameters in an API path
+ * @param {string} path - API path with optional query string
+ * @returns {string} Path with PII parameter values masked
+ */
+function redactPath(path) {
+  const queryIndex = path.indexOf('?');
+  if (queryIndex === -1) {
+    return path;
+  }
+  const params = new URLSearchParams(path.slice(queryIndex + 1));
+  for (const key of [...params.keys()]) {
+    if (PII_FIELDS.includes(key)) {
+      params.set(key, REDACTED);
+    }
+  }
+  return `${path.slice(0, queryIndex)}?${params.toString()}`;
+}
+
+/**
+ * Replace every occurrence of a secret in a serialized string
+ * @param {string} text - Serialized content
+ * @param {string} [secret] - Secret to scrub (e.g. API key)
+ * @returns {string} Text with the secret masked
+ */
+function scrubSecret(text, secret) {
+  if (!secret) {
+    return text;
+  }
+  return text.split(secret).join(REDACTED);
+}
+
+module.exports = {
+  REDACTED,
+  PII_FIELDS,
+  redactHeaders,
+  redactBody,
+  redactPath,
+  scrubSecret
+};
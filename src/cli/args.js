@@ -14,13 +14,36 @@
  * --resume                    (optional) - Resume from state file
  * --start-date=<YYYY-MM-DD>   (optional) - Start of closed_at date range
  * --end-date=<YYYY-MM-DD>     (optional) - End of closed_at date range
+ * --closed-within=<Nd>       (optional) - Closed within the last N days (d or w units)
+ * --closed-between=<Nd..Md>  (optional) - Closed between N and M days ago
+ * --timezone=<IANA name>     (optional) - Timezone of the closed_at calendar days (default: project timezone)
  * --price=<amount>            (optional) - Price for rescue plan (default: 29.90)
  * --no-trial                  (optional) - Charge immediately without trial period
+ * --trial-days=<n>           (optional) - Trial length in days before the first charge (default: 1)
+ * --starts-at=<date>         (optional) - Start the subscriptions on a future date (YYYY-MM-DD or ISO 8601, UTC)
+ * --align-to-previous-renewal (optional) - Bill on the renewal day of each customer's expired subscription
+ * --coupons=<file>           (optional) - YAML rules choosing the win-back coupon of each rescued subscription
  * --limit=<n>                 (optional) - Maximum number of clients to process
  * --random                    (optional) - Randomize client selection (use with --limit)
+ * --record=<dir>             (optional) - Record API traffic to a cassette directory
+ * --replay=<dir>             (optional) - Replay API traffic from a cassette directory
+ * --on-outage=<pause|exit>   (optional) - Recurly outage: probe and resume, or exit with code 3 (default: pause)
+ * --rules=<file>             (optional) - YAML eligibility rules for account selection
+ * --risk-policy=<file>       (optional) - YAML policy for the risk pre-flight checks
+ * --restore                  (optional) - Recreate each customer's previous subscription instead of the Rescue Plan
+ * --plan-map=<file>          (optional) - With --restore: YAML map of retired plan codes to their replacements
+ * --scan-strategy=<accounts|subscriptions> (optional) - Candidate discovery strategy (default: accounts)
+ * --scan-concurrency=<n>     (optional) - Candidate accounts checked in parallel during the scan (default: 1)
+ * --scan-only                (optional) - Scan and write a snapshot, then stop
+ * --from-scan=<file>         (optional) - Rescue the eligible accounts of a scan snapshot
+ * --incremental              (optional) - With --from-scan: rescan only what changed since the snapshot
+ * --exclude-file=<file>      (optional, repeatable) - Exclusion list (plain text or CSV)
+ * --accounts-file=<file>     (optional) - Rescue the listed accounts (codes, IDs or emails; plain text or CSV)
+ * --exclude-field=<name=value> (optional) - Custom field marking accounts to exclude (default: no_rescue=true)
  */
 
 const { isValidProjectId, getValidProjectIds } = require('../config/projects');
+const { parseWindowSpec, validateTimezone } = require('./date-window');
 
 // List of known arguments for validation
 const KNOWN_ARGS = [
@@ -35,10 +58,32 @@ const KNOWN_ARGS = [
   '--resume',
   '--start-date=',
   '--end-date=',
+  '--closed-within=',
+  '--closed-between=',
+  '--timezone=',
   '--price=',
   '--no-trial',
+  '--trial-days=',
+  '--starts-at=',
+  '--align-to-previous-renewal',
+  '--coupons=',
   '--limit=',
-  '--random'
+  '--random',
+  '--record=',
+  '--replay=',
+  '--on-outage=',
+  '--rules=',
+  '--risk-policy=',
+  '--restore',
+  '--plan-map=',
+  '--scan-strategy=',
+  '--scan-concurrency=',
+  '--scan-only',
+  '--from-scan=',
+  '--incremental',
+  '--exclude-file=',
+  '--exclude-field=',
+  '--accounts-file='
 ];
 
 /**
@@ -77,10 +122,31 @@ function parseArgs(argv) {
     resume: false,
     startDate: null,
     endDate: null,
+    closedWindow: null,
+    timezone: null,
     price: null,
     noTrial: false,
+    trialDays: null,
+    startsAt: null,
+    alignToPreviousRenewal: false,
+    coupons: null,
     limit: null,
-    random: false
+    random: false,
+    record: null,
+    replay: null,
+    onOutage: 'pause',
+    rules: null,
+    riskPolicy: null,
+    restore: false,
+    planMap: null,
+    scanStrategy: 'accounts',
+    scanConcurrency: 1,
+    scanOnly: false,
+    fromScan: null,
+    incremental: false,
+    excludeFiles: [],
+    excludeField: 'no_rescue=true',
+    accountsFile: null
   };
 
   // Parse each argument
@@ -135,6 +201,29 @@ function parseArgs(argv) {
         throw new Error(`Invalid --end-date value: '${value}' is not a valid date (use YYYY-MM-DD)`);
       }
       options.endDate = parsed;
+    } else if (arg.startsWith('--closed-within=') || arg.startsWith('--closed-between=')) {
+      const [name, value] = arg.split('=');
+      if (options.closedWindow) {
+        throw new Error('Cannot combine --closed-within with --closed-between');
+      }
+      try {
+        options.closedWindow = parseWindowSpec(value);
+      } catch (error) {
+        throw new Error(`Invalid ${name} value: ${error.message}`);
+      }
+      if (name === '--closed-within' && options.closedWindow.toDays > 0) {
+        throw new Error(`Invalid --closed-within value: '${value}' (use --closed-between for a window that ends in the past)`);
+      }
+      if (name === '--closed-between' && options.closedWindow.toDays === 0 && !value.includes('..')) {
+        throw new Error(`Invalid --closed-between value: '${value}' (use N..M, e.g. 60d..7d)`);
+      }
+    } else if (arg.startsWith('--timezone=')) {
+      const value = arg.slice('--timezone='.length).trim();
+      try {
+        options.timezone = validateTimezone(value);
+      } catch (error) {
+        throw new Error(`Invalid --timezone value: ${error.message}`);
+      }
     } else if (arg.startsWith('--price=')) {
       const value = arg.split('=')[1];
       const parsed = parseFloat(value);
@@ -147,6 +236,30 @@ function parseArgs(argv) {
       options.price = parsed;
     } else if (arg === '--no-trial') {
       options.noTrial = true;
+    } else if (arg.startsWith('--trial-days=')) {
+      const value = arg.slice('--trial-days='.length).trim();
+      if (!/^\d+$/.test(value)) {
+        throw new Error(`Invalid --trial-days value: '${value}' must be a whole number of days (0 or more)`);
+      }
+      options.trialDays = parseInt(value, 10);
+    } else if (arg.startsWith('--starts-at=')) {
+      const value = arg.slice('--starts-at='.length).trim();
+      const parsed = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? value + 'T00:00:00Z' : value);
+      if (!/^\d{4}-\d{2}-\d{2}/.test(value) || isNaN(parsed.getTime())) {
+        throw new Error(`Invalid --starts-at value: '${value}' is not a valid date (use YYYY-MM-DD or an ISO 8601 date-time)`);
+      }
+      if (parsed.getTime() <= Date.now()) {
+        throw new Error(`Invalid --starts-at value: '${value}' must be in the future`);
+      }
+      options.startsAt = parsed;
+    } else if (arg === '--align-to-previous-renewal') {
+      options.alignToPreviousRenewal = true;
+    } else if (arg.startsWith('--coupons=')) {
+      const value = arg.slice('--coupons='.length).trim();
+      if (!value) {
+        throw new Error('--coupons requires a file path');
+      }
+      options.coupons = value;
     } else if (arg.startsWith('--limit=')) {
       const value = arg.split('=')[1];
       const parsed = parseInt(value, 10);
@@ -159,6 +272,88 @@ function parseArgs(argv) {
       options.limit = parsed;
     } else if (arg === '--random') {
       options.random = true;
+    } else if (arg.startsWith('--record=')) {
+      const value = arg.slice('--record='.length).trim();
+      if (!value) {
+        throw new Error('--record requires a directory path');
+      }
+      options.record = value;
+    } else if (arg.startsWith('--replay=')) {
+      const value = arg.slice('--replay='.length).trim();
+      if (!value) {
+        throw new Error('--replay requires a directory path');
+      }
+      options.replay = value;
+    } else if (arg.startsWith('--on-outage=')) {
+      const value = arg.slice('--on-outage='.length).trim();
+      if (value !== 'pause' && value !== 'exit') {
+        throw new Error(`Invalid --on-outage value: '${value}'. Must be 'pause' or 'exit'`);
+      }
+      options.onOutage = value;
+    } else if (arg.startsWith('--rules=')) {
+      const value = arg.slice('--rules='.length).trim();
+      if (!value) {
+        throw new Error('--rules requires a file path');
+      }
+      options.rules = value;
+    } else if (arg.startsWith('--risk-policy=')) {
+      const value = arg.slice('--risk-policy='.length).trim();
+      if (!value) {
+        throw new Error('--risk-policy requires a file path');
+      }
+      options.riskPolicy = value;
+    } else if (arg === '--restore') {
+      options.restore = true;
+    } else if (arg.startsWith('--plan-map=')) {
+      const value = arg.slice('--plan-map='.length).trim();
+      if (!value) {
+        throw new Error('--plan-map requires a file path');
+      }
+      options.planMap = value;
+    } else if (arg.startsWith('--scan-strategy=')) {
+      const value = arg.slice('--scan-strategy='.length).trim();
+      if (value !== 'accounts' && value !== 'subscriptions') {
+        throw new Error(`Invalid --scan-strategy value: '${value}'. Must be 'accounts' or 'subscriptions'`);
+      }
+      options.scanStrategy = value;
+    } else if (arg.startsWith('--scan-concurrency=')) {
+      const value = arg.split('=')[1];
+      const parsed = parseInt(value, 10);
+      if (isNaN(parsed)) {
+        throw new Error(`Invalid --scan-concurrency value: '${value}' is not a valid number`);
+      }
+      if (parsed <= 0) {
+        throw new Error(`Invalid --scan-concurrency value: '${value}' must be a positive number`);
+      }
+      options.scanConcurrency = parsed;
+    } else if (arg === '--scan-only') {
+      options.scanOnly = true;
+    } else if (arg.startsWith('--from-scan=')) {
+      const value = arg.slice('--from-scan='.length).trim();
+      if (!value) {
+        throw new Error('--from-scan requires a snapshot file path');
+      }
+      options.fromScan = value;
+    } else if (arg === '--incremental') {
+      options.incremental = true;
+    } else if (arg.startsWith('--exclude-file=')) {
+      const value = arg.slice('--exclude-file='.length).trim();
+      if (!value) {
+        throw new Error('--exclude-file requires a file path');
+      }
+      options.excludeFiles.push(value);
+    } else if (arg.startsWith('--exclude-field=')) {
+      const value = arg.slice('--exclude-field='.length).trim();
+      if (!value || value.startsWith('=')) {
+        throw new Error(`Invalid --exclude-field value: '${value}' (use name=value, e.g. no_rescue=true)`);
+      }
+      options.excludeField = value;
+    } else if (arg.startsWith('--accounts-file=')) {
+      const value = arg.slice('--accounts-file='.length).trim();
+      if (!value) {
+        throw new Error('--accounts-file requires a file path');
+      }
+      options.accountsFile = value;
     }
   }
 
@@ -208,6 +403,66 @@ function parseArgs(argv) {
     throw new Error('Cannot combine --resume with --rollback');
   }
 
+  // Cassette modes are exclusive
+  if (options.record && options.replay) {
+    throw new Error('Cannot combine --record with --replay');
+  }
+
+  // Scan snapshots only apply to batch rescues
+  if (options.fromScan && (options.clientId || options.resume || options.rollback)) {
+    throw new Error('Cannot combine --from-scan with --client-id, --resume or --rollback');
+  }
+
+  if (options.fromScan && (options.startDate || options.endDate)) {
+    throw new Error('Cannot combine --from-scan with --start-date/--end-date (the snapshot keeps its range)');
+  }
+
+  if (options.fromScan && options.closedWindow) {
+    throw new Error('Cannot combine --from-scan with --closed-within/--closed-between (the snapshot keeps its range)');
+  }
+
+  if (options.closedWindow && (options.startDate || options.endDate)) {
+    throw new Error('Cannot combine --closed-within/--closed-between with --start-date/--end-date');
+  }
+
+  // An accounts file replaces the scan, like --client-id
+  if (options.accountsFile && (options.clientId || options.resume || options.rollback)) {
+    throw new Error('Cannot combine --accounts-file with --client-id, --resume or --rollback');
+  }
+
+  if (options.accountsFile && (options.fromScan || options.scanOnly)) {
+    throw new Error('Cannot combine --accounts-file with --from-scan or --scan-only');
+  }
+
+  if (options.accountsFile && (options.startDate || options.endDate || options.closedWindow)) {
+    throw new Error('Cannot combine --accounts-file with a closed-date range (the file lists the accounts)');
+  }
+
+  if (options.planMap && !options.restore) {
+    throw new Error('--plan-map requires --restore');
+  }
+
+  // Restore keeps each customer's previous price
+  if (options.restore && options.price !== null) {
+    throw new Error('Cannot combine --restore with --price (restore keeps each customer\'s unit amount)');
+  }
+
+  if (options.noTrial && options.trialDays !== null) {
+    throw new Error('Cannot combine --no-trial with --trial-days (use --trial-days=0)');
+  }
+
+  if (options.incremental && !options.fromScan) {
+    throw new Error('--incremental requires --from-scan');
+  }
+
+  if (options.scanOnly && (options.clientId || options.resume || options.rollback)) {
+    throw new Error('Cannot combine --scan-only with --client-id, --resume or --rollback');
+  }
+
+  if (options.scanOnly && options.fromScan && !options.incremental) {
+    throw new Error('--scan-only with --from-scan requires --incremental (nothing to scan otherwise)');
+  }
+
   // Validate date range if both dates provided
   if (options.startDate && options.endDate && options.startDate > options.endDate) {
     throw new Error('Invalid date range: --start-date must be before --end-date');
@@ -0,0 +1,204 @@
+/**
+ * Date Window Module
+ * Resolves the closed_at date range of a batch scan
+ *
+ * Features:
+ * - Relative windows: --closed-within=30d (30 days ago to today), --closed-between=60d..7d
+ * - Units: d (days) and w (weeks)
+ * - Whole calendar days in a timezone (--timezone, or the project's timezone; default UTC)
+ * - Explicit --start-date/--end-date take precedence; a missing side comes from the default window
+ * - Per-project default window (closedWindow in src/config/projects.js) when no range is given
+ */
+
+const DAY_UNITS = { d: 1, w: 7 };
+
+/**
+ * Window used when neither the CLI nor the project config sets one
+ */
+const DEFAULT_CLOSED_WINDOW = '30d';
+
+/**
+ * Parse a relative duration
+ * @param {string} value - Duration such as '30d' or '2w'
+ * @returns {number} Number of days
+ * @throws {Error} If the duration is malformed
+ */
+function parseDays(value) {
+  const match = /^(\d+)([dw])$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`'${value}' is not a valid duration (use e.g. 30d or 2w)`);
+  }
+  return parseInt(match[1], 10) * DAY_UNITS[match[2].toLowerCase()];
+}
+
+/**
+ * Parse a window specification
+ * @param {string} spec - '30d' (30 days ago to today) or '60d..7d' (60 days ago to 7 days ago)
+ * @returns {Object} { fromDays, toDays, spec }
+ * @throws {Error} If the specification is malformed or the window is reversed
+ */
+function parseWindowSpec(spec) {
+  const text = String(spec || '').trim();
+  const bounds = text.split('..');
+  if (bounds.length > 2) {
+    throw new Error(`'${spec}' is not a valid window (use e.g. 30d or 60d..7d)`);
+  }
+
+  const fromDays = parseDays(bounds[0]);
+  const toDays = bounds.length === 2 ? parseDays(bounds[1]) : 0;
+  if (toDays > fromDays) {
+    throw new Error(`'${spec}' is reversed: the first bound must be further in the past`);
+  }
+
+  return { fromDays, toDays, spec: text };
+}
+
+/**
+ * Check that a timezone is a valid IANA name
+ * @param {string} timeZone - Timezone such as 'Europe/Paris' or 'UTC'
+ * @returns {string} The timezone
+ * @throws {Error} If the timezone is unknown
+ */
+function validateTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    throw new Error(`Unknown timezone: '${timeZone}' (use an IANA name such as Europe/Paris)`);
+  }
+  return timeZone;
+}
+
+/**
+ * Get the calendar date and time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} { year, month, day, hour, minute, second }
+ */
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const get = type => parseInt(parts.find(part => part.type === type).value, 10);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute'), second: get('second') };
+}
+
+/**
+ * Get the UTC offset of a timezone at an instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Offset in milliseconds (positive east of UTC)
+ */
+function offsetMs(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Get the instant a calendar day starts in a timezone
+ * Day overflow is normalized (day 0 is the last day of the previous month).
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Local midnight
+ */
+function startOfZonedDay(year, month, day, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day);
+  // Second pass corrects the offset when midnight and the first guess straddle a DST change
+  const firstGuess = wallClock - offsetMs(new Date(wallClock), timeZone);
+  return new Date(wallClock - offsetMs(new Date(firstGuess), timeZone));
+}
+
+/**
+ * Get the last second of a calendar day in a timezone
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Local 23:59:59
+ */
+function endOfZonedDay(year, month, day, timeZone) {
+  return new Date(startOfZonedDay(year, month, day + 1, timeZone).getTime() - 1000);
+}
+
+/**
+ * Format an instant as a calendar date in a timezone
+ * @param {Date} date - Instant
+ * @param {string} [timeZone='UTC'] - IANA timezone
+ * @returns {string} YYYY-MM-DD
+ */
+function formatZonedDate(date, timeZone = 'UTC') {
+  const p = zonedParts(date, timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/**
+ * Resolve the closed_at range to scan
+ * --start-date/--end-date are calendar days (parsed as UTC by the CLI) and are re-anchored to the timezone.
+ * @param {Object} [options={}] - Options
+ * @param {Date|null} [options.startDate] - --start-date
+ * @param {Date|null} [options.endDate] - --end-date
+ * @param {Object|null} [options.window] - --closed-within/--closed-between (from parseWindowSpec)
+ * @param {string|null} [options.timezone] - --timezone
+ * @param {Object} [options.projectConfig] - Project config (closedWindow, timezone)
+ * @param {Date} [options.now] - Current time (for testing)
+ * @returns {Object} { startDate, endDate, timezone, source }
+ * @throws {Error} If the project window or timezone is invalid, or the range is reversed
+ */
+function resolveClosedWindow(options = {}) {
+  const {
+    startDate = null,
+    endDate = null,
+    window = null,
+    timezone = null,
+    projectConfig = {},
+    now = new Date()
+  } = options;
+
+  const timeZone = validateTimezone(timezone || projectConfig.timezone || 'UTC');
+  const today = zonedParts(now, timeZone);
+  const relative = window || parseWindowSpec(projectConfig.closedWindow || DEFAULT_CLOSED_WINDOW);
+  const source = window
+    ? (window.toDays > 0 ? `--closed-between=${window.spec}` : `--closed-within=${window.spec}`)
+    : `project default (${relative.spec})`;
+
+  const resolved = {
+    startDate: startOfZonedDay(today.year, today.month, today.day - relative.fromDays, timeZone),
+    endDate: endOfZonedDay(today.year, today.month, today.day - relative.toDays, timeZone),
+    timezone: timeZone,
+    source
+  };
+
+  if (startDate || endDate) {
+    resolved.source = '--start-date/--end-date';
+  }
+  if (startDate) {
+    resolved.startDate = startOfZonedDay(startDate.getUTCFullYear(), startDate.getUTCMonth() + 1, startDate.getUTCDate(), timeZone);
+  }
+  if (endDate) {
+    resolved.endDate = endOfZonedDay(endDate.getUTCFullYear(), endDate.getUTCMonth() + 1, endDate.getUTCDate(), timeZone);
+  }
+
+  if (resolved.startDate > resolved.endDate) {
+    throw new Error(`Invalid date range: ${formatZonedDate(resolved.startDate, timeZone)} is after ${formatZonedDate(resolved.endDate, timeZone)}`);
+  }
+
+  return resolved;
+}
+
+module.exports = {
+  resolveClosedWindow,
+  parseWindowSpec,
+  validateTimezone,
+  formatZonedDate,
+  startOfZonedDay,
+  DEFAULT_CLOSED_WINDOW
+};
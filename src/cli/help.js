@@ -27,13 +27,49 @@ REQUIRED ARGUMENTS:
 OPTIONAL ARGUMENTS:
   --help                         Display this help message
   --dry-run                      Simulate without making changes
-  --client-id=<id>               Target single client for testing
+  --client-id=<id>               Target single client (code, code-<code>, internal ID or email)
   --confirm-every=<n>            Pause every N clients for confirmation (default: 100)
   --no-confirm                   Run continuously without pauses
   --rollback=<file>              Restore state from previous execution file
   --resume                       Resume from last interrupted execution
   --start-date=<YYYY-MM-DD>      Start of closed_at date range filter
   --end-date=<YYYY-MM-DD>        End of closed_at date range filter
+  --closed-within=<Nd>           Accounts closed in the last N days (d or w units, e.g. 30d, 4w)
+  --closed-between=<Nd..Md>      Accounts closed between N and M days ago (e.g. 60d..7d)
+                                 Without any range, the project's default window applies (30d)
+  --timezone=<zone>              IANA timezone of the closed_at calendar days (default: project timezone)
+  --record=<dir>                 Record API traffic to a cassette directory (API key and PII redacted)
+  --replay=<dir>                 Replay API traffic from a cassette directory (no network calls)
+  --on-outage=<pause|exit>       During a Recurly outage: probe and auto-resume (default: pause),
+                                 or exit with code 3 so --resume can continue later
+  --rules=<file>                 YAML eligibility rules for batch selection
+                                 (see eligibility-rules.example.yaml)
+  --scan-strategy=<accounts|subscriptions>
+                                 Discover candidates from accounts updated in the range (default),
+                                 or from subscriptions expired in the range (far fewer API calls)
+  --scan-concurrency=<n>         Candidate accounts checked in parallel during the scan (default: 1),
+                                 paced by the shared rate limiter; output order is unchanged
+  --scan-only                    Scan, write a scan snapshot and stop (no rescue)
+  --from-scan=<file>             Rescue the eligible accounts of a scan snapshot (no scan)
+  --incremental                  With --from-scan: rescan only accounts updated since the snapshot
+  --exclude-file=<file>          Extra exclusion list, plain text or CSV (repeatable);
+                                 exclusions.txt next to rescue.js is always loaded
+  --exclude-field=<name=value>   Custom field marking accounts never to rescue (default: no_rescue=true)
+  --accounts-file=<file>         Rescue the listed accounts instead of scanning: account codes, internal IDs
+                                 or emails, one per line or in a CSV (code, id or email column)
+  --risk-policy=<file>           YAML policy for the risk pre-flight: skip, hold or warn on chargebacks,
+                                 refunds, fraud, credit balances and past-due invoices
+                                 (see risk-policy.example.yaml)
+  --restore                      Recreate each customer's previous subscription (plan, currency, quantity,
+                                 add-ons, unit amount) instead of the Rescue Plan
+  --plan-map=<file>              With --restore: YAML map of retired plans to their replacements
+                                 (see plan-map.example.yaml)
+  --trial-days=<n>               Trial length in days before the first charge (default: 1; 0 = --no-trial)
+  --starts-at=<date>             Start the subscriptions on a future date (YYYY-MM-DD or ISO 8601, UTC)
+  --align-to-previous-renewal    Bill each customer on the renewal day of their expired subscription
+                                 (the trial runs until that day, or without trial the next bill date is set)
+  --coupons=<file>               YAML rules attaching a win-back coupon to each subscription (first matching
+                                 rule: tenure, currency, previous plan; see coupon-rules.example.yaml)
 
 EXAMPLES:
   # Test in sandbox with dry-run
@@ -42,6 +78,22 @@ EXAMPLES:
   # Query specific date range (useful for seeded test data)
   node rescue.js --env=sandbox --project=multi --start-date=2026-01-01 --end-date=2026-01-21
 
+  # Restore the customers listed by support (still checked against the rules and exclusions)
+  node rescue.js --env=production --project=eur --accounts-file=./restore-requests.csv --dry-run
+
+  # Daily job: accounts closed in the last 30 days, Paris calendar days
+  node rescue.js --env=production --project=eur --closed-within=30d --timezone=Europe/Paris --dry-run
+
+  # Only rescue long-standing French customers who expired within the last 60 days
+  node rescue.js --env=production --project=eur --rules=./rules-fr.yaml --dry-run
+
+  # Scan once, review the snapshot, then rescue from it
+  node rescue.js --env=production --project=eur --scan-only
+  node rescue.js --env=production --project=eur --from-scan=./scan-snapshot-eur-2026-01-23T16-01-00.json --limit=50
+
+  # Refresh a snapshot with only what changed since it was taken
+  node rescue.js --env=production --project=eur --from-scan=./scan-snapshot-eur-2026-01-23T16-01-00.json --incremental --scan-only
+
   # Rescue single client for testing
   node rescue.js --env=sandbox --project=eur --client-id=abc123
 
@@ -54,6 +106,10 @@ EXAMPLES:
   # Resume from last interrupted execution
   node rescue.js --env=production --project=eur --resume
 
+  # Capture a sandbox run once, then replay it offline
+  node rescue.js --env=sandbox --project=eur --client-id=abc123 --record=./cassettes/abc123
+  node rescue.js --env=sandbox --project=eur --client-id=abc123 --replay=./cassettes/abc123
+
   # Rollback previous execution
   node rescue.js --env=production --rollback=./rescue-results-eur-2026-01-20.json
 
@@ -63,6 +119,8 @@ NOTES:
   - Production mode requires explicit confirmation before execution
   - All actions are logged with timestamps and Recurly URLs
   - State is persisted automatically for crash recovery
+  - After CIRCUIT_BREAKER_THRESHOLD consecutive 5xx/network failures (default: 5), the run
+    pauses with the current client left pending (exit code 3 with --on-outage=exit)
 `.trim());
   } catch (error) {
     // Fail gracefully if we can't display help (e.g., stdout closed)
@@ -0,0 +1,145 @@
+/**
+ * List File Module
+ * Reads account lists handed over as plain text or CSV (exclusion lists, accounts files)
+ *
+ * Features:
+ * - Plain text: one value per line, optional '# note' after it, '#' comment lines, blank lines ignored
+ * - CSV (.csv): header row, values from the first non-empty recognised column, optional note column
+ * - Quoted CSV fields ("a, b" and "" escapes), UTF-8 BOM and CRLF line endings
+ * - Every entry keeps its source as file:line
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Split one CSV line into fields (double quotes may wrap fields and escape themselves)
+ * @param {string} line - CSV line
+ * @returns {string[]} Trimmed fields
+ */
+function splitCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field.trim());
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+
+  return fields;
+}
+
+/**
+ * Parse CSV lines
+ * @param {string[]} lines - File lines
+ * @param {string} fileName - File name (for sources)
+ * @param {string[]} columns - Recognised value columns (lowercase)
+ * @param {string|null} noteColumn - Note column (lowercase)
+ * @returns {Array<Object>} [{ value, column, note, source }]
+ * @throws {Error} If the header has none of the value columns
+ */
+function parseCsv(lines, fileName, columns, noteColumn) {
+  const headerIndex = lines.findIndex(line => line.trim() !== '');
+  if (headerIndex === -1) {
+    return [];
+  }
+
+  const header = splitCsvLine(lines[headerIndex]).map(column => column.toLowerCase());
+  const valueColumns = header
+    .map((column, index) => ({ column, index }))
+    .filter(({ column }) => columns.includes(column))
+    .sort((a, b) => columns.indexOf(a.column) - columns.indexOf(b.column));
+  const noteIndex = noteColumn ? header.indexOf(noteColumn) : -1;
+  if (valueColumns.length === 0) {
+    throw new Error(`missing account column (expected one of: ${columns.join(', ')})`);
+  }
+
+  const entries = [];
+  for (let i = headerIndex + 1; i < lines.length; i++) {
+    if (lines[i].trim() === '') continue;
+    const fields = splitCsvLine(lines[i]);
+    const match = valueColumns.find(({ index }) => fields[index]);
+    if (!match) continue;
+    entries.push({
+      value: fields[match.index],
+      column: match.column,
+      note: (noteIndex !== -1 && fields[noteIndex]) || null,
+      source: `${fileName}:${i + 1}`
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Parse plain text lines
+ * @param {string[]} lines - File lines
+ * @param {string} fileName - File name (for sources)
+ * @returns {Array<Object>} [{ value, column, note, source }]
+ */
+function parseText(lines, fileName) {
+  const entries = [];
+  lines.forEach((line, index) => {
+    const [value, ...note] = line.split('#');
+    if (!value.trim()) return;
+    entries.push({
+      value: value.trim(),
+      column: null,
+      note: note.join('#').trim() || null,
+      source: `${fileName}:${index + 1}`
+    });
+  });
+  return entries;
+}
+
+/**
+ * Read a list file
+ * @param {string} filePath - Path to a .csv or plain text file
+ * @param {Object} options - Options
+ * @param {string[]} options.columns - CSV columns holding values, in order of preference (lowercase)
+ * @param {string} [options.noteColumn=null] - CSV column holding a note (lowercase)
+ * @param {string} [options.label='List file'] - File description for error messages
+ * @returns {Array<Object>} [{ value, column, note, source }] (column is null for plain text)
+ * @throws {Error} If the file is missing or malformed
+ */
+function readListFile(filePath, options) {
+  const { columns, noteColumn = null, label = 'List file' } = options;
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`${label} not found: ${filePath}`);
+  }
+
+  const fileName = path.basename(filePath);
+  const lines = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  try {
+    return path.extname(filePath).toLowerCase() === '.csv'
+      ? parseCsv(lines, fileName, columns, noteColumn)
+      : parseText(lines, fileName);
+  } catch (error) {
+    throw new Error(`Invalid ${label.toLowerCase()} ${filePath}: ${error.message}`);
+  }
+}
+
+module.exports = {
+  readListFile,
+  splitCsvLine
+};
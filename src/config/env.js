@@ -94,19 +94,39 @@ function loadConfig(envType) {
   const retryBackoffBase = parseIntEnv(process.env.RETRY_BACKOFF_BASE, 2, 'RETRY_BACKOFF_BASE');
   const retryBackoffMax = parseIntEnv(process.env.RETRY_BACKOFF_MAX, 30, 'RETRY_BACKOFF_MAX');
 
+  // Share of the site's rate limit quota this tool may use (leave the rest to other integrations)
+  const rateLimitTarget = parseIntEnv(process.env.RATE_LIMIT_TARGET, 100, 'RATE_LIMIT_TARGET');
+  if (rateLimitTarget < 1 || rateLimitTarget > 100) {
+    throw new Error(`Invalid RATE_LIMIT_TARGET: '${process.env.RATE_LIMIT_TARGET}' must be between 1 and 100`);
+  }
+
+  // Circuit breaker: consecutive outage failures before pausing, seconds between probes
+  const circuitBreakerThreshold = parseIntEnv(process.env.CIRCUIT_BREAKER_THRESHOLD, 5, 'CIRCUIT_BREAKER_THRESHOLD');
+  if (circuitBreakerThreshold < 1) {
+    throw new Error(`Invalid CIRCUIT_BREAKER_THRESHOLD: '${process.env.CIRCUIT_BREAKER_THRESHOLD}' must be a positive integer`);
+  }
+  const circuitBreakerCooldown = parseIntEnv(process.env.CIRCUIT_BREAKER_COOLDOWN, 60, 'CIRCUIT_BREAKER_COOLDOWN');
+
   // Parse and validate optional API base URL (default is Recurly US endpoint)
   const apiBaseUrl = parseUrlEnv(process.env.RECURLY_API_BASE_URL, API_BASE_URL, 'RECURLY_API_BASE_URL');
   const baseUrl = parseUrlEnv(process.env.BASE_URL, 'https://carinfos.eu.recurly.com', 'BASE_URL');
 
+  // Optional HTTP(S) proxy for API calls (e.g. corporate egress proxy)
+  const proxyUrl = parseUrlEnv(process.env.RECURLY_PROXY_URL, null, 'RECURLY_PROXY_URL');
+
   // Return config object (NFR-S4: apiKey stored only in memory)
   return {
     apiKey,
     envType,
     apiBaseUrl,
     baseUrl,
+    proxyUrl,
     retryCount,
     retryBackoffBase,
-    retryBackoffMax
+    retryBackoffMax,
+    rateLimitTarget,
+    circuitBreakerThreshold,
+    circuitBreakerCooldown
   };
 }
 
@@ -4,6 +4,9 @@
  *
  * Each project corresponds to a different Recurly site with its own
  * API credentials and currency settings.
+ *
+ * closedWindow is the closed_at window scanned when no range is given on the
+ * command line (see src/cli/date-window.js); timezone anchors it to calendar days.
  */
 
 /**
@@ -17,6 +20,8 @@ const PROJECT_IDENTIFIERS = Object.freeze({
     name: 'EUR Project',
     siteId: 'eur-site', // TODO: Replace with actual Recurly site ID
     currency: 'EUR',
+    closedWindow: '30d',
+    timezone: 'Europe/Paris',
     description: 'European project (EUR currency only)'
   }),
   multi: Object.freeze({
@@ -24,6 +29,8 @@ const PROJECT_IDENTIFIERS = Object.freeze({
     name: 'Multi-Currency Project',
     siteId: 'multi-site', // TODO: Replace with actual Recurly site ID
     currency: null, // Supports multiple currencies
+    closedWindow: '30d',
+    timezone: 'UTC',
     description: 'Multi-currency project (EUR, USD, GBP, etc.)'
   })
 });
@@ -0,0 +1,1069 @@
+/**
+ * Recurly API Emulator Module
+ * Local in-memory stand-in for the Recurly API v3 endpoints used by rescue, stats and seed
+ *
+ * Features:
+ * - Plain HTTP server with seedable fixtures (accounts, subscriptions, plans, coupons, invoices, transactions)
+ * - Coupons redeemed through coupon_codes discount the first charge (percent, fixed or free trial)
+ * - Manual collection subscriptions leave their first invoice pending until it is marked paid or failed
+ * - Accounts carry a hosted_login_token for hosted payment page links
+ * - Plan add-ons (plans[].add_ons) listed per plan; subscriptions with an unknown add-on code are rejected
+ * - Recurly-style identifiers: code-<code>, uuid-<uuid>, number-<number>
+ * - Cursor pagination with has_more/next, begin_time/end_time, sort and order
+ * - Rate limit headers (X-RateLimit-Limit/-Remaining/-Reset) and X-Request-Id
+ * - Recurly v3 error bodies (validation, not_found, transaction errors)
+ * - Idempotency-Key on mutating requests: repeated keys replay the stored response
+ *   with Idempotent-Replayed: true instead of executing again
+ *
+ * The emulator is meant for local end-to-end runs and tests. It never talks to Recurly
+ * and accepts any API key unless one is configured.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+
+// Default rate limit window exposed through X-RateLimit-* headers
+const DEFAULT_RATE_LIMIT = 2000;
+const DEFAULT_RATE_LIMIT_WINDOW_MS = 5 * 60 * 1000;
+
+// Recurly list endpoints default to 20 items and cap at 200
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 200;
+
+/**
+ * Generate a Recurly-style internal ID (12 lowercase alphanumeric characters)
+ * @returns {string} Internal ID
+ */
+function generateId() {
+  const alphabet = 'abcdefghijklmnopqrstuvwxyz0123456789';
+  const bytes = crypto.randomBytes(12);
+  let id = '';
+  for (const byte of bytes) {
+    id += alphabet[byte % alphabet.length];
+  }
+  return id;
+}
+
+/**
+ * Generate a Recurly-style UUID (32 hex characters, no dashes)
+ * @returns {string} UUID
+ */
+function generateUuid() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Build a Recurly v3 error body
+ * @param {string} type - Error type (validation, not_found, transaction, ...)
+ * @param {string} message - Human readable message
+ * @param {Object} [extra={}] - Additional error fields (params, transaction_error)
+ * @returns {Object} Error body
+ */
+function errorBody(type, message, extra = {}) {
+  return { error: { type, message, ...extra } };
+}
+
+/**
+ * Load fixtures from a JSON or YAML file
+ * @param {string} filePath - Path to fixtures file
+ * @returns {Object} Fixtures object
+ * @throws {Error} If file is missing or cannot be parsed
+ */
+function loadFixtures(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) {
+    throw new Error(`Fixtures file not found: ${filePath}`);
+  }
+
+  const content = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+
+  try {
+    const fixtures = ext === '.yaml' || ext === '.yml' ? yaml.load(content) : JSON.parse(content);
+    return fixtures || {};
+  } catch (error) {
+    throw new Error(`Fixtures file is invalid: ${error.message}`);
+  }
+}
+
+/**
+ * Create emulator instance
+ * @param {Object} [options={}] - Configuration options
+ * @param {Object} [options.fixtures={}] - Initial data ({ accounts, subscriptions, plans, invoices, transactions, line_items })
+ * @param {string} [options.apiKey] - Require this API key (any key accepted when omitted)
+ * @param {number} [options.rateLimit=2000] - Requests allowed per rate limit window
+ * @param {number} [options.rateLimitWindowMs=300000] - Rate limit window length in milliseconds
+ * @param {Function} [options.now] - Clock function returning a Date (for deterministic tests)
+ * @param {Function} [options.log] - Request log function (silent when omitted)
+ * @returns {Object} Emulator instance
+ */
+function createEmulator(options = {}) {
+  const {
+    fixtures = {},
+    apiKey = null,
+    rateLimit = DEFAULT_RATE_LIMIT,
+    rateLimitWindowMs = DEFAULT_RATE_LIMIT_WINDOW_MS,
+    now = () => new Date(),
+    log = null
+  } = options;
+
+  let store = null;
+  let server = null;
+  let requestLog = [];
+  let idempotentResponses = new Map();
+  let rateLimitRemaining = rateLimit;
+  let rateLimitResetAt = 0;
+  let invoiceCounter = 1000;
+
+  const timestamp = () => now().toISOString();
+
+  /**
+   * Reset the in-memory store with a new set of fixtures
+   * @param {Object} [data={}] - Fixtures to load
+   */
+  function reset(data = {}) {
+    store = {
+      accounts: [],
+      subscriptions: [],
+      plans: [],
+      add_ons: [],
+      coupons: [],
+      invoices: [],
+      transactions: [],
+      line_items: [],
+      notes: []
+    };
+    requestLog = [];
+    idempotentResponses = new Map();
+    invoiceCounter = 1000;
+
+    for (const plan of data.plans || []) addPlan(plan);
+    for (const coupon of data.coupons || []) addCoupon(coupon);
+    for (const account of data.accounts || []) addAccount(account);
+    for (const subscription of data.subscriptions || []) addSubscription(subscription);
+    for (const invoice of data.invoices || []) addInvoice(invoice);
+    for (const transaction of data.transactions || []) addTransaction(transaction);
+    for (const lineItem of data.line_items || []) addLineItem(lineItem);
+  }
+
+  /**
+   * Build an account reference embedded in other resources
+   * @param {Object} account - Account record
+   * @returns {Object} Mini account object
+   */
+  function accountRef(account) {
+    return { object: 'account', id: account.id, code: account.code, email: account.email || null };
+  }
+
+  /**
+   * Resolve account from fixture fields (account_code, account.code or account.id)
+   * @param {Object} record - Fixture record
+   * @returns {Object|undefined} Account record
+   */
+  function fixtureAccount(record) {
+    const code = record.account_code || record.account?.code;
+    const id = record.account_id || record.account?.id;
+    return store.accounts.find(a => (code && a.code === code) || (id && a.id === id));
+  }
+
+  function addPlan(data) {
+    const plan = {
+      object: 'plan',
+      id: data.id || generateId(),
+      code: data.code,
+      name: data.name || data.code,
+      state: data.state || 'active',
+      interval_length: data.interval_length || 1,
+      interval_unit: data.interval_unit || 'months',
+      currencies: data.currencies || [],
+      created_at: data.created_at || timestamp(),
+      updated_at: data.updated_at || data.created_at || timestamp()
+    };
+    store.plans.push(plan);
+    for (const addOn of data.add_ons || []) {
+      store.add_ons.push({
+        object: 'add_on',
+        id: addOn.id || generateId(),
+        plan_id: plan.id,
+        code: addOn.code,
+        name: addOn.name || addOn.code,
+        state: addOn.state || 'active',
+        currencies: addOn.currencies || [],
+        created_at: plan.created_at
+      });
+    }
+    return plan;
+  }
+
+  function addCoupon(data) {
+    const coupon = {
+      object: 'coupon',
+      ...data,
+      id: data.id || generateId(),
+      code: data.code,
+      name: data.name || data.code,
+      state: data.state || 'redeemable',
+      discount: data.discount || { type: 'percent', percent: 100 },
+      applies_to_all_plans: data.applies_to_all_plans ?? true,
+      plans: data.plans || [],
+      created_at: data.created_at || timestamp()
+    };
+    store.coupons.push(coupon);
+    return coupon;
+  }
+
+  function addAccount(data) {
+    const createdAt = data.created_at || timestamp();
+    const account = {
+      object: 'account',
+      ...data,
+      id: data.id || generateId(),
+      code: data.code,
+      state: data.state || 'active',
+      email: data.email || null,
+      first_name: data.first_name || null,
+      last_name: data.last_name || null,
+      billing_info: data.billing_info || null,
+      hosted_login_token: data.hosted_login_token || crypto.randomBytes(16).toString('hex'),
+      created_at: createdAt,
+      updated_at: data.updated_at || createdAt,
+      closed_at: data.closed_at || null
+    };
+    store.accounts.push(account);
+    return account;
+  }
+
+  function addSubscription(data) {
+    const account = fixtureAccount(data);
+    const planCode = data.plan_code || data.plan?.code;
+    const plan = store.plans.find(p => p.code === planCode);
+    const createdAt = data.created_at || timestamp();
+    const { account_code, account_id, plan_code, ...rest } = data;
+    const subscription = {
+      object: 'subscription',
+      ...rest,
+      id: data.id || generateId(),
+      uuid: data.uuid || generateUuid(),
+      account: account ? accountRef(account) : (data.account || null),
+      plan: { object: 'plan', id: plan?.id || null, code: planCode, name: plan?.name || planCode },
+      state: data.state || 'active',
+      currency: (data.currency || 'EUR').toUpperCase(),
+      quantity: data.quantity || 1,
+      unit_amount: data.unit_amount ?? null,
+      add_ons: data.add_ons || [],
+      expiration_reason: data.expiration_reason || null,
+      created_at: createdAt,
+      updated_at: data.updated_at || createdAt
+    };
+    store.subscriptions.push(subscription);
+    return subscription;
+  }
+
+  function addInvoice(data) {
+    const account = fixtureAccount(data);
+    const createdAt = data.created_at || timestamp();
+    const { account_code, account_id, ...rest } = data;
+    const number = data.number ? String(data.number) : String(++invoiceCounter);
+    invoiceCounter = Math.max(invoiceCounter, parseInt(number, 10) || invoiceCounter);
+    const invoice = {
+      object: 'invoice',
+      ...rest,
+      id: data.id || generateId(),
+      uuid: data.uuid || generateUuid(),
+      number,
+      account: account ? accountRef(account) : (data.account || null),
+      type: data.type || 'charge',
+      origin: data.origin || 'purchase',
+      state: data.state || 'paid',
+      currency: (data.currency || 'EUR').toUpperCase(),
+      total: data.total ?? 0,
+      paid: data.paid ?? ((data.state || 'paid') === 'paid' ? (data.total ?? 0) : 0),
+      balance: data.balance ?? 0,
+      subscription_ids: data.subscription_ids || [],
+      created_at: createdAt,
+      updated_at: data.updated_at || createdAt
+    };
+    store.invoices.push(invoice);
+    return invoice;
+  }
+
+  function addTransaction(data) {
+    const account = fixtureAccount(data);
+    const createdAt = data.created_at || timestamp();
+    const { account_code, account_id, invoice_number, ...rest } = data;
+    const invoice = invoice_number
+      ? store.invoices.find(i => i.number === String(invoice_number))
+      : null;
+    const transaction = {
+      object: 'transaction',
+      ...rest,
+      id: data.id || generateId(),
+      uuid: data.uuid || generateUuid(),
+      account: account ? accountRef(account) : (data.account || null),
+      invoice: invoice ? { object: 'invoice', id: invoice.id, number: invoice.number } : (data.invoice || null),
+      type: data.type || 'purchase',
+      status: data.status || 'success',
+      amount: data.amount ?? 0,
+      currency: (data.currency || 'EUR').toUpperCase(),
+      created_at: createdAt,
+      updated_at: data.updated_at || createdAt
+    };
+    store.transactions.push(transaction);
+    return transaction;
+  }
+
+  function addLineItem(data) {
+    const account = fixtureAccount(data);
+    const createdAt = data.created_at || timestamp();
+    const { account_code, account_id, ...rest } = data;
+    const lineItem = {
+      object: 'line_item',
+      ...rest,
+      id: data.id || generateId(),
+      uuid: data.uuid || generateUuid(),
+      account: account ? accountRef(account) : (data.account || null),
+      type: data.type || 'charge',
+      state: data.state || 'invoiced',
+      amount: data.amount ?? 0,
+      quantity: data.quantity || 1,
+      created_at: createdAt
+    };
+    store.line_items.push(lineItem);
+    return lineItem;
+  }
+
+  /**
+   * Find account by path identifier (code-<code> or internal ID)
+   * @param {string} ref - Path identifier
+   * @returns {Object|undefined} Account record
+   */
+  function findAccount(ref) {
+    if (ref.startsWith('code-')) {
+      const code = ref.slice(5);
+      return store.accounts.find(a => a.code === code);
+    }
+    return store.accounts.find(a => a.id === ref);
+  }
+
+  function findSubscription(ref) {
+    if (ref.startsWith('uuid-')) {
+      const uuid = ref.slice(5);
+      return store.subscriptions.find(s => s.uuid === uuid);
+    }
+    return store.subscriptions.find(s => s.id === ref || s.uuid === ref);
+  }
+
+  function findCoupon(ref) {
+    if (ref.startsWith('code-')) {
+      const code = ref.slice(5);
+      return store.coupons.find(c => c.code === code);
+    }
+    return store.coupons.find(c => c.id === ref);
+  }
+
+  function findInvoice(ref) {
+    if (ref.startsWith('number-')) {
+      const number = ref.slice(7);
+      return store.invoices.find(i => i.number === number);
+    }
+    return store.invoices.find(i => i.id === ref);
+  }
+
+  function findTransaction(ref) {
+    if (ref.startsWith('uuid-')) {
+      const uuid = ref.slice(5);
+      return store.transactions.find(t => t.uuid === uuid);
+    }
+    return store.transactions.find(t => t.id === ref || t.uuid === ref);
+  }
+
+  function findPlan(ref) {
+    if (ref.startsWith('code-')) {
+      const code = ref.slice(5);
+      return store.plans.find(p => p.code === code);
+    }
+    return store.plans.find(p => p.id === ref);
+  }
+
+  /**
+   * Paginate a list of resources the way Recurly does
+   * @param {Array} items - Items to paginate
+   * @param {URLSearchParams} query - Request query parameters
+   * @param {string} pathname - Request path (used to build `next`)
+   * @returns {Object} Recurly list response
+   */
+  function paginate(items, query, pathname) {
+    const sortField = query.get('sort') === 'created_at' ? 'created_at' : 'updated_at';
+    const order = query.get('order') === 'desc' ? 'desc' : 'asc';
+    const beginTime = query.get('begin_time') ? new Date(query.get('begin_time')).getTime() : null;
+    const endTime = query.get('end_time') ? new Date(query.get('end_time')).getTime() : null;
+    const limit = Math.min(Math.max(parseInt(query.get('limit'), 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const offset = query.get('cursor') ? parseInt(Buffer.from(query.get('cursor'), 'base64url').toString(), 10) || 0 : 0;
+
+    const filtered = items
+      .filter(item => {
+        const time = new Date(item[sortField] || item.created_at).getTime();
+        if (beginTime !== null && time < beginTime) return false;
+        if (endTime !== null && time > endTime) return false;
+        return true;
+      })
+      .sort((a, b) => {
+        const diff = new Date(a[sortField]).getTime() - new Date(b[sortField]).getTime();
+        return order === 'desc' ? -diff : diff;
+      });
+
+    const data = filtered.slice(offset, offset + limit);
+    const hasMore = offset + limit < filtered.length;
+    let next = null;
+
+    if (hasMore) {
+      const nextQuery = new URLSearchParams(query);
+      nextQuery.set('cursor', Buffer.from(String(offset + limit)).toString('base64url'));
+      next = `${pathname}?${nextQuery.toString()}`;
+    }
+
+    return { object: 'list', has_more: hasMore, next, data };
+  }
+
+  /**
+   * Create a paid (or failed) charge for a new subscription
+   * @param {Object} account - Account record
+   * @param {Object} subscription - Subscription record
+   * @param {number} amount - Amount to charge
+   * @returns {Object} Result { invoice, transaction, declined }
+   */
+  function chargeSubscription(account, subscription, amount, discount = 0) {
+    const declineCode = account.billing_info?.decline_code || null;
+    const invoice = addInvoice({
+      account_id: account.id,
+      currency: subscription.currency,
+      subtotal: amount + discount,
+      discount,
+      total: amount,
+      paid: declineCode ? 0 : amount,
+      balance: declineCode ? amount : 0,
+      state: declineCode ? 'failed' : 'paid',
+      subscription_ids: [subscription.id]
+    });
+    const transaction = addTransaction({
+      account_id: account.id,
+      invoice_number: invoice.number,
+      type: 'purchase',
+      status: declineCode ? 'declined' : 'success',
+      amount,
+      currency: subscription.currency
+    });
+    addLineItem({
+      account_id: account.id,
+      type: 'charge',
+      description: subscription.plan.name,
+      amount,
+      currency: subscription.currency,
+      invoice: { id: invoice.id }
+    });
+    return { invoice, transaction, declined: declineCode };
+  }
+
+  // Route handlers: each receives ({ params, query, body, pathname }) and returns [status, body]
+
+  function listAccounts({ query, pathname }) {
+    let accounts = store.accounts;
+    if (query.get('email')) {
+      accounts = accounts.filter(a => a.email === query.get('email'));
+    }
+    return [200, paginate(accounts, query, pathname)];
+  }
+
+  function createAccountRoute({ body }) {
+    if (!body?.code) {
+      return [422, errorBody('validation', 'Code can\'t be blank', { params: [{ param: 'code', message: 'can\'t be blank' }] })];
+    }
+    if (store.accounts.some(a => a.code === body.code)) {
+      return [422, errorBody('validation', 'Code has already been taken', { params: [{ param: 'code', message: 'has already been taken' }] })];
+    }
+    return [201, addAccount({ ...body, state: 'active', created_at: timestamp() })];
+  }
+
+  function getAccountRoute({ account }) {
+    return [200, account];
+  }
+
+  function deactivateAccountRoute({ account }) {
+    if (account.state === 'inactive' || account.state === 'closed') {
+      return [422, errorBody('invalid_transition', 'Account is already inactive')];
+    }
+    account.state = 'inactive';
+    account.closed_at = timestamp();
+    account.updated_at = account.closed_at;
+    return [200, account];
+  }
+
+  function reactivateAccountRoute({ account }) {
+    if (account.state === 'active') {
+      return [422, errorBody('invalid_transition', 'Account is already active')];
+    }
+    account.state = 'active';
+    account.closed_at = null;
+    account.updated_at = timestamp();
+    return [200, account];
+  }
+
+  function createNoteRoute({ account, body }) {
+    const note = {
+      object: 'account_note',
+      id: generateId(),
+      account_id: account.id,
+      message: body?.message || '',
+      created_at: timestamp()
+    };
+    store.notes.push(note);
+    return [201, note];
+  }
+
+  function getBillingInfoRoute({ account }) {
+    if (!account.billing_info) {
+      return [404, errorBody('not_found', `Couldn't find BillingInfo with account_id = ${account.id}`)];
+    }
+    const { decline_code, ...billingInfo } = account.billing_info;
+    return [200, { object: 'billing_info', account_id: account.id, ...billingInfo }];
+  }
+
+  function listBillingInfosRoute({ account, query, pathname }) {
+    // Fixture billing_infos holds the wallet (primary and backup methods); billing_info alone is the primary
+    const billingInfos = account.billing_infos ||
+      (account.billing_info ? [{ ...account.billing_info, primary_payment_method: true }] : []);
+    const items = billingInfos.map(({ decline_code, ...billingInfo }) =>
+      ({ object: 'billing_info', account_id: account.id, ...billingInfo }));
+    return [200, paginate(items, query, pathname)];
+  }
+
+  function accountCollection(collection) {
+    return ({ account, query, pathname }) => {
+      const items = store[collection].filter(item => item.account?.id === account.id);
+      return [200, paginate(items, query, pathname)];
+    };
+  }
+
+  function collectAccountRoute() {
+    return [422, errorBody('validation', 'There are no open invoices to collect')];
+  }
+
+  function listPlans({ query, pathname }) {
+    return [200, paginate(store.plans, query, pathname)];
+  }
+
+  function getPlanRoute({ params }) {
+    const plan = findPlan(params.id);
+    if (!plan) {
+      return [404, errorBody('not_found', `Couldn't find Plan with code = ${params.id.replace(/^code-/, '')}`)];
+    }
+    return [200, plan];
+  }
+
+  function listPlanAddOnsRoute({ params, query, pathname }) {
+    const plan = findPlan(params.id);
+    if (!plan) {
+      return [404, errorBody('not_found', `Couldn't find Plan with code = ${params.id.replace(/^code-/, '')}`)];
+    }
+    return [200, paginate(store.add_ons.filter(addOn => addOn.plan_id === plan.id), query, pathname)];
+  }
+
+  function getCouponRoute({ params }) {
+    const coupon = findCoupon(params.id);
+    if (!coupon) {
+      return [404, errorBody('not_found', `Couldn't find Coupon with code = ${params.id.replace(/^code-/, '')}`)];
+    }
+    return [200, coupon];
+  }
+
+  function createPlanRoute({ body }) {
+    if (!body?.code) {
+      return [422, errorBody('validation', 'Code can\'t be blank', { params: [{ param: 'code', message: 'can\'t be blank' }] })];
+    }
+    if (store.plans.some(p => p.code === body.code)) {
+      return [422, errorBody('validation', 'Code has already been taken', { params: [{ param: 'code', message: 'has already been taken' }] })];
+    }
+    return [201, addPlan({ ...body, created_at: timestamp() })];
+  }
+
+  function listSubscriptions({ query, pathname }) {
+    let subscriptions = store.subscriptions;
+    if (query.get('state')) {
+      subscriptions = subscriptions.filter(s => s.state === query.get('state'));
+    }
+    return [200, paginate(subscriptions, query, pathname)];
+  }
+
+  function createSubscriptionRoute({ body }) {
+    const account = body?.account?.code ? store.accounts.find(a => a.code === body.account.code) : null;
+    if (!account) {
+      return [422, errorBody('validation', 'Account can\'t be blank', { params: [{ param: 'account', message: 'can\'t be blank' }] })];
+    }
+
+    const plan = store.plans.find(p => p.code === body.plan_code);
+    if (!plan) {
+      return [422, errorBody('validation', 'Plan code is invalid', { params: [{ param: 'plan_code', message: 'is invalid' }] })];
+    }
+
+    const currency = (body.currency || 'USD').toUpperCase();
+    const pricing = plan.currencies.find(c => c.currency === currency);
+    if (!pricing) {
+      return [422, errorBody('validation', `Currency ${currency} is not available for plan ${plan.code}`, { params: [{ param: 'currency', message: 'is not available for this plan' }] })];
+    }
+
+    for (const addOn of body.add_ons || []) {
+      if (!store.add_ons.some(candidate => candidate.plan_id === plan.id && candidate.code === addOn.code)) {
+        return [422, errorBody('validation', `Add-on ${addOn.code} is invalid for plan ${plan.code}`, { params: [{ param: 'add_ons', message: 'is invalid' }] })];
+      }
+    }
+
+    const collectionMethod = body.collection_method || 'automatic';
+    if (collectionMethod === 'automatic' && !account.billing_info) {
+      return [422, errorBody('validation', 'Billing info can\'t be blank', { params: [{ param: 'billing_info', message: 'can\'t be blank' }] })];
+    }
+
+    const coupons = [];
+    for (const couponCode of body.coupon_codes || []) {
+      const coupon = store.coupons.find(c => c.code === couponCode);
+      if (!coupon || coupon.state !== 'redeemable') {
+        return [422, errorBody('validation', `Coupon ${couponCode} is invalid`, { params: [{ param: 'coupon_codes', message: 'is invalid' }] })];
+      }
+      coupons.push(coupon);
+    }
+
+    const trialEndsAt = body.trial_ends_at ? new Date(body.trial_ends_at) : null;
+    const inTrial = trialEndsAt && trialEndsAt.getTime() > now().getTime();
+    const startsAt = body.starts_at ? new Date(body.starts_at) : null;
+    const inFuture = startsAt && startsAt.getTime() > now().getTime();
+    const unitAmount = body.unit_amount ?? pricing.unit_amount;
+
+    const subscription = addSubscription({
+      account_id: account.id,
+      plan_code: plan.code,
+      currency,
+      quantity: body.quantity || 1,
+      unit_amount: unitAmount,
+      add_ons: body.add_ons || [],
+      collection_method: collectionMethod,
+      state: inFuture ? 'future' : 'active',
+      trial_ends_at: inTrial ? trialEndsAt.toISOString() : null,
+      starts_at: inFuture ? startsAt.toISOString() : null,
+      current_period_ends_at: body.next_bill_date ? new Date(body.next_bill_date).toISOString() : null,
+      coupon_redemptions: coupons.map(coupon => ({ object: 'coupon_redemption', coupon: { code: coupon.code }, state: 'active' })),
+      created_at: timestamp()
+    });
+
+    const listAmount = unitAmount * subscription.quantity;
+    const discount = Math.round(Math.min(listAmount, coupons.reduce((sum, coupon) => {
+      const { type, percent = 0, currencies = [] } = coupon.discount;
+      if (type === 'free_trial') return sum + listAmount;
+      if (type === 'fixed') return sum + (currencies.find(c => c.currency === currency)?.amount || 0);
+      return sum + listAmount * percent / 100;
+    }, 0)) * 100) / 100;
+    const amount = Math.round((listAmount - discount) * 100) / 100;
+
+    if (!inTrial && !inFuture && collectionMethod === 'manual') {
+      // Manual collection: nothing is charged, the invoice waits for the customer
+      const netTerms = body.net_terms ?? 0;
+      addInvoice({
+        account_id: account.id,
+        currency,
+        collection_method: 'manual',
+        net_terms: netTerms,
+        due_at: new Date(now().getTime() + netTerms * 24 * 60 * 60 * 1000).toISOString(),
+        subtotal: listAmount,
+        discount,
+        total: amount,
+        paid: 0,
+        balance: amount,
+        state: 'pending',
+        subscription_ids: [subscription.id]
+      });
+    }
+
+    if (!inTrial && !inFuture && collectionMethod === 'automatic') {
+      const { transaction, declined } = chargeSubscription(account, subscription, amount, discount);
+      if (declined) {
+        store.subscriptions = store.subscriptions.filter(s => s !== subscription);
+        const transactionError = {
+          object: 'transaction_error',
+          transaction_id: transaction.id,
+          category: declined === 'three_d_secure_action_required' ? 'three_d_secure_action_required' : 'soft',
+          code: declined,
+          decline_code: declined,
+          message: 'Your transaction was declined.',
+          merchant_advice: 'The customer should contact their bank.'
+        };
+        if (declined === 'three_d_secure_action_required') {
+          transactionError.three_d_secure_action_token_id = generateId();
+        }
+        return [422, errorBody('transaction', 'Your transaction was declined.', { transaction_error: transactionError })];
+      }
+    }
+
+    return [201, subscription];
+  }
+
+  function getSubscriptionRoute({ subscription }) {
+    return [200, subscription];
+  }
+
+  function updateSubscriptionRoute({ subscription, body }) {
+    if (subscription.state === 'expired') {
+      return [422, errorBody('invalid_transition', 'Subscription is expired')];
+    }
+    if (body?.collection_method) {
+      if (!['automatic', 'manual'].includes(body.collection_method)) {
+        return [422, errorBody('validation', 'Collection method is invalid', { params: [{ param: 'collection_method', message: 'is invalid' }] })];
+      }
+      subscription.collection_method = body.collection_method;
+    }
+    subscription.updated_at = timestamp();
+    return [200, subscription];
+  }
+
+  function cancelSubscriptionRoute({ subscription }) {
+    if (subscription.state === 'canceled' || subscription.state === 'expired') {
+      return [422, errorBody('invalid_transition', `Subscription is already ${subscription.state}`)];
+    }
+    subscription.state = 'canceled';
+    subscription.canceled_at = timestamp();
+    subscription.updated_at = subscription.canceled_at;
+    return [200, subscription];
+  }
+
+  function terminateSubscriptionRoute({ subscription }) {
+    if (subscription.state === 'expired') {
+      return [422, errorBody('invalid_transition', 'Subscription is already expired')];
+    }
+    subscription.state = 'expired';
+    subscription.expiration_reason = 'terminated';
+    subscription.expires_at = timestamp();
+    subscription.updated_at = subscription.expires_at;
+    return [200, subscription];
+  }
+
+  function subscriptionInvoicesRoute({ subscription, query, pathname }) {
+    const invoices = store.invoices.filter(i => i.subscription_ids.includes(subscription.id));
+    return [200, paginate(invoices, query, pathname)];
+  }
+
+  function invoiceTransactions(invoice) {
+    return store.transactions.filter(t => t.invoice?.id === invoice.id);
+  }
+
+  function getInvoiceRoute({ invoice, query }) {
+    if (query.get('expand') === 'transactions') {
+      return [200, { ...invoice, transactions: invoiceTransactions(invoice) }];
+    }
+    return [200, invoice];
+  }
+
+  function invoiceTransactionsRoute({ invoice, query, pathname }) {
+    return [200, paginate(invoiceTransactions(invoice), query, pathname)];
+  }
+
+  function markInvoiceFailedRoute({ invoice }) {
+    if (!['pending', 'processing', 'past_due'].includes(invoice.state)) {
+      return [422, errorBody('invalid_transition', `Invoice is ${invoice.state} and cannot be marked failed`)];
+    }
+    invoice.state = 'failed';
+    invoice.updated_at = timestamp();
+    return [200, invoice];
+  }
+
+  function markInvoicePaidRoute({ invoice }) {
+    if (invoice.state === 'paid') {
+      return [422, errorBody('invalid_transition', 'Invoice is already paid')];
+    }
+    invoice.state = 'paid';
+    invoice.updated_at = timestamp();
+    return [200, invoice];
+  }
+
+  function refundInvoiceRoute({ invoice }) {
+    if (!invoice.paid || invoice.refunded) {
+      return [422, errorBody('validation', 'Invoice has no refundable amount')];
+    }
+    invoice.refunded = true;
+    const creditInvoice = addInvoice({
+      account_id: invoice.account?.id,
+      type: 'credit',
+      origin: 'refund',
+      state: 'open',
+      currency: invoice.currency,
+      total: -invoice.paid,
+      paid: 0,
+      balance: -invoice.paid,
+      subscription_ids: invoice.subscription_ids
+    });
+    return [201, creditInvoice];
+  }
+
+  function refundTransactionRoute({ transaction }) {
+    if (transaction.refunded || transaction.status !== 'success') {
+      return [422, errorBody('validation', 'Transaction cannot be refunded')];
+    }
+    transaction.refunded = true;
+    const refund = addTransaction({
+      account_id: transaction.account?.id,
+      type: 'refund',
+      status: 'success',
+      amount: transaction.amount,
+      currency: transaction.currency,
+      original_transaction_id: transaction.id
+    });
+    return [201, refund];
+  }
+
+  // Resource loaders used by routes with path identifiers
+  const loaders = {
+    account: [findAccount, 'Account'],
+    subscription: [findSubscription, 'Subscription'],
+    invoice: [findInvoice, 'Invoice'],
+    transaction: [findTransaction, 'Transaction']
+  };
+
+  const routes = [
+    ['GET', /^\/accounts$/, listAccounts],
+    ['POST', /^\/accounts$/, createAccountRoute],
+    ['GET', /^\/accounts\/([^/]+)$/, getAccountRoute, 'account'],
+    ['DELETE', /^\/accounts\/([^/]+)$/, deactivateAccountRoute, 'account'],
+    ['PUT', /^\/accounts\/([^/]+)\/reactivate$/, reactivateAccountRoute, 'account'],
+    ['POST', /^\/accounts\/([^/]+)\/notes$/, createNoteRoute, 'account'],
+    ['GET', /^\/accounts\/([^/]+)\/billing_info$/, getBillingInfoRoute, 'account'],
+    ['GET', /^\/accounts\/([^/]+)\/billing_infos$/, listBillingInfosRoute, 'account'],
+    ['GET', /^\/accounts\/([^/]+)\/subscriptions$/, accountCollection('subscriptions'), 'account'],
+    ['GET', /^\/accounts\/([^/]+)\/invoices$/, accountCollection('invoices'), 'account'],
+    ['GET', /^\/accounts\/([^/]+)\/line_items$/, accountCollection('line_items'), 'account'],
+    ['GET', /^\/accounts\/([^/]+)\/transactions$/, accountCollection('transactions'), 'account'],
+    ['PUT', /^\/accounts\/([^/]+)\/collect$/, collectAccountRoute, 'account'],
+    ['GET', /^\/plans$/, listPlans],
+    ['POST', /^\/plans$/, createPlanRoute],
+    ['GET', /^\/plans\/([^/]+)$/, getPlanRoute],
+    ['GET', /^\/plans\/([^/]+)\/add_ons$/, listPlanAddOnsRoute],
+    ['GET', /^\/coupons\/([^/]+)$/, getCouponRoute],
+    ['GET', /^\/subscriptions$/, listSubscriptions],
+    ['POST', /^\/subscriptions$/, createSubscriptionRoute],
+    ['GET', /^\/subscriptions\/([^/]+)$/, getSubscriptionRoute, 'subscription'],
+    ['PUT', /^\/subscriptions\/([^/]+)$/, updateSubscriptionRoute, 'subscription'],
+    ['DELETE', /^\/subscriptions\/([^/]+)$/, terminateSubscriptionRoute, 'subscription'],
+    ['PUT', /^\/subscriptions\/([^/]+)\/cancel$/, cancelSubscriptionRoute, 'subscription'],
+    ['GET', /^\/subscriptions\/([^/]+)\/invoices$/, subscriptionInvoicesRoute, 'subscription'],
+    ['GET', /^\/invoices\/([^/]+)$/, getInvoiceRoute, 'invoice'],
+    ['GET', /^\/invoices\/([^/]+)\/transactions$/, invoiceTransactionsRoute, 'invoice'],
+    ['PUT', /^\/invoices\/([^/]+)\/mark_failed$/, markInvoiceFailedRoute, 'invoice'],
+    ['PUT', /^\/invoices\/([^/]+)\/mark_paid$/, markInvoicePaidRoute, 'invoice'],
+    ['POST', /^\/invoices\/([^/]+)\/refund$/, refundInvoiceRoute, 'invoice'],
+    ['POST', /^\/transactions\/([^/]+)\/refund$/, refundTransactionRoute, 'transaction']
+  ];
+
+  /**
+   * Dispatch a request to the matching route handler
+   * @param {string} method - HTTP method
+   * @param {string} pathname - Request path (without query string)
+   * @param {URLSearchParams} query - Query parameters
+   * @param {Object|null} body - Parsed JSON body
+   * @returns {Array} [statusCode, body]
+   */
+  function dispatch(method, pathname, query, body) {
+    const knownPath = routes.some(([, pattern]) => pattern.test(pathname));
+
+    for (const [routeMethod, pattern, handler, resource] of routes) {
+      if (routeMethod !== method) continue;
+      const match = pathname.match(pattern);
+      if (!match) continue;
+
+      const params = { id: match[1] ? decodeURIComponent(match[1]) : null };
+      const context = { params, query, body, pathname };
+
+      if (resource) {
+        const [finder, label] = loaders[resource];
+        const record = finder(params.id);
+        if (!record) {
+          return [404, errorBody('not_found', `Couldn't find ${label} with id = ${params.id}`)];
+        }
+        context[resource] = record;
+      }
+
+      return handler(context);
+    }
+
+    if (knownPath) {
+      return [405, errorBody('method_not_allowed', `${method} is not allowed on ${pathname}`)];
+    }
+    return [404, errorBody('not_found', `Unknown endpoint: ${method} ${pathname}`)];
+  }
+
+  /**
+   * Compute rate limit headers, resetting the window when it has elapsed
+   * @returns {Object} Rate limit headers
+   */
+  function consumeRateLimit() {
+    const currentTime = Date.now();
+    if (currentTime >= rateLimitResetAt) {
+      rateLimitRemaining = rateLimit;
+      rateLimitResetAt = currentTime + rateLimitWindowMs;
+    }
+    rateLimitRemaining = Math.max(rateLimitRemaining - 1, 0);
+    return {
+      'X-RateLimit-Limit': String(rateLimit),
+      'X-RateLimit-Remaining': String(rateLimitRemaining),
+      'X-RateLimit-Reset': String(Math.ceil(rateLimitResetAt / 1000))
+    };
+  }
+
+  /**
+   * Check Basic authentication header
+   * @param {string} header - Authorization header value
+   * @returns {boolean} True if authorized
+   */
+  function isAuthorized(header) {
+    if (!header || !header.startsWith('Basic ')) return false;
+    if (!apiKey) return true;
+    const decoded = Buffer.from(header.slice(6), 'base64').toString();
+    return decoded === `${apiKey}:`;
+  }
+
+  /**
+   * Node HTTP request listener
+   * @param {http.IncomingMessage} req - Request
+   * @param {http.ServerResponse} res - Response
+   */
+  function handleRequest(req, res) {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const method = req.method.toUpperCase();
+      const requestId = generateUuid();
+      const headers = {
+        'Content-Type': 'application/vnd.recurly.v2021-02-25+json; charset=utf-8',
+        'X-Request-Id': requestId,
+        ...consumeRateLimit()
+      };
+
+      let status;
+      let responseBody;
+      let replayed = false;
+      const idempotencyKey = method !== 'GET' ? req.headers['idempotency-key'] : null;
+
+      if (!isAuthorized(req.headers.authorization)) {
+        status = 401;
+        responseBody = errorBody('unauthorized', 'Invalid API key');
+      } else {
+        let body = null;
+        try {
+          body = raw ? JSON.parse(raw) : null;
+        } catch {
+          status = 400;
+          responseBody = errorBody('bad_request', 'Request body is not valid JSON');
+        }
+        if (!status && idempotencyKey && idempotentResponses.has(idempotencyKey)) {
+          const stored = idempotentResponses.get(idempotencyKey);
+          if (stored.method !== method || stored.path !== url.pathname) {
+            status = 422;
+            responseBody = errorBody('invalid_idempotency_key', 'Idempotency-Key was already used for a different request');
+          } else {
+            [status, responseBody] = [stored.status, stored.body];
+            replayed = true;
+            headers['Idempotent-Replayed'] = 'true';
+          }
+        }
+        if (!status) {
+          [status, responseBody] = dispatch(method, url.pathname, url.searchParams, body);
+          // Server errors are not stored, so the client can retry them
+          if (idempotencyKey && status < 500) {
+            idempotentResponses.set(idempotencyKey, { method, path: url.pathname, status, body: responseBody });
+          }
+        }
+      }
+
+      requestLog.push({ method, path: url.pathname + url.search, status, requestId, replayed });
+      if (typeof log === 'function') {
+        log(`${method} ${url.pathname}${url.search} -> ${status}`);
+      }
+
+      res.writeHead(status, headers);
+      res.end(responseBody === null ? '' : JSON.stringify(responseBody));
+    });
+  }
+
+  /**
+   * Start listening
+   * @param {number} [port=0] - Port to listen on (0 = random free port)
+   * @param {string} [host='127.0.0.1'] - Interface to bind
+   * @returns {Promise<string>} Base URL of the emulator
+   */
+  function start(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      server = http.createServer(handleRequest);
+      server.once('error', reject);
+      server.listen(port, host, () => {
+        resolve(getUrl());
+      });
+    });
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  function stop() {
+    return new Promise(resolve => {
+      if (!server) return resolve();
+      server.close(() => resolve());
+      server = null;
+    });
+  }
+
+  /**
+   * Get base URL of running emulator
+   * @returns {string|null} Base URL or null if not started
+   */
+  function getUrl() {
+    if (!server || !server.address()) return null;
+    const { address, port } = server.address();
+    return `http://${address}:${port}`;
+  }
+
+  /**
+   * Get the in-memory store (for assertions and inspection)
+   * @returns {Object} Store with accounts, subscriptions, plans, invoices, transactions, line_items, notes
+   */
+  function getStore() {
+    return store;
+  }
+
+  /**
+   * Get log of handled requests
+   * @returns {Array} Array of { method, path, status, requestId, replayed }
+   */
+  function getRequests() {
+    return [...requestLog];
+  }
+
+  reset(fixtures);
+
+  return {
+    start,
+    stop,
+    reset,
+    getUrl,
+    getStore,
+    getRequests,
+    handleRequest
+  };
+}
+
+module.exports = {
+  createEmulator,
+  loadFixtures,
+  DEFAULT_RATE_LIMIT,
+  MAX_PAGE_SIZE
+};
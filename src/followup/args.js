@@ -0,0 +1,193 @@
+/**
+ * 3D Secure Follow-up CLI Argument Parser Module
+ * Parses and validates command-line arguments for followup-3ds.js
+ *
+ * Supported arguments:
+ * prepare | check                  (required) - Step: gather and send follow-ups, or check them later
+ * --env=<sandbox|production>       (required) - Target environment
+ * --project=<id>                   (required) - Recurly project identifier (eur, multi)
+ * --mode=<link|pending>            (optional) - prepare: hosted payment link (default) or pending subscription
+ * --expire-after-days=<n>          (optional) - prepare: days the customer has to authenticate (default: 7)
+ * --format=<csv|json>              (optional) - prepare: mailing export format (default: csv)
+ * --output-dir=<dir>               (optional) - prepare: directory of the follow-up file and mailing export (default: .)
+ * --help                           (optional) - Display usage help
+ * <file...>                        (required) - prepare: rescue results files; check: the follow-up file
+ */
+
+const { isValidProjectId, getValidProjectIds } = require('../config/projects');
+const { FOLLOWUP_MODES } = require('./followup-executor');
+const { MAILING_FORMATS } = require('./followup-file');
+
+const COMMANDS = ['prepare', 'check'];
+
+// List of known arguments for validation
+const KNOWN_ARGS = [
+  '--env=',
+  '--project=',
+  '--mode=',
+  '--expire-after-days=',
+  '--format=',
+  '--output-dir=',
+  '--help'
+];
+
+// Options that only apply to the prepare step
+const PREPARE_ONLY = ['--mode=', '--expire-after-days=', '--format=', '--output-dir='];
+
+/**
+ * Check if an argument matches any known argument pattern
+ * @param {string} arg - The argument to check
+ * @returns {boolean} True if argument is known
+ */
+function isKnownArg(arg) {
+  return KNOWN_ARGS.some(known => (known.endsWith('=') ? arg.startsWith(known) : arg === known));
+}
+
+/**
+ * Parse command-line arguments into structured options object
+ * @param {string[]} argv - Process arguments (process.argv)
+ * @returns {object} Parsed options object
+ * @throws {Error} If required arguments are missing or validation fails
+ */
+function parseArgs(argv) {
+  const args = argv.slice(2);
+
+  const options = {
+    command: null,
+    env: null,
+    project: null,
+    mode: FOLLOWUP_MODES.LINK,
+    expireAfterDays: 7,
+    format: 'csv',
+    outputDir: '.',
+    files: [],
+    help: false
+  };
+  const prepareOnly = [];
+
+  for (const arg of args) {
+    if (arg.startsWith('--') && !isKnownArg(arg)) {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+    const value = arg.slice(arg.indexOf('=') + 1);
+    if (PREPARE_ONLY.some(known => arg.startsWith(known))) {
+      prepareOnly.push(arg.split('=')[0]);
+    }
+
+    if (arg === '--help') {
+      options.help = true;
+    } else if (arg.startsWith('--env=')) {
+      options.env = value;
+    } else if (arg.startsWith('--project=')) {
+      options.project = value.trim().toLowerCase();
+    } else if (arg.startsWith('--mode=')) {
+      if (!Object.values(FOLLOWUP_MODES).includes(value)) {
+        throw new Error(`Invalid --mode value: '${value}'. Valid options: ${Object.values(FOLLOWUP_MODES).join(', ')}`);
+      }
+      options.mode = value;
+    } else if (arg.startsWith('--expire-after-days=')) {
+      if (!/^\d+$/.test(value) || parseInt(value, 10) === 0) {
+        throw new Error(`Invalid --expire-after-days value: '${value}' must be a whole number of days (1 or more)`);
+      }
+      options.expireAfterDays = parseInt(value, 10);
+    } else if (arg.startsWith('--format=')) {
+      if (!MAILING_FORMATS.includes(value)) {
+        throw new Error(`Invalid --format value: '${value}'. Valid options: ${MAILING_FORMATS.join(', ')}`);
+      }
+      options.format = value;
+    } else if (arg.startsWith('--output-dir=')) {
+      if (value.trim() === '') {
+        throw new Error('--output-dir requires a directory');
+      }
+      options.outputDir = value;
+    } else if (!options.command) {
+      options.command = arg;
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  // If --help is requested, return early without validation
+  if (options.help) {
+    return options;
+  }
+
+  if (!options.command) {
+    throw new Error(`Missing command: ${COMMANDS.join(' or ')}`);
+  }
+  if (!COMMANDS.includes(options.command)) {
+    throw new Error(`Unknown command: '${options.command}'. Valid commands: ${COMMANDS.join(', ')}`);
+  }
+
+  if (!options.env) {
+    throw new Error('Missing required argument: --env');
+  }
+  if (options.env !== 'sandbox' && options.env !== 'production') {
+    throw new Error("Invalid --env value. Must be 'sandbox' or 'production'");
+  }
+
+  if (!options.project) {
+    throw new Error('Missing required argument: --project');
+  }
+  if (!isValidProjectId(options.project)) {
+    const validIds = getValidProjectIds().join(', ');
+    throw new Error(`Invalid --project value: '${options.project}'. Valid options: ${validIds}`);
+  }
+
+  if (options.command === 'prepare') {
+    if (options.files.length === 0) {
+      throw new Error('prepare needs at least one rescue results file');
+    }
+  } else {
+    if (prepareOnly.length > 0) {
+      throw new Error(`${prepareOnly[0]} only applies to prepare (check reuses the follow-up file settings)`);
+    }
+    if (options.files.length !== 1) {
+      throw new Error('check needs exactly one follow-up file');
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Display help message
+ */
+function displayHelp() {
+  console.log(`
+3D Secure Follow-up
+
+Usage:
+  node followup-3ds.js prepare --env=<sandbox|production> --project=<id> [options] <rescue-results.json...>
+  node followup-3ds.js check --env=<sandbox|production> --project=<id> <followup-3ds-file.json>
+
+Commands:
+  prepare                          Gather the REQUIRES_3DS clients of the results files (latest run wins),
+                                   give each one a way to authenticate, and export the mailing for the CRM
+  check                            Finalize the clients who authenticated, expire the ones past their deadline
+
+Required Arguments:
+  --env=<sandbox|production>       Target environment
+  --project=<id>                   Recurly project identifier (eur, multi)
+
+Prepare Options:
+  --mode=<link|pending>            link: hosted payment page link, the subscription is created once the card
+                                   is updated (default); pending: manual-collection subscription whose first
+                                   invoice the customer pays on the hosted page
+  --expire-after-days=<n>          Days the customer has to authenticate (default: 7)
+  --format=<csv|json>              Mailing export format (default: csv)
+  --output-dir=<dir>               Directory of the follow-up file and mailing export (default: .)
+  --help                           Display this help message
+
+Examples:
+  node followup-3ds.js prepare --env=production --project=eur rescue-results-eur-*.json
+  node followup-3ds.js prepare --env=production --project=multi --mode=pending --format=json rescue-results-multi-2026-01-30T11-31-58.json
+  node followup-3ds.js check --env=production --project=eur followup-3ds-eur-2026-02-01T09-45-52.json
+`);
+}
+
+module.exports = {
+  parseArgs,
+  displayHelp,
+  COMMANDS
+};
@@ -0,0 +1,336 @@
+/**
+ * 3D Secure Follow-up Executor Module
+ * Sends REQUIRES_3DS clients a way to authenticate, then finishes or expires their rescue
+ *
+ * Features:
+ * - Two modes:
+ *   - link (default): hosted payment page link; the customer updates their card there with 3D Secure,
+ *     and the check creates the subscription once the card was updated
+ *   - pending: manual-collection subscription whose first invoice waits for the customer on the hosted
+ *     page (net terms = the follow-up deadline); the check switches it to automatic collection once paid
+ * - Closed accounts are reopened first, like the rescue does; only accounts closed after the rescue run
+ *   (closed_at later than rescued_at) or that already have a live subscription are skipped
+ * - Link mode checks for a live subscription again before finalizing (e.g. from a later rescue run):
+ *   such entries are skipped instead of getting a second subscription
+ * - Entries still pending after their deadline are expired (pending mode: subscription terminated, invoice marked failed)
+ * - Idempotency keys from the follow-up run ID; finalizing uses one key per card update
+ * - Lookup errors during a check leave the entry pending with the error, so the next check retries it
+ */
+
+const { listAll } = require('../api/recurly-client');
+const { isNotFoundError } = require('../api/errors');
+const { toAccountPathId } = require('../api/account-resolver');
+const { reopenAccount } = require('../api/accounts');
+const { buildIdempotencyKey, IDEMPOTENT_ACTIONS } = require('../api/idempotency');
+const { getSubscriptionPayload, rescueClient } = require('../rescue/subscription-manager');
+const { FOLLOWUP_STATUSES } = require('./followup-file');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Follow-up modes
+ */
+const FOLLOWUP_MODES = Object.freeze({
+  LINK: 'link',
+  PENDING: 'pending'
+});
+
+// Subscription states that mean the account is already subscribed again
+const LIVE_SUBSCRIPTION_STATES = ['active', 'future', 'in_trial', 'paused'];
+
+// rescueClient logs RESCUED/FAILED lines; the check logs its own outcome instead
+const QUIET_LOGGER = { logSuccess() {}, logFailure() {}, logSkip() {}, logInfo() {} };
+
+/**
+ * Build the hosted payment page link of an account
+ * @param {string} baseUrl - Recurly site URL (e.g. https://mysite.recurly.com)
+ * @param {string} hostedLoginToken - Account hosted_login_token
+ * @returns {string} Hosted account management URL
+ */
+function buildHostedLink(baseUrl, hostedLoginToken) {
+  return `${baseUrl.replace(/\/+$/, '')}/account/${hostedLoginToken}`;
+}
+
+/**
+ * Build the {subscription_id} path parameter from a stored subscription ID
+ * @param {string} subscriptionId - Subscription UUID or internal ID
+ * @returns {string} 'uuid-<uuid>' for UUIDs, the ID otherwise
+ */
+function toSubscriptionPathId(subscriptionId) {
+  return /^[a-f0-9]{32}$/i.test(subscriptionId) ? `uuid-${subscriptionId}` : subscriptionId;
+}
+
+/**
+ * Create a follow-up executor
+ * @param {Object} client - Recurly client instance
+ * @param {Object} options - Options
+ * @param {string} options.runId - Follow-up run ID (idempotency keys)
+ * @param {string} options.baseUrl - Recurly site URL for hosted payment page links
+ * @param {string} [options.mode='link'] - 'link' or 'pending'
+ * @param {number} [options.expireAfterDays=7] - Days the customer has to authenticate
+ * @param {string} [options.project=''] - Project identifier (subscription URLs in logs)
+ * @param {Function} [options.now] - Clock returning the current time in milliseconds
+ * @param {Function} [options.log] - Logger function (default: console.log)
+ * @returns {Object} Executor { prepare, check }
+ * @throws {Error} If the mode is unknown
+ */
+function createFollowupExecutor(client, options) {
+  const {
+    runId,
+    baseUrl,
+    mode = FOLLOWUP_MODES.LINK,
+    expireAfterDays = 7,
+    project = '',
+    now = () => Date.now(),
+    log = console.log
+  } = options;
+
+  if (!Object.values(FOLLOWUP_MODES).includes(mode)) {
+    throw new Error(`Invalid follow-up mode '${mode}' (use ${Object.values(FOLLOWUP_MODES).join(' or ')})`);
+  }
+
+  /**
+   * Get the subscription details of an entry as getSubscriptionPayload details
+   * @param {Object} entry - Follow-up entry
+   * @returns {Object} { quantity, unitAmount, addOns, couponCodes }
+   */
+  function toDetails(entry) {
+    return {
+      quantity: entry.subscription.quantity,
+      unitAmount: entry.subscription.unit_amount,
+      addOns: entry.subscription.add_ons,
+      couponCodes: entry.subscription.coupon_codes
+    };
+  }
+
+  /**
+   * Find a live subscription of an account
+   * @param {string} pathId - URL-encoded {account_id} path parameter
+   * @returns {Promise<string|null>} Skip reason naming the live subscription, or null when there is none
+   * @throws {Error} If the subscriptions cannot be listed
+   */
+  async function findLiveSubscription(pathId) {
+    const subscriptions = await listAll(client, `/accounts/${pathId}/subscriptions`);
+    const live = subscriptions.find(subscription => LIVE_SUBSCRIPTION_STATES.includes(subscription.state));
+    return live ? `Account already has a live subscription (${live.plan?.code || live.uuid || live.id}, ${live.state})` : null;
+  }
+
+  /**
+   * Create the manual-collection subscription of an entry (pending mode)
+   * @param {Object} entry - Follow-up entry
+   * @returns {Promise<Object>} { subscription_id, invoice_number }
+   * @throws {Error} If the subscription cannot be created
+   */
+  async function createPendingSubscription(entry) {
+    const payload = getSubscriptionPayload(entry.account.code, entry.subscription.plan_code, entry.subscription.currency, 0, {
+      ...toDetails(entry),
+      collectionMethod: 'manual',
+      netTerms: expireAfterDays
+    });
+    const response = await client.request('POST', '/subscriptions', {
+      body: payload,
+      idempotencyKey: buildIdempotencyKey(runId, entry.id, IDEMPOTENT_ACTIONS.CREATE_PENDING_SUBSCRIPTION)
+    });
+    const subscription = response.data;
+    const subscriptionId = subscription.uuid || subscription.id;
+
+    const invoices = await listAll(client, `/subscriptions/${encodeURIComponent(toSubscriptionPathId(subscriptionId))}/invoices`);
+    const invoice = invoices.find(candidate => candidate.state === 'pending' || candidate.state === 'past_due') || invoices[0];
+    return { subscription_id: subscriptionId, invoice_number: invoice?.number || null };
+  }
+
+  /**
+   * Prepare the follow-up of a REQUIRES_3DS client
+   * @param {Object} entry - Entry from gatherRequires3DS
+   * @returns {Promise<Object>} { entry, contact } - contact is the mailing row, or null when the entry is not pending
+   */
+  async function prepare(entry) {
+    const accountId = entry.account.code || entry.account.id;
+    const pathId = encodeURIComponent(toAccountPathId(entry.account));
+    const prepared = { ...entry, mode, prepared_at: new Date(now()).toISOString() };
+
+    try {
+      const account = (await client.request('GET', `/accounts/${pathId}`)).data;
+      prepared.account = { id: account.id || entry.account.id || null, code: account.code || entry.account.code || null };
+      if (account.state === 'closed' || account.state === 'inactive') {
+        // Most REQUIRES_3DS clients are still closed; only a closure after the rescue run means they left
+        const closedAt = account.closed_at ? new Date(account.closed_at).getTime() : NaN;
+        if (entry.rescued_at && closedAt > new Date(entry.rescued_at).getTime()) {
+          log(`⊘ ${accountId} - SKIPPED (account closed after the rescue run)`);
+          return { entry: { ...prepared, status: FOLLOWUP_STATUSES.SKIPPED, error: 'Account was closed after the rescue run' }, contact: null };
+        }
+        await reopenAccount(client, prepared.account, false, {
+          idempotencyKey: buildIdempotencyKey(runId, entry.id, IDEMPOTENT_ACTIONS.REACTIVATE_ACCOUNT)
+        });
+        prepared.reopened_at = new Date(now()).toISOString();
+        log(`↻ ${accountId} - Account reopened`);
+      }
+
+      const reason = await findLiveSubscription(pathId);
+      if (reason) {
+        log(`⊘ ${accountId} - SKIPPED (${reason})`);
+        return { entry: { ...prepared, status: FOLLOWUP_STATUSES.SKIPPED, error: reason }, contact: null };
+      }
+
+      if (!account.hosted_login_token) {
+        throw new Error('Account has no hosted_login_token');
+      }
+
+      prepared.expires_at = new Date(now() + expireAfterDays * DAY_MS).toISOString();
+      if (mode === FOLLOWUP_MODES.PENDING) {
+        Object.assign(prepared, await createPendingSubscription(prepared));
+      }
+
+      const link = buildHostedLink(baseUrl, account.hosted_login_token);
+      log(`✉ ${accountId} - Follow-up ready (${mode === FOLLOWUP_MODES.PENDING ? `pending invoice #${prepared.invoice_number}` : 'payment link'}, expires ${prepared.expires_at})`);
+      return {
+        entry: { ...prepared, status: FOLLOWUP_STATUSES.PENDING, error: null },
+        contact: {
+          account_code: prepared.account.code,
+          account_id: prepared.account.id,
+          email: account.email || null,
+          first_name: account.first_name || null,
+          last_name: account.last_name || null,
+          currency: entry.subscription.currency,
+          link,
+          expires_at: prepared.expires_at,
+          three_d_secure_action_token_id: entry.three_d_secure_action_token_id
+        }
+      };
+    } catch (error) {
+      log(`✗ ${accountId} - Follow-up failed: ${error.message}`);
+      return { entry: { ...prepared, status: FOLLOWUP_STATUSES.FAILED, error: error.message }, contact: null };
+    }
+  }
+
+  /**
+   * Expire an entry whose deadline passed
+   * @param {Object} entry - Follow-up entry
+   * @returns {Promise<Object>} Expired entry
+   * @throws {Error} If the pending subscription cannot be terminated
+   */
+  async function expire(entry) {
+    if (entry.mode === FOLLOWUP_MODES.PENDING && entry.subscription_id) {
+      await client.request('DELETE', `/subscriptions/${encodeURIComponent(toSubscriptionPathId(entry.subscription_id))}`);
+      if (entry.invoice_number) {
+        try {
+          await client.request('PUT', `/invoices/${encodeURIComponent(`number-${entry.invoice_number}`)}/mark_failed`);
+        } catch (error) {
+          // Already failed or closed by Recurly's own dunning
+          if (!isNotFoundError(error) && error.statusCode !== 422) throw error;
+        }
+      }
+    }
+    log(`⌛ ${entry.account.code || entry.account.id} - EXPIRED (not authenticated by ${entry.expires_at})`);
+    return { ...entry, status: FOLLOWUP_STATUSES.EXPIRED, error: null };
+  }
+
+  /**
+   * Check a pending entry of the link mode: create the subscription once the card was updated
+   * @param {Object} entry - Follow-up entry
+   * @returns {Promise<Object|null>} Updated entry (SKIPPED when the account got a subscription since
+   *   prepare), or null when the customer has not updated their card
+   */
+  async function checkLink(entry) {
+    const pathId = encodeURIComponent(toAccountPathId(entry.account));
+
+    // The prepare-time check is stale: a later rescue run or a manual fix may have subscribed the account
+    const reason = await findLiveSubscription(pathId);
+    if (reason) {
+      log(`⊘ ${entry.account.code || entry.account.id} - SKIPPED (${reason})`);
+      return { ...entry, status: FOLLOWUP_STATUSES.SKIPPED, error: reason };
+    }
+
+    let billingInfo = null;
+    try {
+      billingInfo = (await client.request('GET', `/accounts/${pathId}/billing_info`)).data;
+    } catch (error) {
+      if (!isNotFoundError(error)) throw error;
+    }
+    const updatedAt = billingInfo?.updated_at ? new Date(billingInfo.updated_at).getTime() : 0;
+    if (!(updatedAt > new Date(entry.prepared_at).getTime())) {
+      return null;
+    }
+
+    // One attempt per card update: a check that runs again replays it, a new card update charges again
+    const result = await rescueClient(client, entry.account, entry.subscription.plan_code, entry.subscription.currency, {
+      trialDays: 0,
+      project,
+      logger: QUIET_LOGGER,
+      idempotencyKey: buildIdempotencyKey(runId, entry.id, `${IDEMPOTENT_ACTIONS.FINALIZE_SUBSCRIPTION}:${billingInfo.updated_at}`),
+      details: toDetails(entry)
+    });
+    if (result.status === 'RESCUED') {
+      return {
+        ...entry,
+        status: FOLLOWUP_STATUSES.FINALIZED,
+        subscription_id: result.subscription?.uuid || result.subscription?.id || null,
+        error: null
+      };
+    }
+    // Still declined: the customer keeps the link until the deadline
+    log(`⊘ ${entry.account.code || entry.account.id} - Card updated but still declined (${result.error})`);
+    return { ...entry, error: result.error };
+  }
+
+  /**
+   * Check a pending entry of the pending mode: switch to automatic collection once the invoice is paid
+   * @param {Object} entry - Follow-up entry
+   * @returns {Promise<Object|null>} Updated entry, or null when the invoice is not paid yet
+   */
+  async function checkPending(entry) {
+    const invoice = (await client.request('GET', `/invoices/${encodeURIComponent(`number-${entry.invoice_number}`)}`)).data;
+    if (invoice.state !== 'paid') {
+      return null;
+    }
+
+    // Renewals are charged to the card the customer authenticated
+    await client.request('PUT', `/subscriptions/${encodeURIComponent(toSubscriptionPathId(entry.subscription_id))}`, {
+      body: { collection_method: 'automatic' },
+      idempotencyKey: buildIdempotencyKey(runId, entry.id, IDEMPOTENT_ACTIONS.FINALIZE_SUBSCRIPTION)
+    });
+    return { ...entry, status: FOLLOWUP_STATUSES.FINALIZED, error: null };
+  }
+
+  /**
+   * Check a pending entry: finalize it when the customer authenticated, expire it after the deadline
+   * @param {Object} entry - Follow-up entry (entries that are not PENDING are returned unchanged)
+   * @returns {Promise<Object>} Updated entry
+   */
+  async function check(entry) {
+    if (entry.status !== FOLLOWUP_STATUSES.PENDING) {
+      return entry;
+    }
+
+    const accountId = entry.account.code || entry.account.id;
+    const checkedAt = new Date(now()).toISOString();
+    try {
+      const updated = entry.mode === FOLLOWUP_MODES.PENDING ? await checkPending(entry) : await checkLink(entry);
+      if (updated?.status === FOLLOWUP_STATUSES.FINALIZED) {
+        log(`✓ ${accountId} - FINALIZED (authenticated)`);
+        return { ...updated, checked_at: checkedAt, finalized_at: checkedAt };
+      }
+      if (updated?.status === FOLLOWUP_STATUSES.SKIPPED) {
+        return { ...updated, checked_at: checkedAt };
+      }
+      if (now() > new Date(entry.expires_at).getTime()) {
+        return { ...(await expire(updated || entry)), checked_at: checkedAt };
+      }
+      return { ...(updated || entry), checked_at: checkedAt };
+    } catch (error) {
+      log(`✗ ${accountId} - Check failed: ${error.message}`);
+      return { ...entry, checked_at: checkedAt, error: `Check failed: ${error.message}` };
+    }
+  }
+
+  return {
+    prepare,
+    check
+  };
+}
+
+module.exports = {
+  createFollowupExecutor,
+  buildHostedLink,
+  FOLLOWUP_MODES
+};
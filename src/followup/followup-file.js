@@ -0,0 +1,348 @@
+/**
+ * 3D Secure Follow-up File Module
+ * Gathers REQUIRES_3DS clients from rescue results and keeps track of their follow-up
+ *
+ * Features:
+ * - REQUIRES_3DS clients gathered from one or more results files; when an account appears in several
+ *   runs, the latest run wins (accounts rescued since then are left out)
+ * - Each entry keeps what is needed to finish the rescue later: plan, currency, quantity, unit amount,
+ *   add-ons, coupon and the 3DS action token of the decline
+ * - Follow-up file written by the prepare step and updated in place by each check
+ * - Mailing export (CSV or JSON) of the pending entries for the CRM: contact, payment link and deadline
+ * - The follow-up file keeps only account references; emails and names only go to the mailing export
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadResultsFile } = require('../output/results-writer');
+
+const FOLLOWUP_VERSION = '1.0.0';
+
+/**
+ * Follow-up entry statuses
+ */
+const FOLLOWUP_STATUSES = Object.freeze({
+  PENDING: 'PENDING',
+  FINALIZED: 'FINALIZED',
+  EXPIRED: 'EXPIRED',
+  SKIPPED: 'SKIPPED',
+  FAILED: 'FAILED'
+});
+
+const MAILING_FORMATS = ['csv', 'json'];
+
+const MAILING_COLUMNS = [
+  'account_code',
+  'account_id',
+  'email',
+  'first_name',
+  'last_name',
+  'currency',
+  'link',
+  'expires_at',
+  'three_d_secure_action_token_id'
+];
+
+/**
+ * Get the key identifying a client's account across results files
+ * @param {Object} client - Client entry from a results file
+ * @returns {string} Account code, or internal ID for older entries without a code
+ */
+function getAccountKey(client) {
+  return client.account?.code || client.account?.id || client.id;
+}
+
+/**
+ * Describe the subscription a REQUIRES_3DS client was meant to get
+ * @param {Object} client - Client entry from a results file
+ * @param {string} planCode - Rescue plan code of the project (used outside restore mode)
+ * @param {string|null} projectCurrency - Project currency (single-currency projects)
+ * @returns {Object} { plan_code, currency, quantity, unit_amount, add_ons, coupon_codes }
+ */
+function describeSubscription(client, planCode, projectCurrency) {
+  const restored = client.restore?.restored || null;
+  return {
+    plan_code: restored?.plan_code || planCode,
+    currency: client.currency?.code || restored?.currency || projectCurrency,
+    quantity: restored?.quantity || 1,
+    unit_amount: restored?.unit_amount ?? null,
+    add_ons: restored?.add_ons || [],
+    coupon_codes: client.coupon ? [client.coupon.code] : []
+  };
+}
+
+/**
+ * Gather the REQUIRES_3DS clients of several results files
+ * @param {Array<Object>} sources - [{ file, results }] loaded results files
+ * @param {Object} options - Options
+ * @param {string} options.planCode - Rescue plan code of the project
+ * @param {string|null} [options.projectCurrency=null] - Project currency
+ * @returns {Object} { entries, summary: { files, requires_3ds, rescued_since } }
+ */
+function gatherRequires3DS(sources, options) {
+  const { planCode, projectCurrency = null } = options;
+  const toTime = value => (value ? new Date(value).getTime() || 0 : 0);
+  const ordered = [...sources].sort((a, b) => toTime(a.results.execution?.timestamp) - toTime(b.results.execution?.timestamp));
+
+  // Latest run wins: a later FAILED, RESCUED or REQUIRES_3DS result replaces the earlier one
+  const latest = new Map();
+  const seen3DS = new Set();
+  for (const { file, results } of ordered) {
+    for (const client of results.clients) {
+      const key = getAccountKey(client);
+      latest.set(key, { file, results, client });
+      if (client.status === 'REQUIRES_3DS') {
+        seen3DS.add(key);
+      }
+    }
+  }
+
+  const entries = [];
+  let rescuedSince = 0;
+  for (const key of seen3DS) {
+    const { file, results, client } = latest.get(key);
+    if (client.status !== 'REQUIRES_3DS') {
+      if (client.status === 'RESCUED') {
+        rescuedSince++;
+      }
+      continue;
+    }
+    entries.push({
+      id: key,
+      account: client.account || { id: null, code: client.id },
+      results_file: path.basename(file),
+      rescued_at: results.execution?.timestamp || null,
+      three_d_secure_action_token_id: client.decline?.three_d_secure_action_token_id || null,
+      subscription: describeSubscription(client, planCode, projectCurrency),
+      status: FOLLOWUP_STATUSES.PENDING,
+      mode: null,
+      prepared_at: null,
+      expires_at: null,
+      subscription_id: null,
+      invoice_number: null,
+      checked_at: null,
+      finalized_at: null,
+      error: null
+    });
+  }
+
+  return {
+    entries,
+    summary: { files: sources.length, requires_3ds: entries.length, rescued_since: rescuedSince }
+  };
+}
+
+/**
+ * Load results files and gather their REQUIRES_3DS clients
+ * @param {string[]} files - Results file paths
+ * @param {Object} options - Options
+ * @param {string} options.project - Current project (every file must match)
+ * @param {string} options.environment - Current environment (every file must match)
+ * @param {string} options.planCode - Rescue plan code of the project
+ * @param {string|null} [options.projectCurrency=null] - Project currency
+ * @returns {Object} { entries, summary } (see gatherRequires3DS)
+ * @throws {Error} If a file is invalid or was written for another project or environment
+ */
+function loadRequires3DS(files, options) {
+  const sources = files.map(file => {
+    const results = loadResultsFile(file);
+    if (results.execution.environment !== options.environment) {
+      throw new Error(`Results file ${path.basename(file)} is for ${results.execution.environment}, not ${options.environment}`);
+    }
+    if (results.execution.project !== options.project) {
+      throw new Error(`Results file ${path.basename(file)} is for project '${results.execution.project}', not '${options.project}'`);
+    }
+    return { file, results };
+  });
+  return gatherRequires3DS(sources, options);
+}
+
+/**
+ * Build a follow-up file
+ * @param {Object} data - Follow-up data
+ * @param {string} data.project - Project identifier
+ * @param {string} data.environment - Environment
+ * @param {string} data.runId - Run ID (idempotency keys of the follow-up calls)
+ * @param {string} data.mode - 'link' or 'pending'
+ * @param {number} data.expireAfterDays - Days the customer has to authenticate
+ * @param {string[]} data.resultsFiles - Results files the entries come from
+ * @param {Array<Object>} data.entries - Prepared entries
+ * @returns {Object} Follow-up file content
+ */
+function buildFollowupFile(data) {
+  return {
+    version: FOLLOWUP_VERSION,
+    project: data.project,
+    environment: data.environment,
+    run_id: data.runId,
+    created_at: new Date().toISOString(),
+    checked_at: null,
+    mode: data.mode,
+    expire_after_days: data.expireAfterDays,
+    results_files: data.resultsFiles.map(file => path.basename(file)),
+    summary: summarizeEntries(data.entries),
+    entries: data.entries
+  };
+}
+
+/**
+ * Count follow-up entries per status
+ * @param {Array<Object>} entries - Follow-up entries
+ * @returns {Object} { total, PENDING, FINALIZED, EXPIRED, SKIPPED, FAILED }
+ */
+function summarizeEntries(entries) {
+  const summary = { total: entries.length };
+  for (const status of Object.values(FOLLOWUP_STATUSES)) {
+    summary[status] = entries.filter(entry => entry.status === status).length;
+  }
+  return summary;
+}
+
+/**
+ * Write a follow-up file
+ * @param {Object} followup - Follow-up file content
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.filePath] - Path to overwrite (check step); default: new file in outputDir
+ * @param {string} [options.outputDir='.'] - Output directory for a new file
+ * @returns {string} Path to the written file
+ * @throws {Error} If the directory is missing or the file cannot be written
+ */
+function writeFollowupFile(followup, options = {}) {
+  const { outputDir = '.' } = options;
+
+  let filePath = options.filePath;
+  if (!filePath) {
+    if (!fs.existsSync(outputDir)) {
+      throw new Error(`Output directory does not exist: ${outputDir}`);
+    }
+    const timestamp = followup.created_at.replace(/[:.]/g, '-').slice(0, 19);
+    filePath = path.join(outputDir, `followup-3ds-${followup.project}-${timestamp}.json`);
+  }
+
+  try {
+    fs.writeFileSync(filePath, JSON.stringify({ ...followup, summary: summarizeEntries(followup.entries) }, null, 2));
+  } catch (error) {
+    throw new Error(`Failed to write follow-up file: ${error.message}`);
+  }
+
+  return filePath;
+}
+
+/**
+ * Load and validate a follow-up file
+ * @param {string} filePath - Path to follow-up file
+ * @returns {Object} Follow-up file content
+ * @throws {Error} If the file is missing, unreadable or not a follow-up file
+ */
+function loadFollowupFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Follow-up file not found: ${filePath}`);
+  }
+
+  let followup;
+  try {
+    followup = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Follow-up file is corrupted (invalid JSON): ${error.message}`);
+  }
+
+  if (!followup.version) {
+    throw new Error('Follow-up file missing version field');
+  }
+  if (followup.version !== FOLLOWUP_VERSION) {
+    console.warn(`Warning: Follow-up file version ${followup.version} differs from current ${FOLLOWUP_VERSION}`);
+  }
+  if (!followup.project || !followup.environment || !followup.run_id) {
+    throw new Error('Follow-up file missing project, environment or run_id');
+  }
+  if (!Array.isArray(followup.entries)) {
+    throw new Error('Follow-up file missing or invalid entries array');
+  }
+
+  return followup;
+}
+
+/**
+ * Check that a follow-up file was written for the current project and environment
+ * @param {Object} followup - Loaded follow-up file
+ * @param {string} project - Current project
+ * @param {string} environment - Current environment
+ * @throws {Error} On mismatch
+ */
+function validateFollowupTarget(followup, project, environment) {
+  if (followup.environment !== environment) {
+    throw new Error(`Follow-up file is for ${followup.environment}, not ${environment}`);
+  }
+  if (followup.project !== project) {
+    throw new Error(`Follow-up file is for project '${followup.project}', not '${project}'`);
+  }
+}
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function toCsvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format mailing rows
+ * @param {Array<Object>} rows - Mailing rows (MAILING_COLUMNS)
+ * @param {string} format - 'csv' or 'json'
+ * @returns {string} File content
+ */
+function formatMailing(rows, format) {
+  if (format === 'json') {
+    return JSON.stringify(rows, null, 2);
+  }
+  const lines = [MAILING_COLUMNS.join(',')];
+  for (const row of rows) {
+    lines.push(MAILING_COLUMNS.map(column => toCsvField(row[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Write the mailing export for the CRM
+ * @param {Array<Object>} rows - Mailing rows (MAILING_COLUMNS)
+ * @param {Object} options - Options
+ * @param {string} options.project - Project identifier
+ * @param {string} [options.format='csv'] - 'csv' or 'json'
+ * @param {string} [options.outputDir='.'] - Output directory
+ * @returns {string} Path to the written file
+ * @throws {Error} If the format is unknown or the file cannot be written
+ */
+function writeMailingExport(rows, options) {
+  const { project, format = 'csv', outputDir = '.' } = options;
+  if (!MAILING_FORMATS.includes(format)) {
+    throw new Error(`Invalid mailing format '${format}' (use ${MAILING_FORMATS.join(' or ')})`);
+  }
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const filePath = path.join(outputDir, `followup-3ds-mailing-${project}-${timestamp}.${format}`);
+  try {
+    fs.writeFileSync(filePath, formatMailing(rows, format));
+  } catch (error) {
+    throw new Error(`Failed to write mailing export: ${error.message}`);
+  }
+  return filePath;
+}
+
+module.exports = {
+  gatherRequires3DS,
+  loadRequires3DS,
+  buildFollowupFile,
+  summarizeEntries,
+  writeFollowupFile,
+  loadFollowupFile,
+  validateFollowupTarget,
+  formatMailing,
+  writeMailingExport,
+  FOLLOWUP_STATUSES,
+  FOLLOWUP_VERSION,
+  MAILING_FORMATS,
+  MAILING_COLUMNS
+};
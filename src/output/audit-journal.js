@@ -0,0 +1,164 @@
+/**
+ * Audit Journal Module
+ * Append-only JSONL record of every mutating API call (POST/PUT/DELETE)
+ *
+ * Features:
+ * - One line per call: timestamp, method, path, redacted body, status code, request ID, resource IDs
+ * - Written as each call completes, so the journal survives a crash or Ctrl+C
+ * - File created on the first mutating call (dry-runs leave no empty journal)
+ * - Network failures recorded with a null status code and the error message
+ *
+ * NFR Compliance:
+ * - NFR-S4: Never writes API keys; PII fields are redacted
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { redactBody, redactPath } = require('../api/redaction');
+
+/**
+ * Fields that identify a Recurly resource in a response body
+ */
+const RESOURCE_ID_FIELDS = ['id', 'uuid', 'code', 'number'];
+
+/**
+ * Extract the IDs of the resources created or changed by a call
+ * @param {Object} body - Parsed response body
+ * @returns {Object} Resource IDs { object, id, uuid, code, number, account_code, transaction_id } (null fields omitted)
+ */
+function extractResourceIds(body) {
+  if (!body || typeof body !== 'object') {
+    return {};
+  }
+
+  const ids = {};
+  if (body.object) {
+    ids.object = body.object;
+  }
+  for (const field of RESOURCE_ID_FIELDS) {
+    if (body[field] !== undefined && body[field] !== null) {
+      ids[field] = body[field];
+    }
+  }
+  if (body.account?.code) {
+    ids.account_code = body.account.code;
+  }
+  // Invoice collections (collect, refunds) wrap the invoices
+  if (body.charge_invoice?.number) {
+    ids.charge_invoice_number = body.charge_invoice.number;
+  }
+  if (Array.isArray(body.credit_invoices) && body.credit_invoices.length > 0) {
+    ids.credit_invoice_numbers = body.credit_invoices.map(invoice => invoice.number);
+  }
+  // Declined charges still create a transaction
+  if (body.error?.transaction_error?.transaction_id) {
+    ids.transaction_id = body.error.transaction_error.transaction_id;
+  }
+  return ids;
+}
+
+/**
+ * Create audit journal instance
+ * @param {Object} options - Configuration options
+ * @param {string} options.mode - Execution mode (rescue/rollback/seed)
+ * @param {string} options.project - Project identifier
+ * @param {string} [options.outputDir='.'] - Directory for the journal file
+ * @param {string} [options.runId] - Run ID written on every line
+ * @param {Function} [options.now] - Clock (for testing)
+ * @returns {Object} Audit journal instance
+ * @throws {Error} If mode or project is missing
+ */
+function createAuditJournal(options) {
+  const {
+    mode,
+    project,
+    outputDir = '.',
+    runId = null,
+    now = () => new Date()
+  } = options;
+
+  if (!mode) {
+    throw new Error('Mode is required for audit journal');
+  }
+  if (!project) {
+    throw new Error('Project is required for audit journal');
+  }
+
+  const timestamp = now().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+  const filePath = path.join(outputDir, `audit-${mode}-${project}-${timestamp}.jsonl`);
+  let currentRunId = runId;
+  let count = 0;
+
+  /**
+   * Append one API call to the journal
+   * @param {Object} entry - Call details
+   * @param {string} entry.method - HTTP method
+   * @param {string} entry.path - API path
+   * @param {Object} [entry.requestBody] - Request body
+   * @param {number|null} entry.statusCode - Response status (null on network error)
+   * @param {string} [entry.requestId] - X-Request-Id response header
+   * @param {Object} [entry.responseBody] - Parsed response body
+   * @param {string} [entry.idempotencyKey] - Idempotency-Key sent with the call
+   * @param {Error} [entry.error] - Network error, when no response was received
+   */
+  function record(entry) {
+    const line = {
+      timestamp: now().toISOString(),
+      method: entry.method,
+      path: redactPath(entry.path),
+      body: entry.requestBody === undefined ? null : redactBody(entry.requestBody),
+      status_code: entry.statusCode ?? null,
+      request_id: entry.requestId || null,
+      resources: extractResourceIds(entry.responseBody)
+    };
+    if (currentRunId) {
+      line.run_id = currentRunId;
+    }
+    if (entry.idempotencyKey) {
+      line.idempotency_key = entry.idempotencyKey;
+    }
+    if (entry.error) {
+      line.error = entry.error.message;
+    }
+
+    fs.mkdirSync(outputDir, { recursive: true });
+    fs.appendFileSync(filePath, JSON.stringify(line) + '\n');
+    count++;
+  }
+
+  /**
+   * Set the run ID once it is known (rescue creates its client before loading state)
+   * @param {string} id - Run ID
+   */
+  function setRunId(id) {
+    currentRunId = id;
+  }
+
+  /**
+   * Get journal file path
+   * @returns {string}
+   */
+  function getFilePath() {
+    return filePath;
+  }
+
+  /**
+   * Get number of calls written
+   * @returns {number}
+   */
+  function getCount() {
+    return count;
+  }
+
+  return {
+    record,
+    setRunId,
+    getFilePath,
+    getCount
+  };
+}
+
+module.exports = {
+  createAuditJournal,
+  extractResourceIds
+};
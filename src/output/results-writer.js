@@ -7,6 +7,17 @@
  * - Summary statistics calculation
  * - Terminal statistics display
  * - Dry-run mode support (no file generation)
+ * - Idempotent replays reported per client and in the summary
+ * - Per-endpoint request metrics stored in the file and shown in the summary
+ * - Eligibility decisions (rule that accepted or rejected each queried account)
+ * - Scan summary: discovery strategy, records scanned, API calls and duration
+ * - Payment method verdict of skipped clients, counted per verdict in the summary
+ * - Risk pre-flight flags per client, HELD clients (left for review) and the risk check summary
+ * - Restore mode: original and restored subscription side by side per client, and the plan map summary
+ * - Subscription currency (and where it came from) per client, outcomes counted per currency
+ * - Billing schedule per client (trial end, start date, first bill date) for rollback and stats
+ * - Win-back coupon per client, coupons redeemed and discounted first-bill revenue in the summary
+ * - Runs stopped by a Recurly outage still write the clients processed so far (execution.stopped)
  */
 
 const fs = require('fs');
@@ -18,6 +29,11 @@ const path = require('path');
  */
 const RESULTS_VERSION = '1.0.0';
 
+/**
+ * Number of endpoints shown in the terminal summary (the file keeps all of them)
+ */
+const MAX_DISPLAYED_ENDPOINTS = 10;
+
 /**
  * Sanitize error message before storing in results file
  * Removes sensitive data like API keys, tokens, passwords
@@ -62,6 +78,7 @@ function sanitizeError(error) {
  * @param {string} [options.sourceFile] - Source file for rollback mode (for traceability)
  * @param {boolean} [options.dryRun=false] - Whether in dry-run mode
  * @param {string} [options.outputDir='.'] - Directory for output files
+ * @param {string} [options.runId] - Run ID (idempotency key seed) for traceability
  * @returns {Object} Results writer instance
  * @throws {Error} If project or environment is missing
  */
@@ -72,7 +89,8 @@ function createResultsWriter(options) {
     mode = 'rescue',
     sourceFile = null,
     dryRun = false,
-    outputDir = '.'
+    outputDir = '.',
+    runId = null
   } = options;
 
   if (!project) {
@@ -105,18 +123,37 @@ function createResultsWriter(options) {
     results.execution.source_file = path.basename(sourceFile);
   }
 
+  if (runId) {
+    results.execution.run_id = runId;
+  }
+
   /**
    * Add client result to output
    * @param {Object} clientData - Client processing data
    * @param {string} clientData.id - Client/account ID
-   * @param {string} clientData.status - 'RESCUED', 'FAILED', 'ROLLED_BACK', or 'SKIPPED'
+   * @param {Object} [clientData.account] - Account reference ({ id, code }) so later runs need not guess
+   * @param {string} clientData.status - 'RESCUED', 'FAILED', 'ROLLED_BACK', 'SKIPPED', 'HELD' or 'EXCLUDED'
    * @param {Object} [clientData.before] - State before processing
    * @param {Object} [clientData.after] - State after processing (null if failed)
    * @param {string} [clientData.error] - Error message if failed
-   * @param {string} [clientData.reason] - Reason for skipping (for SKIPPED status)
+   * @param {string} [clientData.reason] - Reason for skipping (for SKIPPED status) or excluding (EXCLUDED)
+   * @param {string} [clientData.source] - Exclusion list entry or custom field (for EXCLUDED status)
+   * @param {Object} [clientData.paymentMethod] - Payment method assessment ({ verdict, type, detail, backup })
+   * @param {Object} [clientData.risk] - Risk pre-flight assessment ({ action, flags })
+   * @param {Object} [clientData.restore] - Restore mode plan ({ original, restored, mapped, dropped_add_ons })
+   * @param {Object} [clientData.currency] - Subscription currency ({ code, source, verdict? }; verdict when skipped for it)
+   * @param {Object} [clientData.schedule] - Billing schedule ({ trial_days, starts_at, trial_ends_at, next_bill_date,
+   *   first_bill_at, aligned, previous_renewal, note })
+   * @param {Object} [clientData.coupon] - Win-back coupon ({ code, rule, discount, currency, list_price, discount_amount })
+   * @param {boolean} [clientData.idempotentReplay] - Recurly replayed an earlier request instead of re-executing it
+   * @param {Object} [clientData.decline] - Transaction error details for declined charges
+   * @param {string} [clientData.decline.code] - Decline code (e.g. 'insufficient_funds')
+   * @param {string} [clientData.decline.reason] - Merchant advice or gateway message
+   * @param {string} [clientData.decline.gatewayMessage] - Raw gateway message
+   * @param {string} [clientData.decline.threeDSecureActionTokenId] - 3DS action token (REQUIRES_3DS)
    */
   function addClientResult(clientData) {
-    const { id, status, before, after, error, reason } = clientData;
+    const { id, account, status, before, after, error, reason, source, decline, paymentMethod, risk, restore, currency, schedule, coupon, idempotentReplay = false } = clientData;
 
     // Validate required id parameter
     if (id === undefined || id === null || id === '') {
@@ -131,16 +168,86 @@ function createResultsWriter(options) {
       error: sanitizeError(error)
     };
 
-    // Include reason for SKIPPED clients (rollback mode)
-    if (status === 'SKIPPED' && reason) {
+    if (account) {
+      clientEntry.account = { id: account.id || null, code: account.code || null };
+    }
+
+    // Include reason for SKIPPED clients (rollback mode) and HELD clients
+    if ((status === 'SKIPPED' || status === 'HELD') && reason) {
       clientEntry.reason = reason;
     }
 
+    if (risk?.flags?.length > 0) {
+      clientEntry.risk = {
+        action: risk.action,
+        flags: risk.flags.map(flag => ({ check: flag.check, action: flag.action, detail: flag.detail }))
+      };
+    }
+
+    if (currency) {
+      clientEntry.currency = { code: currency.code || null, source: currency.source || null };
+    }
+
+    if (schedule) {
+      clientEntry.schedule = { ...schedule };
+    }
+
+    if (coupon) {
+      clientEntry.coupon = { ...coupon };
+    }
+
+    if (restore) {
+      clientEntry.restore = {
+        original: restore.original,
+        restored: restore.restored,
+        mapped: Boolean(restore.mapped),
+        dropped_add_ons: restore.dropped_add_ons || []
+      };
+    }
+
+    // Excluded clients are listed but never processed, so they stay out of the totals
+    if (status === 'EXCLUDED') {
+      clientEntry.exclusion = { source: source || null, reason: reason || null };
+      results.clients.push(clientEntry);
+      results.summary.excluded = (results.summary.excluded || 0) + 1;
+      return;
+    }
+
+    if (paymentMethod) {
+      clientEntry.payment_method = {
+        verdict: paymentMethod.verdict,
+        type: paymentMethod.type || null,
+        detail: paymentMethod.detail || null,
+        backup: Boolean(paymentMethod.backup)
+      };
+    }
+
+    if (decline?.code) {
+      clientEntry.decline = {
+        code: decline.code,
+        reason: decline.reason || null,
+        gateway_message: decline.gatewayMessage || null,
+        three_d_secure_action_token_id: decline.threeDSecureActionTokenId || null
+      };
+    }
+
     results.clients.push(clientEntry);
 
     // Update summary based on mode
     results.summary.total++;
 
+    if (currency?.code) {
+      const byCurrency = results.summary.by_currency || (results.summary.by_currency = {});
+      const counts = byCurrency[currency.code] || (byCurrency[currency.code] = {});
+      const outcome = status.toLowerCase();
+      counts[outcome] = (counts[outcome] || 0) + 1;
+    }
+
+    if (idempotentReplay) {
+      clientEntry.idempotent_replay = true;
+      results.summary.replayed = (results.summary.replayed || 0) + 1;
+    }
+
     if (isRollback) {
       // Rollback mode counters
       if (status === 'ROLLED_BACK') {
@@ -154,17 +261,122 @@ function createResultsWriter(options) {
       // Rescue mode counters
       if (status === 'RESCUED') {
         results.summary.rescued++;
+        if (coupon) {
+          addCouponRedemption(coupon);
+        }
       } else if (status === 'SKIPPED' || status === 'REQUIRES_3DS') {
         results.summary.skipped++;
+        // Skip counts per cause: risk check (RISK_<CHECK>), payment method or currency verdict
+        let skipReason = null;
+        if (status === 'SKIPPED' && risk?.action === 'skip') {
+          skipReason = `RISK_${risk.flags.find(flag => flag.action === 'skip').check.toUpperCase()}`;
+        } else if (status === 'SKIPPED' && paymentMethod) {
+          skipReason = paymentMethod.verdict;
+        } else if (status === 'SKIPPED' && currency?.verdict) {
+          skipReason = currency.verdict;
+        }
+        if (skipReason) {
+          const skipReasons = results.summary.skip_reasons || (results.summary.skip_reasons = {});
+          skipReasons[skipReason] = (skipReasons[skipReason] || 0) + 1;
+        }
+      } else if (status === 'HELD') {
+        results.summary.held = (results.summary.held || 0) + 1;
       } else if (status === 'FAILED') {
         results.summary.failed++;
       }
     }
   }
 
+  /**
+   * Count a redeemed coupon and its discounted first bill in the summary
+   * @param {Object} coupon - Coupon of a rescued client
+   */
+  function addCouponRedemption(coupon) {
+    const coupons = results.summary.coupons || (results.summary.coupons = { redeemed: 0, by_coupon: {}, discount: {}, revenue: {} });
+    const round = amount => Math.round(amount * 100) / 100;
+    coupons.redeemed++;
+    coupons.by_coupon[coupon.code] = (coupons.by_coupon[coupon.code] || 0) + 1;
+    if (coupon.list_price !== null && coupon.list_price !== undefined && coupon.discount_amount !== null) {
+      coupons.discount[coupon.currency] = round((coupons.discount[coupon.currency] || 0) + coupon.discount_amount);
+      coupons.revenue[coupon.currency] = round((coupons.revenue[coupon.currency] || 0) + coupon.list_price - coupon.discount_amount);
+    }
+  }
+
+  /**
+   * Store the candidate scan summary in the results
+   * @param {Object} scan - { strategy, concurrency, scanned, candidates, eligible, api_calls, duration_ms }
+   */
+  function setScanSummary(scan) {
+    results.scan = scan;
+  }
+
+  /**
+   * Store eligibility rules and decisions in the results
+   * @param {Object} eligibility - { rules_file, rules, evaluated, eligible, rejected_by_rule, decisions }
+   */
+  function setEligibility(eligibility) {
+    results.eligibility = eligibility;
+  }
+
+  /**
+   * Store the accounts file summary in the results (--accounts-file runs)
+   * @param {Object} accountsFile - { file, entries, resolved, eligible, unresolved, duplicates }
+   */
+  function setAccountsFile(accountsFile) {
+    results.accounts_file = accountsFile;
+  }
+
+  /**
+   * Store the risk pre-flight summary in the results
+   * @param {Object} risk - { policy_file, policy, checked, flagged, by_check, by_action }
+   */
+  function setRisk(risk) {
+    results.risk = risk;
+  }
+
+  /**
+   * Store the restore mode summary in the results (--restore runs)
+   * @param {Object} restore - { plan_map_file, plan_map, planned, mapped, failed, by_plan }
+   */
+  function setRestore(restore) {
+    results.restore = restore;
+  }
+
+  /**
+   * Store the billing schedule options and counts in the results
+   * @param {Object} schedule - { trial_days, starts_at, align_to_previous_renewal, scheduled, aligned, not_aligned }
+   */
+  function setSchedule(schedule) {
+    results.schedule = schedule;
+  }
+
+  /**
+   * Store the coupon rules and selection counts in the results
+   * @param {Object} coupons - { rules_file, rules, coupons, selected, unmatched, by_coupon, by_rule }
+   */
+  function setCoupons(coupons) {
+    results.coupons = coupons;
+  }
+
+  /**
+   * Mark the results as partial: the run stopped before every client was processed
+   * @param {Object} stopped - { reason, pending } (pending clients stay in the state file for --resume)
+   */
+  function setStopped(stopped) {
+    results.execution.stopped = stopped;
+  }
+
+  /**
+   * Store per-endpoint request metrics in the results
+   * @param {Array<Object>} endpoints - Metrics from client.getRequestMetrics()
+   */
+  function setRequestMetrics(endpoints) {
+    results.request_metrics = endpoints;
+  }
+
   /**
    * Finalize and write output file
-   * @returns {Object} Result with filePath and summary
+   * @returns {Object} Result with filePath, summary and requestMetrics
    * @throws {Error} If file write fails or directory does not exist
    */
   function finalize() {
@@ -173,6 +385,7 @@ function createResultsWriter(options) {
       return {
         filePath: null,
         summary: results.summary,
+        requestMetrics: results.request_metrics || null,
         skipped: true,
         reason: 'dry-run mode'
       };
@@ -199,6 +412,7 @@ function createResultsWriter(options) {
     return {
       filePath,
       summary: results.summary,
+      requestMetrics: results.request_metrics || null,
       skipped: false
     };
   }
@@ -221,6 +435,15 @@ function createResultsWriter(options) {
 
   return {
     addClientResult,
+    setEligibility,
+    setScanSummary,
+    setAccountsFile,
+    setRisk,
+    setRestore,
+    setSchedule,
+    setCoupons,
+    setRequestMetrics,
+    setStopped,
     finalize,
     getResults,
     getSummary
@@ -237,9 +460,10 @@ function createResultsWriter(options) {
  * @param {boolean} [isDryRun=false] - Whether this was a dry-run
  * @param {Object} [options={}] - Display options
  * @param {Function} [options.log=console.log] - Log function
+ * @param {Array<Object>} [options.requestMetrics] - Per-endpoint request metrics
  */
 function displayStatistics(summary, filePath = null, isDryRun = false, options = {}) {
-  const { log = console.log } = options;
+  const { log = console.log, requestMetrics = null } = options;
   const prefix = isDryRun ? '[DRY-RUN] ' : '';
 
   log('');
@@ -251,25 +475,53 @@ function displayStatistics(summary, filePath = null, isDryRun = false, options =
   if (isDryRun) {
     log(`Would rescue:            ${summary.rescued}`);
     if (summary.skipped > 0) {
-      log(`Would skip:              ${summary.skipped}`);
+      log(`Would skip:              ${summary.skipped}${formatSkipReasons(summary.skip_reasons)}`);
     }
     log(`Would fail:              ${summary.failed}`);
   } else {
     log(`Successful rescues:      ${summary.rescued}`);
     if (summary.skipped > 0) {
-      log(`Skipped:                 ${summary.skipped}`);
+      log(`Skipped:                 ${summary.skipped}${formatSkipReasons(summary.skip_reasons)}`);
     }
     log(`Failed rescues:          ${summary.failed}`);
   }
 
+  if (summary.held > 0) {
+    log(`Held for review:         ${summary.held} (risk pre-flight)`);
+  }
+
+  if (summary.excluded > 0) {
+    log(`Excluded:                ${summary.excluded} (exclusion lists, not processed)`);
+  }
+
+  if (summary.replayed > 0) {
+    log(`Idempotent replays:      ${summary.replayed} (already created by an earlier attempt, not re-executed)`);
+  }
+
+  if (summary.by_currency && Object.keys(summary.by_currency).length > 1) {
+    log(`By currency:             ${formatCurrencyBreakdown(summary.by_currency)}`);
+  }
+
+  if (summary.coupons?.redeemed > 0) {
+    log(`Coupons redeemed:        ${summary.coupons.redeemed}${formatSkipReasons(summary.coupons.by_coupon)}`);
+    const currencies = Object.keys(summary.coupons.revenue).sort();
+    if (currencies.length > 0) {
+      log(`Discounted revenue:      ${currencies.map(code => `${code} ${summary.coupons.revenue[code].toFixed(2)} (${summary.coupons.discount[code].toFixed(2)} off)`).join(', ')}`);
+    }
+  }
+
   if (summary.total > 0) {
-    const eligible = summary.total - (summary.skipped || 0);
+    const eligible = summary.total - (summary.skipped || 0) - (summary.held || 0);
     const successRate = eligible > 0 ? ((summary.rescued / eligible) * 100).toFixed(1) : '0.0';
     log(`Success rate:            ${successRate}%`);
   }
 
   log('─'.repeat(60));
 
+  if (requestMetrics && requestMetrics.length > 0) {
+    displayRequestMetrics(requestMetrics, log);
+  }
+
   if (filePath) {
     log(`Results file: ${filePath}`);
   } else if (isDryRun) {
@@ -279,6 +531,55 @@ function displayStatistics(summary, filePath = null, isDryRun = false, options =
   log('═'.repeat(60));
 }
 
+/**
+ * Format skip counts per payment method verdict
+ * @param {Object} [skipReasons] - Count per verdict, e.g. { EXPIRED_CARD: 3 }
+ * @returns {string} ' (EXPIRED_CARD 3, NO_METHOD 1)', or '' when there are none
+ */
+function formatSkipReasons(skipReasons) {
+  const entries = Object.entries(skipReasons || {}).sort((a, b) => b[1] - a[1]);
+  if (entries.length === 0) {
+    return '';
+  }
+  return ` (${entries.map(([verdict, count]) => `${verdict} ${count}`).join(', ')})`;
+}
+
+/**
+ * Format outcome counts per currency
+ * @param {Object} byCurrency - Outcome counts per currency, e.g. { USD: { rescued: 2, failed: 1 } }
+ * @returns {string} 'EUR 3 rescued, USD 2 rescued / 1 failed'
+ */
+function formatCurrencyBreakdown(byCurrency) {
+  return Object.keys(byCurrency).sort()
+    .map(code => `${code} ${Object.entries(byCurrency[code]).map(([outcome, count]) => `${count} ${outcome}`).join(' / ')}`)
+    .join(', ');
+}
+
+/**
+ * Display per-endpoint request metrics, slowest total time first
+ * @param {Array<Object>} endpoints - Metrics from client.getRequestMetrics()
+ * @param {Function} log - Log function
+ */
+function displayRequestMetrics(endpoints, log) {
+  log('API REQUESTS (by total time)');
+  log(`${'Endpoint'.padEnd(40)} ${'Calls'.padStart(6)} ${'Err'.padStart(5)} ${'Retry'.padStart(5)} ${'429'.padStart(4)} ${'p50 ms'.padStart(7)} ${'p95 ms'.padStart(7)}`);
+  for (const entry of endpoints.slice(0, MAX_DISPLAYED_ENDPOINTS)) {
+    log([
+      entry.endpoint.padEnd(40),
+      String(entry.calls).padStart(6),
+      String(entry.errors).padStart(5),
+      String(entry.retries).padStart(5),
+      String(entry.rate_limit_waits).padStart(4),
+      String(entry.p50_ms).padStart(7),
+      String(entry.p95_ms).padStart(7)
+    ].join(' '));
+  }
+  if (endpoints.length > MAX_DISPLAYED_ENDPOINTS) {
+    log(`... and ${endpoints.length - MAX_DISPLAYED_ENDPOINTS} more endpoint(s) in the results file`);
+  }
+  log('─'.repeat(60));
+}
+
 /**
  * Display final rollback statistics in terminal
  * @param {Object} summary - Rollback summary statistics
@@ -289,9 +590,10 @@ function displayStatistics(summary, filePath = null, isDryRun = false, options =
  * @param {string} [filePath] - Path to output file
  * @param {Object} [options={}] - Display options
  * @param {Function} [options.log=console.log] - Log function
+ * @param {Array<Object>} [options.requestMetrics] - Per-endpoint request metrics
  */
 function displayRollbackStatistics(summary, filePath = null, options = {}) {
-  const { log = console.log } = options;
+  const { log = console.log, requestMetrics = null } = options;
 
   log('');
   log('═'.repeat(60));
@@ -311,6 +613,10 @@ function displayRollbackStatistics(summary, filePath = null, options = {}) {
 
   log('─'.repeat(60));
 
+  if (requestMetrics && requestMetrics.length > 0) {
+    displayRequestMetrics(requestMetrics, log);
+  }
+
   if (filePath) {
     log(`Results file: ${filePath}`);
   }
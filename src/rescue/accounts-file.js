@@ -0,0 +1,116 @@
+/**
+ * Accounts File Module
+ * Explicit account lists (--accounts-file), e.g. customers who asked support to be restored
+ *
+ * Features:
+ * - Plain text (one value per line) or CSV (code, account_code, id, account_id, email or account column)
+ * - Values may be account codes, internal IDs or emails; plain text values are told apart by shape
+ * - Lookups go through the account resolver: email lookups must match exactly one account
+ *   (Recurly does not enforce unique emails), raw values matching two accounts are reported
+ * - Unresolved entries and duplicates are reported with their file:line source
+ * - Resolved accounts then go through the regular eligibility checks, exclusions, state and results
+ */
+
+const { readListFile } = require('../cli/list-file');
+const { createAccountResolver } = require('../api/account-resolver');
+const { mapWithConcurrency } = require('../api/concurrency');
+const { AccountResolutionError } = require('../api/errors');
+
+/**
+ * CSV columns and the kind of value they hold ('auto' is told apart by shape)
+ */
+const COLUMN_TYPES = Object.freeze({
+  account: 'auto',
+  code: 'code',
+  account_code: 'code',
+  id: 'id',
+  account_id: 'id',
+  email: 'email'
+});
+
+/**
+ * Load an accounts file
+ * @param {string} filePath - Path to a .csv or plain text file
+ * @returns {Array<Object>} [{ value, type, source }] (type: 'code', 'id', 'email' or 'auto')
+ * @throws {Error} If the file is missing, malformed or empty
+ */
+function loadAccountsFile(filePath) {
+  const entries = readListFile(filePath, { columns: Object.keys(COLUMN_TYPES), label: 'Accounts file' })
+    .map(entry => {
+      const type = entry.column ? COLUMN_TYPES[entry.column] : 'auto';
+      return {
+        value: entry.value,
+        type: type === 'auto' && entry.value.includes('@') ? 'email' : type,
+        source: entry.source
+      };
+    });
+
+  if (entries.length === 0) {
+    throw new Error(`Accounts file is empty: ${filePath}`);
+  }
+
+  return entries;
+}
+
+/**
+ * Look up the account of one entry
+ * @param {Object} resolver - Account resolver
+ * @param {Object} entry - Entry from loadAccountsFile
+ * @returns {Promise<Object>} { account } or { reason } when it cannot be resolved
+ */
+async function lookupEntry(resolver, entry) {
+  try {
+    const { account } = await resolver.resolve(entry.value, {
+      kind: entry.type === 'auto' ? undefined : entry.type
+    });
+    return { account };
+  } catch (error) {
+    if (error instanceof AccountResolutionError) {
+      return { reason: error.detail };
+    }
+    return { reason: `lookup failed: ${error.message}` };
+  }
+}
+
+/**
+ * Resolve accounts file entries to Recurly accounts
+ * @param {Object} client - Recurly client instance
+ * @param {Array<Object>} entries - Entries from loadAccountsFile
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.concurrency=1] - Lookups in parallel (results keep file order)
+ * @returns {Promise<Object>} { accounts, unresolved: [{ value, source, reason }], duplicates: [{ value, source, code }] }
+ */
+async function resolveAccountsFile(client, entries, options = {}) {
+  const { concurrency = 1 } = options;
+
+  const resolver = createAccountResolver(client);
+  const lookups = await mapWithConcurrency(entries, concurrency, entry => lookupEntry(resolver, entry));
+
+  const accounts = [];
+  const unresolved = [];
+  const duplicates = [];
+  const seen = new Set();
+
+  entries.forEach((entry, index) => {
+    const { account, reason } = lookups[index];
+    if (!account) {
+      unresolved.push({ value: entry.value, source: entry.source, reason });
+      return;
+    }
+    // The same customer may be listed by code and by email
+    if (seen.has(account.id)) {
+      duplicates.push({ value: entry.value, source: entry.source, code: account.code });
+      return;
+    }
+    seen.add(account.id);
+    accounts.push(account);
+  });
+
+  return { accounts, unresolved, duplicates };
+}
+
+module.exports = {
+  loadAccountsFile,
+  resolveAccountsFile,
+  COLUMN_TYPES
+};
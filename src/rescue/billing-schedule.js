@@ -0,0 +1,243 @@
+/**
+ * Billing Schedule Module
+ * Works out when each rescued subscription starts, ends its trial and is first billed
+ *
+ * Features:
+ * - Trial length in days (--trial-days=N, --no-trial for 0; default: 1 day)
+ * - Future start date (--starts-at=<date>): the subscription and its trial begin on that date
+ * - Alignment to the previous renewal (--align-to-previous-renewal): the customer is billed on the same
+ *   day of the cycle as their expired subscription, through trial_ends_at (with a trial) or next_bill_date (without)
+ * - Billing cycle read from the last period of the expired subscription (whole months, otherwise days)
+ * - One schedule per client for the results file, with the first bill date used by rollback and stats
+ * - Lookup errors fall back to an unaligned schedule (lookupFailed) instead of throwing, so the caller handles outages
+ */
+
+const { listAll } = require('../api/recurly-client');
+const { toAccountPathId } = require('../api/account-resolver');
+const { calculateTrialEndDate } = require('./subscription-manager');
+const { findPreviousSubscription } = require('./restore-plan');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse a date, returning null when it is missing or invalid
+ * @param {string|Date|null} value - ISO date string or Date
+ * @returns {Date|null} Date, or null
+ */
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Add whole billing cycles to a date
+ * Monthly cycles keep the day of the month, moved to the last day of shorter months (like Recurly)
+ * @param {Date} anchor - Date to start from
+ * @param {Object} cycle - { unit: 'months'|'days', length }
+ * @param {number} count - Number of cycles to add
+ * @returns {Date} New date
+ */
+function addCycles(anchor, cycle, count) {
+  if (cycle.unit === 'days') {
+    return new Date(anchor.getTime() + count * cycle.length * DAY_MS);
+  }
+
+  const date = new Date(anchor.getTime());
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + count * cycle.length);
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(anchor.getUTCDate(), lastDay));
+  return date;
+}
+
+/**
+ * Get the billing cycle of a subscription from its last period
+ * @param {Object} subscription - Recurly subscription (current_period_started_at, current_period_ends_at)
+ * @returns {Object|null} { unit: 'months'|'days', length }, or null when the period is unknown
+ */
+function getBillingCycle(subscription) {
+  const start = toDate(subscription?.current_period_started_at);
+  const end = toDate(subscription?.current_period_ends_at);
+  if (!start || !end || end <= start) {
+    return null;
+  }
+
+  const months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth();
+  if (months > 0 && addCycles(start, { unit: 'months', length: months }, 1).getTime() === end.getTime()) {
+    return { unit: 'months', length: months };
+  }
+
+  const days = Math.round((end - start) / DAY_MS);
+  return days > 0 ? { unit: 'days', length: days } : null;
+}
+
+/**
+ * Find the first renewal date of a subscription's cycle on or after a date
+ * Renewals are counted from the end of the subscription's last period
+ * @param {Object} subscription - Recurly subscription
+ * @param {Date} notBefore - Earliest acceptable date
+ * @param {boolean} [strict=false] - Require a date strictly after notBefore
+ * @returns {Date|null} Renewal date, or null when the subscription has no usable billing period
+ */
+function findNextRenewal(subscription, notBefore, strict = false) {
+  const cycle = getBillingCycle(subscription);
+  if (!cycle) {
+    return null;
+  }
+
+  const anchor = new Date(subscription.current_period_ends_at);
+  const isLate = date => (strict ? date > notBefore : date >= notBefore);
+  let count = 0;
+  if (cycle.unit === 'days') {
+    count = Math.max(0, Math.floor((notBefore - anchor) / (cycle.length * DAY_MS)));
+  }
+  let renewal = addCycles(anchor, cycle, count);
+  while (!isLate(renewal)) {
+    count++;
+    renewal = addCycles(anchor, cycle, count);
+  }
+  return renewal;
+}
+
+/**
+ * Build the billing schedule of a rescued subscription
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.trialDays=1] - Trial length in days (0 = charge on the start date)
+ * @param {Date|string|null} [options.startsAt=null] - Future start date (null = start now)
+ * @param {boolean} [options.align=false] - Align billing to the previous subscription's renewal day
+ * @param {Object|null} [options.previousSubscription=null] - Expired subscription to align to
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @returns {Object} { trial_days, starts_at, trial_ends_at, next_bill_date, first_bill_at, aligned,
+ *   previous_renewal, note } - dates are ISO strings, note explains why an aligned schedule could not be built
+ */
+function buildBillingSchedule(options = {}) {
+  const {
+    trialDays = 1,
+    startsAt = null,
+    align = false,
+    previousSubscription = null,
+    now = Date.now()
+  } = options;
+
+  const start = toDate(startsAt) || new Date(now);
+  const schedule = {
+    trial_days: trialDays,
+    starts_at: startsAt ? start.toISOString() : null,
+    trial_ends_at: calculateTrialEndDate(trialDays, start),
+    next_bill_date: null,
+    first_bill_at: null,
+    aligned: false,
+    previous_renewal: null,
+    note: null
+  };
+
+  if (align) {
+    if (!previousSubscription) {
+      schedule.note = 'No expired subscription to align to';
+    } else if (!getBillingCycle(previousSubscription)) {
+      schedule.note = 'Expired subscription has no billing period to align to';
+    } else {
+      schedule.previous_renewal = new Date(previousSubscription.current_period_ends_at).toISOString();
+      schedule.aligned = true;
+      if (trialDays > 0) {
+        // The trial runs until the first renewal day after the requested trial
+        schedule.trial_ends_at = findNextRenewal(previousSubscription, new Date(schedule.trial_ends_at)).toISOString();
+      } else {
+        // Charged on the start date, prorated until the renewal day
+        schedule.next_bill_date = findNextRenewal(previousSubscription, start, true).toISOString();
+      }
+    }
+  }
+
+  schedule.first_bill_at = schedule.trial_ends_at;
+  return schedule;
+}
+
+/**
+ * Get the first bill date recorded for a client, if it is still in the future
+ * @param {Object} clientEntry - Client entry from a results file
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {string|null} ISO date of the first bill, or null when already billed or unknown
+ */
+function getPendingFirstBill(clientEntry, now = Date.now()) {
+  const firstBillAt = toDate(clientEntry?.schedule?.first_bill_at);
+  return firstBillAt && firstBillAt.getTime() > now ? firstBillAt.toISOString() : null;
+}
+
+/**
+ * Create a billing scheduler for a run
+ * @param {Object} client - Recurly client instance
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.trialDays=1] - Trial length in days
+ * @param {Date|string|null} [options.startsAt=null] - Future start date
+ * @param {boolean} [options.align=false] - Align billing to the previous renewal (reads each account's subscriptions)
+ * @param {Function} [options.now] - Clock returning the current time in milliseconds
+ * @returns {Object} Scheduler { schedule, getSummary }
+ */
+function createBillingScheduler(client, options = {}) {
+  const { trialDays = 1, startsAt = null, align = false, now = () => Date.now() } = options;
+  const summary = { scheduled: 0, aligned: 0, not_aligned: 0 };
+
+  /**
+   * Record a schedule in the summary
+   * @param {Object} schedule - Schedule from buildBillingSchedule
+   * @returns {Object} The same schedule
+   */
+  function record(schedule) {
+    summary.scheduled++;
+    if (align) {
+      summary[schedule.aligned ? 'aligned' : 'not_aligned']++;
+    }
+    return schedule;
+  }
+
+  /**
+   * Build the billing schedule of an account
+   * @param {string|Object} account - Account code, or account reference ({ id, code })
+   * @returns {Promise<Object>} { schedule, lookupFailed }
+   */
+  async function schedule(account) {
+    const base = { trialDays, startsAt, now: now() };
+    if (!align) {
+      return { schedule: record(buildBillingSchedule(base)), lookupFailed: false };
+    }
+
+    let subscriptions;
+    try {
+      const pathId = encodeURIComponent(toAccountPathId(account));
+      subscriptions = await listAll(client, `/accounts/${pathId}/subscriptions`);
+    } catch (error) {
+      const fallback = buildBillingSchedule(base);
+      fallback.note = `Could not read subscriptions: ${error.message}`;
+      return { schedule: record(fallback), lookupFailed: true };
+    }
+
+    const previousSubscription = findPreviousSubscription(subscriptions);
+    return {
+      schedule: record(buildBillingSchedule({ ...base, align, previousSubscription })),
+      lookupFailed: false
+    };
+  }
+
+  /**
+   * Get schedule counts
+   * @returns {Object} { scheduled, aligned, not_aligned }
+   */
+  function getSummary() {
+    return { ...summary };
+  }
+
+  return {
+    schedule,
+    getSummary
+  };
+}
+
+module.exports = {
+  createBillingScheduler,
+  buildBillingSchedule,
+  getBillingCycle,
+  findNextRenewal,
+  getPendingFirstBill
+};
@@ -0,0 +1,347 @@
+/**
+ * Coupon Rules Module
+ * Chooses the win-back coupon attached to each rescued subscription
+ *
+ * Features:
+ * - Ordered rules loaded from a YAML file (--coupons=<file>): the first rule whose conditions all match gives the coupon
+ * - Conditions: min_tenure_days (account creation to expiry of the last subscription), currencies, plan_codes
+ *   (plan of the expired subscription); conditions left out always match
+ * - A rule gives one coupon, or one coupon per subscription currency (coupons: { USD: code, GBP: code })
+ * - Fixed-amount coupons only match currencies they have an amount for
+ * - Discount of each coupon (percent, fixed per currency, free trial) and the discount on the first bill
+ * - Subscriptions are only fetched when a rule needs them; lookup errors are reported (lookupFailed), not thrown
+ * - Accounts without created_at (--from-scan, --resume) are fetched for their tenure instead of failing min_tenure_days
+ *
+ * Rules file (a list, checked in order):
+ *   - name: loyal
+ *     coupon: winback-50-off
+ *     min_tenure_days: 365
+ *   - name: per-currency
+ *     coupons: { USD: winback-usd-10, GBP: winback-gbp-8 }
+ *   - name: default
+ *     coupon: first-cycle-free
+ */
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { listAll } = require('../api/recurly-client');
+const { toAccountPathId } = require('../api/account-resolver');
+const { findPreviousSubscription } = require('./restore-plan');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RULE_OPTIONS = ['name', 'coupon', 'coupons', 'min_tenure_days', 'currencies', 'plan_codes'];
+
+/**
+ * Check that a value is a non-empty string
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a non-empty string
+ */
+function isCode(value) {
+  return typeof value === 'string' && value.trim() !== '';
+}
+
+/**
+ * Validate a list of codes in a rule
+ * @param {*} value - Value from the rules file
+ * @param {string} option - Option name (for the error message)
+ * @param {string} label - Rule label (for the error message)
+ * @returns {string[]} Trimmed codes
+ * @throws {Error} If the value is not a list of codes
+ */
+function normalizeCodeList(value, option, label) {
+  if (value === undefined || value === null) {
+    return [];
+  }
+  if (!Array.isArray(value) || !value.every(isCode)) {
+    throw new Error(`Invalid ${option} for coupon rule ${label}: expected a list of codes`);
+  }
+  return value.map(code => code.trim());
+}
+
+/**
+ * Validate and normalize coupon rules
+ * @param {Array<Object>} [rules=[]] - Rules (e.g. parsed from YAML)
+ * @returns {Array<Object>} Normalized rules: [{ name, coupon, coupons, min_tenure_days, currencies, plan_codes }]
+ * @throws {Error} If a rule or option is invalid
+ */
+function normalizeCouponRules(rules = []) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Coupon rules must be a list of rules');
+  }
+
+  return rules.map((rule, index) => {
+    const label = isCode(rule?.name) ? `'${rule.name}'` : `#${index + 1}`;
+    if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) {
+      throw new Error(`Invalid coupon rule ${label}: expected a mapping`);
+    }
+    for (const option of Object.keys(rule)) {
+      if (!RULE_OPTIONS.includes(option)) {
+        throw new Error(`Unknown option '${option}' for coupon rule ${label} (use ${RULE_OPTIONS.join(', ')})`);
+      }
+    }
+
+    if ((rule.coupon === undefined) === (rule.coupons === undefined)) {
+      throw new Error(`Coupon rule ${label} needs either coupon or coupons`);
+    }
+    if (rule.coupon !== undefined && !isCode(rule.coupon)) {
+      throw new Error(`Invalid coupon for coupon rule ${label}: expected a coupon code`);
+    }
+    let coupons = null;
+    if (rule.coupons !== undefined) {
+      if (rule.coupons === null || typeof rule.coupons !== 'object' || Array.isArray(rule.coupons) ||
+          Object.keys(rule.coupons).length === 0 || !Object.values(rule.coupons).every(isCode)) {
+        throw new Error(`Invalid coupons for coupon rule ${label}: expected a mapping of currencies to coupon codes`);
+      }
+      coupons = Object.fromEntries(Object.entries(rule.coupons).map(([currency, code]) => [currency.toUpperCase(), code.trim()]));
+    }
+
+    const minTenure = rule.min_tenure_days ?? null;
+    if (minTenure !== null && (typeof minTenure !== 'number' || !Number.isFinite(minTenure) || minTenure < 0)) {
+      throw new Error(`Invalid min_tenure_days for coupon rule ${label}: expected a non-negative number`);
+    }
+
+    return {
+      name: isCode(rule.name) ? rule.name.trim() : `rule-${index + 1}`,
+      coupon: coupons ? null : rule.coupon.trim(),
+      coupons,
+      min_tenure_days: minTenure,
+      currencies: normalizeCodeList(rule.currencies, 'currencies', label).map(currency => currency.toUpperCase()),
+      plan_codes: normalizeCodeList(rule.plan_codes, 'plan_codes', label)
+    };
+  });
+}
+
+/**
+ * Load coupon rules from a YAML file
+ * @param {string|null} filePath - Path to coupon rules file (null for no coupons)
+ * @returns {Array<Object>} Normalized rules
+ * @throws {Error} If the file cannot be read or contains invalid rules
+ */
+function loadCouponRules(filePath) {
+  if (!filePath) {
+    return normalizeCouponRules();
+  }
+
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    return normalizeCouponRules(yaml.load(content) || []);
+  } catch (error) {
+    throw new Error(`Invalid coupon rules file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * List the coupons the rules can give, with the currencies each must be redeemable in
+ * @param {Array<Object>} rules - Normalized rules
+ * @param {string[]} [defaultCurrencies=[]] - Currencies of rules without a currency condition (single-currency projects)
+ * @returns {Object} { [couponCode]: currencies[] } - an empty list means any currency
+ */
+function getRuleCoupons(rules, defaultCurrencies = []) {
+  const requirements = {};
+  const add = (code, currencies) => {
+    requirements[code] = [...new Set([...(requirements[code] || []), ...currencies])];
+  };
+
+  for (const rule of rules) {
+    if (rule.coupons) {
+      for (const [currency, code] of Object.entries(rule.coupons)) {
+        add(code, [currency]);
+      }
+    } else {
+      add(rule.coupon, rule.currencies.length > 0 ? rule.currencies : defaultCurrencies);
+    }
+  }
+  return requirements;
+}
+
+/**
+ * Describe the discount of a Recurly coupon
+ * @param {Object} coupon - Recurly coupon
+ * @returns {Object} { type: 'percent'|'fixed'|'free_trial', percent?, amounts?, trial? }
+ */
+function describeDiscount(coupon) {
+  const discount = coupon?.discount || {};
+  if (discount.type === 'fixed') {
+    return {
+      type: 'fixed',
+      amounts: Object.fromEntries((discount.currencies || []).map(pricing => [String(pricing.currency).toUpperCase(), pricing.amount]))
+    };
+  }
+  if (discount.type === 'free_trial') {
+    return { type: 'free_trial', trial: discount.trial || null };
+  }
+  return { type: 'percent', percent: discount.percent ?? 0 };
+}
+
+/**
+ * Format a discount for the terminal
+ * @param {Object} discount - Discount from describeDiscount
+ * @returns {string} e.g. '50% off', 'USD 10 / GBP 8 off', 'free trial (1 month)'
+ */
+function formatDiscount(discount) {
+  if (discount.type === 'fixed') {
+    return `${Object.entries(discount.amounts).map(([currency, amount]) => `${currency} ${amount}`).join(' / ')} off`;
+  }
+  if (discount.type === 'free_trial') {
+    return discount.trial ? `free trial (${discount.trial.length} ${discount.trial.unit})` : 'free trial';
+  }
+  return `${discount.percent}% off`;
+}
+
+/**
+ * Estimate the discount on the first bill
+ * @param {Object} discount - Discount from describeDiscount
+ * @param {number|null} listPrice - Price of the first bill before the discount
+ * @param {string} currency - Subscription currency
+ * @returns {number|null} Discount amount, or null when the list price is unknown
+ */
+function estimateDiscount(discount, listPrice, currency) {
+  if (listPrice === null || listPrice === undefined) {
+    return null;
+  }
+  let amount;
+  if (discount.type === 'fixed') {
+    amount = Math.min(listPrice, discount.amounts[currency] ?? 0);
+  } else if (discount.type === 'free_trial') {
+    amount = listPrice;
+  } else {
+    amount = listPrice * discount.percent / 100;
+  }
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Create a coupon selector for a run
+ * @param {Object} client - Recurly client instance
+ * @param {Array<Object>} [rules=[]] - Normalized rules
+ * @param {Object} [options={}] - Options
+ * @param {Object} [options.coupons={}] - Verified coupons by code (from verifyCoupons)
+ * @returns {Object} Selector { select, getSummary, hasRules }
+ */
+function createCouponSelector(client, rules = [], options = {}) {
+  const { coupons = {} } = options;
+  const needsHistory = rules.some(rule => rule.min_tenure_days !== null || rule.plan_codes.length > 0);
+  const needsTenure = rules.some(rule => rule.min_tenure_days !== null);
+  const summary = { selected: 0, unmatched: 0, by_coupon: {}, by_rule: {} };
+
+  /**
+   * Pick the coupon code a rule gives in a currency
+   * @param {Object} rule - Normalized rule
+   * @param {Object} context - { currency, tenureDays, planCode }
+   * @returns {string|null} Coupon code, or null when the rule does not match
+   */
+  function matchRule(rule, context) {
+    const code = rule.coupons ? rule.coupons[context.currency] : rule.coupon;
+    if (!code) return null;
+    if (rule.currencies.length > 0 && !rule.currencies.includes(context.currency)) return null;
+    if (rule.plan_codes.length > 0 && !rule.plan_codes.includes(context.planCode)) return null;
+    if (rule.min_tenure_days !== null && !(context.tenureDays >= rule.min_tenure_days)) return null;
+
+    const discount = describeDiscount(coupons[code]);
+    if (discount.type === 'fixed' && discount.amounts[context.currency] === undefined) return null;
+    return code;
+  }
+
+  /**
+   * Choose the coupon of an account
+   * @param {Object} account - Account, or account reference ({ id, code, created_at })
+   * @param {Object} subscription - Subscription to create
+   * @param {string} subscription.currency - Subscription currency
+   * @param {number|null} [subscription.listPrice] - Price of the first bill before the discount
+   * @returns {Promise<Object>} { coupon, error, lookupFailed } - coupon is
+   *   { code, rule, discount, currency, list_price, discount_amount }, or null when no rule matches
+   */
+  async function select(account, subscription) {
+    const currency = subscription.currency.toUpperCase();
+    if (rules.length === 0) {
+      return { coupon: null, error: null, lookupFailed: false };
+    }
+
+    const context = { currency, tenureDays: null, planCode: null };
+    if (needsHistory) {
+      let previous;
+      const pathId = encodeURIComponent(toAccountPathId(account));
+      try {
+        previous = findPreviousSubscription(await listAll(client, `/accounts/${pathId}/subscriptions`));
+      } catch (error) {
+        return { coupon: null, error: `Could not read subscriptions: ${error.message}`, lookupFailed: true };
+      }
+      let accountCreatedAt = account.created_at;
+      if (needsTenure && !accountCreatedAt) {
+        // References from a scan snapshot or a state file may not carry the creation date
+        try {
+          accountCreatedAt = (await client.request('GET', `/accounts/${pathId}`)).data.created_at;
+        } catch (error) {
+          return { coupon: null, error: `Could not read account: ${error.message}`, lookupFailed: true };
+        }
+        if (!accountCreatedAt) {
+          return { coupon: null, error: 'Could not read account: missing created_at', lookupFailed: true };
+        }
+      }
+      const createdAt = accountCreatedAt ? new Date(accountCreatedAt).getTime() : NaN;
+      const expiredAt = previous?.expires_at || previous?.expired_at;
+      const endedAt = expiredAt ? new Date(expiredAt).getTime() : NaN;
+      context.tenureDays = isNaN(createdAt) || isNaN(endedAt) ? null : Math.floor((endedAt - createdAt) / DAY_MS);
+      context.planCode = previous ? (previous.plan?.code || previous.plan_code || null) : null;
+    }
+
+    for (const rule of rules) {
+      const code = matchRule(rule, context);
+      if (!code) continue;
+
+      const discount = describeDiscount(coupons[code]);
+      const listPrice = subscription.listPrice ?? null;
+      summary.selected++;
+      summary.by_coupon[code] = (summary.by_coupon[code] || 0) + 1;
+      summary.by_rule[rule.name] = (summary.by_rule[rule.name] || 0) + 1;
+      return {
+        coupon: {
+          code,
+          rule: rule.name,
+          discount,
+          currency,
+          list_price: listPrice,
+          discount_amount: estimateDiscount(discount, listPrice, currency)
+        },
+        error: null,
+        lookupFailed: false
+      };
+    }
+
+    summary.unmatched++;
+    return { coupon: null, error: null, lookupFailed: false };
+  }
+
+  /**
+   * Get selection counts
+   * @returns {Object} { selected, unmatched, by_coupon, by_rule }
+   */
+  function getSummary() {
+    return { ...summary, by_coupon: { ...summary.by_coupon }, by_rule: { ...summary.by_rule } };
+  }
+
+  /**
+   * Check whether any coupon rule is configured
+   * @returns {boolean} True when rules were loaded
+   */
+  function hasRules() {
+    return rules.length > 0;
+  }
+
+  return {
+    select,
+    getSummary,
+    hasRules
+  };
+}
+
+module.exports = {
+  createCouponSelector,
+  loadCouponRules,
+  normalizeCouponRules,
+  getRuleCoupons,
+  describeDiscount,
+  formatDiscount,
+  estimateDiscount
+};
@@ -0,0 +1,220 @@
+/**
+ * Currency Detection Module
+ * Picks the subscription currency of each account in multi-currency projects
+ *
+ * Features:
+ * - Sources, in order: last subscription, latest invoice, billing country (billing info address, then account address)
+ * - The detected currency must be in SUPPORTED_CURRENCIES and priced on the rescue plan
+ * - Typed verdicts: SUPPORTED, UNSUPPORTED_CURRENCY, NO_CURRENCY, UNKNOWN (history could not be read)
+ * - Later sources are only fetched when the earlier ones give no currency
+ * - Lookup errors give an UNKNOWN verdict instead of throwing, so the caller handles outages
+ */
+
+const { listAll } = require('../api/recurly-client');
+const { isNotFoundError } = require('../api/errors');
+const { toAccountPathId } = require('../api/account-resolver');
+const { SUPPORTED_CURRENCIES } = require('./plan-manager');
+
+/**
+ * Currency verdicts
+ */
+const CURRENCY_VERDICTS = Object.freeze({
+  SUPPORTED: 'SUPPORTED',
+  UNSUPPORTED_CURRENCY: 'UNSUPPORTED_CURRENCY',
+  NO_CURRENCY: 'NO_CURRENCY',
+  UNKNOWN: 'UNKNOWN'
+});
+
+const EURO_COUNTRIES = [
+  'AT', 'BE', 'CY', 'DE', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PT', 'SI', 'SK',
+  // Countries using the euro outside the euro area
+  'AD', 'MC', 'SM', 'VA'
+];
+
+/**
+ * Currency of each billing country (ISO 3166-1 alpha-2), for the currencies the rescue plan can carry
+ */
+const COUNTRY_CURRENCIES = Object.freeze({
+  ...Object.fromEntries(EURO_COUNTRIES.map(country => [country, 'EUR'])),
+  US: 'USD',
+  GB: 'GBP',
+  IM: 'GBP',
+  JE: 'GBP',
+  GG: 'GBP',
+  CH: 'CHF',
+  LI: 'CHF',
+  CA: 'CAD'
+});
+
+/**
+ * Pick the most recent record that carries a currency
+ * @param {Array<Object>} records - Subscriptions or invoices
+ * @returns {Object|null} Record, or null if none has a currency
+ */
+function latestWithCurrency(records) {
+  const toTime = value => (value ? new Date(value).getTime() || 0 : 0);
+  return [...(records || [])]
+    .filter(record => record.currency)
+    .sort((a, b) => toTime(b.created_at) - toTime(a.created_at))[0] || null;
+}
+
+/**
+ * Get the currencies a rescue plan can be charged in
+ * @param {Object|null} plan - Rescue plan (its currencies list, when known, narrows SUPPORTED_CURRENCIES)
+ * @returns {string[]} Currency codes
+ */
+function getPlanCurrencies(plan) {
+  const priced = (plan?.currencies || []).map(pricing => String(pricing.currency).toUpperCase());
+  return priced.length > 0 ? SUPPORTED_CURRENCIES.filter(currency => priced.includes(currency)) : [...SUPPORTED_CURRENCIES];
+}
+
+/**
+ * Check a detected currency against the supported and plan currencies
+ * @param {Object} detection - { currency, source, detail }
+ * @param {Object|null} plan - Rescue plan
+ * @returns {Object} { currency, source, verdict, detail }
+ */
+function checkCurrency(detection, plan) {
+  const { currency, source, detail } = detection;
+  if (!SUPPORTED_CURRENCIES.includes(currency)) {
+    return {
+      currency,
+      source,
+      verdict: CURRENCY_VERDICTS.UNSUPPORTED_CURRENCY,
+      detail: `${detail} is not a supported currency (${SUPPORTED_CURRENCIES.join(', ')})`
+    };
+  }
+
+  const planCurrencies = getPlanCurrencies(plan);
+  if (!planCurrencies.includes(currency)) {
+    return {
+      currency,
+      source,
+      verdict: CURRENCY_VERDICTS.UNSUPPORTED_CURRENCY,
+      detail: `${detail} is not priced on plan ${plan.code} (${planCurrencies.join(', ')})`
+    };
+  }
+
+  return { currency, source, verdict: CURRENCY_VERDICTS.SUPPORTED, detail };
+}
+
+/**
+ * Detect an account's currency from its history, without checking it
+ * @param {Object} client - Recurly client instance
+ * @param {Object} account - Account (address used as the last resort)
+ * @returns {Promise<Object|null>} { currency, source, detail }, or null when no source gives one
+ * @throws {Error} If a lookup fails
+ */
+async function detectCurrency(client, account) {
+  const pathId = encodeURIComponent(toAccountPathId(account));
+
+  const subscription = latestWithCurrency(await listAll(client, `/accounts/${pathId}/subscriptions`));
+  if (subscription) {
+    const currency = subscription.currency.toUpperCase();
+    return { currency, source: 'subscription', detail: `${currency} (last subscription)` };
+  }
+
+  const invoice = latestWithCurrency(await listAll(client, `/accounts/${pathId}/invoices`));
+  if (invoice) {
+    const currency = invoice.currency.toUpperCase();
+    return { currency, source: 'invoice', detail: `${currency} (invoice${invoice.number ? ` #${invoice.number}` : ''})` };
+  }
+
+  let billingInfo = null;
+  try {
+    billingInfo = (await client.request('GET', `/accounts/${pathId}/billing_info`)).data;
+  } catch (error) {
+    if (!isNotFoundError(error)) throw error;
+  }
+  const country = (billingInfo?.address?.country || account.address?.country || '').toUpperCase();
+  if (country && COUNTRY_CURRENCIES[country]) {
+    const currency = COUNTRY_CURRENCIES[country];
+    return { currency, source: 'billing_country', detail: `${currency} (billing country ${country})` };
+  }
+  if (country) {
+    return { currency: null, source: 'billing_country', detail: `No currency found: no subscription or invoice, and billing country ${country} has no supported currency` };
+  }
+  return null;
+}
+
+/**
+ * Create a currency detector for a multi-currency rescue plan
+ * @param {Object} client - Recurly client instance
+ * @param {Object} [options={}] - Options
+ * @param {Object} [options.plan] - Rescue plan ({ code, currencies }), to check the currency is priced on it
+ * @returns {Object} Detector { detect, getSummary }
+ */
+function createCurrencyDetector(client, options = {}) {
+  const { plan = null } = options;
+  const summary = { detected: 0, by_source: {}, by_verdict: {} };
+
+  /**
+   * Record a verdict in the summary
+   * @param {Object} result - Detection result
+   * @returns {Object} The same result
+   */
+  function record(result) {
+    summary.detected++;
+    summary.by_verdict[result.verdict] = (summary.by_verdict[result.verdict] || 0) + 1;
+    if (result.source) {
+      summary.by_source[result.source] = (summary.by_source[result.source] || 0) + 1;
+    }
+    return result;
+  }
+
+  /**
+   * Detect and check the currency of an account
+   * @param {Object} account - Account, or account reference ({ id, code, address })
+   * @returns {Promise<Object>} { currency, source, verdict, detail, supported, lookupFailed }
+   */
+  async function detect(account) {
+    let detection;
+    try {
+      detection = await detectCurrency(client, account);
+    } catch (error) {
+      return record({
+        currency: null,
+        source: null,
+        verdict: CURRENCY_VERDICTS.UNKNOWN,
+        detail: `Could not detect currency: ${error.message}`,
+        supported: false,
+        lookupFailed: true
+      });
+    }
+
+    if (!detection || !detection.currency) {
+      return record({
+        currency: null,
+        source: detection?.source || null,
+        verdict: CURRENCY_VERDICTS.NO_CURRENCY,
+        detail: detection?.detail || 'No currency found: no subscription, invoice or billing country',
+        supported: false,
+        lookupFailed: false
+      });
+    }
+
+    const checked = checkCurrency(detection, plan);
+    return record({ ...checked, supported: checked.verdict === CURRENCY_VERDICTS.SUPPORTED, lookupFailed: false });
+  }
+
+  /**
+   * Get detection counts
+   * @returns {Object} { detected, by_source, by_verdict }
+   */
+  function getSummary() {
+    return { ...summary, by_source: { ...summary.by_source }, by_verdict: { ...summary.by_verdict } };
+  }
+
+  return {
+    detect,
+    getSummary
+  };
+}
+
+module.exports = {
+  createCurrencyDetector,
+  checkCurrency,
+  getPlanCurrencies,
+  CURRENCY_VERDICTS,
+  COUNTRY_CURRENCIES
+};
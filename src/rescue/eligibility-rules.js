@@ -0,0 +1,344 @@
+/**
+ * Eligibility Rules Module
+ * Declarative rules deciding which accounts are rescued
+ *
+ * Features:
+ * - Rules loaded from a YAML file (--rules=<file>); omitted keys keep the built-in defaults
+ * - Defaults reproduce the original selection: account closed/inactive/active, last subscription
+ *   expired for nonpayment
+ * - Account rules (state, country) run before subscriptions are fetched
+ * - Subscription rules that need no account details can pre-screen a listed subscription
+ * - Subscription rules look at the most recent subscription only
+ * - Every decision records the rule that rejected the account, or the rules that accepted it
+ *
+ * Rules file keys (lists are case-insensitive; an empty list or null disables the rule):
+ *   account_states:        [closed, inactive, active]
+ *   countries:             []              # account address country (ISO code)
+ *   subscription_states:   [expired]       # state of the most recent subscription
+ *   expiration_reasons:    [nonpayment]
+ *   plan_codes:            []              # plan of the most recent subscription
+ *   min_tenure_days:       null            # account creation to subscription expiry
+ *   max_days_since_expiry: null
+ */
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Built-in rules, used for every key the rules file does not set
+ */
+const DEFAULT_RULES = Object.freeze({
+  account_states: ['closed', 'inactive', 'active'],
+  countries: [],
+  subscription_states: ['expired'],
+  expiration_reasons: ['nonpayment'],
+  plan_codes: [],
+  min_tenure_days: null,
+  max_days_since_expiry: null
+});
+
+const LIST_RULES = ['account_states', 'countries', 'subscription_states', 'expiration_reasons', 'plan_codes'];
+const DAY_RULES = ['min_tenure_days', 'max_days_since_expiry'];
+
+/**
+ * Parse a date field into milliseconds
+ * @param {string} value - ISO date string
+ * @returns {number|null} Milliseconds since epoch, or null if missing/invalid
+ */
+function toTime(value) {
+  const time = value ? new Date(value).getTime() : NaN;
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Get the expiry time of a subscription
+ * @param {Object} subscription - Recurly subscription
+ * @returns {number|null} Milliseconds since epoch
+ */
+function expiryTime(subscription) {
+  return toTime(subscription.expires_at || subscription.expired_at);
+}
+
+/**
+ * Ordered rule checks. Each returns null when the account passes, or the rejection reason.
+ * Account rules only need the account; subscription rules receive the most recent subscription
+ * (needsAccount marks the ones that also read account fields).
+ */
+const RULE_CHECKS = [
+  {
+    name: 'account_states',
+    scope: 'account',
+    check: (allowed, { account }) => (allowed.includes(String(account.state).toLowerCase())
+      ? null
+      : `account state '${account.state}' not in [${allowed.join(', ')}]`)
+  },
+  {
+    name: 'countries',
+    scope: 'account',
+    check: (allowed, { account }) => {
+      const country = account.address?.country;
+      return country && allowed.includes(String(country).toUpperCase())
+        ? null
+        : `country '${country || 'unknown'}' not in [${allowed.join(', ')}]`;
+    }
+  },
+  {
+    name: 'subscription_states',
+    scope: 'subscription',
+    check: (allowed, { subscription }) => {
+      if (!subscription) return 'account has no subscriptions';
+      return allowed.includes(String(subscription.state).toLowerCase())
+        ? null
+        : `last subscription state '${subscription.state}' not in [${allowed.join(', ')}]`;
+    }
+  },
+  {
+    name: 'expiration_reasons',
+    scope: 'subscription',
+    check: (allowed, { subscription }) => {
+      if (!subscription) return 'account has no subscriptions';
+      return allowed.includes(String(subscription.expiration_reason).toLowerCase())
+        ? null
+        : `expiration reason '${subscription.expiration_reason}' not in [${allowed.join(', ')}]`;
+    }
+  },
+  {
+    name: 'plan_codes',
+    scope: 'subscription',
+    check: (allowed, { subscription }) => {
+      const planCode = subscription?.plan?.code;
+      return planCode && allowed.includes(String(planCode).toLowerCase())
+        ? null
+        : `plan '${planCode || 'unknown'}' not in [${allowed.join(', ')}]`;
+    }
+  },
+  {
+    name: 'min_tenure_days',
+    scope: 'subscription',
+    needsAccount: true,
+    check: (minDays, { account, subscription, now }) => {
+      const createdAt = toTime(account.created_at);
+      if (createdAt === null) return 'account creation date unknown';
+      const endAt = (subscription && expiryTime(subscription)) || now;
+      const tenureDays = Math.floor((endAt - createdAt) / DAY_MS);
+      return tenureDays >= minDays ? null : `tenure ${tenureDays} days < ${minDays}`;
+    }
+  },
+  {
+    name: 'max_days_since_expiry',
+    scope: 'subscription',
+    check: (maxDays, { subscription, now }) => {
+      const expiredAt = subscription ? expiryTime(subscription) : null;
+      if (expiredAt === null) return 'subscription expiry date unknown';
+      const daysSince = Math.floor((now - expiredAt) / DAY_MS);
+      return daysSince <= maxDays ? null : `expired ${daysSince} days ago > ${maxDays}`;
+    }
+  }
+];
+
+/**
+ * Validate and normalize rules, filling omitted keys from the defaults
+ * @param {Object} [rules={}] - Rules object (e.g. parsed from YAML)
+ * @returns {Object} Normalized rules
+ * @throws {Error} If a key is unknown or a value has the wrong type
+ */
+function normalizeRules(rules = {}) {
+  if (rules === null || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('Rules must be a mapping of rule names to values');
+  }
+
+  const knownRules = Object.keys(DEFAULT_RULES);
+  for (const key of Object.keys(rules)) {
+    if (!knownRules.includes(key)) {
+      throw new Error(`Unknown rule '${key}'. Known rules: ${knownRules.join(', ')}`);
+    }
+  }
+
+  const normalized = { ...DEFAULT_RULES, ...rules };
+
+  for (const key of LIST_RULES) {
+    const value = normalized[key];
+    if (value === null) {
+      normalized[key] = [];
+      continue;
+    }
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' && typeof item !== 'number')) {
+      throw new Error(`Invalid rule '${key}': expected a list of values`);
+    }
+    normalized[key] = value.map(item => (key === 'countries' ? String(item).toUpperCase() : String(item).toLowerCase()));
+  }
+
+  for (const key of DAY_RULES) {
+    const value = normalized[key];
+    if (value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+      throw new Error(`Invalid rule '${key}': expected a non-negative number of days`);
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Load rules from a YAML file
+ * @param {string|null} filePath - Path to rules file (null for the built-in defaults)
+ * @returns {Object} Normalized rules
+ * @throws {Error} If the file cannot be read or contains invalid rules
+ */
+function loadRules(filePath) {
+  if (!filePath) {
+    return normalizeRules();
+  }
+
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    return normalizeRules(yaml.load(content) || {});
+  } catch (error) {
+    throw new Error(`Invalid rules file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Check if a rule is enabled
+ * @param {*} value - Rule value
+ * @returns {boolean} False for empty lists and null
+ */
+function isEnabled(value) {
+  return Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined;
+}
+
+/**
+ * Create eligibility engine instance
+ * @param {Object} [rules] - Normalized rules (default: built-in rules)
+ * @param {Object} [options={}] - Options
+ * @param {Function} [options.now] - Clock returning milliseconds (for testing)
+ * @returns {Object} Eligibility engine instance
+ */
+function createEligibilityEngine(rules = normalizeRules(), options = {}) {
+  const { now = Date.now } = options;
+  const decisions = [];
+
+  const activeChecks = RULE_CHECKS.filter(rule => isEnabled(rules[rule.name]));
+
+  /**
+   * Run rule checks in order and build a decision
+   * @param {Array<Object>} checks - Rule checks to run
+   * @param {Object} context - { account, subscription, now }
+   * @returns {Object} Decision { account, eligible, rule, reason, matched }
+   */
+  function runChecks(checks, context) {
+    const matched = [];
+    for (const rule of checks) {
+      const reason = rule.check(rules[rule.name], context);
+      if (reason) {
+        return { account: context.account.code || context.account.id, eligible: false, rule: rule.name, reason, matched };
+      }
+      matched.push(rule.name);
+    }
+    return {
+      account: context.account.code || context.account.id,
+      eligible: true,
+      rule: null,
+      reason: `matched ${matched.join(', ') || 'no rules'}`,
+      matched
+    };
+  }
+
+  /**
+   * Check account-level rules only, before subscriptions are fetched
+   * Rejections are recorded; a pass is not (the account still needs evaluate()).
+   * @param {Object} account - Recurly account
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.record=true] - Record a rejection (false for a look-ahead check)
+   * @returns {Object} Decision
+   */
+  function checkAccount(account, options = {}) {
+    const { record = true } = options;
+    const decision = runChecks(activeChecks.filter(rule => rule.scope === 'account'), { account, subscription: null, now: now() });
+    if (!decision.eligible && record) {
+      decisions.push(decision);
+    }
+    return decision;
+  }
+
+  /**
+   * Pre-screen a subscription with the subscription rules that need no account details
+   * Rejections are recorded; a pass is not (the account still needs evaluate()).
+   * @param {Object} account - Account reference ({ code })
+   * @param {Object} subscription - Recurly subscription
+   * @returns {Object} Decision
+   */
+  function checkSubscription(account, subscription) {
+    const checks = activeChecks.filter(rule => rule.scope === 'subscription' && !rule.needsAccount);
+    const decision = runChecks(checks, { account, subscription, now: now() });
+    if (!decision.eligible) {
+      decisions.push(decision);
+    }
+    return decision;
+  }
+
+  /**
+   * Evaluate every rule against an account and its subscriptions, and record the decision
+   * @param {Object} account - Recurly account
+   * @param {Array<Object>} subscriptions - All subscriptions of the account
+   * @returns {Object} Decision
+   */
+  function evaluate(account, subscriptions) {
+    // Only the most recent subscription matters
+    const lastSubscription = [...(subscriptions || [])].sort((a, b) => (toTime(b.created_at) || 0) - (toTime(a.created_at) || 0))[0] || null;
+    const decision = runChecks(activeChecks, { account, subscription: lastSubscription, now: now() });
+    decisions.push(decision);
+    return decision;
+  }
+
+  /**
+   * Get all recorded decisions
+   * @returns {Array<Object>} Decisions in evaluation order
+   */
+  function getDecisions() {
+    return [...decisions];
+  }
+
+  /**
+   * Get decision counts
+   * @returns {Object} { evaluated, eligible, rejected_by_rule }
+   */
+  function getSummary() {
+    const rejectedByRule = {};
+    for (const decision of decisions) {
+      if (!decision.eligible) {
+        rejectedByRule[decision.rule] = (rejectedByRule[decision.rule] || 0) + 1;
+      }
+    }
+    return {
+      evaluated: decisions.length,
+      eligible: decisions.filter(decision => decision.eligible).length,
+      rejected_by_rule: rejectedByRule
+    };
+  }
+
+  /**
+   * Get the rules in use
+   * @returns {Object} Normalized rules
+   */
+  function getRules() {
+    return { ...rules };
+  }
+
+  return {
+    checkAccount,
+    checkSubscription,
+    evaluate,
+    getDecisions,
+    getSummary,
+    getRules
+  };
+}
+
+module.exports = {
+  createEligibilityEngine,
+  loadRules,
+  normalizeRules,
+  DEFAULT_RULES
+};
@@ -0,0 +1,161 @@
+/**
+ * Exclusions Module
+ * Accounts that must never be rescued, from exclusion files and account custom fields
+ *
+ * Features:
+ * - Exclusion files (--exclude-file, repeatable): plain text or CSV
+ *   - Plain text: one account ID or code per line, optional '# reason' after it, '#' comment lines
+ *   - CSV (.csv): header row with an account column (account, id, code, account_id or account_code)
+ *     and an optional reason column
+ * - exclusions.txt next to rescue.js is always loaded, whatever the working directory; a missing file is an error
+ * - Custom field exclusion: accounts whose custom field matches (default: no_rescue=true)
+ * - Every exclusion records its source (file:line or custom field) and reason
+ * - Duplicate entries are reported; the first one wins
+ */
+
+const path = require('path');
+const { readListFile } = require('../cli/list-file');
+
+// Resolved from the repository root so running from another directory never drops the production list
+const DEFAULT_EXCLUDE_FILE = path.join(__dirname, '..', '..', 'exclusions.txt');
+const DEFAULT_EXCLUDE_FIELD = 'no_rescue=true';
+
+const ACCOUNT_COLUMNS = ['account', 'id', 'code', 'account_id', 'account_code'];
+
+/**
+ * Load an exclusion file
+ * @param {string} filePath - Path to a .csv or plain text file
+ * @returns {Array<Object>} [{ key, source, reason }]
+ * @throws {Error} If the file is missing or malformed
+ */
+function loadExclusionFile(filePath) {
+  const fileName = path.basename(filePath);
+  return readListFile(filePath, { columns: ACCOUNT_COLUMNS, noteColumn: 'reason', label: 'Exclusion file' })
+    .map(entry => ({
+      key: entry.value,
+      source: entry.source,
+      reason: entry.note || `listed in ${fileName}`
+    }));
+}
+
+/**
+ * Parse a custom field exclusion
+ * @param {string|null} spec - 'name=value' or 'name' (value defaults to true)
+ * @returns {Object|null} { name, value }, or null when disabled
+ * @throws {Error} If the field name is empty
+ */
+function parseExcludeField(spec) {
+  if (spec === null || spec === undefined) {
+    return null;
+  }
+  const [name, ...value] = String(spec).split('=');
+  if (!name.trim()) {
+    throw new Error(`Invalid custom field exclusion: '${spec}' (use name=value, e.g. ${DEFAULT_EXCLUDE_FIELD})`);
+  }
+  return { name: name.trim(), value: value.length > 0 ? value.join('=').trim() : 'true' };
+}
+
+/**
+ * Create exclusion list instance
+ * @param {Object} [options={}] - Options
+ * @param {string[]} [options.files=[]] - Exclusion files
+ * @param {string|null} [options.field=DEFAULT_EXCLUDE_FIELD] - Custom field exclusion (null to disable)
+ * @returns {Object} Exclusion list instance
+ * @throws {Error} If a file cannot be loaded or the field is invalid
+ */
+function createExclusionList(options = {}) {
+  const { files = [], field = DEFAULT_EXCLUDE_FIELD } = options;
+  const customField = parseExcludeField(field);
+  const entries = new Map();
+  const duplicates = [];
+
+  for (const filePath of files) {
+    for (const entry of loadExclusionFile(filePath)) {
+      const normalizedKey = entry.key.toLowerCase();
+      if (entries.has(normalizedKey)) {
+        duplicates.push({ ...entry, first: entries.get(normalizedKey).source });
+        continue;
+      }
+      entries.set(normalizedKey, entry);
+    }
+  }
+
+  /**
+   * Check whether an account is excluded
+   * @param {Object} account - Recurly account ({ id, code, custom_fields })
+   * @returns {Object|null} { source, reason }, or null when the account may be rescued
+   */
+  function check(account) {
+    for (const key of [account.code, account.id]) {
+      const entry = key ? entries.get(String(key).trim().toLowerCase()) : null;
+      if (entry) {
+        return { source: entry.source, reason: entry.reason };
+      }
+    }
+
+    if (customField) {
+      const match = (account.custom_fields || []).find(item =>
+        String(item.name).toLowerCase() === customField.name.toLowerCase() &&
+        String(item.value).trim().toLowerCase() === customField.value.toLowerCase()
+      );
+      if (match) {
+        return {
+          source: `custom field ${customField.name}`,
+          reason: `custom field ${match.name}=${match.value}`
+        };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Split accounts into kept and excluded ones, keeping their order
+   * @param {Array<Object>} accounts - Accounts
+   * @returns {Object} { kept, excluded: [{ account, source, reason }] }
+   */
+  function partition(accounts) {
+    const kept = [];
+    const excluded = [];
+    for (const account of accounts) {
+      const exclusion = check(account);
+      if (exclusion) {
+        excluded.push({ account, ...exclusion });
+      } else {
+        kept.push(account);
+      }
+    }
+    return { kept, excluded };
+  }
+
+  /**
+   * Get duplicate file entries (ignored in favour of the first one)
+   * @returns {Array<Object>} [{ key, source, reason, first }]
+   */
+  function getDuplicates() {
+    return [...duplicates];
+  }
+
+  /**
+   * Get the number of listed accounts
+   * @returns {number} Distinct account IDs/codes from the files
+   */
+  function size() {
+    return entries.size;
+  }
+
+  return {
+    check,
+    partition,
+    getDuplicates,
+    size
+  };
+}
+
+module.exports = {
+  createExclusionList,
+  loadExclusionFile,
+  parseExcludeField,
+  DEFAULT_EXCLUDE_FILE,
+  DEFAULT_EXCLUDE_FIELD
+};
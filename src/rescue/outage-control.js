@@ -0,0 +1,107 @@
+/**
+ * Outage Control Module
+ * Decides what a rescue run does when the circuit breaker trips
+ *
+ * Features:
+ * - pause: wait for the cooldown, probe Recurly, resume automatically once it answers
+ * - exit: stop with a distinct exit code so a follow-up --resume can continue
+ * - The account being processed stays pending in the state file in both cases
+ */
+
+const { isOutageError } = require('../api/circuit-breaker');
+const { CircuitOpenError } = require('../api/errors');
+
+/**
+ * Supported --on-outage values
+ */
+const OUTAGE_ACTIONS = {
+  PAUSE: 'pause',
+  EXIT: 'exit'
+};
+
+/**
+ * Exit code used when the run stops because Recurly is unavailable
+ */
+const OUTAGE_EXIT_CODE = 3;
+
+/**
+ * Lightweight request used to check that Recurly answers again
+ */
+const PROBE_PATH = '/plans?limit=1';
+
+/**
+ * Create outage handler instance
+ * @param {Object} options - Configuration options
+ * @param {Object} options.circuitBreaker - Circuit breaker used by the client
+ * @param {Object} options.client - Recurly client instance (sends the probe)
+ * @param {string} [options.action='pause'] - 'pause' or 'exit'
+ * @param {Function} [options.log=console.log] - Log function
+ * @param {Function} [options.sleep] - Sleep function (for testing)
+ * @param {Function} [options.now] - Clock returning milliseconds (for testing)
+ * @returns {Object} Outage handler instance
+ * @throws {Error} If circuitBreaker or client is missing, or action is unknown
+ */
+function createOutageHandler(options) {
+  const {
+    circuitBreaker,
+    client,
+    action = OUTAGE_ACTIONS.PAUSE,
+    log = console.log,
+    sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms)),
+    now = Date.now
+  } = options;
+
+  if (!circuitBreaker) {
+    throw new Error('Circuit breaker is required for outage handling');
+  }
+  if (!client || typeof client.request !== 'function') {
+    throw new Error('Valid Recurly client is required');
+  }
+  if (!Object.values(OUTAGE_ACTIONS).includes(action)) {
+    throw new Error(`Invalid outage action: '${action}'`);
+  }
+
+  /**
+   * Handle a tripped breaker
+   * @returns {Promise<boolean>} True once Recurly answers again (pause), false to stop the run (exit)
+   */
+  async function waitForRecovery() {
+    const { consecutiveFailures } = circuitBreaker.getState();
+    log(`\n⏸ Recurly appears unavailable (${consecutiveFailures} consecutive failures) - state preserved`);
+
+    if (action === OUTAGE_ACTIONS.EXIT) {
+      return false;
+    }
+
+    for (;;) {
+      const retryAt = circuitBreaker.getState().retryAt;
+      if (retryAt) {
+        log(`  Probing Recurly at ${retryAt.toISOString()}...`);
+        await sleep(Math.max(retryAt.getTime() - now(), 0));
+      }
+
+      try {
+        await client.request('GET', PROBE_PATH);
+        log('▶ Recurly is answering again - resuming');
+        return true;
+      } catch (error) {
+        // Any answer other than 5xx/network means the API is back
+        if (!isOutageError(error) && !(error instanceof CircuitOpenError)) {
+          log('▶ Recurly is answering again - resuming');
+          return true;
+        }
+        log(`  Probe failed: ${error.message}`);
+      }
+    }
+  }
+
+  return {
+    waitForRecovery
+  };
+}
+
+module.exports = {
+  createOutageHandler,
+  OUTAGE_ACTIONS,
+  OUTAGE_EXIT_CODE
+};
@@ -0,0 +1,207 @@
+/**
+ * Payment Method Module
+ * Decides whether an account can actually be charged before a rescue subscription is created
+ *
+ * Features:
+ * - Typed verdicts: CHARGEABLE, EXPIRED_CARD, INVALID_METHOD, NO_METHOD, UNSUPPORTED_METHOD, UNKNOWN
+ * - Cards: card type and last four digits, expiry (exp_month/exp_year, valid through the end of the month)
+ * - PayPal and Amazon billing agreements, SEPA (IBAN) and BACS bank accounts
+ * - Billing info that Recurly flags as invalid (valid: false) is never charged
+ * - Backup payment methods (GET /accounts/{id}/billing_infos) are checked when the primary one cannot be charged
+ * - Lookup errors give an UNKNOWN verdict instead of throwing, so the caller handles outages
+ */
+
+const { listAll } = require('../api/recurly-client');
+const { isNotFoundError } = require('../api/errors');
+const { toAccountPathId } = require('../api/account-resolver');
+
+/**
+ * Payment method verdicts
+ */
+const PAYMENT_VERDICTS = Object.freeze({
+  CHARGEABLE: 'CHARGEABLE',
+  EXPIRED_CARD: 'EXPIRED_CARD',
+  INVALID_METHOD: 'INVALID_METHOD',
+  NO_METHOD: 'NO_METHOD',
+  UNSUPPORTED_METHOD: 'UNSUPPORTED_METHOD',
+  UNKNOWN: 'UNKNOWN'
+});
+
+/**
+ * Payment methods that automatic collection can charge, by payment_method.object
+ * (billing agreements are unusable without their ID)
+ */
+const SUPPORTED_METHODS = Object.freeze({
+  credit_card: { type: 'card', label: 'Card' },
+  paypal_billing_agreement: { type: 'paypal', label: 'PayPal billing agreement', agreement: true },
+  amazon_billing_agreement: { type: 'amazon', label: 'Amazon billing agreement', agreement: true },
+  iban_bank_account: { type: 'sepa', label: 'SEPA bank account' },
+  bacs: { type: 'bacs', label: 'BACS bank account' }
+});
+
+/**
+ * Find the payment method of a billing info, including the older flat layout
+ * @param {Object} billingInfo - Recurly billing info
+ * @returns {Object|null} { object, details }, or null when there is no payment method
+ */
+function identifyMethod(billingInfo) {
+  const paymentMethod = billingInfo.payment_method || {};
+
+  if (paymentMethod.object) {
+    return { object: paymentMethod.object, details: paymentMethod };
+  }
+  if (paymentMethod.card_type || billingInfo.card_type) {
+    return { object: 'credit_card', details: { ...billingInfo, ...paymentMethod } };
+  }
+  if (billingInfo.paypal_billing_agreement_id) {
+    return { object: 'paypal_billing_agreement', details: { billing_agreement_id: billingInfo.paypal_billing_agreement_id } };
+  }
+  if (billingInfo.amazon_billing_agreement_id) {
+    return { object: 'amazon_billing_agreement', details: { billing_agreement_id: billingInfo.amazon_billing_agreement_id } };
+  }
+  return null;
+}
+
+/**
+ * Format a card expiry
+ * @param {number} month - Expiry month (1-12)
+ * @param {number} year - Expiry year (four digits)
+ * @returns {string} MM/YYYY
+ */
+function formatExpiry(month, year) {
+  return `${String(month).padStart(2, '0')}/${year}`;
+}
+
+/**
+ * Assess a credit card
+ * @param {Object} card - Card details (card_type, last_four, exp_month, exp_year)
+ * @param {Date} now - Current date
+ * @returns {Object} { verdict, type, detail }
+ */
+function assessCard(card, now) {
+  if (!card.last_four) {
+    return { verdict: PAYMENT_VERDICTS.INVALID_METHOD, type: 'card', detail: 'Card details are incomplete (no last four digits)' };
+  }
+
+  const label = `${card.card_type || 'Card'} ending ${card.last_four}`;
+  const month = parseInt(card.exp_month, 10);
+  let year = parseInt(card.exp_year, 10);
+  if (!month || !year) {
+    return { verdict: PAYMENT_VERDICTS.CHARGEABLE, type: 'card', detail: label };
+  }
+  if (year < 100) {
+    year += 2000;
+  }
+
+  // A card stays valid through the last day of its expiry month
+  const currentYear = now.getUTCFullYear();
+  const currentMonth = now.getUTCMonth() + 1;
+  if (year < currentYear || (year === currentYear && month < currentMonth)) {
+    return { verdict: PAYMENT_VERDICTS.EXPIRED_CARD, type: 'card', detail: `${label} expired ${formatExpiry(month, year)}` };
+  }
+  return { verdict: PAYMENT_VERDICTS.CHARGEABLE, type: 'card', detail: `${label}, expires ${formatExpiry(month, year)}` };
+}
+
+/**
+ * Assess one billing info
+ * @param {Object|null} billingInfo - Recurly billing info (null when the account has none)
+ * @param {Object} [options={}] - Options
+ * @param {Date} [options.now=new Date()] - Current date (card expiry)
+ * @returns {Object} { verdict, type, detail }
+ */
+function assessBillingInfo(billingInfo, options = {}) {
+  const { now = new Date() } = options;
+
+  if (!billingInfo) {
+    return { verdict: PAYMENT_VERDICTS.NO_METHOD, type: null, detail: 'No billing info on file' };
+  }
+
+  const method = identifyMethod(billingInfo);
+  if (!method) {
+    return { verdict: PAYMENT_VERDICTS.NO_METHOD, type: null, detail: 'Billing info has no payment method' };
+  }
+
+  const supported = SUPPORTED_METHODS[method.object];
+  if (!supported) {
+    return {
+      verdict: PAYMENT_VERDICTS.UNSUPPORTED_METHOD,
+      type: method.object,
+      detail: `Payment method ${method.object} cannot be charged automatically`
+    };
+  }
+
+  if (billingInfo.valid === false) {
+    return { verdict: PAYMENT_VERDICTS.INVALID_METHOD, type: supported.type, detail: `${supported.label} is flagged invalid by Recurly` };
+  }
+
+  if (supported.type === 'card') {
+    return assessCard(method.details, now);
+  }
+
+  if (supported.agreement && !method.details.billing_agreement_id) {
+    return { verdict: PAYMENT_VERDICTS.INVALID_METHOD, type: supported.type, detail: `${supported.label} has no agreement ID` };
+  }
+
+  return { verdict: PAYMENT_VERDICTS.CHARGEABLE, type: supported.type, detail: supported.label };
+}
+
+/**
+ * Assess the payment methods of an account: the primary one, then its backups
+ * @param {Object} client - Recurly client instance
+ * @param {string|Object} account - Account code, or account reference ({ id, code })
+ * @param {Object} [options={}] - Options
+ * @param {Date} [options.now=new Date()] - Current date (card expiry)
+ * @returns {Promise<Object>} { verdict, chargeable, type, detail, backup }
+ */
+async function assessPaymentMethod(client, account, options = {}) {
+  const pathId = encodeURIComponent(toAccountPathId(account));
+
+  let billingInfo = null;
+  try {
+    const response = await client.request('GET', `/accounts/${pathId}/billing_info`);
+    billingInfo = response.data || null;
+  } catch (error) {
+    if (!isNotFoundError(error)) {
+      return {
+        verdict: PAYMENT_VERDICTS.UNKNOWN,
+        chargeable: false,
+        type: null,
+        detail: `Could not check billing info: ${error.message}`,
+        backup: false
+      };
+    }
+  }
+
+  const primary = assessBillingInfo(billingInfo, options);
+  if (primary.verdict === PAYMENT_VERDICTS.CHARGEABLE || !billingInfo) {
+    return { ...primary, chargeable: primary.verdict === PAYMENT_VERDICTS.CHARGEABLE, backup: false };
+  }
+
+  // Recurly falls back to a backup payment method when the primary one cannot be charged
+  let backups = [];
+  try {
+    const billingInfos = await listAll(client, `/accounts/${pathId}/billing_infos`);
+    backups = billingInfos.filter(info => info.backup_payment_method && !info.primary_payment_method);
+  } catch (error) {
+    // Sites without multiple payment methods have no backups to offer
+    if (!isNotFoundError(error)) {
+      console.warn(`Warning: Could not list backup payment methods: ${error.message}`);
+    }
+  }
+
+  const backup = backups
+    .map(info => assessBillingInfo(info, options))
+    .find(assessment => assessment.verdict === PAYMENT_VERDICTS.CHARGEABLE);
+  if (backup) {
+    return { ...backup, detail: `${backup.detail} (backup; primary: ${primary.detail})`, chargeable: true, backup: true };
+  }
+
+  return { ...primary, chargeable: false, backup: false };
+}
+
+module.exports = {
+  assessPaymentMethod,
+  assessBillingInfo,
+  PAYMENT_VERDICTS,
+  SUPPORTED_METHODS
+};
@@ -10,8 +10,12 @@
  * - NFR-R3: Log each retry attempt
  * - NFR-P1-P3: Rate limit monitoring (handled by client)
  *
+ * Coupons:
+ * - Win-back coupons are looked up before the run (verifyCoupons): they must exist, be redeemable,
+ *   apply to the rescue plan and, for fixed discounts, have an amount in each currency they are used in
+ *
  * Dry-Run Support:
- * - READ operations (getPlanByCode) execute normally
+ * - READ operations (getPlanByCode, getCouponByCode) execute normally
  * - WRITE operations (createRescuePlan) are skipped in dry-run mode
  */
 
@@ -182,6 +186,70 @@ async function getPlanByCode(client, planCode) {
   }
 }
 
+/**
+ * Check if a coupon exists by coupon code
+ * @param {Object} client - Recurly client instance
+ * @param {string} couponCode - Coupon code to check
+ * @returns {Promise<Object|null>} Coupon object if found, null if not found
+ * @throws {Error} If API error (other than 404)
+ */
+async function getCouponByCode(client, couponCode) {
+  if (!client || typeof client.request !== 'function') {
+    throw new Error('Valid Recurly client is required');
+  }
+
+  try {
+    const response = await client.request('GET', `/coupons/code-${encodeURIComponent(couponCode)}`);
+    return response.data;
+  } catch (error) {
+    if (error.statusCode === 404) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Verify that coupons can be redeemed on rescue subscriptions, before the run
+ * @param {Object} client - Recurly client instance
+ * @param {Object} requirements - { [couponCode]: currencies[] } (empty list: any currency)
+ * @param {Object} [options={}] - Options
+ * @param {string|null} [options.planCode=null] - Plan the coupons must apply to (null: plans vary, e.g. restore mode)
+ * @param {Function} [options.log] - Logger function (default: console.log)
+ * @returns {Promise<Object>} Coupons by code
+ * @throws {Error} If a coupon is missing, not redeemable, restricted to other plans or lacks a currency amount
+ */
+async function verifyCoupons(client, requirements, options = {}) {
+  const { planCode = null, log = console.log } = options;
+  const coupons = {};
+
+  for (const [couponCode, currencies] of Object.entries(requirements)) {
+    const coupon = await getCouponByCode(client, couponCode);
+    if (!coupon) {
+      throw new Error(`Coupon '${couponCode}' not found`);
+    }
+    if (coupon.state && coupon.state !== 'redeemable') {
+      throw new Error(`Coupon '${couponCode}' is not redeemable (state: ${coupon.state})`);
+    }
+    if (planCode && coupon.applies_to_all_plans === false &&
+        !(coupon.plans || []).some(plan => plan.code === planCode)) {
+      throw new Error(`Coupon '${couponCode}' does not apply to plan '${planCode}'`);
+    }
+    if (coupon.discount?.type === 'fixed') {
+      const priced = (coupon.discount.currencies || []).map(pricing => String(pricing.currency).toUpperCase());
+      const missing = currencies.filter(currency => !priced.includes(currency));
+      if (missing.length > 0) {
+        throw new Error(`Coupon '${couponCode}' has no ${missing.join(', ')} amount (fixed discount)`);
+      }
+    }
+
+    log(`Found redeemable coupon: ${couponCode}`);
+    coupons[couponCode] = coupon;
+  }
+
+  return coupons;
+}
+
 /**
  * Create a new Rescue Plan via Recurly API
  * Handles race conditions by treating 409/422 "already exists" errors gracefully
@@ -343,6 +411,8 @@ module.exports = {
   buildPlanPayload,
   buildMultiCurrencyPlanPayload,
   getPlanByCode,
+  getCouponByCode,
+  verifyCoupons,
   createRescuePlan,
   findOrCreateRescuePlan,
   findOrCreateMultiCurrencyRescuePlan,
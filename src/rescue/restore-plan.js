@@ -0,0 +1,319 @@
+/**
+ * Restore Plan Module
+ * Rebuilds a customer's expired subscription for restore mode (--restore), instead of the Rescue Plan
+ *
+ * Features:
+ * - Restores the subscription that expired last (expired_at, else created_at): plan, currency, quantity,
+ *   unit amount and add-ons
+ * - Plan map from a YAML file (--plan-map=<file>) for retired plans, with optional add-on renames
+ * - Target plans are looked up once per run, with their add-ons: they must exist, be active, have a price
+ *   in the currency and offer every add-on kept or renamed through the plan map
+ * - Original and restored subscription recorded side by side for the results file
+ * - Lookup errors are reported (lookupFailed) instead of thrown, so the caller handles outages
+ *
+ * Plan map file (old plan code → new plan code, or an entry with options):
+ *   monthly-2023: monthly-2025
+ *   premium-legacy:
+ *     plan_code: premium
+ *     add_ons: { legacy-support: support, paper-invoice: null }   # null drops the add-on
+ *     keep_price: false                                            # use the new plan's price (default: true)
+ */
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { listAll } = require('../api/recurly-client');
+const { isNotFoundError } = require('../api/errors');
+const { toAccountPathId } = require('../api/account-resolver');
+
+const PLAN_MAP_OPTIONS = ['plan_code', 'add_ons', 'keep_price'];
+
+/**
+ * Validate and normalize a plan map
+ * @param {Object} [planMap={}] - Plan map object (e.g. parsed from YAML)
+ * @returns {Object} Normalized plan map: { [oldCode]: { plan_code, add_ons, keep_price } }
+ * @throws {Error} If an entry or option is invalid
+ */
+function normalizePlanMap(planMap = {}) {
+  if (planMap === null || typeof planMap !== 'object' || Array.isArray(planMap)) {
+    throw new Error('Plan map must be a mapping of old plan codes to new plan codes');
+  }
+
+  const normalized = {};
+  for (const [fromCode, value] of Object.entries(planMap)) {
+    const entry = typeof value === 'string' ? { plan_code: value } : value;
+    if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`Invalid plan map entry '${fromCode}': expected a plan code or { plan_code, ... }`);
+    }
+    for (const option of Object.keys(entry)) {
+      if (!PLAN_MAP_OPTIONS.includes(option)) {
+        throw new Error(`Unknown option '${option}' for plan map entry '${fromCode}' (use ${PLAN_MAP_OPTIONS.join(', ')})`);
+      }
+    }
+    if (typeof entry.plan_code !== 'string' || entry.plan_code.trim() === '') {
+      throw new Error(`Plan map entry '${fromCode}' needs a plan_code`);
+    }
+
+    const addOns = entry.add_ons ?? {};
+    if (typeof addOns !== 'object' || Array.isArray(addOns)) {
+      throw new Error(`Invalid add_ons for plan map entry '${fromCode}': expected a mapping of old to new add-on codes`);
+    }
+    for (const [addOnCode, newCode] of Object.entries(addOns)) {
+      if (newCode !== null && (typeof newCode !== 'string' || newCode.trim() === '')) {
+        throw new Error(`Invalid add-on '${addOnCode}' for plan map entry '${fromCode}': expected an add-on code or null`);
+      }
+    }
+
+    if (entry.keep_price !== undefined && typeof entry.keep_price !== 'boolean') {
+      throw new Error(`Invalid keep_price for plan map entry '${fromCode}': expected true or false`);
+    }
+
+    normalized[fromCode] = {
+      plan_code: entry.plan_code.trim(),
+      add_ons: { ...addOns },
+      keep_price: entry.keep_price ?? true
+    };
+  }
+
+  return normalized;
+}
+
+/**
+ * Load a plan map from a YAML file
+ * @param {string|null} filePath - Path to plan map file (null for no mapping)
+ * @returns {Object} Normalized plan map
+ * @throws {Error} If the file cannot be read or contains an invalid map
+ */
+function loadPlanMap(filePath) {
+  if (!filePath) {
+    return normalizePlanMap();
+  }
+
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    return normalizePlanMap(yaml.load(content) || {});
+  } catch (error) {
+    throw new Error(`Invalid plan map file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Find the subscription to restore: the expired one that ended last
+ * Ordered by expired_at (or expires_at), falling back to created_at when Recurly gives no expiry date.
+ * @param {Array<Object>} subscriptions - All subscriptions of the account
+ * @returns {Object|null} Subscription, or null if none expired
+ */
+function findPreviousSubscription(subscriptions) {
+  const toTime = value => (value ? new Date(value).getTime() || 0 : 0);
+  const endedAt = subscription => toTime(subscription.expired_at || subscription.expires_at || subscription.created_at);
+  return [...(subscriptions || [])]
+    .filter(subscription => subscription.state === 'expired')
+    .sort((a, b) => endedAt(b) - endedAt(a))[0] || null;
+}
+
+/**
+ * Describe a subscription by the fields restore mode recreates
+ * @param {Object} subscription - Recurly subscription
+ * @returns {Object} { subscription_id, plan_code, currency, quantity, unit_amount, add_ons: [{ code, quantity, unit_amount }] }
+ */
+function describeSubscription(subscription) {
+  return {
+    subscription_id: subscription.uuid || subscription.id || null,
+    plan_code: subscription.plan?.code || subscription.plan_code || null,
+    currency: subscription.currency ? subscription.currency.toUpperCase() : null,
+    quantity: subscription.quantity || 1,
+    unit_amount: subscription.unit_amount ?? null,
+    add_ons: (subscription.add_ons || []).map(addOn => ({
+      code: addOn.add_on?.code || addOn.code,
+      quantity: addOn.quantity || 1,
+      unit_amount: addOn.unit_amount ?? null
+    }))
+  };
+}
+
+/**
+ * Build the subscription to create from the original one and its plan map entry
+ * @param {Object} original - Original subscription (from describeSubscription)
+ * @param {Object|null} mapping - Plan map entry, or null when the plan is kept
+ * @returns {Object} { restored: { plan_code, currency, quantity, unit_amount, add_ons }, dropped_add_ons }
+ */
+function buildRestoredSubscription(original, mapping) {
+  const keepPrice = !mapping || mapping.keep_price;
+  const addOns = [];
+  const droppedAddOns = [];
+
+  for (const addOn of original.add_ons) {
+    const renamed = mapping && addOn.code in mapping.add_ons ? mapping.add_ons[addOn.code] : addOn.code;
+    if (renamed === null) {
+      droppedAddOns.push(addOn.code);
+      continue;
+    }
+    addOns.push({
+      code: renamed,
+      quantity: addOn.quantity,
+      unit_amount: keepPrice ? addOn.unit_amount : null
+    });
+  }
+
+  return {
+    restored: {
+      plan_code: mapping ? mapping.plan_code : original.plan_code,
+      currency: original.currency,
+      quantity: original.quantity,
+      unit_amount: keepPrice ? original.unit_amount : null,
+      add_ons: addOns
+    },
+    dropped_add_ons: droppedAddOns
+  };
+}
+
+/**
+ * Create a restore planner
+ * @param {Object} client - Recurly client instance
+ * @param {Object} [planMap] - Normalized plan map (default: no mapping)
+ * @returns {Object} Planner { plan, getSummary, getPlanMap }
+ */
+function createRestorePlanner(client, planMap = normalizePlanMap()) {
+  const plans = new Map();
+  const summary = { planned: 0, mapped: 0, failed: 0, by_plan: {} };
+
+  /**
+   * Look up a target plan and its add-on codes once per run
+   * @param {string} planCode - Plan code
+   * @returns {Promise<Object|null>} { plan, addOnCodes }, or null if the plan does not exist
+   * @throws {Error} If the lookup fails
+   */
+  function getPlan(planCode) {
+    if (!plans.has(planCode)) {
+      const planPath = `/plans/code-${encodeURIComponent(planCode)}`;
+      const lookup = client.request('GET', planPath)
+        .then(async response => ({
+          plan: response.data,
+          addOnCodes: (await listAll(client, `${planPath}/add_ons`)).map(addOn => addOn.code)
+        }))
+        .catch(error => {
+          if (isNotFoundError(error)) return null;
+          plans.delete(planCode);
+          throw error;
+        });
+      plans.set(planCode, lookup);
+    }
+    return plans.get(planCode);
+  }
+
+  /**
+   * Check that a target plan can take a new subscription in a currency, with its add-ons
+   * @param {Object|null} target - { plan, addOnCodes } from getPlan
+   * @param {Object} restored - Restored subscription
+   * @param {boolean} mapped - Whether the plan came from the plan map
+   * @returns {string|null} Problem, or null if the plan can be used
+   */
+  function checkPlan(target, restored, mapped) {
+    const hint = mapped ? 'fix its entry in the plan map' : 'map it to a current plan with --plan-map';
+    if (!target) {
+      return `plan '${restored.plan_code}' no longer exists; ${hint}`;
+    }
+    const { plan, addOnCodes } = target;
+    if (plan.state && plan.state !== 'active') {
+      return `plan '${restored.plan_code}' is retired (${plan.state}); ${hint}`;
+    }
+    if (Array.isArray(plan.currencies) && plan.currencies.length > 0 &&
+        !plan.currencies.some(pricing => pricing.currency === restored.currency)) {
+      return `plan '${restored.plan_code}' has no ${restored.currency} price`;
+    }
+    const unknownAddOns = restored.add_ons.map(addOn => addOn.code).filter(code => !addOnCodes.includes(code));
+    if (unknownAddOns.length > 0) {
+      const addOnHint = mapped ? 'rename or drop it in the plan map entry' : 'rename or drop it with --plan-map';
+      return `plan '${restored.plan_code}' has no add-on ${unknownAddOns.map(code => `'${code}'`).join(', ')}; ${addOnHint}`;
+    }
+    return null;
+  }
+
+  /**
+   * Plan the restore of an account's previous subscription
+   * @param {string|Object} account - Account code, or account reference ({ id, code })
+   * @returns {Promise<Object>} { restore, error, lookupFailed } - restore is
+   *   { original, restored, mapped, dropped_add_ons }, or null when error explains why it cannot be restored
+   */
+  async function plan(account) {
+    const pathId = encodeURIComponent(toAccountPathId(account));
+    const fail = (error, lookupFailed = false) => {
+      summary.failed++;
+      return { restore: null, error, lookupFailed };
+    };
+
+    let subscriptions;
+    try {
+      subscriptions = await listAll(client, `/accounts/${pathId}/subscriptions`);
+    } catch (error) {
+      return fail(`Could not read subscriptions: ${error.message}`, true);
+    }
+
+    const previous = findPreviousSubscription(subscriptions);
+    if (!previous) {
+      return fail('No expired subscription to restore');
+    }
+
+    const original = describeSubscription(previous);
+    if (!original.plan_code || !original.currency) {
+      return fail('Expired subscription has no plan code or currency');
+    }
+
+    const mapping = planMap[original.plan_code] || null;
+    const { restored, dropped_add_ons } = buildRestoredSubscription(original, mapping);
+
+    let targetPlan;
+    try {
+      targetPlan = await getPlan(restored.plan_code);
+    } catch (error) {
+      return fail(`Could not look up plan '${restored.plan_code}': ${error.message}`, true);
+    }
+    const problem = checkPlan(targetPlan, restored, Boolean(mapping));
+    if (problem) {
+      return fail(`Cannot restore ${original.plan_code}: ${problem}`);
+    }
+
+    summary.planned++;
+    if (mapping) {
+      summary.mapped++;
+    }
+    const planKey = mapping ? `${original.plan_code} -> ${restored.plan_code}` : restored.plan_code;
+    summary.by_plan[planKey] = (summary.by_plan[planKey] || 0) + 1;
+
+    return {
+      restore: { original, restored, mapped: Boolean(mapping), dropped_add_ons },
+      error: null,
+      lookupFailed: false
+    };
+  }
+
+  /**
+   * Get restore counts
+   * @returns {Object} { planned, mapped, failed, by_plan }
+   */
+  function getSummary() {
+    return { ...summary, by_plan: { ...summary.by_plan } };
+  }
+
+  /**
+   * Get the plan map in use
+   * @returns {Object} Normalized plan map
+   */
+  function getPlanMap() {
+    return { ...planMap };
+  }
+
+  return {
+    plan,
+    getSummary,
+    getPlanMap
+  };
+}
+
+module.exports = {
+  createRestorePlanner,
+  loadPlanMap,
+  normalizePlanMap,
+  findPreviousSubscription,
+  describeSubscription,
+  buildRestoredSubscription
+};
@@ -0,0 +1,354 @@
+/**
+ * Risk Checks Module
+ * Pre-flight inspection of an account's transaction and invoice history before anything is written
+ *
+ * Features:
+ * - Flags chargebacks, recent refunds, fraud-flagged transactions, open credit balances
+ *   and unpaid past-due invoices
+ * - Policy per check from a YAML file (--risk-policy=<file>); omitted keys keep the built-in defaults
+ * - Actions: skip (never rescued), hold (left for manual review), warn (rescued, flag recorded), off
+ * - The strictest action among the raised flags wins (skip > hold > warn)
+ * - History lookup failures fall under their own policy (default: hold) and never pass silently
+ * - Summary of checked and flagged accounts per check and per action
+ *
+ * Policy file keys (a bare action is a shorthand for { action }):
+ *   chargebacks:       { action: skip }
+ *   refunds:           { action: hold, lookback_days: 90 }
+ *   fraud:             { action: skip }
+ *   credit_balance:    { action: hold, min_amount: 0 }
+ *   past_due_invoices: { action: hold }
+ *   lookup_errors:     { action: hold }
+ */
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { listAll } = require('../api/recurly-client');
+const { toAccountPathId } = require('../api/account-resolver');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Risk actions, strictest first
+ */
+const RISK_ACTIONS = Object.freeze({
+  SKIP: 'skip',
+  HOLD: 'hold',
+  WARN: 'warn',
+  OFF: 'off'
+});
+
+const ACTION_ORDER = [RISK_ACTIONS.SKIP, RISK_ACTIONS.HOLD, RISK_ACTIONS.WARN];
+
+/**
+ * Built-in policy, used for every check the policy file does not set
+ */
+const DEFAULT_RISK_POLICY = Object.freeze({
+  chargebacks: Object.freeze({ action: RISK_ACTIONS.SKIP }),
+  refunds: Object.freeze({ action: RISK_ACTIONS.HOLD, lookback_days: 90 }),
+  fraud: Object.freeze({ action: RISK_ACTIONS.SKIP }),
+  credit_balance: Object.freeze({ action: RISK_ACTIONS.HOLD, min_amount: 0 }),
+  past_due_invoices: Object.freeze({ action: RISK_ACTIONS.HOLD }),
+  lookup_errors: Object.freeze({ action: RISK_ACTIONS.HOLD })
+});
+
+/**
+ * Fraud review outcomes that flag a transaction (anything but 'approve')
+ */
+const FRAUD_DECISIONS = ['decline', 'review', 'escalate'];
+
+/**
+ * Parse a date field into milliseconds
+ * @param {string} value - ISO date string
+ * @returns {number|null} Milliseconds since epoch, or null if missing/invalid
+ */
+function toTime(value) {
+  const time = value ? new Date(value).getTime() : NaN;
+  return isNaN(time) ? null : time;
+}
+
+/**
+ * Get the most recent date of a list of records
+ * @param {Array<Object>} records - Transactions or invoices
+ * @returns {string} YYYY-MM-DD, or 'unknown date'
+ */
+function latestDate(records) {
+  const times = records.map(record => toTime(record.created_at)).filter(time => time !== null);
+  return times.length > 0 ? new Date(Math.max(...times)).toISOString().slice(0, 10) : 'unknown date';
+}
+
+/**
+ * Sum amounts per currency
+ * @param {Array<Object>} records - Invoices
+ * @param {Function} amountOf - Amount of a record
+ * @returns {string} e.g. '12.5 EUR, 3 USD'
+ */
+function formatTotals(records, amountOf) {
+  const totals = new Map();
+  for (const record of records) {
+    const currency = record.currency || '?';
+    totals.set(currency, (totals.get(currency) || 0) + amountOf(record));
+  }
+  return [...totals.entries()].map(([currency, amount]) => `${Math.round(amount * 100) / 100} ${currency}`).join(', ');
+}
+
+/**
+ * Ordered risk checks. Each returns null when the history is clean, or the flag detail.
+ */
+const RISK_CHECKS = [
+  {
+    name: 'chargebacks',
+    check: (policy, { transactions }) => {
+      const chargebacks = transactions.filter(tx => tx.type === 'chargeback' || tx.origin === 'chargeback');
+      return chargebacks.length > 0
+        ? `${chargebacks.length} chargeback(s), latest ${latestDate(chargebacks)}`
+        : null;
+    }
+  },
+  {
+    name: 'refunds',
+    check: (policy, { transactions, now }) => {
+      const since = policy.lookback_days === null || policy.lookback_days === undefined
+        ? null
+        : now - policy.lookback_days * DAY_MS;
+      const refunds = transactions.filter(tx =>
+        tx.type === 'refund' &&
+        tx.status === 'success' &&
+        (since === null || (toTime(tx.created_at) || 0) >= since));
+      if (refunds.length === 0) {
+        return null;
+      }
+      const window = since === null ? '' : ` in the last ${policy.lookback_days} days`;
+      return `${refunds.length} refund(s)${window}, latest ${latestDate(refunds)}`;
+    }
+  },
+  {
+    name: 'fraud',
+    check: (policy, { transactions }) => {
+      const flagged = transactions.filter(tx =>
+        FRAUD_DECISIONS.includes(String(tx.fraud_info?.decision || '').toLowerCase()) ||
+        String(tx.status_code || '').startsWith('fraud'));
+      if (flagged.length === 0) {
+        return null;
+      }
+      const signals = [...new Set(flagged.map(tx => tx.fraud_info?.decision || tx.status_code))];
+      return `${flagged.length} fraud-flagged transaction(s) (${signals.join(', ')})`;
+    }
+  },
+  {
+    name: 'credit_balance',
+    check: (policy, { invoices }) => {
+      // Open credit invoices hold credit not yet applied; their balance is negative
+      const credits = invoices.filter(invoice =>
+        invoice.type === 'credit' && invoice.state === 'open' && Math.abs(invoice.balance || 0) > (policy.min_amount || 0));
+      return credits.length > 0
+        ? `open credit balance of ${formatTotals(credits, invoice => Math.abs(invoice.balance || 0))}`
+        : null;
+    }
+  },
+  {
+    name: 'past_due_invoices',
+    check: (policy, { invoices }) => {
+      const pastDue = invoices.filter(invoice => invoice.state === 'past_due');
+      if (pastDue.length === 0) {
+        return null;
+      }
+      const numbers = pastDue.map(invoice => invoice.number).filter(Boolean).map(number => `#${number}`);
+      const listed = numbers.length > 0 ? ` ${numbers.join(', ')}` : '';
+      return `${pastDue.length} past-due invoice(s)${listed}, ${formatTotals(pastDue, invoice => invoice.balance || 0)} unpaid`;
+    }
+  }
+];
+
+/**
+ * Validate and normalize a policy, filling omitted checks from the defaults
+ * @param {Object} [policy={}] - Policy object (e.g. parsed from YAML)
+ * @returns {Object} Normalized policy
+ * @throws {Error} If a check or option is unknown, or a value has the wrong type
+ */
+function normalizeRiskPolicy(policy = {}) {
+  if (policy === null || typeof policy !== 'object' || Array.isArray(policy)) {
+    throw new Error('Risk policy must be a mapping of check names to actions');
+  }
+
+  const knownChecks = Object.keys(DEFAULT_RISK_POLICY);
+  const actions = Object.values(RISK_ACTIONS);
+  const normalized = {};
+
+  for (const key of Object.keys(policy)) {
+    if (!knownChecks.includes(key)) {
+      throw new Error(`Unknown risk check '${key}'. Known checks: ${knownChecks.join(', ')}`);
+    }
+  }
+
+  for (const key of knownChecks) {
+    const value = typeof policy[key] === 'string' ? { action: policy[key] } : policy[key];
+    if (value === undefined || value === null) {
+      normalized[key] = { ...DEFAULT_RISK_POLICY[key] };
+      continue;
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      throw new Error(`Invalid risk check '${key}': expected an action or { action, ... }`);
+    }
+
+    const entry = { ...DEFAULT_RISK_POLICY[key], ...value };
+    for (const option of Object.keys(value)) {
+      if (!(option in DEFAULT_RISK_POLICY[key])) {
+        throw new Error(`Unknown option '${option}' for risk check '${key}'`);
+      }
+    }
+    entry.action = String(entry.action).toLowerCase();
+    if (!actions.includes(entry.action)) {
+      throw new Error(`Invalid action '${entry.action}' for risk check '${key}' (use ${actions.join(', ')})`);
+    }
+    for (const option of ['lookback_days', 'min_amount']) {
+      const number = entry[option];
+      if (option in entry && number !== null && (typeof number !== 'number' || !Number.isFinite(number) || number < 0)) {
+        throw new Error(`Invalid ${option} for risk check '${key}': expected a non-negative number`);
+      }
+    }
+    normalized[key] = entry;
+  }
+
+  return normalized;
+}
+
+/**
+ * Load a risk policy from a YAML file
+ * @param {string|null} filePath - Path to policy file (null for the built-in defaults)
+ * @returns {Object} Normalized policy
+ * @throws {Error} If the file cannot be read or contains an invalid policy
+ */
+function loadRiskPolicy(filePath) {
+  if (!filePath) {
+    return normalizeRiskPolicy();
+  }
+
+  try {
+    const content = fs.readFileSync(filePath, 'utf8');
+    return normalizeRiskPolicy(yaml.load(content) || {});
+  } catch (error) {
+    throw new Error(`Invalid risk policy file ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Pick the strictest action of the raised flags
+ * @param {Array<Object>} flags - Flags ({ action })
+ * @returns {string|null} 'skip', 'hold', 'warn', or null when nothing was raised
+ */
+function strictestAction(flags) {
+  return ACTION_ORDER.find(action => flags.some(flag => flag.action === action)) || null;
+}
+
+/**
+ * Assess an account's history against a policy
+ * @param {Object} history - { transactions, invoices }
+ * @param {Object} [policy] - Normalized policy (default: built-in policy)
+ * @param {Object} [options={}] - Options
+ * @param {number} [options.now=Date.now()] - Current time in milliseconds
+ * @returns {Object} { action, flags: [{ check, action, detail }] }
+ */
+function assessRisk(history, policy = normalizeRiskPolicy(), options = {}) {
+  const { now = Date.now() } = options;
+  const context = { transactions: history.transactions || [], invoices: history.invoices || [], now };
+
+  const flags = [];
+  for (const riskCheck of RISK_CHECKS) {
+    const checkPolicy = policy[riskCheck.name];
+    if (checkPolicy.action === RISK_ACTIONS.OFF) continue;
+    const detail = riskCheck.check(checkPolicy, context);
+    if (detail) {
+      flags.push({ check: riskCheck.name, action: checkPolicy.action, detail });
+    }
+  }
+
+  return { action: strictestAction(flags), flags };
+}
+
+/**
+ * Create risk checker instance
+ * @param {Object} client - Recurly client instance
+ * @param {Object} [policy] - Normalized policy (default: built-in policy)
+ * @param {Object} [options={}] - Options
+ * @param {Function} [options.now] - Clock returning milliseconds (for testing)
+ * @returns {Object} Risk checker instance
+ * @throws {Error} If client is invalid
+ */
+function createRiskChecker(client, policy = normalizeRiskPolicy(), options = {}) {
+  if (!client || typeof client.request !== 'function') {
+    throw new Error('Valid Recurly client is required');
+  }
+
+  const { now = Date.now } = options;
+  const summary = { checked: 0, flagged: 0, by_check: {}, by_action: {} };
+
+  /**
+   * Fetch an account's history and assess it
+   * @param {string|Object} account - Account code, or account reference ({ id, code })
+   * @returns {Promise<Object>} { action, flags, lookupFailed }
+   */
+  async function check(account) {
+    const pathId = encodeURIComponent(toAccountPathId(account));
+
+    let assessment;
+    let lookupFailed = false;
+    try {
+      const transactions = await listAll(client, `/accounts/${pathId}/transactions`, { limit: 200 });
+      const invoices = await listAll(client, `/accounts/${pathId}/invoices`, { limit: 200 });
+      assessment = assessRisk({ transactions, invoices }, policy, { now: now() });
+    } catch (error) {
+      lookupFailed = true;
+      const { action } = policy.lookup_errors;
+      const flags = action === RISK_ACTIONS.OFF
+        ? []
+        : [{ check: 'lookup_errors', action, detail: `could not read account history: ${error.message}` }];
+      assessment = { action: strictestAction(flags), flags };
+    }
+
+    summary.checked++;
+    if (assessment.flags.length > 0) {
+      summary.flagged++;
+      summary.by_action[assessment.action] = (summary.by_action[assessment.action] || 0) + 1;
+      for (const flag of assessment.flags) {
+        summary.by_check[flag.check] = (summary.by_check[flag.check] || 0) + 1;
+      }
+    }
+
+    return { ...assessment, lookupFailed };
+  }
+
+  /**
+   * Get check counts
+   * @returns {Object} { checked, flagged, by_check, by_action }
+   */
+  function getSummary() {
+    return {
+      ...summary,
+      by_check: { ...summary.by_check },
+      by_action: { ...summary.by_action }
+    };
+  }
+
+  /**
+   * Get the policy in use
+   * @returns {Object} Normalized policy
+   */
+  function getPolicy() {
+    return { ...policy };
+  }
+
+  return {
+    check,
+    getSummary,
+    getPolicy
+  };
+}
+
+module.exports = {
+  createRiskChecker,
+  assessRisk,
+  loadRiskPolicy,
+  normalizeRiskPolicy,
+  DEFAULT_RISK_POLICY,
+  RISK_ACTIONS
+};
@@ -0,0 +1,243 @@
+/**
+ * Scan Snapshot Module
+ * Persists candidate scans so scanning and rescuing can be separate, reviewable steps
+ *
+ * Features:
+ * - Snapshot file: eligible accounts, rejection reasons, scan summary and the last updated_at seen
+ * - --from-scan=<file>: rescue the snapshot's eligible accounts without scanning again
+ * - --incremental: scan only records updated since the snapshot, re-check carried-over accounts,
+ *   and write a new snapshot that points to its parent
+ * - Eligible accounts keep only the fields the rescue loop, exclusions, currency detection and coupon
+ *   rules need (no email or name; of the address, only the country)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { queryClosedAccounts, recheckAccounts } = require('../api/accounts');
+
+const SNAPSHOT_VERSION = '1.0.0';
+
+/**
+ * Reduce an account to the fields stored in a snapshot
+ * @param {Object} account - Recurly account
+ * @returns {Object} { id, code, state, created_at, closed_at, updated_at, address: { country }, custom_fields }
+ */
+function toSnapshotAccount(account) {
+  return {
+    id: account.id || null,
+    code: account.code || null,
+    state: account.state || null,
+    created_at: account.created_at || null,
+    closed_at: account.closed_at || null,
+    updated_at: account.updated_at || null,
+    address: { country: account.address?.country || null },
+    custom_fields: account.custom_fields || []
+  };
+}
+
+/**
+ * Extract rejections from eligibility decisions
+ * @param {Array<Object>} decisions - Decisions from the eligibility engine
+ * @returns {Array<Object>} [{ account, rule, reason }]
+ */
+function toRejections(decisions) {
+  return decisions
+    .filter(decision => !decision.eligible)
+    .map(({ account, rule, reason }) => ({ account, rule, reason }));
+}
+
+/**
+ * Build a snapshot object
+ * @param {Object} data - Snapshot data
+ * @param {string} data.project - Project identifier
+ * @param {string} data.environment - sandbox or production
+ * @param {Date} data.startDate - Start of the scanned range
+ * @param {Date} data.endDate - End of the scanned range
+ * @param {string} [data.timezone='UTC'] - Timezone of the range's calendar days
+ * @param {boolean} data.complete - False when the scan stopped early (--limit)
+ * @param {Object} data.scan - Scan summary from queryClosedAccounts
+ * @param {Array<Object>} data.accounts - Eligible accounts
+ * @param {Array<Object>} data.rejected - Rejections ({ account, rule, reason })
+ * @param {string|null} [data.rulesFile] - Rules file used
+ * @param {Object} [data.rules] - Rules used
+ * @param {string|null} [data.lastUpdatedAt] - Latest updated_at seen (defaults to the scan's)
+ * @param {string|null} [data.parent] - Snapshot this one was built from (incremental)
+ * @returns {Object} Snapshot
+ */
+function buildScanSnapshot(data) {
+  return {
+    version: SNAPSHOT_VERSION,
+    project: data.project,
+    environment: data.environment,
+    created_at: new Date().toISOString(),
+    parent: data.parent || null,
+    range: {
+      start_date: data.startDate.toISOString(),
+      end_date: data.endDate.toISOString(),
+      timezone: data.timezone || 'UTC'
+    },
+    complete: data.complete,
+    rules_file: data.rulesFile || null,
+    rules: data.rules || null,
+    last_updated_at: data.lastUpdatedAt !== undefined ? data.lastUpdatedAt : (data.scan?.last_updated_at || null),
+    scan: data.scan || null,
+    eligible: data.accounts.map(toSnapshotAccount),
+    rejected: data.rejected
+  };
+}
+
+/**
+ * Write a snapshot file
+ * @param {Object} snapshot - Snapshot from buildScanSnapshot
+ * @param {Object} [options={}] - Options
+ * @param {string} [options.outputDir='.'] - Output directory
+ * @returns {string} Path to the written file
+ * @throws {Error} If the directory is missing or the file cannot be written
+ */
+function writeScanSnapshot(snapshot, options = {}) {
+  const { outputDir = '.' } = options;
+
+  if (!fs.existsSync(outputDir)) {
+    throw new Error(`Output directory does not exist: ${outputDir}`);
+  }
+
+  const timestamp = snapshot.created_at.replace(/[:.]/g, '-').slice(0, 19);
+  const filePath = path.join(outputDir, `scan-snapshot-${snapshot.project}-${timestamp}.json`);
+
+  try {
+    fs.writeFileSync(filePath, JSON.stringify(snapshot, null, 2));
+  } catch (error) {
+    throw new Error(`Failed to write scan snapshot: ${error.message}`);
+  }
+
+  return filePath;
+}
+
+/**
+ * Load and validate a snapshot file
+ * @param {string} filePath - Path to snapshot file
+ * @returns {Object} Snapshot
+ * @throws {Error} If the file is missing, unreadable or not a scan snapshot
+ */
+function loadScanSnapshot(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Scan snapshot not found: ${filePath}`);
+  }
+
+  let snapshot;
+  try {
+    snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Scan snapshot is corrupted (invalid JSON): ${error.message}`);
+  }
+
+  if (!snapshot.version) {
+    throw new Error('Scan snapshot missing version field');
+  }
+  if (snapshot.version !== SNAPSHOT_VERSION) {
+    console.warn(`Warning: Scan snapshot version ${snapshot.version} differs from current ${SNAPSHOT_VERSION}`);
+  }
+  if (!snapshot.project || !snapshot.environment) {
+    throw new Error('Scan snapshot missing project or environment');
+  }
+  if (!snapshot.range || !snapshot.range.start_date || !snapshot.range.end_date) {
+    throw new Error('Scan snapshot missing range');
+  }
+  if (!Array.isArray(snapshot.eligible) || !Array.isArray(snapshot.rejected)) {
+    throw new Error('Scan snapshot missing or invalid eligible/rejected arrays');
+  }
+
+  return snapshot;
+}
+
+/**
+ * Check that a snapshot was taken for the current project and environment
+ * @param {Object} snapshot - Loaded snapshot
+ * @param {string} project - Current project
+ * @param {string} environment - Current environment
+ * @throws {Error} On mismatch
+ */
+function validateSnapshotTarget(snapshot, project, environment) {
+  if (snapshot.environment !== environment) {
+    throw new Error(`Scan snapshot is for ${snapshot.environment}, not ${environment}`);
+  }
+  if (snapshot.project !== project) {
+    throw new Error(`Scan snapshot is for project '${snapshot.project}', not '${project}'`);
+  }
+}
+
+/**
+ * Rescan only what changed since a snapshot
+ * Records updated since the snapshot are scanned with the regular query; eligible accounts carried
+ * over from the snapshot are re-checked, since a new subscription does not always update the account.
+ * @param {Object} client - Recurly client instance
+ * @param {Object} previous - Loaded snapshot (must be complete)
+ * @param {Object} options - Options
+ * @param {Object} options.eligibility - Eligibility engine
+ * @param {string} [options.strategy] - Scan strategy
+ * @param {number} [options.concurrency=1] - Parallel account checks
+ * @param {Function} [options.onProgress] - Progress callback (see queryClosedAccounts)
+ * @returns {Promise<Object>} { accounts, rejected, scan, lastUpdatedAt, rechecked }
+ * @throws {Error} If the snapshot is partial or has no last_updated_at
+ */
+async function runIncrementalScan(client, previous, options) {
+  const { eligibility, strategy, concurrency = 1, onProgress = null } = options;
+
+  if (!previous.complete) {
+    throw new Error('Cannot rescan incrementally from a partial snapshot (scanned with --limit)');
+  }
+  if (!previous.last_updated_at) {
+    throw new Error('Cannot rescan incrementally: snapshot has no last_updated_at');
+  }
+
+  let scan = null;
+  const updatedAccounts = await queryClosedAccounts(client, {
+    startDate: new Date(previous.range.start_date),
+    endDate: new Date(previous.range.end_date),
+    updatedSince: new Date(previous.last_updated_at),
+    eligibility,
+    strategy,
+    concurrency,
+    onProgress: (event) => {
+      if (event.type === 'complete') {
+        scan = event.scan;
+      }
+      if (typeof onProgress === 'function') {
+        onProgress(event);
+      }
+    }
+  });
+
+  // Accounts decided by the rescan replace their previous entry
+  const rescanned = new Set(eligibility.getDecisions().map(decision => decision.account));
+  const carried = previous.eligible.filter(account => !rescanned.has(account.code));
+  const stillEligible = await recheckAccounts(client, carried, { eligibility, concurrency });
+
+  const decided = new Set(eligibility.getDecisions().map(decision => decision.account));
+  const rejected = [
+    ...previous.rejected.filter(rejection => !decided.has(rejection.account)),
+    ...toRejections(eligibility.getDecisions())
+  ];
+
+  const lastUpdatedAt = scan && scan.last_updated_at && new Date(scan.last_updated_at) > new Date(previous.last_updated_at)
+    ? scan.last_updated_at
+    : previous.last_updated_at;
+
+  return {
+    accounts: [...stillEligible, ...updatedAccounts],
+    rejected,
+    scan,
+    lastUpdatedAt,
+    rechecked: carried.length
+  };
+}
+
+module.exports = {
+  buildScanSnapshot,
+  writeScanSnapshot,
+  loadScanSnapshot,
+  validateSnapshotTarget,
+  runIncrementalScan,
+  toRejections,
+  SNAPSHOT_VERSION
+};
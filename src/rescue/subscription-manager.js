@@ -15,30 +15,37 @@
  * Dry-Run Support:
  * - Skips actual subscription creation in dry-run mode
  * - Returns mock subscription object with __dryRun flag
+ *
+ * Accounts are given as a code or as a normalized reference ({ id, code }); account paths are built
+ * with toAccountPathId, so an ID-only reference is never looked up as a code.
  */
 
 const { createLogger } = require('../ui/logger');
+const { listAll } = require('../api/recurly-client');
+const { toAccountPathId } = require('../api/account-resolver');
+const { TransactionError, findError } = require('../api/errors');
 const { isDryRunMode, formatDryRunMessage, createMockSubscription } = require('./dry-run');
 
 /**
  * Calculate trial end date
  * @param {number} trialDays - Number of trial days (0 = no trial, charge immediately)
+ * @param {Date|string} [from=new Date()] - Start of the trial (a future --starts-at date)
  * @returns {string|null} ISO date string for trial end, or null if no trial
  * @throws {Error} If trialDays is not a valid non-negative number
  */
-function calculateTrialEndDate(trialDays) {
+function calculateTrialEndDate(trialDays, from = new Date()) {
   if (typeof trialDays !== 'number' || isNaN(trialDays) || trialDays < 0) {
     throw new Error('Trial days must be a non-negative number');
   }
 
   // trialDays = 0 means no trial, charge immediately
   if (trialDays === 0) {
-    // Return current time to disable trial (Recurly starts billing immediately)
-    return new Date().toISOString();
+    // Return the start time to disable trial (Recurly starts billing immediately)
+    return new Date(from).toISOString();
   }
 
-  const trialEndsAt = new Date();
-  trialEndsAt.setDate(trialEndsAt.getDate() + trialDays);
+  const trialEndsAt = new Date(from);
+  trialEndsAt.setUTCDate(trialEndsAt.getUTCDate() + trialDays);
   return trialEndsAt.toISOString();
 }
 
@@ -48,10 +55,20 @@ function calculateTrialEndDate(trialDays) {
  * @param {string} planCode - Plan code (e.g., '4weeks-subscription')
  * @param {string} currency - ISO currency code
  * @param {number} [trialDays=1] - Trial duration in days
+ * @param {Object} [details={}] - Subscription details: kept from a previous subscription (restore mode), billing schedule and coupons
+ * @param {number} [details.quantity] - Plan quantity
+ * @param {number|null} [details.unitAmount] - Unit amount (null or omitted: plan price)
+ * @param {Array<Object>} [details.addOns] - Add-ons [{ code, quantity, unit_amount }] (null unit_amount: add-on price)
+ * @param {string} [details.trialEndsAt] - Trial end from the billing schedule (replaces the trialDays calculation)
+ * @param {string} [details.startsAt] - Future start date from the billing schedule
+ * @param {string} [details.nextBillDate] - Next bill date from the billing schedule (aligned renewals without trial)
+ * @param {string[]} [details.couponCodes] - Win-back coupons to redeem on the subscription
+ * @param {string} [details.collectionMethod='automatic'] - 'manual' leaves the first invoice open for the customer to pay
+ * @param {number} [details.netTerms] - Days the customer has to pay a manual invoice
  * @returns {Object} Subscription payload for Recurly API
  * @throws {Error} If parameters are invalid
  */
-function getSubscriptionPayload(accountCode, planCode, currency, trialDays = 1) {
+function getSubscriptionPayload(accountCode, planCode, currency, trialDays = 1, details = {}) {
   if (!accountCode || typeof accountCode !== 'string' || accountCode.trim() === '') {
     throw new Error('Account code must be a non-empty string');
   }
@@ -68,16 +85,46 @@ function getSubscriptionPayload(accountCode, planCode, currency, trialDays = 1)
   const trimmedPlanCode = planCode.trim();
   const trimmedCurrency = currency.trim().toUpperCase();
 
-  return {
+  const payload = {
     plan_code: trimmedPlanCode,
     currency: trimmedCurrency,
-    collection_method: 'automatic', // Real card charge for real refund capability
-    trial_ends_at: calculateTrialEndDate(trialDays),
+    collection_method: details.collectionMethod || 'automatic', // Real card charge for real refund capability
+    trial_ends_at: details.trialEndsAt || calculateTrialEndDate(trialDays),
     tax_inclusive: true,
     account: {
       code: trimmedAccountCode
     }
   };
+
+  if (details.startsAt) {
+    payload.starts_at = details.startsAt;
+  }
+  if (details.nextBillDate) {
+    payload.next_bill_date = details.nextBillDate;
+  }
+  if (details.netTerms !== null && details.netTerms !== undefined) {
+    payload.net_terms = details.netTerms;
+  }
+  if (details.couponCodes && details.couponCodes.length > 0) {
+    payload.coupon_codes = [...details.couponCodes];
+  }
+  if (details.quantity) {
+    payload.quantity = details.quantity;
+  }
+  if (details.unitAmount !== null && details.unitAmount !== undefined) {
+    payload.unit_amount = details.unitAmount;
+  }
+  if (details.addOns && details.addOns.length > 0) {
+    payload.add_ons = details.addOns.map(addOn => {
+      const entry = { code: addOn.code, quantity: addOn.quantity || 1 };
+      if (addOn.unit_amount !== null && addOn.unit_amount !== undefined) {
+        entry.unit_amount = addOn.unit_amount;
+      }
+      return entry;
+    });
+  }
+
+  return payload;
 }
 
 /**
@@ -111,21 +158,43 @@ function buildSubscriptionUrl(project, subscriptionId) {
   return `https://app.recurly.com/go/${project}/subscriptions/${subscriptionId}`;
 }
 
+/**
+ * Get the account code of an account given as a code or a reference
+ * @param {string|Object} account - Account code, or account reference ({ id, code })
+ * @returns {string} Trimmed account code ('' for a reference without a code)
+ */
+function toAccountCode(account) {
+  const code = account && typeof account === 'object' ? account.code : account;
+  return typeof code === 'string' ? code.trim() : '';
+}
+
+/**
+ * Get a label of an account for log and warning messages
+ * @param {string|Object} account - Account code, or account reference ({ id, code })
+ * @returns {string} Account code, or internal ID for a reference without a code
+ */
+function toAccountLabel(account) {
+  return account && typeof account === 'object' ? String(account.code || account.id) : String(account);
+}
+
 /**
  * Assign Rescue Plan to a client with trial period
  * In dry-run mode, skips actual API call and returns mock subscription
  * @param {Object} client - Recurly client instance
- * @param {string} accountCode - Client account code
+ * @param {string|Object} account - Client account code, or account reference ({ id, code })
  * @param {string} planCode - Rescue plan code (e.g., '4weeks-subscription')
  * @param {string} currency - ISO currency code
  * @param {Object} [options={}] - Options
  * @param {number} [options.trialDays=1] - Trial duration in days
  * @param {Object} [options.logger] - Logger instance (from createLogger)
  * @param {string} [options.project] - Project identifier for Recurly URLs
+ * @param {string} [options.idempotencyKey] - Idempotency-Key for the subscription POST
+ * @param {Function} [options.onReplay] - Called with the subscription when Recurly replayed an earlier request
+ * @param {Object} [options.details] - Quantity, unit amount, add-ons, billing schedule and coupons (see getSubscriptionPayload)
  * @returns {Promise<Object>} Created subscription object (or mock in dry-run mode)
  * @throws {Error} If assignment fails
  */
-async function assignRescuePlan(client, accountCode, planCode, currency, options = {}) {
+async function assignRescuePlan(client, account, planCode, currency, options = {}) {
   if (!client || typeof client.request !== 'function') {
     throw new Error('Valid Recurly client is required');
   }
@@ -133,16 +202,22 @@ async function assignRescuePlan(client, accountCode, planCode, currency, options
   const {
     trialDays = 1,
     logger = null,
-    project = ''
+    project = '',
+    idempotencyKey = null,
+    onReplay = null,
+    details = {}
   } = options;
 
-  // Trim account code once at entry point
-  const trimmedAccountCode = accountCode.trim();
+  // Trim account code once at entry point; POST /subscriptions names the account by its code
+  const trimmedAccountCode = toAccountCode(account);
+  if (trimmedAccountCode === '') {
+    throw new Error(`Account code is required to create a subscription (account ${toAccountLabel(account)})`);
+  }
 
   // Use provided logger or create a default one
   const log = logger || createLogger({ project });
 
-  const payload = getSubscriptionPayload(trimmedAccountCode, planCode, currency, trialDays);
+  const payload = getSubscriptionPayload(trimmedAccountCode, planCode, currency, trialDays, details);
 
   // Dry-run mode: Skip actual assignment, return mock subscription
   if (isDryRunMode()) {
@@ -154,15 +229,27 @@ async function assignRescuePlan(client, accountCode, planCode, currency, options
   try {
     // Use POST /subscriptions endpoint (Recurly API v3)
     // The account is specified in the payload body via account.code
+    const requestOptions = { body: payload };
+    if (idempotencyKey) {
+      requestOptions.idempotencyKey = idempotencyKey;
+    }
     const response = await client.request(
       'POST',
       '/subscriptions',
-      { body: payload }
+      requestOptions
     );
 
     const subscription = response.data;
     const subscriptionId = extractSubscriptionId(subscription);
 
+    // Recurly returned the result of an earlier request with the same key - nothing was re-executed
+    if (response.idempotentReplayed) {
+      console.log(`↺ ${trimmedAccountCode} - Subscription already created by an earlier attempt (idempotent replay)`);
+      if (typeof onReplay === 'function') {
+        onReplay(subscription);
+      }
+    }
+
     // Log success with subscription URL (not account URL)
     const subscriptionUrl = buildSubscriptionUrl(project, subscriptionId);
     if (subscriptionUrl) {
@@ -190,54 +277,54 @@ async function assignRescuePlan(client, accountCode, planCode, currency, options
  * Rescue a single client by assigning the Rescue Plan
  * This is a convenience wrapper that handles the full rescue flow for one client
  * @param {Object} client - Recurly client instance
- * @param {string} accountCode - Client account code
+ * @param {string|Object} account - Client account code, or account reference ({ id, code })
  * @param {string} planCode - Rescue plan code
  * @param {string} currency - ISO currency code
- * @param {Object} [options={}] - Options
- * @returns {Promise<Object>} Result object { status, accountCode, subscription?, error? }
+ * @param {Object} [options={}] - Options (see assignRescuePlan)
+ * @returns {Promise<Object>} Result object { status, accountCode, subscription?, idempotentReplay, error?,
+ *   declineCode?, declineReason?, gatewayMessage?, threeDSecureActionTokenId?, requires3DS? }
  */
-async function rescueClient(client, accountCode, planCode, currency, options = {}) {
+async function rescueClient(client, account, planCode, currency, options = {}) {
+  const accountCode = toAccountLabel(account);
+  let idempotentReplay = false;
+  const onReplay = (subscription) => {
+    idempotentReplay = true;
+    if (typeof options.onReplay === 'function') {
+      options.onReplay(subscription);
+    }
+  };
+
   try {
-    const subscription = await assignRescuePlan(client, accountCode, planCode, currency, options);
+    const subscription = await assignRescuePlan(client, account, planCode, currency, { ...options, onReplay });
     return {
       status: 'RESCUED',
       accountCode,
-      subscription
+      subscription,
+      idempotentReplay
     };
   } catch (error) {
-    // Try to extract transaction error details for better logging
-    let declineReason = null;
-    let declineCode = null;
-    let requires3DS = false;
-    try {
-      // Parse error message to extract transaction_error
-      const jsonMatch = error.message.match(/\{.*\}/s);
-      if (jsonMatch) {
-        const errorData = JSON.parse(jsonMatch[0]);
-        if (errorData.error?.transaction_error) {
-          const txError = errorData.error.transaction_error;
-          declineCode = txError.code || txError.decline_code;
-          declineReason = txError.merchant_advice || txError.message;
-          requires3DS = declineCode === 'three_d_secure_action_required';
-
-          if (requires3DS) {
-            console.log(`⚠ ${accountCode} - REQUIRES 3DS - Manual intervention needed (customer must authenticate)`);
-          } else {
-            console.log(`✗ ${accountCode} - DECLINED: ${declineCode} - ${declineReason}`);
-          }
-        }
-      }
-    } catch (parseError) {
-      // Ignore parsing errors
+    // Transaction details come from the TransactionError wrapped by assignRescuePlan
+    const transactionError = findError(error, TransactionError);
+    const declineCode = transactionError?.declineCode || null;
+    const declineReason = transactionError ? (transactionError.merchantAdvice || transactionError.gatewayMessage) : null;
+    const requires3DS = Boolean(transactionError?.requires3DS);
+
+    if (requires3DS) {
+      console.log(`⚠ ${accountCode} - REQUIRES 3DS - Manual intervention needed (customer must authenticate)`);
+    } else if (transactionError) {
+      console.log(`✗ ${accountCode} - DECLINED: ${declineCode} - ${declineReason}`);
     }
 
     // NFR-R5: Return failure result instead of throwing
     return {
       status: requires3DS ? 'REQUIRES_3DS' : 'FAILED',
       accountCode,
+      idempotentReplay: Boolean(error.cause?.idempotentReplayed),
       error: error.message,
       declineCode,
       declineReason,
+      gatewayMessage: transactionError?.gatewayMessage || null,
+      threeDSecureActionTokenId: transactionError?.threeDSecureActionTokenId || null,
       requires3DS
     };
   }
@@ -293,13 +380,11 @@ async function getSubscriptionInvoices(client, subscriptionId) {
   }
 
   try {
-    const response = await client.request(
-      'GET',
-      `/subscriptions/${encodeURIComponent(formattedId)}/invoices?limit=10`
+    const invoices = await listAll(
+      client,
+      `/subscriptions/${encodeURIComponent(formattedId)}/invoices`
     );
 
-    const invoices = response.data?.data || [];
-
     // Extract relevant info from each invoice
     return invoices.map(invoice => ({
       invoice_id: invoice.uuid || invoice.id,
@@ -331,27 +416,25 @@ async function getSubscriptionInvoices(client, subscriptionId) {
 /**
  * Get account line items (charges/credits)
  * @param {Object} client - Recurly client instance
- * @param {string} accountCode - Account code
+ * @param {string|Object} account - Account code, or account reference ({ id, code })
  * @param {string} [sinceTime] - Only get items created after this time
  * @returns {Promise<Array>} List of line items
  */
-async function getAccountLineItems(client, accountCode, sinceTime) {
+async function getAccountLineItems(client, account, sinceTime) {
   if (!client || typeof client.request !== 'function') {
     throw new Error('Valid Recurly client is required');
   }
 
-  if (!accountCode) {
+  if (!account) {
     return [];
   }
 
   try {
-    let url = `/accounts/code-${encodeURIComponent(accountCode)}/line_items?limit=50`;
-    if (sinceTime) {
-      url += `&begin_time=${encodeURIComponent(sinceTime)}`;
-    }
-
-    const response = await client.request('GET', url);
-    const lineItems = response.data?.data || [];
+    const lineItems = await listAll(
+      client,
+      `/accounts/${encodeURIComponent(toAccountPathId(account))}/line_items`,
+      { begin_time: sinceTime || null }
+    );
 
     return lineItems.map(item => ({
       line_item_id: item.uuid || item.id,
@@ -364,7 +447,7 @@ async function getAccountLineItems(client, accountCode, sinceTime) {
       invoice_id: item.invoice?.id
     }));
   } catch (error) {
-    console.warn(`Warning: Could not fetch line items for account ${accountCode}: ${error.message}`);
+    console.warn(`Warning: Could not fetch line items for account ${toAccountLabel(account)}: ${error.message}`);
     return [];
   }
 }
@@ -372,26 +455,24 @@ async function getAccountLineItems(client, accountCode, sinceTime) {
 /**
  * Get invoices for an account
  * @param {Object} client - Recurly client instance
- * @param {string} accountCode - Account code
+ * @param {string|Object} account - Account code, or account reference ({ id, code })
  * @returns {Promise<Array>} List of invoices with their details
  */
-async function getAccountInvoices(client, accountCode) {
+async function getAccountInvoices(client, account) {
   if (!client || typeof client.request !== 'function') {
     throw new Error('Valid Recurly client is required');
   }
 
-  if (!accountCode) {
+  if (!account) {
     return [];
   }
 
   try {
-    const response = await client.request(
-      'GET',
-      `/accounts/code-${encodeURIComponent(accountCode)}/invoices?limit=50`
+    const invoices = await listAll(
+      client,
+      `/accounts/${encodeURIComponent(toAccountPathId(account))}/invoices`
     );
 
-    const invoices = response.data?.data || [];
-
     // Extract relevant info from each invoice
     return invoices.map(invoice => ({
       invoice_id: invoice.uuid || invoice.id,
@@ -405,7 +486,7 @@ async function getAccountInvoices(client, accountCode) {
     }));
   } catch (error) {
     // If we can't get invoices, return empty array (non-fatal)
-    console.warn(`Warning: Could not fetch invoices for account ${accountCode}: ${error.message}`);
+    console.warn(`Warning: Could not fetch invoices for account ${toAccountLabel(account)}: ${error.message}`);
     return [];
   }
 }
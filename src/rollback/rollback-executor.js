@@ -4,6 +4,7 @@
  *
  * Features:
  * - Cancel rescue subscription for RESCUED clients
+ * - Terminate subscriptions that were not billed yet (trial or future start from the recorded billing schedule)
  * - Skip FAILED clients (nothing to rollback)
  * - Error handling with retry (uses recurly-client retry logic)
  * - Progress tracking and logging
@@ -11,6 +12,10 @@
  */
 
 const { buildRecurlyUrl, sanitizeErrorMessage } = require('../ui/logger');
+const { listAll } = require('../api/recurly-client');
+const { isNotFoundError, isUnprocessableError } = require('../api/errors');
+const { toAccountPathId } = require('../api/account-resolver');
+const { getPendingFirstBill } = require('../rescue/billing-schedule');
 
 /**
  * Create rollback executor instance
@@ -33,6 +38,7 @@ function createRollbackExecutor(options) {
    * Process a single client for rollback
    * @param {Object} clientData - Client data from rollback file
    * @param {string} clientData.id - Client/account ID
+   * @param {Object} [clientData.account] - Account reference ({ id, code }); id is taken as a code without it
    * @param {string} clientData.status - Original status (RESCUED, FAILED, SKIPPED)
    * @param {Object} [clientData.before] - State before rescue
    * @param {Object} [clientData.after] - State after rescue
@@ -44,7 +50,7 @@ function createRollbackExecutor(options) {
       throw new Error('clientData must be an object');
     }
 
-    const { id, status, before, after } = clientData;
+    const { id, account, status, before, after } = clientData;
 
     if (!id) {
       throw new Error('clientData.id is required');
@@ -144,8 +150,13 @@ function createRollbackExecutor(options) {
       // Step 2: Handle subscription AFTER invoices are processed
       if (after?.subscription_id) {
         const hadNoSubscriptions = !before?.subscriptions?.length;
-        if (hadNoSubscriptions) {
-          // Client had no subscriptions before rescue - terminate completely
+        // Not billed yet (trial or future start): a canceled subscription would still run until its first bill date
+        const pendingFirstBill = getPendingFirstBill(clientData);
+        if (pendingFirstBill) {
+          logger.logInfo(`${id} - Not billed yet (first bill on ${pendingFirstBill}), terminating subscription`);
+        }
+        if (hadNoSubscriptions || pendingFirstBill) {
+          // Client had no subscriptions before rescue, or was never billed - terminate completely
           await terminateSubscription(after.subscription_id);
         } else {
           // Client had subscriptions before - just cancel
@@ -158,7 +169,7 @@ function createRollbackExecutor(options) {
       // Step 3: Close the account if needed (restore to original state)
       // Only if original state was 'closed'
       if (before?.state === 'closed') {
-        await closeAccount(id);
+        await closeAccount(toAccountPathId(account || id));
       } else {
       }
 
@@ -225,7 +236,7 @@ function createRollbackExecutor(options) {
    */
   function isAlreadyRolledBackError(error) {
     // 404 Not Found - subscription or account doesn't exist
-    if (error.statusCode === 404) return true;
+    if (isNotFoundError(error)) return true;
 
     // Check for specific error messages
     const alreadyDonePatterns = [
@@ -235,7 +246,9 @@ function createRollbackExecutor(options) {
       /already.*closed/i
     ];
 
-    return alreadyDonePatterns.some(pattern => pattern.test(error.message));
+    // Prefer the API's own message over the client's formatted one
+    const message = error.body?.error?.message || error.message;
+    return alreadyDonePatterns.some(pattern => pattern.test(message));
   }
 
   /**
@@ -309,7 +322,7 @@ function createRollbackExecutor(options) {
 
   /**
    * Close an account via Recurly API
-   * @param {string} accountId - Account ID to close
+   * @param {string} accountId - Account path parameter to close (internal ID or 'code-<code>')
    * @returns {Promise<Object>} API response data
    * @throws {Error} If closing fails
    */
@@ -349,7 +362,7 @@ function createRollbackExecutor(options) {
       return response.data;
     } catch (error) {
       // 422 = nothing to collect or no credits to apply - not an error
-      if (error.statusCode === 422 || error.statusCode === 404) {
+      if (isUnprocessableError(error) || isNotFoundError(error)) {
         return null;
       }
       throw error;
@@ -374,7 +387,7 @@ function createRollbackExecutor(options) {
       );
       return response.data;
     } catch (error) {
-      if (error.statusCode === 404) {
+      if (isNotFoundError(error)) {
         return null;
       }
       throw error;
@@ -408,14 +421,13 @@ function createRollbackExecutor(options) {
         return invoice.transactions;
       }
 
-      // Fallback: fetch transactions separately
-      const txResponse = await recurlyClient.request(
-        'GET',
+      // Fallback: fetch transactions separately (all pages)
+      return await listAll(
+        recurlyClient,
         `/invoices/${encodeURIComponent(invoiceRef)}/transactions`
       );
-      return txResponse.data?.data || txResponse.data || [];
     } catch (error) {
-      if (error.statusCode === 404) {
+      if (isNotFoundError(error)) {
         return [];
       }
       throw error;
@@ -446,7 +458,7 @@ function createRollbackExecutor(options) {
       return response.data;
     } catch (error) {
       // 422 = already refunded or can't be refunded
-      if (error.statusCode === 422) {
+      if (isUnprocessableError(error)) {
         return null;
       }
       throw error;
@@ -474,7 +486,7 @@ function createRollbackExecutor(options) {
       return response.data;
     } catch (error) {
       // 422 = already paid or can't be marked - not critical
-      if (error.statusCode === 422) {
+      if (isUnprocessableError(error)) {
         return null;
       }
       throw error;
@@ -537,7 +549,7 @@ function createRollbackExecutor(options) {
       return response.data;
     } catch (error) {
       // 422 = nothing to refund (e.g., 0€ invoice) - treat as success
-      if (error.statusCode === 422) {
+      if (isUnprocessableError(error)) {
         return null;
       }
       throw error;
@@ -20,8 +20,9 @@ const path = require('path');
  * - FAILED: Client rescue failed, will be skipped in rollback
  * - SKIPPED: Client was skipped in original run, will be skipped in rollback
  * - REQUIRES_3DS: Client required 3DS authentication, will be skipped in rollback
+ * - EXCLUDED: Client was on an exclusion list and never processed, will be skipped in rollback
  */
-const VALID_CLIENT_STATUSES = ['RESCUED', 'FAILED', 'SKIPPED', 'REQUIRES_3DS'];
+const VALID_CLIENT_STATUSES = ['RESCUED', 'FAILED', 'SKIPPED', 'REQUIRES_3DS', 'EXCLUDED', 'HELD'];
 
 /**
  * Sanitize file path from error messages to prevent information leakage
@@ -7,10 +7,14 @@
  * - Resume from state file with --resume flag
  * - Corrupted state file detection
  * - Atomic file writes to prevent corruption
+ * - Run ID persisted in metadata so a resumed run reuses its idempotency keys
+ * - Pending accounts keyed by code (internal ID when there is none), with their { id, code } reference
+ *   so a resumed run addresses each account exactly as the original run did
  */
 
 const fs = require('fs');
 const path = require('path');
+const { generateRunId } = require('../api/idempotency');
 
 const STATE_VERSION = '1.0.0';
 
@@ -56,11 +60,12 @@ function sanitizeErrorForState(message) {
  * @param {string} options.environment - Environment (sandbox/production)
  * @param {string} [options.mode='rescue'] - Execution mode (rescue/rollback)
  * @param {string} [options.stateDir='.'] - Directory for state files
+ * @param {string} [options.runId] - Run ID to record (generated if omitted)
  * @returns {Object} State manager instance
  * @throws {Error} If project or environment is missing
  */
 function createStateManager(options) {
-  const { project, environment, mode = 'rescue', stateDir = '.' } = options;
+  const { project, environment, mode = 'rescue', stateDir = '.', runId = null } = options;
 
   if (!project) {
     throw new Error('Project is required for state management');
@@ -74,10 +79,12 @@ function createStateManager(options) {
 
   /**
    * Initialize state for new execution
-   * @param {Array} accounts - List of account objects to process
+   * @param {Array} accounts - List of account objects to process ({ id, code })
    * @returns {Object} Initial state
    */
   function initialize(accounts) {
+    // Same key as markProcessed callers use: the account code, or the internal ID without one
+    const keyOf = account => account.code || account.id;
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
     stateFilePath = path.join(stateDir, `rescue-state-${project}-${timestamp}.json`);
 
@@ -86,6 +93,7 @@ function createStateManager(options) {
       metadata: {
         project,
         environment,
+        runId: runId || generateRunId(),
         startedAt: new Date().toISOString(),
         lastUpdated: new Date().toISOString(),
         mode
@@ -97,7 +105,8 @@ function createStateManager(options) {
       },
       accounts: {
         processed: [],
-        pending: accounts.map(a => a.id)
+        pending: accounts.map(keyOf),
+        references: Object.fromEntries(accounts.map(a => [keyOf(a), { id: a.id || null, code: a.code || null }]))
       }
     };
 
@@ -218,6 +227,19 @@ function createStateManager(options) {
   function resumeFrom(loadedState, loadedFilePath) {
     state = loadedState;
     stateFilePath = loadedFilePath;
+
+    // State files written before run IDs existed: derive a stable one from the start time
+    if (!state.metadata.runId) {
+      state.metadata.runId = `${state.metadata.project}-${state.metadata.startedAt || 'legacy'}`;
+    }
+  }
+
+  /**
+   * Get the run ID (stable across --resume)
+   * @returns {string|null} Run ID, or null before initialize/resumeFrom
+   */
+  function getRunId() {
+    return state?.metadata?.runId || null;
   }
 
   /**
@@ -229,6 +251,17 @@ function createStateManager(options) {
     return state.accounts.pending;
   }
 
+  /**
+   * Get pending account references for resume
+   * State files without references only hold account codes (pending keys)
+   * @returns {Array<Object>} [{ id, code }] in pending order
+   */
+  function getPendingReferences() {
+    if (!state) return [];
+    const references = state.accounts.references || {};
+    return state.accounts.pending.map(key => references[key] || { id: null, code: key });
+  }
+
   /**
    * Get processed count for resume
    * @returns {number} Number of processed accounts
@@ -255,7 +288,9 @@ function createStateManager(options) {
     getStateFilePath,
     cleanup,
     resumeFrom,
+    getRunId,
     getPendingAccounts,
+    getPendingReferences,
     getProcessedCount,
     getTotalCount
   };
@@ -12,7 +12,10 @@ const path = require('path');
 const dotenv = require('dotenv');
 const { loadConfig } = require('./src/config/env');
 const { getProjectConfig } = require('./src/config/projects');
-const { createClient } = require('./src/api/recurly-client');
+const { createClient, paginate, listAll } = require('./src/api/recurly-client');
+const { RecurlyError, NotFoundError, RateLimitError, ServerError } = require('./src/api/errors');
+const { toAccountPathId } = require('./src/api/account-resolver');
+const { getPendingFirstBill } = require('./src/rescue/billing-schedule');
 
 // Load environment
 dotenv.config({ quiet: true });
@@ -32,7 +35,8 @@ const colors = {
   bgRed: '\x1b[41m',
   bgYellow: '\x1b[43m',
   bgBlue: '\x1b[44m',
-  bgMagenta: '\x1b[45m'
+  bgMagenta: '\x1b[45m',
+  bgCyan: '\x1b[46m'
 };
 
 /**
@@ -56,39 +60,50 @@ function formatPercent(value, total) {
 /**
  * Get account status from Recurly
  * @param {Object} client - Recurly client
- * @param {string} accountCode - Account code
+ * @param {string|Object} account - Account code, or account reference ({ id, code }) from the results file
  * @param {string} rescueDate - ISO date string of when rescue was performed
+ * @returns {Promise<Object>} { accountCode, accountState, status, lastPayment, latestInvoiceState, rescueInvoice } -
+ *   rescueInvoice ({ total, discount, currency }) is the latest invoice when it was created after the rescue
  */
-async function getAccountStatus(client, accountCode, rescueDate) {
+async function getAccountStatus(client, account, rescueDate) {
   const rescueTime = new Date(rescueDate).getTime();
+  const accountCode = typeof account === 'string' ? account : (account.code || account.id);
+  const pathId = encodeURIComponent(toAccountPathId(account));
 
   try {
     // Get account info
     const accountResponse = await client.request(
       'GET',
-      `/accounts/code-${encodeURIComponent(accountCode)}`
+      `/accounts/${pathId}`
     );
-    const account = accountResponse.data;
+    const accountData = accountResponse.data;
 
-    // Get recent transactions (sorted by date desc = most recent first)
-    const txResponse = await client.request(
-      'GET',
-      `/accounts/code-${encodeURIComponent(accountCode)}/transactions?limit=20&sort=created_at&order=desc`
+    // Find successful payment AFTER the rescue date
+    // Transactions are sorted by date desc (most recent first), so paging stops at the rescue date
+    let successfulTxAfterRescue = null;
+    const transactions = paginate(
+      client,
+      `/accounts/${pathId}/transactions`,
+      { sort: 'created_at', order: 'desc' }
     );
-    const transactions = txResponse.data?.data || [];
+    for await (const tx of transactions) {
+      const txTime = new Date(tx.created_at).getTime();
+      if (txTime <= rescueTime) {
+        break;
+      }
+      if (txTime > rescueTime && tx.type === 'purchase' && tx.status === 'success') {
+        successfulTxAfterRescue = tx;
+        break;
+      }
+    }
 
-    // Get invoices (sorted by date desc = most recent first)
-    const invResponse = await client.request(
-      'GET',
-      `/accounts/code-${encodeURIComponent(accountCode)}/invoices?limit=10&sort=created_at&order=desc`
+    // Get the latest invoice only (sorted by date desc = most recent first)
+    const invoices = await listAll(
+      client,
+      `/accounts/${pathId}/invoices`,
+      { limit: 1, sort: 'created_at', order: 'desc' },
+      { maxItems: 1 }
     );
-    const invoices = invResponse.data?.data || [];
-
-    // Find successful payment AFTER the rescue date
-    const successfulTxAfterRescue = transactions.find(tx => {
-      const txTime = new Date(tx.created_at).getTime();
-      return tx.type === 'purchase' && tx.status === 'success' && txTime > rescueTime;
-    });
 
     // Get the LATEST invoice (most recent)
     const latestInvoice = invoices[0];
@@ -102,7 +117,7 @@ async function getAccountStatus(client, accountCode, rescueDate) {
 
     // Determine status based on CURRENT state (latest invoice)
     let status;
-    if (account.state === 'closed' || account.state === 'inactive') {
+    if (accountData.state === 'closed' || accountData.state === 'inactive') {
       status = 'CLOSED';
     } else if (latestInvoicePaid) {
       // Latest invoice is paid - client is good
@@ -119,23 +134,63 @@ async function getAccountStatus(client, accountCode, rescueDate) {
 
     return {
       accountCode,
-      accountState: account.state,
+      accountState: accountData.state,
       status,
       lastPayment: successfulTxAfterRescue ? {
         amount: successfulTxAfterRescue.amount,
         date: successfulTxAfterRescue.created_at
       } : null,
-      latestInvoiceState
+      latestInvoiceState,
+      rescueInvoice: latestInvoice && new Date(latestInvoice.created_at).getTime() > rescueTime ? {
+        total: latestInvoice.total ?? 0,
+        discount: latestInvoice.discount ?? 0,
+        currency: latestInvoice.currency
+      } : null
     };
   } catch (error) {
+    // Account no longer exists in Recurly - counts as closed
+    if (error instanceof NotFoundError) {
+      return {
+        accountCode,
+        accountState: 'not_found',
+        status: 'CLOSED',
+        lastPayment: null,
+        latestInvoiceState: null
+      };
+    }
+
     return {
       accountCode,
       status: 'ERROR',
+      errorType: getErrorType(error),
       error: error.message
     };
   }
 }
 
+/**
+ * Get the subscription currency a client was rescued in
+ * @param {Object} client - Client entry from the results file
+ * @param {string|null} projectCurrency - Project currency (single-currency projects)
+ * @returns {string} Currency code, or 'unknown' for older results files of multi-currency projects
+ */
+function getClientCurrency(client, projectCurrency) {
+  return client.currency?.code || client.restore?.restored?.currency || projectCurrency || 'unknown';
+}
+
+/**
+ * Classify a failed status lookup
+ * Rate-limit, server and network errors are transient: re-running stats may succeed.
+ * @param {Error} error - Error thrown by the client
+ * @returns {string} 'rate_limit', 'server', 'api' or 'network'
+ */
+function getErrorType(error) {
+  if (error instanceof RateLimitError) return 'rate_limit';
+  if (error instanceof ServerError) return 'server';
+  if (error instanceof RecurlyError) return 'api';
+  return 'network';
+}
+
 /**
  * Parse command line arguments
  */
@@ -214,10 +269,12 @@ async function main() {
   const recurlyClient = createClient({
     apiKey: config.apiKey,
     apiBaseUrl: config.apiBaseUrl,
+    proxyUrl: config.proxyUrl,
     projectConfig,
     maxRetries: config.retryCount,
     retryBackoffBase: config.retryBackoffBase,
-    retryBackoffMax: config.retryBackoffMax
+    retryBackoffMax: config.retryBackoffMax,
+    rateLimitTarget: config.rateLimitTarget
   });
 
   // Extract rescued clients
@@ -239,6 +296,7 @@ async function main() {
     PAST_DUE: [],
     CLOSED: [],
     PENDING: [],
+    SCHEDULED: [],
     UNKNOWN: [],
     ERROR: []
   };
@@ -248,7 +306,15 @@ async function main() {
     processed++;
     process.stdout.write(`\rAnalyzing clients... ${processed}/${rescuedClients.length}`);
 
-    const status = await getAccountStatus(recurlyClient, client.id, rescueDate);
+    const status = await getAccountStatus(recurlyClient, client.account || client.id, rescueDate);
+    status.currency = getClientCurrency(client, projectConfig.currency);
+    status.coupon = client.coupon?.code || null;
+    // Trial or future start still running: the invoices do not tell yet whether the rescue paid
+    const pendingFirstBill = getPendingFirstBill(client);
+    if (pendingFirstBill && status.status !== 'CLOSED' && status.status !== 'ERROR') {
+      status.status = 'SCHEDULED';
+      status.firstBillAt = pendingFirstBill;
+    }
     results[status.status].push(status);
   }
 
@@ -260,6 +326,7 @@ async function main() {
   const pastDue = results.PAST_DUE.length;
   const closed = results.CLOSED.length;
   const pending = results.PENDING.length;
+  const scheduled = results.SCHEDULED.length;
   const unknown = results.UNKNOWN.length;
   const errors = results.ERROR.length;
 
@@ -301,6 +368,12 @@ async function main() {
   const closedBar = drawBar(closed, total, barWidth, colors.bgRed);
   console.log(`  ${colors.red}✗ CLOSED${colors.reset}     ${closedBar} ${closed.toString().padStart(4)} (${formatPercent(closed, total).padStart(6)})`);
 
+  // SCHEDULED (not billed yet)
+  if (scheduled > 0) {
+    const scheduledBar = drawBar(scheduled, total, barWidth, colors.bgCyan);
+    console.log(`  ${colors.cyan}◷ SCHEDULED${colors.reset}  ${scheduledBar} ${scheduled.toString().padStart(4)} (${formatPercent(scheduled, total).padStart(6)})`);
+  }
+
   // UNKNOWN
   if (unknown > 0) {
     const unknownBar = drawBar(unknown, total, barWidth, colors.bgBlue);
@@ -325,6 +398,7 @@ async function main() {
     { value: paid, bgColor: colors.bgGreen },
     { value: pastDue, bgColor: colors.bgYellow },
     { value: closed, bgColor: colors.bgRed },
+    { value: scheduled, bgColor: colors.bgCyan },
     { value: unknown, bgColor: colors.bgBlue },
     { value: errors, bgColor: colors.bgMagenta }
   ];
@@ -342,9 +416,13 @@ async function main() {
   console.log(`  ${colors.bgGreen}  ${colors.reset} ${colors.green}PAID${colors.reset} - Payment successful after rescue`);
   console.log(`  ${colors.bgYellow}  ${colors.reset} ${colors.yellow}PAST DUE${colors.reset} - Has unpaid/failed invoices`);
   console.log(`  ${colors.bgRed}  ${colors.reset} ${colors.red}CLOSED${colors.reset} - Account closed/inactive`);
+  if (scheduled > 0) {
+    console.log(`  ${colors.bgCyan}  ${colors.reset} ${colors.cyan}SCHEDULED${colors.reset} - Not billed yet (trial or future start)`);
+  }
 
-  // Success rate
-  const successRate = total > 0 ? ((paid / total) * 100).toFixed(1) : 0;
+  // Success rate (clients not billed yet cannot have paid, so they are left out)
+  const billed = total - scheduled;
+  const successRate = billed > 0 ? ((paid / billed) * 100).toFixed(1) : 0;
   console.log('\n  ┌────────────────────────────────────────────────────┐');
   if (successRate >= 70) {
     console.log(`  │  ${colors.green}${colors.bright}PAYMENT SUCCESS RATE: ${successRate}%${colors.reset}                      │`);
@@ -355,6 +433,54 @@ async function main() {
   }
   console.log('  └────────────────────────────────────────────────────┘');
 
+  // Breakdown per subscription currency (multi-currency projects)
+  const byCurrency = {};
+  Object.entries(results).forEach(([statusName, clientsWithStatus]) => {
+    clientsWithStatus.forEach(c => {
+      const counts = byCurrency[c.currency] || (byCurrency[c.currency] = { total: 0, PAID: 0, PAST_DUE: 0, CLOSED: 0, OTHER: 0 });
+      counts.total++;
+      counts[statusName in counts ? statusName : 'OTHER']++;
+    });
+  });
+  if (Object.keys(byCurrency).length > 1) {
+    console.log('\n' + colors.bright + '  By Currency' + colors.reset);
+    console.log('  ' + '─'.repeat(60));
+    console.log(colors.gray + '  Currency  Total   Paid  Past due  Closed  Other  Success' + colors.reset);
+    Object.keys(byCurrency).sort().forEach(code => {
+      const counts = byCurrency[code];
+      console.log(`  ${code.padEnd(8)}${counts.total.toString().padStart(6)}${counts.PAID.toString().padStart(7)}` +
+        `${counts.PAST_DUE.toString().padStart(10)}${counts.CLOSED.toString().padStart(8)}${counts.OTHER.toString().padStart(7)}` +
+        `${formatPercent(counts.PAID, counts.total).padStart(9)}`);
+    });
+    console.log('  ' + '─'.repeat(60));
+  }
+
+  // Win-back coupons: clients per coupon, and what the paid ones were billed after the discount
+  const byCoupon = {};
+  Object.entries(results).forEach(([statusName, clientsWithStatus]) => {
+    clientsWithStatus.filter(c => c.coupon).forEach(c => {
+      const key = `${c.coupon} ${c.currency}`;
+      const row = byCoupon[key] || (byCoupon[key] = { coupon: c.coupon, currency: c.currency, total: 0, paid: 0, revenue: 0, discount: 0 });
+      row.total++;
+      if (statusName === 'PAID') {
+        row.paid++;
+        row.revenue += c.rescueInvoice?.total || 0;
+        row.discount += c.rescueInvoice?.discount || 0;
+      }
+    });
+  });
+  if (Object.keys(byCoupon).length > 0) {
+    console.log('\n' + colors.bright + '  Coupons' + colors.reset);
+    console.log('  ' + '─'.repeat(60));
+    console.log(colors.gray + '  Coupon              Currency  Total  Paid    Revenue   Discount' + colors.reset);
+    Object.keys(byCoupon).sort().forEach(key => {
+      const row = byCoupon[key];
+      console.log(`  ${row.coupon.padEnd(20)}${row.currency.padEnd(8)}${row.total.toString().padStart(7)}${row.paid.toString().padStart(6)}` +
+        `${row.revenue.toFixed(2).padStart(11)}${row.discount.toFixed(2).padStart(11)}`);
+    });
+    console.log('  ' + '─'.repeat(60));
+  }
+
   // List PAST_DUE clients
   if (pastDue > 0) {
     console.log('\n' + colors.bright + colors.yellow + '  Past Due Clients:' + colors.reset);
@@ -379,6 +505,22 @@ async function main() {
     }
   }
 
+  // List ERROR clients, grouped by error type
+  if (errors > 0) {
+    console.log('\n' + colors.bright + colors.magenta + '  Errors:' + colors.reset);
+    console.log('  ' + '─'.repeat(50));
+    const byType = {};
+    results.ERROR.forEach(c => {
+      byType[c.errorType] = (byType[c.errorType] || 0) + 1;
+    });
+    Object.entries(byType).forEach(([type, count]) => {
+      console.log(`  ${colors.magenta}•${colors.reset} ${type}: ${count}`);
+    });
+    if (byType.rate_limit || byType.server || byType.network) {
+      console.log(`  ${colors.gray}Rate-limit, server and network errors are transient - re-run to retry${colors.reset}`);
+    }
+  }
+
   // Generate URLs file
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
   const baseUrl = config.baseUrl;
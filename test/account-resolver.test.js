@@ -0,0 +1,127 @@
+/**
+ * Tests for Account Resolver Module
+ * Tests reference parsing, path building and resolution of codes, internal IDs and emails against the emulator
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const {
+  createAccountResolver,
+  parseAccountReference,
+  toAccountPathId,
+  toAccountReference
+} = require('../src/api/account-resolver');
+const { AccountResolutionError } = require('../src/api/errors');
+const { createClient } = require('../src/api/recurly-client');
+const { createEmulator } = require('../src/emulator/recurly-emulator');
+
+describe('account resolver', () => {
+  describe('parseAccountReference', () => {
+    test('tells codes, emails, raw values and account objects apart', () => {
+      assert.deepStrictEqual(parseAccountReference(' code-client-1 '), { kind: 'code', value: 'client-1' });
+      assert.deepStrictEqual(parseAccountReference('jane@example.com'), { kind: 'email', value: 'jane@example.com' });
+      assert.deepStrictEqual(parseAccountReference('yaxd9qiamjfg'), { kind: 'raw', value: 'yaxd9qiamjfg' });
+      assert.deepStrictEqual(parseAccountReference({ id: 'abc', code: 'client-1' }), { kind: 'id', value: 'abc' });
+      assert.deepStrictEqual(parseAccountReference({ code: 'client-1' }), { kind: 'code', value: 'client-1' });
+      assert.throws(() => parseAccountReference('  '), /non-empty string/);
+    });
+  });
+
+  describe('toAccountPathId', () => {
+    test('prefers the internal ID and takes strings as codes', () => {
+      assert.strictEqual(toAccountPathId({ id: 'abc', code: 'client-1' }), 'abc');
+      assert.strictEqual(toAccountPathId({ id: null, code: 'client-1' }), 'code-client-1');
+      assert.strictEqual(toAccountPathId('yaxd9qiamjfg'), 'code-yaxd9qiamjfg');
+      assert.deepStrictEqual(toAccountReference({ id: 'abc', code: 'client-1', email: 'x@example.com' }),
+        { id: 'abc', code: 'client-1', pathId: 'abc' });
+    });
+  });
+
+  describe('createAccountResolver', () => {
+    let emulator;
+    let client;
+    let resolver;
+
+    beforeEach(async () => {
+      emulator = createEmulator({
+        fixtures: {
+          accounts: [
+            { id: 'aaaaaaaaaaaa', code: 'client-1', email: 'one@example.com' },
+            { id: 'bbbbbbbbbbbb', code: 'client-2', email: 'shared@example.com' },
+            { id: 'cccccccccccc', code: 'client-3', email: 'shared@example.com' },
+            // Code shaped like an internal ID, and an account whose ID is that value
+            { id: 'dddddddddddd', code: 'eeeeeeeeeeee' },
+            { id: 'eeeeeeeeeeee', code: 'client-5' },
+            { id: 'ffffffffffff', code: 'gggggggggggg' }
+          ]
+        }
+      });
+      const url = await emulator.start();
+      client = createClient({ apiKey: 'test-key', apiBaseUrl: url, maxRetries: 0 });
+      resolver = createAccountResolver(client);
+    });
+
+    afterEach(async () => {
+      await emulator.stop();
+    });
+
+    test('resolves prefixed codes, raw codes, internal IDs and emails to a normalized reference', async () => {
+      const byCode = await resolver.resolve('code-client-1');
+      assert.deepStrictEqual(
+        { id: byCode.id, code: byCode.code, pathId: byCode.pathId },
+        { id: 'aaaaaaaaaaaa', code: 'client-1', pathId: 'aaaaaaaaaaaa' }
+      );
+      assert.strictEqual(byCode.account.email, 'one@example.com');
+
+      assert.strictEqual((await resolver.resolve('client-2')).id, 'bbbbbbbbbbbb');
+      assert.strictEqual((await resolver.resolve('bbbbbbbbbbbb')).code, 'client-2');
+      assert.strictEqual((await resolver.resolve('one@example.com')).code, 'client-1');
+    });
+
+    test('resolves a code shaped like an internal ID instead of guessing', async () => {
+      assert.strictEqual((await resolver.resolve('gggggggggggg')).id, 'ffffffffffff');
+      assert.strictEqual((await resolver.resolve('gggggggggggg', { kind: 'code' })).id, 'ffffffffffff');
+    });
+
+    test('reports a raw value matching one account by code and another by ID', async () => {
+      await assert.rejects(
+        () => resolver.resolve('eeeeeeeeeeee'),
+        error => {
+          assert.ok(error instanceof AccountResolutionError);
+          assert.strictEqual(error.reason, 'ambiguous');
+          assert.deepStrictEqual(error.candidates.map(c => c.code), ['eeeeeeeeeeee', 'client-5']);
+          assert.match(error.message, /use code-eeeeeeeeeeee, or code-client-5/);
+          return true;
+        }
+      );
+      assert.strictEqual((await resolver.resolve('code-eeeeeeeeeeee')).id, 'dddddddddddd');
+      assert.strictEqual((await resolver.resolve('eeeeeeeeeeee', { kind: 'id' })).code, 'client-5');
+    });
+
+    test('reports emails shared by several accounts and unknown references', async () => {
+      await assert.rejects(() => resolver.resolve('shared@example.com'), {
+        name: 'AccountResolutionError',
+        reason: 'ambiguous',
+        detail: '2 accounts share this email (client-2, client-3)'
+      });
+      await assert.rejects(() => resolver.resolve('nobody@example.com'), {
+        reason: 'not_found',
+        detail: 'no account with this email'
+      });
+      await assert.rejects(() => resolver.resolve('missing'), {
+        reason: 'not_found',
+        message: "Cannot resolve account 'missing': account not found"
+      });
+    });
+
+    test('looks each reference up once', async () => {
+      await resolver.resolve('client-1');
+      await resolver.resolve(' client-1 ');
+      await assert.rejects(() => resolver.resolve('missing'));
+      await assert.rejects(() => resolver.resolve('missing'));
+
+      const lookups = emulator.getRequests().filter(r => r.method === 'GET' && r.path.startsWith('/accounts/'));
+      assert.strictEqual(lookups.length, 2);
+    });
+  });
+});
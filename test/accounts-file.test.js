@@ -0,0 +1,126 @@
+/**
+ * Tests for Accounts File Module
+ * Tests loading account lists and resolving codes, internal IDs and emails against the emulator
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadAccountsFile, resolveAccountsFile } = require('../src/rescue/accounts-file');
+const { recheckAccounts } = require('../src/api/accounts');
+const { createEligibilityEngine } = require('../src/rescue/eligibility-rules');
+const { createClient } = require('../src/api/recurly-client');
+const { createEmulator } = require('../src/emulator/recurly-emulator');
+
+describe('accounts file', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'accounts-file-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Write a file in the temporary directory
+   * @param {string} name - File name
+   * @param {string} content - File content
+   * @returns {string} File path
+   */
+  function writeFile(name, content) {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  }
+
+  describe('loadAccountsFile', () => {
+    test('types plain text values by shape', () => {
+      const filePath = writeFile('restore.txt', '# Ticket 4312\nclient-1\nclient-2@example.com\n');
+
+      assert.deepStrictEqual(loadAccountsFile(filePath), [
+        { value: 'client-1', type: 'auto', source: 'restore.txt:2' },
+        { value: 'client-2@example.com', type: 'email', source: 'restore.txt:3' }
+      ]);
+    });
+
+    test('types CSV values by column, preferring codes over emails', () => {
+      const filePath = writeFile('restore.csv', 'email,account_code\na@example.com,client-1\nb@example.com,\n');
+
+      assert.deepStrictEqual(loadAccountsFile(filePath), [
+        { value: 'client-1', type: 'code', source: 'restore.csv:2' },
+        { value: 'b@example.com', type: 'email', source: 'restore.csv:3' }
+      ]);
+    });
+
+    test('rejects an empty file', () => {
+      const filePath = writeFile('empty.txt', '# nothing yet\n');
+
+      assert.throws(() => loadAccountsFile(filePath), /Accounts file is empty/);
+    });
+  });
+
+  describe('resolveAccountsFile', () => {
+    let emulator;
+    let client;
+
+    beforeEach(async () => {
+      emulator = createEmulator({
+        fixtures: {
+          plans: [{ code: 'premium' }],
+          accounts: [
+            { code: 'client-1', email: 'one@example.com', state: 'closed' },
+            { code: 'client-2', email: 'shared@example.com', state: 'closed' },
+            { code: 'client-3', email: 'shared@example.com', state: 'closed' }
+          ],
+          subscriptions: [
+            { account_code: 'client-1', plan_code: 'premium', state: 'expired', expiration_reason: 'nonpayment' },
+            { account_code: 'client-2', plan_code: 'premium', state: 'expired', expiration_reason: 'canceled' }
+          ]
+        }
+      });
+      const url = await emulator.start();
+      client = createClient({ apiKey: 'test-key', apiBaseUrl: url, maxRetries: 0 });
+    });
+
+    afterEach(async () => {
+      await emulator.stop();
+    });
+
+    test('resolves codes, IDs and emails, and reports unresolved and duplicate entries', async () => {
+      const client2 = emulator.getStore().accounts.find(a => a.code === 'client-2');
+      const entries = [
+        { value: 'client-1', type: 'auto', source: 'list.txt:1' },
+        { value: client2.id, type: 'id', source: 'list.txt:2' },
+        { value: 'one@example.com', type: 'email', source: 'list.txt:3' },
+        { value: 'shared@example.com', type: 'email', source: 'list.txt:4' },
+        { value: 'missing', type: 'code', source: 'list.txt:5' }
+      ];
+
+      const resolved = await resolveAccountsFile(client, entries, { concurrency: 2 });
+
+      assert.deepStrictEqual(resolved.accounts.map(a => a.code), ['client-1', 'client-2']);
+      assert.deepStrictEqual(resolved.duplicates, [{ value: 'one@example.com', source: 'list.txt:3', code: 'client-1' }]);
+      assert.deepStrictEqual(resolved.unresolved, [
+        { value: 'shared@example.com', source: 'list.txt:4', reason: '2 accounts share this email (client-2, client-3)' },
+        { value: 'missing', source: 'list.txt:5', reason: 'account not found' }
+      ]);
+    });
+
+    test('resolved accounts still go through the eligibility rules', async () => {
+      const eligibility = createEligibilityEngine();
+      const resolved = await resolveAccountsFile(client, [
+        { value: 'client-1', type: 'code', source: 'list.txt:1' },
+        { value: 'client-2', type: 'code', source: 'list.txt:2' }
+      ]);
+
+      const accounts = await recheckAccounts(client, resolved.accounts, { eligibility, keepUnchecked: false });
+
+      assert.deepStrictEqual(accounts.map(a => a.code), ['client-1']);
+      assert.deepStrictEqual(eligibility.getSummary().rejected_by_rule, { expiration_reasons: 1 });
+    });
+  });
+});
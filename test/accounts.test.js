@@ -5,7 +5,8 @@
 
 const { test, describe, mock } = require('node:test');
 const assert = require('node:assert');
-const { queryClosedAccounts, getAccountById } = require('../src/api/accounts');
+const { queryClosedAccounts, getAccountById, recheckAccounts } = require('../src/api/accounts');
+const { CircuitOpenError, NotFoundError, ServerError } = require('../src/api/errors');
 
 // Helper to create mock client
 function createMockClient(responses) {
@@ -574,3 +575,152 @@ describe('getAccountById', () => {
     });
   });
 });
+
+describe('queryClosedAccounts scan strategies', () => {
+  const { createEmulator } = require('../src/emulator/recurly-emulator');
+  const { createClient } = require('../src/api/recurly-client');
+
+  const fixtures = {
+    plans: [{ code: 'premium' }],
+    accounts: [
+      { code: 'dunned-1', state: 'closed', closed_at: '2025-12-01T10:00:00Z', updated_at: '2025-12-01T10:00:00Z' },
+      { code: 'dunned-2', state: 'active', updated_at: '2025-12-02T10:00:00Z' },
+      { code: 'canceled-1', state: 'closed', closed_at: '2025-12-03T10:00:00Z', updated_at: '2025-12-03T10:00:00Z' },
+      { code: 'resubscribed-1', state: 'active', updated_at: '2025-12-04T10:00:00Z' },
+      ...[1, 2, 3, 4, 5].map(n => ({ code: `quiet-${n}`, state: 'active', updated_at: `2025-12-1${n}T10:00:00Z` }))
+    ],
+    subscriptions: [
+      { account_code: 'dunned-1', plan_code: 'premium', state: 'expired', expiration_reason: 'nonpayment', created_at: '2025-01-01T00:00:00Z', updated_at: '2025-12-01T10:00:00Z' },
+      { account_code: 'dunned-2', plan_code: 'premium', state: 'expired', expiration_reason: 'nonpayment', created_at: '2025-02-01T00:00:00Z', updated_at: '2025-12-02T10:00:00Z' },
+      { account_code: 'canceled-1', plan_code: 'premium', state: 'expired', expiration_reason: 'canceled', created_at: '2025-03-01T00:00:00Z', updated_at: '2025-12-03T10:00:00Z' },
+      { account_code: 'resubscribed-1', plan_code: 'premium', state: 'expired', expiration_reason: 'nonpayment', created_at: '2025-04-01T00:00:00Z', updated_at: '2025-12-04T09:00:00Z' },
+      { account_code: 'resubscribed-1', plan_code: 'premium', state: 'active', created_at: '2025-12-04T10:00:00Z', updated_at: '2025-12-04T10:00:00Z' },
+      ...[1, 2, 3, 4, 5].map(n => ({ account_code: `quiet-${n}`, plan_code: 'premium', state: 'active', created_at: '2025-05-01T00:00:00Z', updated_at: '2025-05-01T00:00:00Z' }))
+    ]
+  };
+
+  /**
+   * Run a query against a fresh emulator
+   * @param {string} strategy - Scan strategy
+   * @param {Object} [extraOptions={}] - Additional query options
+   * @returns {Promise<Object>} { accounts, scan }
+   */
+  async function runScan(strategy, extraOptions = {}) {
+    const emulator = createEmulator({ fixtures });
+    const url = await emulator.start();
+    try {
+      const client = createClient({ apiKey: 'test-key', apiBaseUrl: url, maxRetries: 0 });
+      let scan = null;
+      const accounts = await queryClosedAccounts(client, {
+        strategy,
+        startDate: new Date('2025-11-16T00:00:00Z'),
+        endDate: new Date('2026-01-20T23:59:59Z'),
+        ...extraOptions,
+        onProgress: (event) => {
+          if (event.type === 'complete') scan = event.scan;
+        }
+      });
+      return { accounts, scan };
+    } finally {
+      await emulator.stop();
+    }
+  }
+
+  test('both strategies find the same accounts', async () => {
+    const byAccounts = await runScan('accounts');
+    const bySubscriptions = await runScan('subscriptions');
+
+    assert.deepStrictEqual(byAccounts.accounts.map(a => a.code).sort(), ['dunned-1', 'dunned-2']);
+    assert.deepStrictEqual(bySubscriptions.accounts.map(a => a.code).sort(), ['dunned-1', 'dunned-2']);
+  });
+
+  test('subscription-first scan skips accounts without a candidate subscription', async () => {
+    const byAccounts = await runScan('accounts');
+    const bySubscriptions = await runScan('subscriptions');
+
+    // accounts: 1 list call + 9 subscription lookups; subscriptions: 1 list call + (account + subscriptions) for 3 candidates
+    assert.deepStrictEqual(
+      { scanned: byAccounts.scan.scanned, candidates: byAccounts.scan.candidates, api_calls: byAccounts.scan.api_calls },
+      { scanned: 9, candidates: 9, api_calls: 10 }
+    );
+    assert.deepStrictEqual(
+      { scanned: bySubscriptions.scan.scanned, candidates: bySubscriptions.scan.candidates, api_calls: bySubscriptions.scan.api_calls },
+      { scanned: 4, candidates: 3, api_calls: 7 }
+    );
+    assert.strictEqual(bySubscriptions.scan.strategy, 'subscriptions');
+    assert.strictEqual(bySubscriptions.scan.eligible, 2);
+  });
+
+  test('parallel scans return the same accounts in the same order', async () => {
+    for (const strategy of ['accounts', 'subscriptions']) {
+      const sequential = await runScan(strategy);
+      const parallel = await runScan(strategy, { concurrency: 4 });
+
+      assert.deepStrictEqual(parallel.accounts.map(a => a.code), sequential.accounts.map(a => a.code));
+      assert.strictEqual(parallel.scan.api_calls, sequential.scan.api_calls);
+      assert.strictEqual(parallel.scan.concurrency, 4);
+    }
+  });
+
+  test('parallel subscription scan stops at maxResults', async () => {
+    const { accounts } = await runScan('subscriptions', { concurrency: 2, maxResults: 1 });
+
+    assert.deepStrictEqual(accounts.map(a => a.code), ['dunned-1']);
+  });
+
+  test('defaults to the project closed-date window, not a fixed range', async () => {
+    let window = null;
+    await queryClosedAccounts(createMockClient([{ data: [], has_more: false }]), {
+      projectConfig: { closedWindow: '7d', timezone: 'UTC' },
+      onProgress: (event) => {
+        if (event.type === 'start') window = event;
+      }
+    });
+
+    const days = Math.round((window.endDate - window.startDate) / 86400000);
+    assert.strictEqual(days, 8);
+    assert.ok(window.endDate > new Date(Date.now() - 86400000), 'window should end today');
+  });
+
+  test('rejects an invalid concurrency', async () => {
+    await assert.rejects(
+      () => queryClosedAccounts(createMockClient([]), { concurrency: 0 }),
+      /Invalid concurrency: must be a positive integer/
+    );
+  });
+
+  test('rejects an unknown strategy', async () => {
+    await assert.rejects(
+      () => queryClosedAccounts(createMockClient([]), { strategy: 'invoices' }),
+      /Invalid scan strategy: 'invoices'/
+    );
+  });
+});
+
+describe('recheckAccounts', () => {
+  const dunned = { data: [{ id: 'sub-1', state: 'expired', expiration_reason: 'nonpayment' }], has_more: false };
+
+  test('drops accounts Recurly rejects and keeps the others', async () => {
+    const client = createMockClient((method, path) => {
+      if (path.includes('code-gone')) {
+        throw new NotFoundError('Couldn\'t find Account', { statusCode: 404 });
+      }
+      return dunned;
+    });
+
+    const accounts = await recheckAccounts(client, [{ code: 'gone', state: 'closed' }, { code: 'dunned', state: 'closed' }], { keepUnchecked: false });
+
+    assert.deepStrictEqual(accounts.map(a => a.code), ['dunned']);
+  });
+
+  test('stops on an outage or open circuit instead of dropping accounts', async () => {
+    for (const error of [new ServerError('Service Unavailable', { statusCode: 503 }), new CircuitOpenError('Circuit open', { consecutiveFailures: 5 })]) {
+      const client = createMockClient((method, path) => {
+        if (path.includes('code-second')) throw error;
+        return dunned;
+      });
+
+      await assert.rejects(() => recheckAccounts(client, [{ code: 'first' }, { code: 'second' }]), error);
+    }
+  });
+});
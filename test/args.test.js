@@ -381,4 +381,371 @@ describe('parseArgs', () => {
       }
     });
   });
+
+  describe('--record and --replay cassette modes', () => {
+    it('should parse --record directory', () => {
+      const parseArgs = getParseArgs();
+      const options = parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--record=./cassettes/run1']);
+
+      assert.strictEqual(options.record, './cassettes/run1');
+      assert.strictEqual(options.replay, null);
+    });
+
+    it('should parse --replay directory', () => {
+      const parseArgs = getParseArgs();
+      const options = parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--replay=./cassettes/run1']);
+
+      assert.strictEqual(options.replay, './cassettes/run1');
+      assert.strictEqual(options.record, null);
+    });
+
+    it('should throw error for empty --record value', () => {
+      const parseArgs = getParseArgs();
+
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--record=']),
+        /--record requires a directory path/
+      );
+    });
+
+    it('should throw error when combining --record with --replay', () => {
+      const parseArgs = getParseArgs();
+
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--record=./a', '--replay=./b']),
+        /Cannot combine --record with --replay/
+      );
+    });
+  });
+
+  describe('--on-outage', () => {
+    it('should default to pause', () => {
+      const parseArgs = getParseArgs();
+      const options = parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur']);
+
+      assert.strictEqual(options.onOutage, 'pause');
+    });
+
+    it('should parse --on-outage=exit', () => {
+      const parseArgs = getParseArgs();
+      const options = parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--on-outage=exit']);
+
+      assert.strictEqual(options.onOutage, 'exit');
+    });
+
+    it('should throw error for an unknown --on-outage value', () => {
+      const parseArgs = getParseArgs();
+
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--on-outage=retry']),
+        /Invalid --on-outage value: 'retry'. Must be 'pause' or 'exit'/
+      );
+    });
+  });
+
+  describe('--rules', () => {
+    it('should default to null', () => {
+      const parseArgs = getParseArgs();
+      const options = parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur']);
+
+      assert.strictEqual(options.rules, null);
+    });
+
+    it('should parse --rules=<file>', () => {
+      const parseArgs = getParseArgs();
+      const options = parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--rules=./rules.yaml']);
+
+      assert.strictEqual(options.rules, './rules.yaml');
+    });
+
+    it('should throw error for an empty --rules value', () => {
+      const parseArgs = getParseArgs();
+
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--rules=']),
+        /--rules requires a file path/
+      );
+    });
+  });
+
+  describe('--risk-policy', () => {
+    it('should default to null and parse a file path', () => {
+      const parseArgs = getParseArgs();
+
+      assert.strictEqual(parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur']).riskPolicy, null);
+      assert.strictEqual(
+        parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--risk-policy=./risk.yaml']).riskPolicy,
+        './risk.yaml'
+      );
+    });
+
+    it('should throw error for an empty --risk-policy value', () => {
+      const parseArgs = getParseArgs();
+
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--risk-policy=']),
+        /--risk-policy requires a file path/
+      );
+    });
+  });
+
+  describe('--restore and --plan-map', () => {
+    it('should default to the Rescue Plan and parse a plan map', () => {
+      const parseArgs = getParseArgs();
+
+      const defaults = parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur']);
+      assert.strictEqual(defaults.restore, false);
+      assert.strictEqual(defaults.planMap, null);
+
+      const options = parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=multi', '--restore', '--plan-map=./plans.yaml']);
+      assert.strictEqual(options.restore, true);
+      assert.strictEqual(options.planMap, './plans.yaml');
+    });
+
+    it('should reject --plan-map without --restore, and --restore with --price', () => {
+      const parseArgs = getParseArgs();
+
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--plan-map=./plans.yaml']),
+        /--plan-map requires --restore/
+      );
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--restore', '--price=19.90']),
+        /Cannot combine --restore with --price/
+      );
+    });
+  });
+
+  describe('--trial-days, --starts-at and --align-to-previous-renewal', () => {
+    it('should parse the billing schedule options', () => {
+      const parseArgs = getParseArgs();
+
+      const defaults = parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur']);
+      assert.strictEqual(defaults.trialDays, null);
+      assert.strictEqual(defaults.startsAt, null);
+      assert.strictEqual(defaults.alignToPreviousRenewal, false);
+
+      const options = parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur',
+        '--trial-days=7', '--starts-at=2099-03-01', '--align-to-previous-renewal']);
+      assert.strictEqual(options.trialDays, 7);
+      assert.strictEqual(options.startsAt.toISOString(), '2099-03-01T00:00:00.000Z');
+      assert.strictEqual(options.alignToPreviousRenewal, true);
+
+      const timed = parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--starts-at=2099-03-01T09:30:00+01:00']);
+      assert.strictEqual(timed.startsAt.toISOString(), '2099-03-01T08:30:00.000Z');
+    });
+
+    it('should reject invalid values and --no-trial with --trial-days', () => {
+      const parseArgs = getParseArgs();
+
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--trial-days=1.5']),
+        /Invalid --trial-days value: '1.5' must be a whole number of days/
+      );
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--starts-at=next week']),
+        /Invalid --starts-at value: 'next week' is not a valid date/
+      );
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--starts-at=2020-01-01']),
+        /must be in the future/
+      );
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--no-trial', '--trial-days=3']),
+        /Cannot combine --no-trial with --trial-days/
+      );
+    });
+  });
+
+  describe('--coupons', () => {
+    it('should parse a coupon rules file', () => {
+      const parseArgs = getParseArgs();
+
+      assert.strictEqual(parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur']).coupons, null);
+      assert.strictEqual(parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--coupons=./coupons.yaml']).coupons, './coupons.yaml');
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--coupons=']),
+        /--coupons requires a file path/
+      );
+    });
+  });
+
+  describe('--scan-strategy', () => {
+    it('should default to accounts', () => {
+      const parseArgs = getParseArgs();
+      const options = parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur']);
+
+      assert.strictEqual(options.scanStrategy, 'accounts');
+    });
+
+    it('should parse --scan-strategy=subscriptions', () => {
+      const parseArgs = getParseArgs();
+      const options = parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--scan-strategy=subscriptions']);
+
+      assert.strictEqual(options.scanStrategy, 'subscriptions');
+    });
+
+    it('should throw error for an unknown --scan-strategy value', () => {
+      const parseArgs = getParseArgs();
+
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--scan-strategy=invoices']),
+        /Invalid --scan-strategy value: 'invoices'. Must be 'accounts' or 'subscriptions'/
+      );
+    });
+  });
+
+  describe('--scan-concurrency', () => {
+    it('should default to 1', () => {
+      const parseArgs = getParseArgs();
+      const options = parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur']);
+
+      assert.strictEqual(options.scanConcurrency, 1);
+    });
+
+    it('should parse --scan-concurrency=8', () => {
+      const parseArgs = getParseArgs();
+      const options = parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--scan-concurrency=8']);
+
+      assert.strictEqual(options.scanConcurrency, 8);
+    });
+
+    it('should throw error for a non-positive --scan-concurrency', () => {
+      const parseArgs = getParseArgs();
+
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--scan-concurrency=0']),
+        /Invalid --scan-concurrency value: '0' must be a positive number/
+      );
+    });
+  });
+
+  describe('--closed-within and --closed-between', () => {
+    it('should default to no window (the project default applies)', () => {
+      const parseArgs = getParseArgs();
+      const options = parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur']);
+
+      assert.strictEqual(options.closedWindow, null);
+      assert.strictEqual(options.timezone, null);
+    });
+
+    it('should parse --closed-within=30d and --closed-between=60d..1w', () => {
+      const parseArgs = getParseArgs();
+      const within = parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--closed-within=30d']);
+      const between = parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--closed-between=60d..1w']);
+
+      assert.deepStrictEqual(within.closedWindow, { fromDays: 30, toDays: 0, spec: '30d' });
+      assert.deepStrictEqual(between.closedWindow, { fromDays: 60, toDays: 7, spec: '60d..1w' });
+    });
+
+    it('should throw error for malformed or reversed windows', () => {
+      const parseArgs = getParseArgs();
+
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--closed-within=30']),
+        /Invalid --closed-within value: '30' is not a valid duration/
+      );
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--closed-between=7d..60d']),
+        /Invalid --closed-between value: '7d..60d' is reversed/
+      );
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--closed-between=60d']),
+        /use N..M/
+      );
+    });
+
+    it('should throw error when combined with each other, explicit dates or --from-scan', () => {
+      const parseArgs = getParseArgs();
+
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--closed-within=30d', '--closed-between=60d..7d']),
+        /Cannot combine --closed-within with --closed-between/
+      );
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--closed-within=30d', '--start-date=2026-01-01']),
+        /Cannot combine --closed-within\/--closed-between with --start-date\/--end-date/
+      );
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--closed-within=30d', '--from-scan=snap.json']),
+        /Cannot combine --from-scan with --closed-within\/--closed-between/
+      );
+    });
+  });
+
+  describe('--timezone', () => {
+    it('should parse an IANA timezone', () => {
+      const parseArgs = getParseArgs();
+      const options = parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--timezone=America/New_York']);
+
+      assert.strictEqual(options.timezone, 'America/New_York');
+    });
+
+    it('should throw error for an unknown timezone', () => {
+      const parseArgs = getParseArgs();
+
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--timezone=Mars/Olympus']),
+        /Invalid --timezone value: Unknown timezone: 'Mars\/Olympus'/
+      );
+    });
+  });
+
+  describe('--exclude-file and --exclude-field', () => {
+    it('should default to no extra files and the no_rescue=true custom field', () => {
+      const parseArgs = getParseArgs();
+      const options = parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur']);
+
+      assert.deepStrictEqual(options.excludeFiles, []);
+      assert.strictEqual(options.excludeField, 'no_rescue=true');
+    });
+
+    it('should collect repeated --exclude-file values and parse --exclude-field', () => {
+      const parseArgs = getParseArgs();
+      const options = parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur',
+        '--exclude-file=legal.csv', '--exclude-file=vip.txt', '--exclude-field=rescue_opt_out=yes']);
+
+      assert.deepStrictEqual(options.excludeFiles, ['legal.csv', 'vip.txt']);
+      assert.strictEqual(options.excludeField, 'rescue_opt_out=yes');
+    });
+
+    it('should throw error for empty values', () => {
+      const parseArgs = getParseArgs();
+
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--exclude-file=']),
+        /--exclude-file requires a file path/
+      );
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--exclude-field==true']),
+        /Invalid --exclude-field value/
+      );
+    });
+  });
+
+  describe('--accounts-file', () => {
+    it('should parse --accounts-file', () => {
+      const parseArgs = getParseArgs();
+      const options = parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--accounts-file=restore.csv']);
+
+      assert.strictEqual(options.accountsFile, 'restore.csv');
+    });
+
+    it('should throw error when combined with another account source', () => {
+      const parseArgs = getParseArgs();
+
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--accounts-file=a.txt', '--client-id=abc']),
+        /Cannot combine --accounts-file with --client-id, --resume or --rollback/
+      );
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--accounts-file=a.txt', '--scan-only']),
+        /Cannot combine --accounts-file with --from-scan or --scan-only/
+      );
+      assert.throws(
+        () => parseArgs(['node', 'rescue.js', '--env=sandbox', '--project=eur', '--accounts-file=a.txt', '--closed-within=30d']),
+        /Cannot combine --accounts-file with a closed-date range/
+      );
+    });
+  });
 });
@@ -0,0 +1,161 @@
+/**
+ * Tests for Audit Journal Module
+ * Tests the append-only JSONL journal of mutating API calls
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createAuditJournal, extractResourceIds } = require('../src/output/audit-journal');
+const { createClient } = require('../src/api/recurly-client');
+const { createEmulator } = require('../src/emulator/recurly-emulator');
+const { REDACTED } = require('../src/api/redaction');
+
+/**
+ * Read every journal line
+ * @param {string} filePath - Journal file
+ * @returns {Array<Object>}
+ */
+function readJournal(filePath) {
+  return fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+describe('createAuditJournal', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('requires mode and project', () => {
+    assert.throws(() => createAuditJournal({ project: 'eur' }), /Mode is required/);
+    assert.throws(() => createAuditJournal({ mode: 'rescue' }), /Project is required/);
+  });
+
+  test('names the file after mode, project and start time', () => {
+    const journal = createAuditJournal({
+      mode: 'rescue',
+      project: 'eur',
+      outputDir: dir,
+      now: () => new Date('2026-01-23T10:30:00.000Z')
+    });
+
+    assert.strictEqual(journal.getFilePath(), path.join(dir, 'audit-rescue-eur-2026-01-23T10-30-00.jsonl'));
+  });
+
+  test('creates no file until the first call', () => {
+    const journal = createAuditJournal({ mode: 'rescue', project: 'eur', outputDir: dir });
+
+    assert.strictEqual(fs.existsSync(journal.getFilePath()), false);
+    assert.strictEqual(journal.getCount(), 0);
+  });
+
+  test('appends one redacted line per call', () => {
+    const journal = createAuditJournal({ mode: 'seed', project: 'eur', outputDir: dir, runId: 'run-1' });
+
+    journal.record({
+      method: 'POST',
+      path: '/accounts',
+      requestBody: { code: 'acc-1', email: 'jane@example.com' },
+      statusCode: 201,
+      requestId: 'req-1',
+      responseBody: { object: 'account', id: 'a1', code: 'acc-1' },
+      idempotencyKey: 'key-1'
+    });
+    journal.record({ method: 'PUT', path: '/accounts/code-acc-1/reactivate', statusCode: null, error: new Error('Request timeout') });
+
+    const lines = readJournal(journal.getFilePath());
+    assert.strictEqual(lines.length, 2);
+    assert.strictEqual(journal.getCount(), 2);
+    assert.strictEqual(lines[0].method, 'POST');
+    assert.strictEqual(lines[0].body.email, REDACTED);
+    assert.strictEqual(lines[0].status_code, 201);
+    assert.strictEqual(lines[0].request_id, 'req-1');
+    assert.strictEqual(lines[0].run_id, 'run-1');
+    assert.strictEqual(lines[0].idempotency_key, 'key-1');
+    assert.deepStrictEqual(lines[0].resources, { object: 'account', id: 'a1', code: 'acc-1' });
+    assert.strictEqual(lines[1].status_code, null);
+    assert.strictEqual(lines[1].body, null);
+    assert.strictEqual(lines[1].error, 'Request timeout');
+  });
+
+  test('setRunId applies to later lines', () => {
+    const journal = createAuditJournal({ mode: 'rescue', project: 'eur', outputDir: dir });
+
+    journal.record({ method: 'POST', path: '/plans', statusCode: 201 });
+    journal.setRunId('run-2');
+    journal.record({ method: 'POST', path: '/subscriptions', statusCode: 201 });
+
+    const lines = readJournal(journal.getFilePath());
+    assert.ok(!('run_id' in lines[0]));
+    assert.strictEqual(lines[1].run_id, 'run-2');
+  });
+});
+
+describe('extractResourceIds', () => {
+  test('reads subscription, invoice collection and transaction error IDs', () => {
+    assert.deepStrictEqual(
+      extractResourceIds({ object: 'subscription', id: 's1', uuid: 'u1', account: { code: 'acc-1' } }),
+      { object: 'subscription', id: 's1', uuid: 'u1', account_code: 'acc-1' }
+    );
+    assert.deepStrictEqual(
+      extractResourceIds({ object: 'invoice_collection', charge_invoice: { number: '1001' }, credit_invoices: [{ number: '1002' }] }),
+      { object: 'invoice_collection', charge_invoice_number: '1001', credit_invoice_numbers: ['1002'] }
+    );
+    assert.deepStrictEqual(
+      extractResourceIds({ error: { type: 'transaction', transaction_error: { transaction_id: 't1' } } }),
+      { transaction_id: 't1' }
+    );
+    assert.deepStrictEqual(extractResourceIds(null), {});
+  });
+});
+
+describe('client audit integration', () => {
+  let dir;
+  let emulator;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-client-test-'));
+  });
+
+  afterEach(async () => {
+    if (emulator) {
+      await emulator.stop();
+      emulator = null;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('journals mutating calls and skips reads', async () => {
+    emulator = createEmulator({
+      fixtures: {
+        plans: [{ code: 'rescue', currencies: [{ currency: 'EUR', unit_amount: 10 }] }],
+        accounts: [{ code: 'audit-001', state: 'active', billing_info: { payment_method: { object: 'credit_card' } } }]
+      }
+    });
+    const url = await emulator.start();
+    const journal = createAuditJournal({ mode: 'rescue', project: 'eur', outputDir: dir });
+    const client = createClient({ apiKey: 'test-key', apiBaseUrl: url, maxRetries: 0, audit: journal });
+
+    await client.request('GET', '/accounts/code-audit-001');
+    const created = await client.request('POST', '/subscriptions', {
+      body: { plan_code: 'rescue', currency: 'EUR', account: { code: 'audit-001' } }
+    });
+    await assert.rejects(() => client.request('POST', '/subscriptions', {
+      body: { plan_code: 'missing', currency: 'EUR', account: { code: 'audit-001' } }
+    }));
+
+    const lines = readJournal(journal.getFilePath());
+    assert.strictEqual(lines.length, 2);
+    assert.strictEqual(lines[0].status_code, 201);
+    assert.strictEqual(lines[0].resources.uuid, created.data.uuid);
+    assert.ok(lines[0].request_id);
+    assert.strictEqual(lines[1].status_code, 422);
+  });
+});
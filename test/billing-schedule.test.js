@@ -0,0 +1,147 @@
+/**
+ * Tests for Billing Schedule Module
+ * Tests billing cycles, schedules aligned to the previous renewal and the scheduler against the emulator
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const {
+  buildBillingSchedule,
+  createBillingScheduler,
+  findNextRenewal,
+  getBillingCycle,
+  getPendingFirstBill
+} = require('../src/rescue/billing-schedule');
+const { createClient } = require('../src/api/recurly-client');
+const { createEmulator } = require('../src/emulator/recurly-emulator');
+
+const NOW = new Date('2026-03-15T12:00:00Z').getTime();
+
+const MONTHLY = {
+  state: 'expired',
+  current_period_started_at: '2025-11-17T08:00:00Z',
+  current_period_ends_at: '2025-12-17T08:00:00Z'
+};
+
+describe('billing schedule', () => {
+  describe('getBillingCycle and findNextRenewal', () => {
+    test('reads monthly and day-based cycles from the last period', () => {
+      assert.deepStrictEqual(getBillingCycle(MONTHLY), { unit: 'months', length: 1 });
+      assert.deepStrictEqual(getBillingCycle({
+        current_period_started_at: '2026-01-01T00:00:00Z',
+        current_period_ends_at: '2026-01-29T00:00:00Z'
+      }), { unit: 'days', length: 28 });
+      assert.strictEqual(getBillingCycle({ current_period_ends_at: '2026-01-29T00:00:00Z' }), null);
+    });
+
+    test('keeps the renewal day, moved to the end of shorter months', () => {
+      const endOfMonth = { current_period_started_at: '2025-12-31T00:00:00Z', current_period_ends_at: '2026-01-31T00:00:00Z' };
+
+      assert.strictEqual(findNextRenewal(endOfMonth, new Date('2026-02-10T00:00:00Z')).toISOString(), '2026-02-28T00:00:00.000Z');
+      assert.strictEqual(findNextRenewal(endOfMonth, new Date('2026-03-16T00:00:00Z')).toISOString(), '2026-03-31T00:00:00.000Z');
+      assert.strictEqual(findNextRenewal(MONTHLY, new Date('2026-03-17T08:00:00Z')).toISOString(), '2026-03-17T08:00:00.000Z');
+      assert.strictEqual(findNextRenewal(MONTHLY, new Date('2026-03-17T08:00:00Z'), true).toISOString(), '2026-04-17T08:00:00.000Z');
+    });
+  });
+
+  describe('buildBillingSchedule', () => {
+    test('starts now with a 1 day trial by default', () => {
+      assert.deepStrictEqual(buildBillingSchedule({ now: NOW }), {
+        trial_days: 1,
+        starts_at: null,
+        trial_ends_at: '2026-03-16T12:00:00.000Z',
+        next_bill_date: null,
+        first_bill_at: '2026-03-16T12:00:00.000Z',
+        aligned: false,
+        previous_renewal: null,
+        note: null
+      });
+    });
+
+    test('runs the trial from a future start date', () => {
+      const schedule = buildBillingSchedule({ trialDays: 7, startsAt: new Date('2026-04-01T00:00:00Z'), now: NOW });
+
+      assert.strictEqual(schedule.starts_at, '2026-04-01T00:00:00.000Z');
+      assert.strictEqual(schedule.trial_ends_at, '2026-04-08T00:00:00.000Z');
+      assert.strictEqual(schedule.first_bill_at, '2026-04-08T00:00:00.000Z');
+    });
+
+    test('extends the trial to the previous renewal day, or sets the next bill date without a trial', () => {
+      const withTrial = buildBillingSchedule({ align: true, previousSubscription: MONTHLY, now: NOW });
+      assert.strictEqual(withTrial.aligned, true);
+      assert.strictEqual(withTrial.previous_renewal, '2025-12-17T08:00:00.000Z');
+      assert.strictEqual(withTrial.trial_ends_at, '2026-03-17T08:00:00.000Z');
+      assert.strictEqual(withTrial.next_bill_date, null);
+
+      const noTrial = buildBillingSchedule({ trialDays: 0, align: true, previousSubscription: MONTHLY, now: NOW });
+      assert.strictEqual(noTrial.trial_ends_at, '2026-03-15T12:00:00.000Z');
+      assert.strictEqual(noTrial.first_bill_at, '2026-03-15T12:00:00.000Z');
+      assert.strictEqual(noTrial.next_bill_date, '2026-03-17T08:00:00.000Z');
+
+      const later = buildBillingSchedule({ trialDays: 7, startsAt: '2026-04-01T00:00:00Z', align: true, previousSubscription: MONTHLY, now: NOW });
+      assert.strictEqual(later.trial_ends_at, '2026-04-17T08:00:00.000Z');
+    });
+
+    test('explains why a schedule could not be aligned', () => {
+      assert.strictEqual(buildBillingSchedule({ align: true, now: NOW }).note, 'No expired subscription to align to');
+      const noPeriod = buildBillingSchedule({ align: true, previousSubscription: { state: 'expired' }, now: NOW });
+      assert.strictEqual(noPeriod.aligned, false);
+      assert.strictEqual(noPeriod.note, 'Expired subscription has no billing period to align to');
+      assert.strictEqual(noPeriod.trial_ends_at, '2026-03-16T12:00:00.000Z');
+    });
+  });
+
+  describe('getPendingFirstBill', () => {
+    test('returns the first bill date only while it is in the future', () => {
+      const entry = { schedule: { first_bill_at: '2026-04-08T00:00:00.000Z' } };
+
+      assert.strictEqual(getPendingFirstBill(entry, NOW), '2026-04-08T00:00:00.000Z');
+      assert.strictEqual(getPendingFirstBill(entry, new Date('2026-05-01T00:00:00Z').getTime()), null);
+      assert.strictEqual(getPendingFirstBill({ status: 'RESCUED' }, NOW), null);
+    });
+  });
+
+  describe('createBillingScheduler', () => {
+    let emulator;
+    let client;
+
+    beforeEach(async () => {
+      emulator = createEmulator({
+        fixtures: {
+          accounts: [{ code: 'monthly-client' }, { code: 'no-history' }],
+          subscriptions: [{ account_code: 'monthly-client', plan_code: 'monthly', ...MONTHLY }]
+        }
+      });
+      const url = await emulator.start();
+      client = createClient({ apiKey: 'test-key', apiBaseUrl: url, maxRetries: 0 });
+    });
+
+    afterEach(async () => {
+      await emulator.stop();
+    });
+
+    test('aligns each account to its expired subscription', async () => {
+      const scheduler = createBillingScheduler(client, { trialDays: 0, align: true, now: () => NOW });
+
+      const aligned = await scheduler.schedule({ code: 'monthly-client' });
+      assert.strictEqual(aligned.lookupFailed, false);
+      assert.strictEqual(aligned.schedule.next_bill_date, '2026-03-17T08:00:00.000Z');
+      assert.strictEqual((await scheduler.schedule('no-history')).schedule.aligned, false);
+
+      const missing = await scheduler.schedule('missing');
+      assert.strictEqual(missing.lookupFailed, true);
+      assert.match(missing.schedule.note, /^Could not read subscriptions/);
+      assert.deepStrictEqual(scheduler.getSummary(), { scheduled: 3, aligned: 1, not_aligned: 2 });
+    });
+
+    test('does not read subscriptions without alignment', async () => {
+      const scheduler = createBillingScheduler(client, { trialDays: 3, now: () => NOW });
+
+      const { schedule } = await scheduler.schedule('monthly-client');
+
+      assert.strictEqual(schedule.trial_ends_at, '2026-03-18T12:00:00.000Z');
+      assert.strictEqual(emulator.getRequests().length, 0);
+      assert.deepStrictEqual(scheduler.getSummary(), { scheduled: 1, aligned: 0, not_aligned: 0 });
+    });
+  });
+});
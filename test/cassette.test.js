@@ -0,0 +1,147 @@
+/**
+ * Tests for Cassette and Redaction Modules
+ * Tests recording, redaction and deterministic replay of API traffic
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRecorder, createPlayer } = require('../src/api/cassette');
+const { redactBody, redactHeaders, redactPath, scrubSecret, REDACTED } = require('../src/api/redaction');
+
+describe('redaction', () => {
+  test('redactBody masks PII fields at any depth', () => {
+    const body = {
+      code: 'acc-1',
+      email: 'jane@example.com',
+      address: { street1: '1 rue de Paris', city: 'Paris', country: 'FR' },
+      data: [{ first_name: 'Jane', last_name: 'Doe', state: 'closed' }]
+    };
+
+    const redacted = redactBody(body);
+
+    assert.strictEqual(redacted.code, 'acc-1');
+    assert.strictEqual(redacted.email, REDACTED);
+    assert.strictEqual(redacted.address.street1, REDACTED);
+    assert.strictEqual(redacted.address.city, REDACTED);
+    assert.strictEqual(redacted.address.country, 'FR');
+    assert.strictEqual(redacted.data[0].first_name, REDACTED);
+    assert.strictEqual(redacted.data[0].state, 'closed');
+    assert.strictEqual(body.email, 'jane@example.com', 'input should not be mutated');
+  });
+
+  test('redactBody masks hosted page login tokens', () => {
+    const redacted = redactBody({ data: [{ code: 'acc-1', hosted_login_token: 'a1b2c3d4e5f6' }] });
+
+    assert.strictEqual(redacted.data[0].hosted_login_token, REDACTED);
+    assert.strictEqual(redacted.data[0].code, 'acc-1');
+  });
+
+  test('redactBody keeps null and empty PII values', () => {
+    assert.deepStrictEqual(redactBody({ email: null, company: '' }), { email: null, company: '' });
+  });
+
+  test('redactHeaders masks credentials', () => {
+    const redacted = redactHeaders({ Authorization: 'Basic abc', 'x-request-id': 'req-1', 'set-cookie': 'a=b' });
+
+    assert.strictEqual(redacted.Authorization, REDACTED);
+    assert.strictEqual(redacted['set-cookie'], REDACTED);
+    assert.strictEqual(redacted['x-request-id'], 'req-1');
+  });
+
+  test('redactPath masks PII query parameters', () => {
+    assert.strictEqual(redactPath('/accounts?email=jane%40example.com&limit=1'), '/accounts?email=%5BREDACTED%5D&limit=1');
+    assert.strictEqual(redactPath('/accounts/code-1'), '/accounts/code-1');
+  });
+
+  test('scrubSecret replaces every occurrence', () => {
+    assert.strictEqual(scrubSecret('key=abc; again abc', 'abc'), `key=${REDACTED}; again ${REDACTED}`);
+    assert.strictEqual(scrubSecret('unchanged', null), 'unchanged');
+  });
+});
+
+describe('cassette', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('records one numbered file per interaction', () => {
+    const recorder = createRecorder({ dir, secret: 'secret-key' });
+
+    recorder.record({ method: 'get', path: '/accounts/code-a' }, { statusCode: 200, headers: {}, body: { code: 'a' } });
+    recorder.record({ method: 'POST', path: '/subscriptions', body: { plan_code: 'p' } }, { statusCode: 201, headers: {}, body: {} });
+
+    assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['0001-GET-accounts-code-a.json', '0002-POST-subscriptions.json']);
+    assert.strictEqual(recorder.getCount(), 2);
+
+    const interaction = JSON.parse(fs.readFileSync(path.join(dir, '0002-POST-subscriptions.json'), 'utf8'));
+    assert.deepStrictEqual(interaction.request, { method: 'POST', path: '/subscriptions', body: { plan_code: 'p' } });
+    assert.strictEqual(interaction.response.statusCode, 201);
+  });
+
+  test('never writes the API key or PII', () => {
+    const recorder = createRecorder({ dir, secret: 'secret-key' });
+    const basic = Buffer.from('secret-key:').toString('base64');
+
+    recorder.record(
+      { method: 'GET', path: '/accounts?email=jane@example.com' },
+      { statusCode: 200, headers: { authorization: `Basic ${basic}` }, body: { email: 'jane@example.com', note: 'key secret-key' } }
+    );
+
+    const content = fs.readFileSync(path.join(dir, fs.readdirSync(dir)[0]), 'utf8');
+    assert.ok(!content.includes('secret-key'));
+    assert.ok(!content.includes(basic));
+    assert.ok(!content.includes('jane@example.com'));
+  });
+
+  test('refuses to record over existing recordings', () => {
+    createRecorder({ dir }).record({ method: 'GET', path: '/plans' }, { statusCode: 200, headers: {}, body: {} });
+
+    assert.throws(() => createRecorder({ dir }), /already contains recordings/);
+  });
+
+  test('replays responses in recording order for the same request', () => {
+    const recorder = createRecorder({ dir });
+    recorder.record({ method: 'GET', path: '/plans' }, { statusCode: 500, headers: {}, body: null });
+    recorder.record({ method: 'GET', path: '/plans' }, { statusCode: 200, headers: { 'x-request-id': 'r2' }, body: { data: [] } });
+
+    const player = createPlayer({ dir });
+
+    assert.strictEqual(player.replay('GET', '/plans').statusCode, 500);
+    const second = player.replay('GET', '/plans');
+    assert.strictEqual(second.statusCode, 200);
+    assert.strictEqual(second.headers['x-request-id'], 'r2');
+    assert.strictEqual(player.getRemaining(), 0);
+  });
+
+  test('matches requests recorded with a redacted query', () => {
+    createRecorder({ dir }).record({ method: 'GET', path: '/accounts?email=jane@example.com' }, { statusCode: 200, headers: {}, body: { data: [] } });
+
+    const player = createPlayer({ dir });
+
+    assert.strictEqual(player.replay('GET', '/accounts?email=other@example.com').statusCode, 200);
+  });
+
+  test('fails on a request with no recording left', () => {
+    createRecorder({ dir }).record({ method: 'GET', path: '/plans' }, { statusCode: 200, headers: {}, body: {} });
+    const player = createPlayer({ dir });
+    player.replay('GET', '/plans');
+
+    assert.throws(
+      () => player.replay('GET', '/plans'),
+      (error) => error.code === 'CASSETTE_MISS' && /No recorded interaction for GET \/plans/.test(error.message)
+    );
+  });
+
+  test('fails on an empty cassette directory', () => {
+    assert.throws(() => createPlayer({ dir }), /No recorded interactions found/);
+  });
+});
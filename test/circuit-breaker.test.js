@@ -0,0 +1,136 @@
+/**
+ * Tests for Circuit Breaker Module
+ * Tests tripping, cooldown, probing and client integration
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { createCircuitBreaker, isOutageError, CIRCUIT_STATES } = require('../src/api/circuit-breaker');
+const { ServerError, ValidationError, CircuitOpenError } = require('../src/api/errors');
+const { createClient } = require('../src/api/recurly-client');
+
+/**
+ * Build a network error like the ones thrown by http.request
+ * @returns {Error}
+ */
+function networkError() {
+  return Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+}
+
+describe('isOutageError', () => {
+  test('treats 5xx and network errors as outages', () => {
+    assert.strictEqual(isOutageError(new ServerError('down', { statusCode: 503 })), true);
+    assert.strictEqual(isOutageError(Object.assign(new Error('x'), { statusCode: 502 })), true);
+    assert.strictEqual(isOutageError(networkError()), true);
+    assert.strictEqual(isOutageError(new Error('Request timeout')), true);
+  });
+
+  test('does not treat 4xx as outages', () => {
+    assert.strictEqual(isOutageError(new ValidationError('invalid', { statusCode: 422 })), false);
+    assert.strictEqual(isOutageError(null), false);
+  });
+});
+
+describe('createCircuitBreaker', () => {
+  test('trips after the threshold of consecutive failures', () => {
+    const breaker = createCircuitBreaker({ threshold: 3, now: () => 0 });
+
+    breaker.recordFailure(networkError());
+    breaker.recordFailure(networkError());
+    assert.strictEqual(breaker.isOpen(), false);
+
+    breaker.recordFailure(networkError());
+    assert.strictEqual(breaker.isOpen(), true);
+    assert.throws(() => breaker.beforeRequest(), (error) => error instanceof CircuitOpenError && error.consecutiveFailures === 3);
+  });
+
+  test('a success or a 4xx resets the count', () => {
+    const breaker = createCircuitBreaker({ threshold: 2 });
+
+    breaker.recordFailure(networkError());
+    breaker.recordSuccess();
+    breaker.recordFailure(networkError());
+    breaker.recordFailure(new ValidationError('invalid', { statusCode: 422 }));
+    breaker.recordFailure(networkError());
+
+    assert.strictEqual(breaker.isOpen(), false);
+    assert.strictEqual(breaker.getState().consecutiveFailures, 1);
+  });
+
+  test('allows a probe after the cooldown and re-opens if it fails', () => {
+    let current = 0;
+    const breaker = createCircuitBreaker({ threshold: 1, cooldownMs: 1000, now: () => current });
+
+    breaker.recordFailure(networkError());
+    assert.strictEqual(breaker.getState().retryAt.getTime(), 1000);
+
+    current = 1000;
+    breaker.beforeRequest();
+    assert.strictEqual(breaker.getState().state, CIRCUIT_STATES.HALF_OPEN);
+
+    breaker.recordFailure(networkError());
+    assert.strictEqual(breaker.getState().state, CIRCUIT_STATES.OPEN);
+    assert.strictEqual(breaker.getState().retryAt.getTime(), 2000);
+
+    current = 2000;
+    breaker.beforeRequest();
+    breaker.recordSuccess();
+    assert.strictEqual(breaker.isOpen(), false);
+  });
+
+  test('lets a single probe through while half-open', () => {
+    let current = 0;
+    const breaker = createCircuitBreaker({ threshold: 1, cooldownMs: 1000, now: () => current });
+
+    breaker.recordFailure(networkError());
+    current = 1000;
+    breaker.beforeRequest();
+
+    // Other requests are refused until the probe resolves
+    assert.throws(() => breaker.beforeRequest(), CircuitOpenError);
+    assert.throws(() => breaker.beforeRequest(), /waiting for the probe request/);
+
+    breaker.recordFailure(networkError());
+    assert.throws(() => breaker.beforeRequest(), /Circuit open/);
+
+    current = 2000;
+    breaker.beforeRequest();
+    breaker.recordSuccess();
+    breaker.beforeRequest();
+    breaker.beforeRequest();
+    assert.strictEqual(breaker.isOpen(), false);
+  });
+
+  test('rejects an invalid threshold', () => {
+    assert.throws(() => createCircuitBreaker({ threshold: 0 }), /Invalid circuit breaker threshold/);
+  });
+});
+
+describe('client circuit breaker integration', () => {
+  test('refuses requests without network calls once tripped', async () => {
+    const breaker = createCircuitBreaker({ threshold: 2, cooldownMs: 60000 });
+    // Nothing listens on port 9: every request fails with ECONNREFUSED
+    const client = createClient({ apiKey: 'test-key', apiBaseUrl: 'http://127.0.0.1:9', maxRetries: 0, circuitBreaker: breaker });
+
+    await assert.rejects(() => client.request('GET', '/plans'), (error) => error.code === 'ECONNREFUSED');
+    await assert.rejects(() => client.request('GET', '/plans'), (error) => error.code === 'ECONNREFUSED');
+    await assert.rejects(() => client.request('GET', '/plans'), CircuitOpenError);
+  });
+
+  test('4xx responses keep the circuit closed', async () => {
+    const { createEmulator } = require('../src/emulator/recurly-emulator');
+    const emulator = createEmulator({ fixtures: {} });
+    const url = await emulator.start();
+
+    try {
+      const breaker = createCircuitBreaker({ threshold: 1 });
+      const client = createClient({ apiKey: 'test-key', apiBaseUrl: url, maxRetries: 0, circuitBreaker: breaker });
+
+      await assert.rejects(() => client.request('GET', '/accounts/code-missing'));
+
+      assert.strictEqual(breaker.isOpen(), false);
+    } finally {
+      await emulator.stop();
+    }
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Tests for Concurrency Module
+ * Tests bounded parallelism, result order and error handling
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { mapWithConcurrency } = require('../src/api/concurrency');
+
+/**
+ * Resolve after a delay
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+describe('mapWithConcurrency', () => {
+  test('keeps input order when later items finish first', async () => {
+    const results = await mapWithConcurrency([30, 5, 15, 0], 4, async (ms, index) => {
+      await delay(ms);
+      return `item-${index}`;
+    });
+
+    assert.deepStrictEqual(results, ['item-0', 'item-1', 'item-2', 'item-3']);
+  });
+
+  test('never runs more than the limit at once', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+
+    await mapWithConcurrency(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await delay(2);
+      inFlight--;
+    });
+
+    assert.strictEqual(maxInFlight, 3);
+  });
+
+  test('stops starting items after an error and rethrows it', async () => {
+    const started = [];
+
+    await assert.rejects(
+      () => mapWithConcurrency([1, 2, 3, 4, 5], 1, async (item) => {
+        started.push(item);
+        if (item === 2) throw new Error('lookup failed');
+      }),
+      /lookup failed/
+    );
+
+    assert.deepStrictEqual(started, [1, 2]);
+  });
+
+  test('rejects an invalid concurrency', async () => {
+    await assert.rejects(() => mapWithConcurrency([1], 0, async () => {}), /Invalid concurrency: 0/);
+  });
+});
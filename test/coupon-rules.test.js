@@ -0,0 +1,168 @@
+/**
+ * Tests for Coupon Rules Module
+ * Tests rule validation, coupon requirements, discounts and the selector against the emulator
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const {
+  createCouponSelector,
+  normalizeCouponRules,
+  getRuleCoupons,
+  describeDiscount,
+  formatDiscount,
+  estimateDiscount
+} = require('../src/rescue/coupon-rules');
+const { createClient } = require('../src/api/recurly-client');
+const { createEmulator } = require('../src/emulator/recurly-emulator');
+
+const RULES = normalizeCouponRules([
+  { name: 'loyal', coupon: 'winback-50', min_tenure_days: 365 },
+  { name: 'per-currency', coupons: { usd: 'usd-10', GBP: 'gbp-8' } },
+  { name: 'default', coupon: 'first-cycle-free', currencies: ['EUR'] }
+]);
+
+const COUPONS = {
+  'winback-50': { code: 'winback-50', discount: { type: 'percent', percent: 50 } },
+  'usd-10': { code: 'usd-10', discount: { type: 'fixed', currencies: [{ currency: 'USD', amount: 10 }] } },
+  'gbp-8': { code: 'gbp-8', discount: { type: 'fixed', currencies: [{ currency: 'GBP', amount: 8 }] } },
+  'first-cycle-free': { code: 'first-cycle-free', discount: { type: 'percent', percent: 100 } }
+};
+
+describe('coupon rules', () => {
+  describe('normalizeCouponRules', () => {
+    test('fills in names and upper-cases currencies', () => {
+      assert.deepStrictEqual(RULES[1], {
+        name: 'per-currency',
+        coupon: null,
+        coupons: { USD: 'usd-10', GBP: 'gbp-8' },
+        min_tenure_days: null,
+        currencies: [],
+        plan_codes: []
+      });
+      assert.strictEqual(normalizeCouponRules([{ coupon: 'first-cycle-free' }])[0].name, 'rule-1');
+    });
+
+    test('rejects invalid rules', () => {
+      assert.throws(() => normalizeCouponRules({ coupon: 'x' }), /Coupon rules must be a list of rules/);
+      assert.throws(() => normalizeCouponRules([{ name: 'a', coupon: 'x', tenure: 3 }]), /Unknown option 'tenure' for coupon rule 'a'/);
+      assert.throws(() => normalizeCouponRules([{ name: 'a' }]), /Coupon rule 'a' needs either coupon or coupons/);
+      assert.throws(() => normalizeCouponRules([{ coupon: 'x', coupons: { USD: 'y' } }]), /Coupon rule #1 needs either coupon or coupons/);
+      assert.throws(() => normalizeCouponRules([{ coupon: 'x', min_tenure_days: -1 }]), /Invalid min_tenure_days/);
+      assert.throws(() => normalizeCouponRules([{ coupon: 'x', plan_codes: 'gold' }]), /Invalid plan_codes/);
+    });
+  });
+
+  describe('getRuleCoupons', () => {
+    test('lists the currencies each coupon must be redeemable in', () => {
+      assert.deepStrictEqual(getRuleCoupons(RULES, ['USD']), {
+        'winback-50': ['USD'],
+        'usd-10': ['USD'],
+        'gbp-8': ['GBP'],
+        'first-cycle-free': ['EUR']
+      });
+      assert.deepStrictEqual(getRuleCoupons(RULES)['winback-50'], []);
+    });
+  });
+
+  describe('discounts', () => {
+    test('describes, formats and estimates percent, fixed and free trial discounts', () => {
+      const percent = describeDiscount(COUPONS['winback-50']);
+      const fixed = describeDiscount({ discount: { type: 'fixed', currencies: [{ currency: 'usd', amount: 10 }, { currency: 'GBP', amount: 8 }] } });
+      const trial = describeDiscount({ discount: { type: 'free_trial', trial: { unit: 'month', length: 1 } } });
+
+      assert.strictEqual(formatDiscount(percent), '50% off');
+      assert.strictEqual(formatDiscount(fixed), 'USD 10 / GBP 8 off');
+      assert.strictEqual(formatDiscount(trial), 'free trial (1 month)');
+      assert.strictEqual(estimateDiscount(percent, 29.99, 'USD'), 15);
+      assert.strictEqual(estimateDiscount(fixed, 4.99, 'USD'), 4.99);
+      assert.strictEqual(estimateDiscount(trial, 29.99, 'USD'), 29.99);
+      assert.strictEqual(estimateDiscount(percent, null, 'USD'), null);
+    });
+  });
+
+  describe('createCouponSelector', () => {
+    let emulator;
+    let client;
+
+    beforeEach(async () => {
+      emulator = createEmulator({
+        fixtures: {
+          accounts: [
+            { code: 'loyal-client', created_at: '2023-01-01T00:00:00Z' },
+            { code: 'new-client', created_at: '2025-10-01T00:00:00Z' }
+          ],
+          subscriptions: [
+            { account_code: 'loyal-client', plan_code: 'monthly', state: 'expired', expires_at: '2025-12-01T00:00:00Z' },
+            { account_code: 'new-client', plan_code: 'monthly', state: 'expired', expires_at: '2025-12-01T00:00:00Z' }
+          ]
+        }
+      });
+      const url = await emulator.start();
+      client = createClient({ apiKey: 'test-key', apiBaseUrl: url, maxRetries: 0 });
+    });
+
+    afterEach(async () => {
+      await emulator.stop();
+    });
+
+    test('gives each account the coupon of the first matching rule', async () => {
+      const selector = createCouponSelector(client, RULES, { coupons: COUPONS });
+
+      const loyal = await selector.select({ code: 'loyal-client', created_at: '2023-01-01T00:00:00Z' }, { currency: 'USD', listPrice: 29.99 });
+      assert.deepStrictEqual(loyal, {
+        coupon: {
+          code: 'winback-50',
+          rule: 'loyal',
+          discount: { type: 'percent', percent: 50 },
+          currency: 'USD',
+          list_price: 29.99,
+          discount_amount: 15
+        },
+        error: null,
+        lookupFailed: false
+      });
+
+      const recent = { code: 'new-client', created_at: '2025-10-01T00:00:00Z' };
+      assert.strictEqual((await selector.select(recent, { currency: 'gbp', listPrice: 24.99 })).coupon.code, 'gbp-8');
+      assert.strictEqual((await selector.select(recent, { currency: 'EUR', listPrice: 29.99 })).coupon.code, 'first-cycle-free');
+      assert.strictEqual((await selector.select(recent, { currency: 'CHF', listPrice: 29.99 })).coupon, null);
+
+      assert.deepStrictEqual(selector.getSummary(), {
+        selected: 3,
+        unmatched: 1,
+        by_coupon: { 'winback-50': 1, 'gbp-8': 1, 'first-cycle-free': 1 },
+        by_rule: { loyal: 1, 'per-currency': 1, default: 1 }
+      });
+    });
+
+    test('fetches the account when the reference has no creation date', async () => {
+      const selector = createCouponSelector(client, RULES, { coupons: COUPONS });
+
+      const loyal = await selector.select({ id: null, code: 'loyal-client' }, { currency: 'USD', listPrice: 29.99 });
+
+      assert.strictEqual(loyal.coupon.code, 'winback-50');
+      assert.ok(emulator.getRequests().some(request => request.method === 'GET' && request.path.endsWith('/accounts/code-loyal-client')));
+    });
+
+    test('reports lookup errors instead of throwing', async () => {
+      const selector = createCouponSelector(client, RULES, { coupons: COUPONS });
+
+      const missing = await selector.select('missing', { currency: 'USD' });
+
+      assert.strictEqual(missing.lookupFailed, true);
+      assert.match(missing.error, /^Could not read subscriptions/);
+    });
+
+    test('does not read subscriptions when no rule needs them', async () => {
+      const selector = createCouponSelector(client, normalizeCouponRules([{ coupon: 'first-cycle-free' }]), { coupons: COUPONS });
+
+      const { coupon } = await selector.select('new-client', { currency: 'EUR' });
+
+      assert.strictEqual(coupon.code, 'first-cycle-free');
+      assert.strictEqual(coupon.discount_amount, null);
+      assert.strictEqual(emulator.getRequests().length, 0);
+      assert.strictEqual(createCouponSelector(client).hasRules(), false);
+    });
+  });
+});
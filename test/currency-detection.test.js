@@ -0,0 +1,100 @@
+/**
+ * Tests for Currency Detection Module
+ * Tests currency checks against the rescue plan and per-account detection against the emulator
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { checkCurrency, createCurrencyDetector, getPlanCurrencies, CURRENCY_VERDICTS } = require('../src/rescue/currency-detection');
+const { createClient } = require('../src/api/recurly-client');
+const { createEmulator } = require('../src/emulator/recurly-emulator');
+
+describe('currency detection', () => {
+  describe('checkCurrency', () => {
+    const plan = { code: '4weeks-subscription', currencies: [{ currency: 'EUR' }, { currency: 'USD' }, { currency: 'JPY' }] };
+
+    test('accepts supported currencies priced on the plan', () => {
+      assert.deepStrictEqual(getPlanCurrencies(plan), ['EUR', 'USD']);
+      assert.deepStrictEqual(getPlanCurrencies(null), ['EUR', 'USD', 'GBP', 'CHF', 'CAD']);
+      assert.strictEqual(checkCurrency({ currency: 'USD', source: 'subscription', detail: 'USD (last subscription)' }, plan).verdict,
+        CURRENCY_VERDICTS.SUPPORTED);
+    });
+
+    test('rejects currencies outside SUPPORTED_CURRENCIES or missing from the plan', () => {
+      assert.deepStrictEqual(checkCurrency({ currency: 'JPY', source: 'invoice', detail: 'JPY (invoice #1001)' }, plan), {
+        currency: 'JPY',
+        source: 'invoice',
+        verdict: 'UNSUPPORTED_CURRENCY',
+        detail: 'JPY (invoice #1001) is not a supported currency (EUR, USD, GBP, CHF, CAD)'
+      });
+      assert.strictEqual(checkCurrency({ currency: 'GBP', source: 'billing_country', detail: 'GBP (billing country GB)' }, plan).detail,
+        'GBP (billing country GB) is not priced on plan 4weeks-subscription (EUR, USD)');
+    });
+  });
+
+  describe('createCurrencyDetector', () => {
+    let emulator;
+    let client;
+
+    beforeEach(async () => {
+      emulator = createEmulator({
+        fixtures: {
+          accounts: [
+            { code: 'usd-subscriber' },
+            { code: 'gbp-invoice' },
+            { code: 'swiss-card', billing_info: { address: { country: 'CH' }, payment_method: { object: 'credit_card' } } },
+            { code: 'canadian', address: { country: 'CA' } },
+            { code: 'japanese', address: { country: 'JP' } },
+            { code: 'no-history' }
+          ],
+          subscriptions: [
+            { account_code: 'usd-subscriber', plan_code: 'old', currency: 'EUR', state: 'expired', created_at: '2024-01-01T00:00:00Z' },
+            { account_code: 'usd-subscriber', plan_code: 'old', currency: 'USD', state: 'expired', created_at: '2025-01-01T00:00:00Z' }
+          ],
+          invoices: [{ account_code: 'gbp-invoice', number: '1001', currency: 'GBP', state: 'failed' }]
+        }
+      });
+      const url = await emulator.start();
+      client = createClient({ apiKey: 'test-key', apiBaseUrl: url, maxRetries: 0 });
+    });
+
+    afterEach(async () => {
+      await emulator.stop();
+    });
+
+    test('takes the last subscription, then the invoices, then the billing country', async () => {
+      const detector = createCurrencyDetector(client);
+
+      const subscriber = await detector.detect({ code: 'usd-subscriber' });
+      assert.deepStrictEqual(subscriber, {
+        currency: 'USD',
+        source: 'subscription',
+        verdict: 'SUPPORTED',
+        detail: 'USD (last subscription)',
+        supported: true,
+        lookupFailed: false
+      });
+      assert.strictEqual((await detector.detect('gbp-invoice')).detail, 'GBP (invoice #1001)');
+      assert.strictEqual((await detector.detect('swiss-card')).detail, 'CHF (billing country CH)');
+      assert.strictEqual((await detector.detect({ code: 'canadian', address: { country: 'CA' } })).currency, 'CAD');
+
+      const accountCalls = emulator.getRequests().filter(r => r.path.startsWith('/accounts/code-usd-subscriber/'));
+      assert.strictEqual(accountCalls.length, 1);
+      assert.deepStrictEqual(detector.getSummary().by_source, { subscription: 1, invoice: 1, billing_country: 2 });
+    });
+
+    test('reports accounts without a usable currency', async () => {
+      const detector = createCurrencyDetector(client, { plan: { code: 'rescue', currencies: [{ currency: 'EUR' }] } });
+
+      assert.strictEqual((await detector.detect('usd-subscriber')).verdict, 'UNSUPPORTED_CURRENCY');
+      assert.strictEqual((await detector.detect({ code: 'japanese', address: { country: 'JP' } })).detail,
+        'No currency found: no subscription or invoice, and billing country JP has no supported currency');
+      assert.strictEqual((await detector.detect('no-history')).verdict, 'NO_CURRENCY');
+
+      const missing = await detector.detect('missing');
+      assert.strictEqual(missing.verdict, 'UNKNOWN');
+      assert.strictEqual(missing.lookupFailed, true);
+      assert.deepStrictEqual(detector.getSummary().by_verdict, { UNSUPPORTED_CURRENCY: 1, NO_CURRENCY: 2, UNKNOWN: 1 });
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests for Date Window Module
+ * Tests relative window parsing and timezone-anchored closed_at ranges
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const {
+  resolveClosedWindow,
+  parseWindowSpec,
+  validateTimezone,
+  formatZonedDate,
+  startOfZonedDay
+} = require('../src/cli/date-window');
+
+const NOW = new Date('2026-03-29T12:00:00Z');
+
+describe('parseWindowSpec', () => {
+  test('parses a window ending today', () => {
+    assert.deepStrictEqual(parseWindowSpec('30d'), { fromDays: 30, toDays: 0, spec: '30d' });
+  });
+
+  test('parses a window between two past days, in days or weeks', () => {
+    assert.deepStrictEqual(parseWindowSpec('8w..7d'), { fromDays: 56, toDays: 7, spec: '8w..7d' });
+  });
+
+  test('rejects malformed and reversed windows', () => {
+    assert.throws(() => parseWindowSpec('30'), /not a valid duration/);
+    assert.throws(() => parseWindowSpec('30d..7d..1d'), /not a valid window/);
+    assert.throws(() => parseWindowSpec('7d..30d'), /is reversed/);
+  });
+});
+
+describe('timezone helpers', () => {
+  test('validateTimezone rejects unknown names', () => {
+    assert.strictEqual(validateTimezone('Europe/Paris'), 'Europe/Paris');
+    assert.throws(() => validateTimezone('Mars/Olympus'), /Unknown timezone: 'Mars\/Olympus'/);
+  });
+
+  test('startOfZonedDay finds local midnight on both sides of a DST change', () => {
+    assert.strictEqual(startOfZonedDay(2026, 3, 29, 'Europe/Paris').toISOString(), '2026-03-28T23:00:00.000Z');
+    assert.strictEqual(startOfZonedDay(2026, 3, 30, 'Europe/Paris').toISOString(), '2026-03-29T22:00:00.000Z');
+    assert.strictEqual(startOfZonedDay(2026, 4, 0, 'UTC').toISOString(), '2026-03-31T00:00:00.000Z');
+  });
+
+  test('formatZonedDate uses the calendar day of the timezone', () => {
+    const instant = new Date('2026-03-28T23:30:00Z');
+
+    assert.strictEqual(formatZonedDate(instant), '2026-03-28');
+    assert.strictEqual(formatZonedDate(instant, 'Europe/Paris'), '2026-03-29');
+  });
+});
+
+describe('resolveClosedWindow', () => {
+  test('uses the project default window and timezone', () => {
+    const window = resolveClosedWindow({ now: NOW, projectConfig: { closedWindow: '30d', timezone: 'Europe/Paris' } });
+
+    assert.strictEqual(window.startDate.toISOString(), '2026-02-26T23:00:00.000Z');
+    assert.strictEqual(window.endDate.toISOString(), '2026-03-29T21:59:59.000Z');
+    assert.strictEqual(window.timezone, 'Europe/Paris');
+    assert.strictEqual(window.source, 'project default (30d)');
+  });
+
+  test('falls back to 30 days in UTC without project settings', () => {
+    const window = resolveClosedWindow({ now: NOW });
+
+    assert.strictEqual(window.startDate.toISOString(), '2026-02-27T00:00:00.000Z');
+    assert.strictEqual(window.endDate.toISOString(), '2026-03-29T23:59:59.000Z');
+    assert.strictEqual(window.timezone, 'UTC');
+  });
+
+  test('a CLI window and timezone override the project settings', () => {
+    const window = resolveClosedWindow({
+      now: NOW,
+      window: parseWindowSpec('60d..7d'),
+      timezone: 'UTC',
+      projectConfig: { closedWindow: '30d', timezone: 'Europe/Paris' }
+    });
+
+    assert.strictEqual(window.startDate.toISOString(), '2026-01-28T00:00:00.000Z');
+    assert.strictEqual(window.endDate.toISOString(), '2026-03-22T23:59:59.000Z');
+    assert.strictEqual(window.source, '--closed-between=60d..7d');
+  });
+
+  test('explicit dates are calendar days in the timezone; a missing side keeps the default', () => {
+    const window = resolveClosedWindow({
+      now: NOW,
+      startDate: new Date('2026-03-01T00:00:00Z'),
+      timezone: 'Europe/Paris'
+    });
+
+    assert.strictEqual(window.startDate.toISOString(), '2026-02-28T23:00:00.000Z');
+    assert.strictEqual(window.endDate.toISOString(), '2026-03-29T21:59:59.000Z');
+    assert.strictEqual(window.source, '--start-date/--end-date');
+  });
+
+  test('rejects a range that ends before it starts', () => {
+    assert.throws(
+      () => resolveClosedWindow({ now: NOW, endDate: new Date('2026-01-01T23:59:59Z') }),
+      /Invalid date range: 2026-02-27 is after 2026-01-01/
+    );
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Tests for Eligibility Rules Module
+ * Tests rule loading, evaluation order, decisions and query integration
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createEligibilityEngine, loadRules, normalizeRules, DEFAULT_RULES } = require('../src/rescue/eligibility-rules');
+const { queryClosedAccounts } = require('../src/api/accounts');
+
+const NOW = new Date('2026-02-01T00:00:00Z').getTime();
+
+/**
+ * Build a subscription that expired for nonpayment
+ * @param {Object} [overrides] - Fields to override
+ * @returns {Object} Subscription
+ */
+function expiredSubscription(overrides = {}) {
+  return {
+    state: 'expired',
+    expiration_reason: 'nonpayment',
+    plan: { code: 'premium' },
+    created_at: '2025-01-01T00:00:00Z',
+    expires_at: '2026-01-10T00:00:00Z',
+    ...overrides
+  };
+}
+
+describe('loadRules', () => {
+  test('returns the defaults without a file', () => {
+    assert.deepStrictEqual(loadRules(null), { ...DEFAULT_RULES });
+  });
+
+  test('merges a YAML file over the defaults', () => {
+    const filePath = path.join(os.tmpdir(), `rules-${process.pid}.yaml`);
+    fs.writeFileSync(filePath, 'countries: [fr]\nmin_tenure_days: 90\n');
+
+    try {
+      const rules = loadRules(filePath);
+      assert.deepStrictEqual(rules.countries, ['FR']);
+      assert.strictEqual(rules.min_tenure_days, 90);
+      assert.deepStrictEqual(rules.expiration_reasons, ['nonpayment']);
+    } finally {
+      fs.unlinkSync(filePath);
+    }
+  });
+
+  test('rejects unknown rules and invalid values', () => {
+    assert.throws(() => normalizeRules({ plan: ['x'] }), /Unknown rule 'plan'/);
+    assert.throws(() => normalizeRules({ countries: 'FR' }), /Invalid rule 'countries': expected a list/);
+    assert.throws(() => normalizeRules({ max_days_since_expiry: -1 }), /Invalid rule 'max_days_since_expiry'/);
+    assert.throws(() => loadRules('/nonexistent/rules.yaml'), /Invalid rules file \/nonexistent\/rules.yaml/);
+  });
+});
+
+describe('createEligibilityEngine', () => {
+  test('default rules accept the last subscription expired for nonpayment', () => {
+    const engine = createEligibilityEngine(loadRules(null), { now: () => NOW });
+
+    const decision = engine.evaluate({ code: 'a1', state: 'closed' }, [
+      expiredSubscription(),
+      expiredSubscription({ expiration_reason: 'canceled', created_at: '2024-01-01T00:00:00Z' })
+    ]);
+
+    assert.strictEqual(decision.eligible, true);
+    assert.strictEqual(decision.rule, null);
+    assert.deepStrictEqual(decision.matched, ['account_states', 'subscription_states', 'expiration_reasons']);
+  });
+
+  test('records the first rule that rejects an account', () => {
+    const engine = createEligibilityEngine(loadRules(null), { now: () => NOW });
+
+    const active = engine.evaluate({ code: 'a1', state: 'active' }, [expiredSubscription({ state: 'active', expiration_reason: null })]);
+    const none = engine.evaluate({ code: 'a2', state: 'closed' }, []);
+
+    assert.strictEqual(active.rule, 'subscription_states');
+    assert.match(active.reason, /last subscription state 'active'/);
+    assert.strictEqual(none.reason, 'account has no subscriptions');
+    assert.deepStrictEqual(engine.getSummary(), { evaluated: 2, eligible: 0, rejected_by_rule: { subscription_states: 2 } });
+  });
+
+  test('applies country, plan, tenure and expiry rules', () => {
+    const rules = normalizeRules({ countries: ['FR'], plan_codes: ['premium'], min_tenure_days: 180, max_days_since_expiry: 30 });
+    const engine = createEligibilityEngine(rules, { now: () => NOW });
+    const account = { code: 'a1', state: 'closed', created_at: '2025-03-01T00:00:00Z', address: { country: 'fr' } };
+
+    assert.strictEqual(engine.evaluate(account, [expiredSubscription()]).eligible, true);
+    assert.strictEqual(engine.evaluate({ ...account, address: { country: 'DE' } }, [expiredSubscription()]).rule, 'countries');
+    assert.strictEqual(engine.evaluate(account, [expiredSubscription({ plan: { code: 'basic' } })]).rule, 'plan_codes');
+    assert.strictEqual(engine.evaluate({ ...account, created_at: '2025-12-01T00:00:00Z' }, [expiredSubscription()]).rule, 'min_tenure_days');
+    assert.strictEqual(engine.evaluate(account, [expiredSubscription({ expires_at: '2025-11-01T00:00:00Z' })]).rule, 'max_days_since_expiry');
+  });
+
+  test('checkAccount only runs account rules and records rejections', () => {
+    const engine = createEligibilityEngine(normalizeRules({ account_states: ['closed'] }));
+
+    assert.strictEqual(engine.checkAccount({ code: 'a1', state: 'closed' }).eligible, true);
+    assert.strictEqual(engine.checkAccount({ code: 'a2', state: 'active' }).rule, 'account_states');
+    assert.deepStrictEqual(engine.getDecisions().map(d => d.account), ['a2']);
+  });
+
+  test('checkSubscription skips rules that need account details', () => {
+    const engine = createEligibilityEngine(normalizeRules({ min_tenure_days: 365 }), { now: () => NOW });
+
+    assert.strictEqual(engine.checkSubscription({ code: 'a1' }, expiredSubscription()).eligible, true);
+    assert.strictEqual(engine.checkSubscription({ code: 'a2' }, expiredSubscription({ expiration_reason: 'canceled' })).rule, 'expiration_reasons');
+    assert.deepStrictEqual(engine.getDecisions().map(d => d.account), ['a2']);
+  });
+});
+
+describe('queryClosedAccounts with eligibility rules', () => {
+  test('returns only accounts accepted by the rules', async () => {
+    const accounts = [
+      { code: 'fr-1', state: 'closed', closed_at: '2025-12-01T10:00:00Z', address: { country: 'FR' } },
+      { code: 'de-1', state: 'closed', closed_at: '2025-12-02T10:00:00Z', address: { country: 'DE' } },
+      { code: 'fr-2', state: 'closed', closed_at: '2025-12-03T10:00:00Z', address: { country: 'FR' } }
+    ];
+    const subscriptions = {
+      'fr-1': [expiredSubscription()],
+      'fr-2': [expiredSubscription({ expiration_reason: 'canceled' })]
+    };
+    const requested = [];
+    const client = {
+      request: async (method, requestPath) => {
+        requested.push(requestPath);
+        const match = requestPath.match(/^\/accounts\/code-([^/]+)\/subscriptions/);
+        const data = match ? subscriptions[decodeURIComponent(match[1])] : accounts;
+        return { data: { data, has_more: false, next: null } };
+      }
+    };
+    const eligibility = createEligibilityEngine(normalizeRules({ countries: ['FR'] }));
+
+    const result = await queryClosedAccounts(client, {
+      eligibility,
+      startDate: new Date('2025-11-16T00:00:00Z'),
+      endDate: new Date('2026-01-20T23:59:59Z')
+    });
+
+    assert.deepStrictEqual(result.map(a => a.code), ['fr-1']);
+    assert.ok(!requested.some(p => p.includes('code-de-1')), 'account rules run before subscriptions are fetched');
+    assert.deepStrictEqual(eligibility.getSummary().rejected_by_rule, { countries: 1, expiration_reasons: 1 });
+  });
+});
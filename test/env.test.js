@@ -92,6 +92,24 @@ describe('loadConfig', () => {
       assert.strictEqual(config.apiBaseUrl, 'https://v3.eu.recurly.com');
     });
 
+    it('should default proxyUrl to null', () => {
+      fs.writeFileSync(envPath, 'RECURLY_SANDBOX_API_KEY=test-key');
+
+      const { loadConfig } = require('../src/config/env');
+      const config = loadConfig('sandbox');
+
+      assert.strictEqual(config.proxyUrl, null);
+    });
+
+    it('should load proxy URL when specified', () => {
+      fs.writeFileSync(envPath, 'RECURLY_SANDBOX_API_KEY=test-key\nRECURLY_PROXY_URL=http://proxy.local:3128');
+
+      const { loadConfig } = require('../src/config/env');
+      const config = loadConfig('sandbox');
+
+      assert.strictEqual(config.proxyUrl, 'http://proxy.local:3128');
+    });
+
     it('should load custom retry settings when specified', () => {
       fs.writeFileSync(envPath, 'RECURLY_SANDBOX_API_KEY=test-key\nRETRY_COUNT=5\nRETRY_BACKOFF_BASE=3\nRETRY_BACKOFF_MAX=60');
 
@@ -271,6 +289,58 @@ describe('loadConfig', () => {
       );
     });
   });
+
+  describe('Rate limit target', () => {
+    it('should default to 100 percent', () => {
+      fs.writeFileSync(envPath, 'RECURLY_SANDBOX_API_KEY=test-key');
+
+      const { loadConfig } = require('../src/config/env');
+
+      assert.strictEqual(loadConfig('sandbox').rateLimitTarget, 100);
+    });
+
+    it('should load RATE_LIMIT_TARGET when specified', () => {
+      fs.writeFileSync(envPath, 'RECURLY_SANDBOX_API_KEY=test-key\nRATE_LIMIT_TARGET=60');
+
+      const { loadConfig } = require('../src/config/env');
+
+      assert.strictEqual(loadConfig('sandbox').rateLimitTarget, 60);
+    });
+
+    it('should throw error when RATE_LIMIT_TARGET is out of range', () => {
+      fs.writeFileSync(envPath, 'RECURLY_SANDBOX_API_KEY=test-key\nRATE_LIMIT_TARGET=150');
+
+      const { loadConfig } = require('../src/config/env');
+
+      assert.throws(
+        () => loadConfig('sandbox'),
+        /Invalid RATE_LIMIT_TARGET: '150' must be between 1 and 100/
+      );
+    });
+  });
+
+  describe('Circuit breaker settings', () => {
+    it('should default to 5 failures and 60 seconds', () => {
+      fs.writeFileSync(envPath, 'RECURLY_SANDBOX_API_KEY=test-key');
+
+      const { loadConfig } = require('../src/config/env');
+      const config = loadConfig('sandbox');
+
+      assert.strictEqual(config.circuitBreakerThreshold, 5);
+      assert.strictEqual(config.circuitBreakerCooldown, 60);
+    });
+
+    it('should throw error when CIRCUIT_BREAKER_THRESHOLD is zero', () => {
+      fs.writeFileSync(envPath, 'RECURLY_SANDBOX_API_KEY=test-key\nCIRCUIT_BREAKER_THRESHOLD=0');
+
+      const { loadConfig } = require('../src/config/env');
+
+      assert.throws(
+        () => loadConfig('sandbox'),
+        /Invalid CIRCUIT_BREAKER_THRESHOLD: '0' must be a positive integer/
+      );
+    });
+  });
 });
 
 describe('AC3: .gitignore validation', () => {
@@ -0,0 +1,114 @@
+/**
+ * Tests for Recurly Error Classes
+ * Tests typed errors built from API error responses
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const {
+  RecurlyError,
+  ValidationError,
+  TransactionError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  createErrorFromResponse,
+  findError,
+  isNotFoundError,
+  isUnprocessableError
+} = require('../src/api/errors');
+
+describe('createErrorFromResponse', () => {
+  test('builds a ValidationError with per-param messages', () => {
+    const error = createErrorFromResponse({
+      statusCode: 422,
+      headers: { 'x-request-id': 'req-1' },
+      body: { error: { type: 'validation', message: 'Code can\'t be blank', params: [{ param: 'code', message: 'can\'t be blank' }] } }
+    }, 'Recurly API error 422');
+
+    assert.ok(error instanceof ValidationError);
+    assert.ok(error instanceof RecurlyError);
+    assert.strictEqual(error.name, 'ValidationError');
+    assert.strictEqual(error.message, 'Recurly API error 422');
+    assert.strictEqual(error.statusCode, 422);
+    assert.strictEqual(error.type, 'validation');
+    assert.strictEqual(error.requestId, 'req-1');
+    assert.deepStrictEqual(error.params, [{ param: 'code', message: 'can\'t be blank' }]);
+  });
+
+  test('builds a TransactionError with decline fields', () => {
+    const error = createErrorFromResponse({
+      statusCode: 422,
+      headers: {},
+      body: {
+        error: {
+          type: 'transaction',
+          message: 'Your transaction was declined.',
+          transaction_error: {
+            transaction_id: 'tx-1',
+            category: 'three_d_secure_action_required',
+            code: 'three_d_secure_action_required',
+            decline_code: 'three_d_secure_action_required',
+            message: 'Your transaction was declined.',
+            merchant_advice: 'The customer should authenticate.',
+            three_d_secure_action_token_id: 'token-1'
+          }
+        }
+      }
+    }, 'declined');
+
+    assert.ok(error instanceof TransactionError);
+    assert.strictEqual(error.declineCode, 'three_d_secure_action_required');
+    assert.strictEqual(error.merchantAdvice, 'The customer should authenticate.');
+    assert.strictEqual(error.gatewayMessage, 'Your transaction was declined.');
+    assert.strictEqual(error.threeDSecureActionTokenId, 'token-1');
+    assert.strictEqual(error.transactionId, 'tx-1');
+    assert.strictEqual(error.requires3DS, true);
+  });
+
+  test('prefers gateway_message over the generic message', () => {
+    const error = createErrorFromResponse({
+      statusCode: 422,
+      body: { error: { type: 'transaction', transaction_error: { code: 'insufficient_funds', message: 'Declined', gateway_message: 'NSF' } } }
+    }, 'declined');
+
+    assert.strictEqual(error.gatewayMessage, 'NSF');
+    assert.strictEqual(error.declineCode, 'insufficient_funds');
+    assert.strictEqual(error.requires3DS, false);
+  });
+
+  test('maps status codes to error classes', () => {
+    assert.ok(createErrorFromResponse({ statusCode: 404, body: null }, 'x') instanceof NotFoundError);
+    assert.ok(createErrorFromResponse({ statusCode: 429, body: null }, 'x') instanceof RateLimitError);
+    assert.ok(createErrorFromResponse({ statusCode: 503, body: null }, 'x') instanceof ServerError);
+
+    const forbidden = createErrorFromResponse({ statusCode: 403, body: null }, 'x');
+    assert.strictEqual(forbidden.constructor, RecurlyError);
+    assert.strictEqual(forbidden.type, null);
+    assert.strictEqual(forbidden.requestId, null);
+  });
+});
+
+describe('error helpers', () => {
+  test('findError walks the cause chain', () => {
+    const apiError = new NotFoundError('missing', { statusCode: 404 });
+    const wrapped = new Error('Failed to assign rescue plan: missing');
+    wrapped.cause = apiError;
+
+    assert.strictEqual(findError(wrapped, NotFoundError), apiError);
+    assert.strictEqual(findError(wrapped, TransactionError), null);
+    assert.strictEqual(findError(null, NotFoundError), null);
+  });
+
+  test('isNotFoundError and isUnprocessableError accept plain errors with a statusCode', () => {
+    const plain404 = Object.assign(new Error('gone'), { statusCode: 404 });
+    const plain422 = Object.assign(new Error('invalid'), { statusCode: 422 });
+
+    assert.strictEqual(isNotFoundError(plain404), true);
+    assert.strictEqual(isNotFoundError(new NotFoundError('gone')), true);
+    assert.strictEqual(isNotFoundError(plain422), false);
+    assert.strictEqual(isUnprocessableError(plain422), true);
+    assert.strictEqual(isUnprocessableError(new TransactionError('declined')), true);
+    assert.strictEqual(isUnprocessableError(new Error('network')), false);
+  });
+});
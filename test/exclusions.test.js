@@ -0,0 +1,109 @@
+/**
+ * Tests for Exclusions Module
+ * Tests exclusion files (plain text, CSV) and the custom field exclusion
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createExclusionList, loadExclusionFile, parseExcludeField, DEFAULT_EXCLUDE_FILE } = require('../src/rescue/exclusions');
+
+describe('exclusions', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'exclusions-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Write a file in the temporary directory
+   * @param {string} name - File name
+   * @param {string} content - File content
+   * @returns {string} File path
+   */
+  function writeFile(name, content) {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+  }
+
+  describe('loadExclusionFile', () => {
+    test('reads plain text with comments and inline reasons', () => {
+      const filePath = writeFile('exclusions.txt', '# Do not rescue\r\ncus_1\r\n\r\ncus_2  # chargeback in 2025\r\n');
+
+      assert.deepStrictEqual(loadExclusionFile(filePath), [
+        { key: 'cus_1', source: 'exclusions.txt:2', reason: 'listed in exclusions.txt' },
+        { key: 'cus_2', source: 'exclusions.txt:4', reason: 'chargeback in 2025' }
+      ]);
+    });
+
+    test('reads CSV with an account column and an optional reason column', () => {
+      const filePath = writeFile('legal.csv', 'Email,Account_Code,Reason\nx@example.com,cus_3,"Legal hold, do not contact"\ny@example.com,cus_4,\n');
+
+      assert.deepStrictEqual(loadExclusionFile(filePath), [
+        { key: 'cus_3', source: 'legal.csv:2', reason: 'Legal hold, do not contact' },
+        { key: 'cus_4', source: 'legal.csv:3', reason: 'listed in legal.csv' }
+      ]);
+    });
+
+    test('rejects a CSV without an account column and a missing file', () => {
+      const filePath = writeFile('bad.csv', 'email,reason\nx@example.com,fraud\n');
+
+      assert.throws(() => loadExclusionFile(filePath), /Invalid exclusion file .*bad\.csv: missing account column/);
+      assert.throws(() => loadExclusionFile(path.join(dir, 'missing.txt')), /Exclusion file not found/);
+    });
+  });
+
+  describe('parseExcludeField', () => {
+    test('parses name=value and defaults the value to true', () => {
+      assert.deepStrictEqual(parseExcludeField('no_rescue=true'), { name: 'no_rescue', value: 'true' });
+      assert.deepStrictEqual(parseExcludeField('vip'), { name: 'vip', value: 'true' });
+      assert.strictEqual(parseExcludeField(null), null);
+      assert.throws(() => parseExcludeField('=true'), /Invalid custom field exclusion/);
+    });
+  });
+
+  describe('createExclusionList', () => {
+    test('matches code or ID case-insensitively and reports duplicates', () => {
+      const first = writeFile('exclusions.txt', 'cus_1\nCUS_2 # fraud\n');
+      const second = writeFile('extra.txt', 'cus_2\n');
+      const exclusions = createExclusionList({ files: [first, second] });
+
+      assert.deepStrictEqual(exclusions.check({ id: 'x', code: 'CUS_1' }), { source: 'exclusions.txt:1', reason: 'listed in exclusions.txt' });
+      assert.deepStrictEqual(exclusions.check({ id: 'cus_2', code: 'other' }), { source: 'exclusions.txt:2', reason: 'fraud' });
+      assert.strictEqual(exclusions.check({ id: 'y', code: 'cus_9' }), null);
+      assert.strictEqual(exclusions.size(), 2);
+      assert.deepStrictEqual(exclusions.getDuplicates(), [
+        { key: 'cus_2', source: 'extra.txt:1', reason: 'listed in extra.txt', first: 'exclusions.txt:2' }
+      ]);
+    });
+
+    test('loads the default exclusions.txt whatever the working directory', () => {
+      const cwd = process.cwd();
+      process.chdir(dir);
+      try {
+        assert.ok(path.isAbsolute(DEFAULT_EXCLUDE_FILE));
+        assert.ok(createExclusionList({ files: [DEFAULT_EXCLUDE_FILE] }).size() > 0);
+      } finally {
+        process.chdir(cwd);
+      }
+    });
+
+    test('excludes accounts flagged by the custom field', () => {
+      const exclusions = createExclusionList();
+      const flagged = { id: 'a', code: 'flagged', custom_fields: [{ name: 'no_rescue', value: 'TRUE' }] };
+      const unflagged = { id: 'b', code: 'unflagged', custom_fields: [{ name: 'no_rescue', value: 'false' }] };
+
+      const { kept, excluded } = exclusions.partition([flagged, unflagged]);
+
+      assert.deepStrictEqual(kept, [unflagged]);
+      assert.deepStrictEqual(excluded, [{ account: flagged, source: 'custom field no_rescue', reason: 'custom field no_rescue=TRUE' }]);
+    });
+  });
+});
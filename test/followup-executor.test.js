@@ -0,0 +1,219 @@
+/**
+ * Tests for 3D Secure Follow-up Executor Module
+ * Tests payment links, pending subscriptions, finalization and expiry against the emulator
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { createFollowupExecutor, buildHostedLink } = require('../src/followup/followup-executor');
+const { gatherRequires3DS } = require('../src/followup/followup-file');
+const { createClient } = require('../src/api/recurly-client');
+const { createEmulator } = require('../src/emulator/recurly-emulator');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BASE_URL = 'https://mysite.recurly.com';
+
+/**
+ * Build follow-up entries for REQUIRES_3DS accounts
+ * @param {string[]} codes - Account codes
+ * @returns {Array<Object>} Entries from gatherRequires3DS
+ */
+function entriesFor(codes) {
+  const results = {
+    execution: { timestamp: '2026-01-01T10:00:00Z' },
+    clients: codes.map(code => ({
+      id: code,
+      account: { id: null, code },
+      status: 'REQUIRES_3DS',
+      decline: { three_d_secure_action_token_id: `token-${code}` }
+    }))
+  };
+  return gatherRequires3DS([{ file: 'a.json', results }], { planCode: 'monthly', projectCurrency: 'EUR' }).entries;
+}
+
+describe('followup-executor', () => {
+  let emulator;
+  let client;
+  let clock;
+
+  beforeEach(async () => {
+    emulator = createEmulator({
+      fixtures: {
+        plans: [{ code: 'monthly', currencies: [{ currency: 'EUR', unit_amount: 29.99 }] }],
+        accounts: [
+          { code: 'alice', email: 'alice@example.com', first_name: 'Alice', hosted_login_token: 'alice-token', billing_info: { decline_code: 'three_d_secure_action_required', updated_at: '2025-12-01T00:00:00Z' } },
+          { code: 'bob', billing_info: { decline_code: 'three_d_secure_action_required' } },
+          { code: 'carol', state: 'closed', closed_at: '2025-12-20T00:00:00Z' },
+          { code: 'dave', state: 'closed', closed_at: '2026-01-05T00:00:00Z' }
+        ],
+        subscriptions: [{ account_code: 'bob', plan_code: 'monthly', currency: 'EUR', state: 'active' }]
+      }
+    });
+    const url = await emulator.start();
+    client = createClient({ apiKey: 'test-key', apiBaseUrl: url, maxRetries: 0 });
+    clock = Date.now();
+  });
+
+  afterEach(async () => {
+    await emulator.stop();
+  });
+
+  /**
+   * Create an executor on the test clock
+   * @param {string} mode - Follow-up mode
+   * @returns {Object} Executor
+   */
+  function executor(mode) {
+    return createFollowupExecutor(client, { runId: 'run-1', baseUrl: `${BASE_URL}/`, mode, expireAfterDays: 7, now: () => clock, log: () => {} });
+  }
+
+  /**
+   * Get an account of the emulator store
+   * @param {string} code - Account code
+   * @returns {Object} Store account
+   */
+  function storeAccount(code) {
+    return emulator.getStore().accounts.find(account => account.code === code);
+  }
+
+  test('builds hosted payment page links', () => {
+    assert.strictEqual(buildHostedLink('https://mysite.recurly.com/', 'abc'), 'https://mysite.recurly.com/account/abc');
+    assert.throws(() => createFollowupExecutor(client, { runId: 'run-1', baseUrl: BASE_URL, mode: 'email' }), /Invalid follow-up mode 'email'/);
+  });
+
+  test('prepares a payment link and skips subscribed accounts or accounts closed after the rescue', async () => {
+    const [alice, bob, dave] = entriesFor(['alice', 'bob', 'dave']);
+    const followup = executor('link');
+
+    const prepared = await followup.prepare(alice);
+    assert.strictEqual(prepared.entry.status, 'PENDING');
+    assert.strictEqual(prepared.entry.expires_at, new Date(clock + 7 * DAY_MS).toISOString());
+    assert.strictEqual(prepared.entry.account.id, storeAccount('alice').id);
+    assert.deepStrictEqual(prepared.contact, {
+      account_code: 'alice',
+      account_id: storeAccount('alice').id,
+      email: 'alice@example.com',
+      first_name: 'Alice',
+      last_name: null,
+      currency: 'EUR',
+      link: 'https://mysite.recurly.com/account/alice-token',
+      expires_at: prepared.entry.expires_at,
+      three_d_secure_action_token_id: 'token-alice'
+    });
+
+    const subscribed = await followup.prepare(bob);
+    assert.strictEqual(subscribed.entry.status, 'SKIPPED');
+    assert.match(subscribed.entry.error, /Account already has a live subscription \(monthly, active\)/);
+    assert.strictEqual(subscribed.contact, null);
+
+    const closed = await followup.prepare(dave);
+    assert.strictEqual(closed.entry.status, 'SKIPPED');
+    assert.strictEqual(closed.entry.error, 'Account was closed after the rescue run');
+    assert.strictEqual(storeAccount('dave').state, 'closed');
+  });
+
+  test('reopens accounts that were still closed at the rescue run', async () => {
+    for (const mode of ['link', 'pending']) {
+      storeAccount('carol').state = 'closed';
+      storeAccount('carol').closed_at = '2025-12-20T00:00:00Z';
+
+      // One follow-up run per mode, so the reactivation is not replayed from the first run
+      const followup = createFollowupExecutor(client, { runId: `run-${mode}`, baseUrl: BASE_URL, mode, expireAfterDays: 7, now: () => clock, log: () => {} });
+      const { entry, contact } = await followup.prepare(entriesFor(['carol'])[0]);
+
+      assert.strictEqual(entry.status, 'PENDING', mode);
+      assert.strictEqual(entry.reopened_at, new Date(clock).toISOString());
+      assert.ok(contact.link);
+      assert.strictEqual(storeAccount('carol').state, 'active');
+    }
+  });
+
+  test('finalizes a link entry once the card was updated, and expires it otherwise', async () => {
+    const followup = executor('link');
+    const { entry } = await followup.prepare(entriesFor(['alice'])[0]);
+
+    // Card not updated yet
+    clock += DAY_MS;
+    const waiting = await followup.check(entry);
+    assert.strictEqual(waiting.status, 'PENDING');
+    assert.strictEqual(waiting.checked_at, new Date(clock).toISOString());
+
+    // Past the deadline without a card update
+    clock += 7 * DAY_MS;
+    const expired = await followup.check(waiting);
+    assert.strictEqual(expired.status, 'EXPIRED');
+    assert.strictEqual(await followup.check(expired), expired);
+
+    // Card updated with 3D Secure before the deadline
+    clock -= 7 * DAY_MS;
+    storeAccount('alice').billing_info = { updated_at: new Date(clock).toISOString() };
+    const finalized = await followup.check(waiting);
+    assert.strictEqual(finalized.status, 'FINALIZED');
+    assert.strictEqual(finalized.finalized_at, new Date(clock).toISOString());
+    const subscription = emulator.getStore().subscriptions.find(candidate => candidate.id === finalized.subscription_id || candidate.uuid === finalized.subscription_id);
+    assert.strictEqual(subscription.state, 'active');
+  });
+
+  test('skips a link entry whose account was subscribed since prepare', async () => {
+    const followup = executor('link');
+    const { entry } = await followup.prepare(entriesFor(['alice'])[0]);
+
+    // A later rescue run subscribed the account, then the customer updated their card
+    clock += DAY_MS;
+    emulator.getStore().subscriptions.push({ id: 'later-rescue', account: { id: storeAccount('alice').id, code: 'alice' }, plan: { code: 'monthly' }, state: 'active' });
+    storeAccount('alice').billing_info = { updated_at: new Date(clock).toISOString() };
+    const skipped = await followup.check(entry);
+
+    assert.strictEqual(skipped.status, 'SKIPPED');
+    assert.match(skipped.error, /Account already has a live subscription \(monthly, active\)/);
+    assert.strictEqual(emulator.getStore().subscriptions.filter(subscription => subscription.account?.code === 'alice').length, 1);
+  });
+
+  test('keeps a link entry pending while the updated card is still declined', async () => {
+    const followup = executor('link');
+    const { entry } = await followup.prepare(entriesFor(['alice'])[0]);
+
+    clock += DAY_MS;
+    storeAccount('alice').billing_info = { decline_code: 'insufficient_funds', updated_at: new Date(clock).toISOString() };
+    const declined = await followup.check(entry);
+
+    assert.strictEqual(declined.status, 'PENDING');
+    assert.ok(declined.error);
+  });
+
+  test('creates a pending subscription, then switches it to automatic collection once paid', async () => {
+    const followup = executor('pending');
+    const { entry, contact } = await followup.prepare(entriesFor(['alice'])[0]);
+
+    assert.strictEqual(entry.status, 'PENDING');
+    assert.ok(contact);
+    const store = emulator.getStore();
+    const subscription = store.subscriptions.find(candidate => candidate.id === entry.subscription_id || candidate.uuid === entry.subscription_id);
+    const invoice = store.invoices.find(candidate => candidate.number === entry.invoice_number);
+    assert.strictEqual(subscription.collection_method, 'manual');
+    assert.strictEqual(invoice.state, 'pending');
+    assert.strictEqual(invoice.net_terms, 7);
+    assert.strictEqual(invoice.total, 29.99);
+
+    clock += DAY_MS;
+    assert.strictEqual((await followup.check(entry)).status, 'PENDING');
+
+    invoice.state = 'paid';
+    const finalized = await followup.check(entry);
+    assert.strictEqual(finalized.status, 'FINALIZED');
+    assert.strictEqual(subscription.collection_method, 'automatic');
+  });
+
+  test('terminates the pending subscription and fails its invoice after the deadline', async () => {
+    const followup = executor('pending');
+    const { entry } = await followup.prepare(entriesFor(['alice'])[0]);
+
+    clock += 8 * DAY_MS;
+    const expired = await followup.check(entry);
+
+    assert.strictEqual(expired.status, 'EXPIRED');
+    const store = emulator.getStore();
+    assert.strictEqual(store.subscriptions.find(candidate => candidate.id === entry.subscription_id || candidate.uuid === entry.subscription_id).state, 'expired');
+    assert.strictEqual(store.invoices.find(candidate => candidate.number === entry.invoice_number).state, 'failed');
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Tests for 3D Secure Follow-up File Module
+ * Tests gathering REQUIRES_3DS clients from results files, the follow-up file and the mailing export
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  gatherRequires3DS,
+  loadRequires3DS,
+  buildFollowupFile,
+  writeFollowupFile,
+  loadFollowupFile,
+  validateFollowupTarget,
+  formatMailing,
+  writeMailingExport
+} = require('../src/followup/followup-file');
+const { RESULTS_VERSION } = require('../src/output/results-writer');
+
+/**
+ * Build a results file content
+ * @param {string} timestamp - Run timestamp
+ * @param {Array<Object>} clients - Client entries
+ * @returns {Object} Results
+ */
+function results(timestamp, clients) {
+  return {
+    version: RESULTS_VERSION,
+    execution: { timestamp, environment: 'sandbox', project: 'multi', mode: 'rescue' },
+    summary: { total: clients.length },
+    clients
+  };
+}
+
+/**
+ * Build a REQUIRES_3DS client entry
+ * @param {string} code - Account code
+ * @param {Object} [extra={}] - Extra fields
+ * @returns {Object} Client entry
+ */
+function requires3DS(code, extra = {}) {
+  return {
+    id: code,
+    account: { id: `id-${code}`, code },
+    status: 'REQUIRES_3DS',
+    currency: { code: 'USD', source: 'subscription' },
+    decline: { code: 'three_d_secure_action_required', three_d_secure_action_token_id: `token-${code}` },
+    ...extra
+  };
+}
+
+const OPTIONS = { planCode: '4weeks-subscription', projectCurrency: null };
+
+describe('follow-up file', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'followup-file-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('gatherRequires3DS', () => {
+    test('keeps the latest result of each account', () => {
+      const first = results('2026-01-01T10:00:00Z', [requires3DS('alice'), requires3DS('bob'), requires3DS('carol')]);
+      const second = results('2026-01-08T10:00:00Z', [
+        { id: 'bob', account: { id: 'id-bob', code: 'bob' }, status: 'RESCUED' },
+        requires3DS('carol', { decline: { three_d_secure_action_token_id: 'token-carol-2' } })
+      ]);
+
+      // Files are ordered by run date, not by the order given
+      const { entries, summary } = gatherRequires3DS([{ file: '/runs/b.json', results: second }, { file: '/runs/a.json', results: first }], OPTIONS);
+
+      assert.deepStrictEqual(entries.map(entry => entry.id), ['alice', 'carol']);
+      assert.deepStrictEqual(summary, { files: 2, requires_3ds: 2, rescued_since: 1 });
+      assert.strictEqual(entries[1].results_file, 'b.json');
+      assert.strictEqual(entries[1].three_d_secure_action_token_id, 'token-carol-2');
+      assert.strictEqual(entries[0].status, 'PENDING');
+    });
+
+    test('keeps the plan, price, add-ons and coupon the client was meant to get', () => {
+      const restored = requires3DS('dave', {
+        currency: null,
+        restore: { restored: { plan_code: 'gold', currency: 'GBP', quantity: 2, unit_amount: 12, add_ons: [{ code: 'extra', quantity: 1, unit_amount: null }] } },
+        coupon: { code: 'winback-50' }
+      });
+
+      const { entries } = gatherRequires3DS([{ file: 'a.json', results: results('2026-01-01T10:00:00Z', [restored, requires3DS('erin', { currency: null })]) }],
+        { planCode: '4weeks-subscription-eur', projectCurrency: 'EUR' });
+
+      assert.deepStrictEqual(entries[0].subscription, {
+        plan_code: 'gold',
+        currency: 'GBP',
+        quantity: 2,
+        unit_amount: 12,
+        add_ons: [{ code: 'extra', quantity: 1, unit_amount: null }],
+        coupon_codes: ['winback-50']
+      });
+      assert.strictEqual(entries[1].subscription.plan_code, '4weeks-subscription-eur');
+      assert.strictEqual(entries[1].subscription.currency, 'EUR');
+    });
+
+    test('rejects results files of another project or environment', () => {
+      const filePath = path.join(dir, 'results.json');
+      fs.writeFileSync(filePath, JSON.stringify(results('2026-01-01T10:00:00Z', [requires3DS('alice')])));
+
+      assert.strictEqual(loadRequires3DS([filePath], { ...OPTIONS, project: 'multi', environment: 'sandbox' }).entries.length, 1);
+      assert.throws(() => loadRequires3DS([filePath], { ...OPTIONS, project: 'multi', environment: 'production' }),
+        /Results file results.json is for sandbox, not production/);
+      assert.throws(() => loadRequires3DS([filePath], { ...OPTIONS, project: 'eur', environment: 'sandbox' }),
+        /Results file results.json is for project 'multi', not 'eur'/);
+    });
+  });
+
+  describe('follow-up file', () => {
+    test('writes, updates and loads the follow-up file with its summary', () => {
+      const { entries } = gatherRequires3DS([{ file: 'a.json', results: results('2026-01-01T10:00:00Z', [requires3DS('alice')]) }], OPTIONS);
+      const followup = buildFollowupFile({
+        project: 'multi',
+        environment: 'sandbox',
+        runId: 'run-1',
+        mode: 'link',
+        expireAfterDays: 7,
+        resultsFiles: ['/runs/a.json'],
+        entries
+      });
+
+      const filePath = writeFollowupFile(followup, { outputDir: dir });
+      assert.match(path.basename(filePath), /^followup-3ds-multi-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}\.json$/);
+
+      writeFollowupFile({ ...followup, entries: [{ ...entries[0], status: 'FINALIZED' }] }, { filePath });
+      const loaded = loadFollowupFile(filePath);
+      assert.deepStrictEqual(loaded.results_files, ['a.json']);
+      assert.strictEqual(loaded.summary.FINALIZED, 1);
+      assert.strictEqual(loaded.summary.PENDING, 0);
+      validateFollowupTarget(loaded, 'multi', 'sandbox');
+      assert.throws(() => validateFollowupTarget(loaded, 'eur', 'sandbox'), /Follow-up file is for project 'multi', not 'eur'/);
+    });
+
+    test('rejects files that are not follow-up files', () => {
+      const filePath = path.join(dir, 'other.json');
+      fs.writeFileSync(filePath, JSON.stringify({ version: '1.0.0', project: 'multi', environment: 'sandbox' }));
+
+      assert.throws(() => loadFollowupFile(path.join(dir, 'missing.json')), /Follow-up file not found/);
+      assert.throws(() => loadFollowupFile(filePath), /Follow-up file missing project, environment or run_id/);
+    });
+  });
+
+  describe('mailing export', () => {
+    const rows = [{
+      account_code: 'alice',
+      account_id: 'id-alice',
+      email: 'alice@example.com',
+      first_name: 'Alice',
+      last_name: 'Martin, Jr "AJ"',
+      currency: 'USD',
+      link: 'https://mysite.recurly.com/account/abc',
+      expires_at: '2026-01-08T10:00:00.000Z',
+      three_d_secure_action_token_id: 'token-alice'
+    }];
+
+    test('formats CSV with quoted fields, or JSON', () => {
+      assert.strictEqual(formatMailing(rows, 'csv'),
+        'account_code,account_id,email,first_name,last_name,currency,link,expires_at,three_d_secure_action_token_id\n' +
+        'alice,id-alice,alice@example.com,Alice,"Martin, Jr ""AJ""",USD,https://mysite.recurly.com/account/abc,2026-01-08T10:00:00.000Z,token-alice\n');
+      assert.deepStrictEqual(JSON.parse(formatMailing(rows, 'json')), rows);
+    });
+
+    test('writes the export in the output directory', () => {
+      const filePath = writeMailingExport(rows, { project: 'multi', format: 'json', outputDir: dir });
+
+      assert.match(path.basename(filePath), /^followup-3ds-mailing-multi-.*\.json$/);
+      assert.strictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8'))[0].email, 'alice@example.com');
+      assert.throws(() => writeMailingExport(rows, { project: 'multi', format: 'xml', outputDir: dir }), /Invalid mailing format 'xml'/);
+    });
+  });
+});
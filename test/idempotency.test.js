@@ -0,0 +1,51 @@
+/**
+ * Tests for Idempotency Module
+ * Tests key derivation, run IDs and replay detection
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const {
+  buildIdempotencyKey,
+  generateRunId,
+  isIdempotentReplay,
+  IDEMPOTENT_ACTIONS
+} = require('../src/api/idempotency');
+
+describe('buildIdempotencyKey', () => {
+  test('is deterministic for the same run, account and action', () => {
+    const first = buildIdempotencyKey('run-1', 'acc-1', IDEMPOTENT_ACTIONS.CREATE_SUBSCRIPTION);
+    const second = buildIdempotencyKey('run-1', 'acc-1', IDEMPOTENT_ACTIONS.CREATE_SUBSCRIPTION);
+
+    assert.strictEqual(first, second);
+    assert.match(first, /^[a-f0-9]{64}$/);
+  });
+
+  test('differs by run, account and action', () => {
+    const base = buildIdempotencyKey('run-1', 'acc-1', IDEMPOTENT_ACTIONS.CREATE_SUBSCRIPTION);
+
+    assert.notStrictEqual(base, buildIdempotencyKey('run-2', 'acc-1', IDEMPOTENT_ACTIONS.CREATE_SUBSCRIPTION));
+    assert.notStrictEqual(base, buildIdempotencyKey('run-1', 'acc-2', IDEMPOTENT_ACTIONS.CREATE_SUBSCRIPTION));
+    assert.notStrictEqual(base, buildIdempotencyKey('run-1', 'acc-1', IDEMPOTENT_ACTIONS.REACTIVATE_ACCOUNT));
+  });
+
+  test('requires all inputs', () => {
+    assert.throws(() => buildIdempotencyKey(null, 'acc-1', 'create-subscription'), /runId, accountCode and action are required/);
+    assert.throws(() => buildIdempotencyKey('run-1', '', 'create-subscription'), /runId, accountCode and action are required/);
+  });
+});
+
+describe('generateRunId', () => {
+  test('returns a new value on each call', () => {
+    assert.notStrictEqual(generateRunId(), generateRunId());
+  });
+});
+
+describe('isIdempotentReplay', () => {
+  test('detects the replay header', () => {
+    assert.strictEqual(isIdempotentReplay({ 'idempotent-replayed': 'true' }), true);
+    assert.strictEqual(isIdempotentReplay({ 'idempotent-replayed': 'false' }), false);
+    assert.strictEqual(isIdempotentReplay({}), false);
+    assert.strictEqual(isIdempotentReplay(undefined), false);
+  });
+});
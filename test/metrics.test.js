@@ -0,0 +1,69 @@
+/**
+ * Tests for Request Metrics Module
+ * Tests endpoint templates, percentiles and client integration
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { createRequestMetrics, toEndpointTemplate, percentile } = require('../src/api/metrics');
+const { createClient } = require('../src/api/recurly-client');
+
+describe('toEndpointTemplate', () => {
+  test('replaces resource IDs and drops the query string', () => {
+    assert.strictEqual(toEndpointTemplate('get', '/accounts/code-abc/billing_info'), 'GET /accounts/{id}/billing_info');
+    assert.strictEqual(toEndpointTemplate('PUT', '/subscriptions/uuid-1/cancel'), 'PUT /subscriptions/{id}/cancel');
+    assert.strictEqual(toEndpointTemplate('GET', '/accounts?limit=200&state=closed'), 'GET /accounts');
+  });
+
+  test('uses the path of absolute pagination URLs', () => {
+    assert.strictEqual(toEndpointTemplate('GET', 'https://v3.recurly.com/accounts/a1/invoices?cursor=x'), 'GET /accounts/{id}/invoices');
+  });
+});
+
+describe('percentile', () => {
+  test('uses the nearest rank', () => {
+    const sorted = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+    assert.strictEqual(percentile(sorted, 50), 50);
+    assert.strictEqual(percentile(sorted, 95), 100);
+    assert.strictEqual(percentile([7], 95), 7);
+    assert.strictEqual(percentile([], 50), null);
+  });
+});
+
+describe('createRequestMetrics', () => {
+  test('aggregates calls per endpoint, slowest total first', () => {
+    const metrics = createRequestMetrics();
+
+    metrics.record({ method: 'GET', path: '/accounts/a1', durationMs: 30 });
+    metrics.record({ method: 'GET', path: '/accounts/a2', durationMs: 10, retries: 2 });
+    metrics.record({ method: 'POST', path: '/subscriptions', durationMs: 200, failed: true, rateLimitWaits: 1 });
+
+    assert.deepStrictEqual(metrics.getSummary(), [
+      { endpoint: 'POST /subscriptions', calls: 1, errors: 1, retries: 0, rate_limit_waits: 1, p50_ms: 200, p95_ms: 200, total_ms: 200 },
+      { endpoint: 'GET /accounts/{id}', calls: 2, errors: 0, retries: 2, rate_limit_waits: 0, p50_ms: 10, p95_ms: 30, total_ms: 40 }
+    ]);
+  });
+});
+
+describe('client request metrics', () => {
+  test('records successful and failed calls against the emulator', async () => {
+    const { createEmulator } = require('../src/emulator/recurly-emulator');
+    const emulator = createEmulator({ fixtures: { accounts: [{ code: 'metrics-1', state: 'active' }] } });
+    const url = await emulator.start();
+
+    try {
+      const client = createClient({ apiKey: 'test-key', apiBaseUrl: url, maxRetries: 0 });
+
+      await client.request('GET', '/accounts/code-metrics-1');
+      await assert.rejects(() => client.request('GET', '/accounts/code-missing'));
+
+      const [entry] = client.getRequestMetrics();
+      assert.strictEqual(entry.endpoint, 'GET /accounts/{id}');
+      assert.strictEqual(entry.calls, 2);
+      assert.strictEqual(entry.errors, 1);
+      assert.ok(entry.p95_ms >= entry.p50_ms);
+    } finally {
+      await emulator.stop();
+    }
+  });
+});
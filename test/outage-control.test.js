@@ -0,0 +1,100 @@
+/**
+ * Tests for Outage Control Module
+ * Tests pause/probe and exit behaviour when the circuit breaker trips
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { createOutageHandler, OUTAGE_ACTIONS, OUTAGE_EXIT_CODE } = require('../src/rescue/outage-control');
+const { createCircuitBreaker } = require('../src/api/circuit-breaker');
+const { NotFoundError } = require('../src/api/errors');
+
+/**
+ * Build a tripped breaker and a fake clock
+ * @returns {Object} { breaker, clock }
+ */
+function trippedBreaker() {
+  const clock = { current: 0 };
+  const breaker = createCircuitBreaker({ threshold: 1, cooldownMs: 1000, now: () => clock.current });
+  breaker.recordFailure(Object.assign(new Error('down'), { statusCode: 503 }));
+  return { breaker, clock };
+}
+
+/**
+ * Build a client whose responses come from a list of outcomes
+ * @param {Object} breaker - Circuit breaker to update like the real client does
+ * @param {Array<Error|Object>} outcomes - Error to throw or data to return, per call
+ * @returns {Object} Mock client with a calls counter
+ */
+function scriptedClient(breaker, outcomes) {
+  const client = {
+    calls: 0,
+    request: async () => {
+      const outcome = outcomes[client.calls++];
+      breaker.beforeRequest();
+      if (outcome instanceof Error) {
+        breaker.recordFailure(outcome);
+        throw outcome;
+      }
+      breaker.recordSuccess();
+      return { data: outcome };
+    }
+  };
+  return client;
+}
+
+describe('createOutageHandler', () => {
+  test('exit action stops without probing', async () => {
+    const { breaker } = trippedBreaker();
+    const client = scriptedClient(breaker, []);
+    const handler = createOutageHandler({ circuitBreaker: breaker, client, action: OUTAGE_ACTIONS.EXIT, log: () => {} });
+
+    assert.strictEqual(await handler.waitForRecovery(), false);
+    assert.strictEqual(client.calls, 0);
+    assert.strictEqual(OUTAGE_EXIT_CODE, 3);
+  });
+
+  test('pause action probes after each cooldown until Recurly answers', async () => {
+    const { breaker, clock } = trippedBreaker();
+    const client = scriptedClient(breaker, [Object.assign(new Error('still down'), { statusCode: 503 }), { data: [] }]);
+    const sleeps = [];
+    const handler = createOutageHandler({
+      circuitBreaker: breaker,
+      client,
+      log: () => {},
+      now: () => clock.current,
+      sleep: async (ms) => {
+        sleeps.push(ms);
+        clock.current += ms;
+      }
+    });
+
+    assert.strictEqual(await handler.waitForRecovery(), true);
+    assert.strictEqual(client.calls, 2);
+    assert.deepStrictEqual(sleeps, [1000, 1000]);
+    assert.strictEqual(breaker.isOpen(), false);
+  });
+
+  test('a 4xx probe answer counts as recovered', async () => {
+    const { breaker, clock } = trippedBreaker();
+    const client = scriptedClient(breaker, [new NotFoundError('missing', { statusCode: 404 })]);
+    const handler = createOutageHandler({
+      circuitBreaker: breaker,
+      client,
+      log: () => {},
+      now: () => clock.current,
+      sleep: async (ms) => { clock.current += ms; }
+    });
+
+    assert.strictEqual(await handler.waitForRecovery(), true);
+  });
+
+  test('rejects an unknown action', () => {
+    const { breaker } = trippedBreaker();
+
+    assert.throws(
+      () => createOutageHandler({ circuitBreaker: breaker, client: { request: async () => {} }, action: 'retry' }),
+      /Invalid outage action: 'retry'/
+    );
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Tests for Payment Method Module
+ * Tests payment method verdicts (cards, agreements, bank accounts) and backup methods against the emulator
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { assessBillingInfo, assessPaymentMethod, PAYMENT_VERDICTS } = require('../src/rescue/payment-method');
+const { createClient } = require('../src/api/recurly-client');
+const { createEmulator } = require('../src/emulator/recurly-emulator');
+
+const NOW = new Date('2026-03-15T12:00:00Z');
+
+describe('payment method', () => {
+  describe('assessBillingInfo', () => {
+    test('accepts a card through the end of its expiry month', () => {
+      const card = { payment_method: { object: 'credit_card', card_type: 'Visa', last_four: '4242', exp_month: 3, exp_year: 2026 } };
+
+      assert.deepStrictEqual(assessBillingInfo(card, { now: NOW }), {
+        verdict: PAYMENT_VERDICTS.CHARGEABLE,
+        type: 'card',
+        detail: 'Visa ending 4242, expires 03/2026'
+      });
+    });
+
+    test('rejects an expired card', () => {
+      const card = { payment_method: { object: 'credit_card', card_type: 'Visa', last_four: '4242', exp_month: 2, exp_year: 2026 } };
+
+      assert.deepStrictEqual(assessBillingInfo(card, { now: NOW }), {
+        verdict: PAYMENT_VERDICTS.EXPIRED_CARD,
+        type: 'card',
+        detail: 'Visa ending 4242 expired 02/2026'
+      });
+    });
+
+    test('accepts agreements and bank accounts, and cards without an object type', () => {
+      const verdictOf = billingInfo => assessBillingInfo(billingInfo, { now: NOW });
+
+      assert.strictEqual(verdictOf({ payment_method: { object: 'paypal_billing_agreement', billing_agreement_id: 'B-1' } }).type, 'paypal');
+      assert.strictEqual(verdictOf({ payment_method: { object: 'amazon_billing_agreement', billing_agreement_id: 'C01-1' } }).verdict, 'CHARGEABLE');
+      assert.strictEqual(verdictOf({ payment_method: { object: 'iban_bank_account', last_two: '00' } }).type, 'sepa');
+      assert.strictEqual(verdictOf({ payment_method: { object: 'bacs' } }).type, 'bacs');
+      assert.strictEqual(verdictOf({ payment_method: { card_type: 'Visa', last_four: '4242' } }).verdict, 'CHARGEABLE');
+      assert.strictEqual(verdictOf({ paypal_billing_agreement_id: 'B-2' }).type, 'paypal');
+    });
+
+    test('rejects missing, invalid and unsupported methods', () => {
+      const verdictOf = billingInfo => assessBillingInfo(billingInfo, { now: NOW }).verdict;
+
+      assert.strictEqual(verdictOf(null), PAYMENT_VERDICTS.NO_METHOD);
+      assert.strictEqual(verdictOf({ first_name: 'Jane' }), PAYMENT_VERDICTS.NO_METHOD);
+      assert.strictEqual(verdictOf({ payment_method: { object: 'bank_account' } }), PAYMENT_VERDICTS.UNSUPPORTED_METHOD);
+      assert.strictEqual(verdictOf({ valid: false, payment_method: { object: 'credit_card', card_type: 'Visa', last_four: '4242' } }),
+        PAYMENT_VERDICTS.INVALID_METHOD);
+      assert.strictEqual(verdictOf({ payment_method: { object: 'paypal_billing_agreement' } }), PAYMENT_VERDICTS.INVALID_METHOD);
+    });
+  });
+
+  describe('assessPaymentMethod', () => {
+    let emulator;
+    let client;
+
+    const expiredCard = { object: 'credit_card', card_type: 'Visa', last_four: '4242', exp_month: 1, exp_year: 2026 };
+
+    beforeEach(async () => {
+      emulator = createEmulator({
+        fixtures: {
+          accounts: [
+            { code: 'no-billing' },
+            { code: 'expired', billing_info: { payment_method: expiredCard } },
+            {
+              code: 'with-backup',
+              billing_info: { payment_method: expiredCard },
+              billing_infos: [
+                { id: 'bi-1', primary_payment_method: true, payment_method: expiredCard },
+                { id: 'bi-2', backup_payment_method: true, payment_method: { object: 'paypal_billing_agreement', billing_agreement_id: 'B-1' } }
+              ]
+            }
+          ]
+        }
+      });
+      const url = await emulator.start();
+      client = createClient({ apiKey: 'test-key', apiBaseUrl: url, maxRetries: 0 });
+    });
+
+    afterEach(async () => {
+      await emulator.stop();
+    });
+
+    test('reports accounts without billing info and expired primary cards', async () => {
+      assert.deepStrictEqual(await assessPaymentMethod(client, 'no-billing', { now: NOW }), {
+        verdict: 'NO_METHOD',
+        type: null,
+        detail: 'No billing info on file',
+        chargeable: false,
+        backup: false
+      });
+
+      const expired = await assessPaymentMethod(client, { code: 'expired' }, { now: NOW });
+      assert.strictEqual(expired.verdict, 'EXPIRED_CARD');
+      assert.strictEqual(expired.chargeable, false);
+    });
+
+    test('falls back to a chargeable backup payment method', async () => {
+      const assessment = await assessPaymentMethod(client, 'with-backup', { now: NOW });
+
+      assert.strictEqual(assessment.verdict, 'CHARGEABLE');
+      assert.strictEqual(assessment.type, 'paypal');
+      assert.strictEqual(assessment.backup, true);
+      assert.strictEqual(assessment.detail, 'PayPal billing agreement (backup; primary: Visa ending 4242 expired 01/2026)');
+    });
+
+    test('gives an UNKNOWN verdict when billing info cannot be fetched', async () => {
+      const failingClient = {
+        request: async () => {
+          const error = new Error('Internal server error');
+          error.statusCode = 500;
+          throw error;
+        }
+      };
+
+      const assessment = await assessPaymentMethod(failingClient, 'expired', { now: NOW });
+      assert.strictEqual(assessment.verdict, 'UNKNOWN');
+      assert.strictEqual(assessment.detail, 'Could not check billing info: Internal server error');
+    });
+  });
+});
@@ -14,6 +14,8 @@ const {
   getPlanByCode,
   createRescuePlan,
   findOrCreateRescuePlan,
+  getCouponByCode,
+  verifyCoupons,
   CURRENCY_UNIT_AMOUNTS
 } = require('../src/rescue/plan-manager');
 const { setDryRunMode, resetDryRunState } = require('../src/rescue/dry-run');
@@ -343,6 +345,61 @@ describe('getPlanByCode', () => {
   });
 });
 
+describe('getCouponByCode', () => {
+  test('gets the coupon by code, or null when not found (404)', async () => {
+    const error404 = new Error('Not found');
+    error404.statusCode = 404;
+    const mockClient = {
+      request: mock.fn(async (method, path) => {
+        if (path === '/coupons/code-winback-50') return { data: { code: 'winback-50' }, statusCode: 200 };
+        throw error404;
+      })
+    };
+
+    assert.deepStrictEqual(await getCouponByCode(mockClient, 'winback-50'), { code: 'winback-50' });
+    assert.strictEqual(await getCouponByCode(mockClient, 'missing'), null);
+  });
+});
+
+describe('verifyCoupons', () => {
+  const COUPONS = {
+    'winback-50': { code: 'winback-50', state: 'redeemable', discount: { type: 'percent', percent: 50 } },
+    'old-promo': { code: 'old-promo', state: 'expired', discount: { type: 'percent', percent: 20 } },
+    'gold-only': { code: 'gold-only', state: 'redeemable', applies_to_all_plans: false, plans: [{ code: 'gold' }] },
+    'usd-10': { code: 'usd-10', state: 'redeemable', discount: { type: 'fixed', currencies: [{ currency: 'USD', amount: 10 }] } }
+  };
+  const mockClient = {
+    request: async (method, path) => {
+      const coupon = COUPONS[decodeURIComponent(path.replace('/coupons/code-', ''))];
+      if (coupon) return { data: coupon, statusCode: 200 };
+      const error = new Error('Not found');
+      error.statusCode = 404;
+      throw error;
+    }
+  };
+  const log = () => {};
+
+  test('returns the redeemable coupons by code', async () => {
+    const coupons = await verifyCoupons(mockClient, { 'winback-50': [], 'usd-10': ['USD'] }, { planCode: '4weeks-subscription', log });
+
+    assert.deepStrictEqual(Object.keys(coupons), ['winback-50', 'usd-10']);
+  });
+
+  test('rejects missing, expired, plan-restricted and unpriced coupons', async () => {
+    await assert.rejects(verifyCoupons(mockClient, { missing: [] }, { log }), /Coupon 'missing' not found/);
+    await assert.rejects(verifyCoupons(mockClient, { 'old-promo': [] }, { log }), /Coupon 'old-promo' is not redeemable \(state: expired\)/);
+    await assert.rejects(verifyCoupons(mockClient, { 'gold-only': [] }, { planCode: '4weeks-subscription', log }),
+      /Coupon 'gold-only' does not apply to plan '4weeks-subscription'/);
+    await assert.rejects(verifyCoupons(mockClient, { 'usd-10': ['USD', 'GBP'] }, { log }), /Coupon 'usd-10' has no GBP amount/);
+  });
+
+  test('skips the plan check when plans vary (restore mode)', async () => {
+    const coupons = await verifyCoupons(mockClient, { 'gold-only': [] }, { log });
+
+    assert.ok(coupons['gold-only']);
+  });
+});
+
 describe('createRescuePlan', () => {
   let logSpy;
 
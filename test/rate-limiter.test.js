@@ -0,0 +1,137 @@
+/**
+ * Tests for Rate Limiter Module
+ * Tests token-bucket pacing driven by X-RateLimit-* headers
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter, getSharedRateLimiter } = require('../src/api/rate-limiter');
+const { createClient } = require('../src/api/recurly-client');
+
+/**
+ * Build a fake clock whose sleep advances time instantly
+ * @returns {Object} { now, sleep, sleeps }
+ */
+function createFakeClock() {
+  let current = 1_000_000;
+  const sleeps = [];
+  return {
+    now: () => current,
+    sleep: async (ms) => {
+      sleeps.push(ms);
+      current += ms;
+    },
+    sleeps
+  };
+}
+
+/**
+ * Build rate limit headers
+ * @param {number} limit - X-RateLimit-Limit
+ * @param {number} remaining - X-RateLimit-Remaining
+ * @param {number} resetAtMs - Reset time in milliseconds
+ * @returns {Object} Headers
+ */
+function headers(limit, remaining, resetAtMs) {
+  return {
+    'x-ratelimit-limit': String(limit),
+    'x-ratelimit-remaining': String(remaining),
+    'x-ratelimit-reset': String(resetAtMs / 1000)
+  };
+}
+
+describe('createRateLimiter', () => {
+  test('does not wait before any headers are seen', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({ now: clock.now, sleep: clock.sleep });
+
+    assert.strictEqual(await limiter.acquire(), 0);
+    assert.strictEqual(limiter.getStatus().callsPerMinute, null);
+  });
+
+  test('spreads calls evenly across the window after the burst', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({ burst: 2, now: clock.now, sleep: clock.sleep });
+
+    // 100 calls left over 100 seconds = one call per second
+    limiter.update(headers(100, 100, clock.now() + 100000));
+
+    assert.strictEqual(await limiter.acquire(), 0);
+    assert.strictEqual(await limiter.acquire(), 0);
+    assert.strictEqual(await limiter.acquire(), 1000);
+    assert.strictEqual(await limiter.acquire(), 1000);
+    assert.strictEqual(limiter.getStatus().callsPerMinute, 60);
+  });
+
+  test('uses only the target share of the quota', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({ targetUtilization: 0.6, burst: 1, now: clock.now, sleep: clock.sleep });
+
+    // 40 of 100 calls are kept for others: 60 calls over 60 seconds
+    limiter.update(headers(100, 100, clock.now() + 60000));
+    await limiter.acquire();
+
+    assert.strictEqual(await limiter.acquire(), 1000);
+  });
+
+  test('waits for the reset once the budget is spent', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({ targetUtilization: 0.5, now: clock.now, sleep: clock.sleep });
+
+    limiter.update(headers(100, 50, clock.now() + 30000));
+
+    assert.strictEqual(await limiter.acquire(), 30000);
+    // Window has reset: no pacing until new headers arrive
+    assert.strictEqual(await limiter.acquire(), 0);
+  });
+
+  test('keeps the reserve unused', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({ reserve: 10, now: clock.now, sleep: clock.sleep });
+
+    limiter.update(headers(100, 10, clock.now() + 5000));
+
+    assert.strictEqual(await limiter.acquire(), 5000);
+  });
+
+  test('ignores responses without rate limit headers', async () => {
+    const clock = createFakeClock();
+    const limiter = createRateLimiter({ now: clock.now, sleep: clock.sleep });
+
+    limiter.update({ 'x-ratelimit-remaining': '0' });
+
+    assert.strictEqual(await limiter.acquire(), 0);
+  });
+
+  test('rejects an invalid target utilization', () => {
+    assert.throws(() => createRateLimiter({ targetUtilization: 0 }), /Invalid target utilization/);
+    assert.throws(() => createRateLimiter({ targetUtilization: 1.5 }), /Invalid target utilization/);
+  });
+});
+
+describe('getSharedRateLimiter', () => {
+  test('returns one limiter per site key', () => {
+    assert.strictEqual(getSharedRateLimiter('https://a.test|site-1'), getSharedRateLimiter('https://a.test|site-1'));
+    assert.notStrictEqual(getSharedRateLimiter('https://a.test|site-1'), getSharedRateLimiter('https://a.test|site-2'));
+  });
+
+  test('clients of the same site draw from the same bucket', async () => {
+    const { createEmulator } = require('../src/emulator/recurly-emulator');
+    const emulator = createEmulator({ fixtures: {}, rateLimit: 50 });
+    const url = await emulator.start();
+
+    try {
+      const first = createClient({ apiKey: 'test-key', apiBaseUrl: url, rateLimitTarget: 60 });
+      const second = createClient({ apiKey: 'test-key', apiBaseUrl: url });
+
+      await first.request('GET', '/plans');
+
+      const status = second.getRateLimitStatus();
+      assert.strictEqual(status.limit, 50);
+      assert.strictEqual(status.targetUtilization, 0.6);
+      assert.ok(status.callsPerMinute > 0);
+    } finally {
+      await emulator.stop();
+    }
+  });
+});
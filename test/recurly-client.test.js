@@ -185,3 +185,385 @@ describe('Project configuration (Story 2.2)', () => {
     assert.ok(typeof client.getSiteId === 'function');
   });
 });
+
+describe('Custom base URL and proxy', () => {
+  const http = require('http');
+  const { createEmulator } = require('../src/emulator/recurly-emulator');
+
+  const fixtures = {
+    accounts: [{ code: 'base-url-001', email: 'base-url-001@example.com', state: 'active' }]
+  };
+
+  let emulator;
+  let emulatorUrl;
+  let frontServer;
+  let frontUrl;
+  let seenByFront;
+
+  /**
+   * Start an http server on a random local port
+   * @param {Function} handler - Request handler
+   * @returns {Promise<Object>} { server, url }
+   */
+  function listen(handler) {
+    const server = http.createServer(handler);
+    return new Promise(resolve => {
+      server.listen(0, '127.0.0.1', () => {
+        resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+      });
+    });
+  }
+
+  beforeEach(async () => {
+    emulator = createEmulator({ fixtures });
+    emulatorUrl = await emulator.start();
+    seenByFront = [];
+  });
+
+  afterEach(async () => {
+    await emulator.stop();
+    if (frontServer) {
+      await new Promise(resolve => frontServer.close(resolve));
+      frontServer = null;
+    }
+  });
+
+  test('uses plain http and the port from the base URL', async () => {
+    const client = createClient({ apiKey: 'test-key', apiBaseUrl: emulatorUrl, maxRetries: 0 });
+    const response = await client.request('GET', '/accounts/code-base-url-001');
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.strictEqual(response.data.code, 'base-url-001');
+  });
+
+  test('keeps the path prefix of the base URL', async () => {
+    ({ server: frontServer, url: frontUrl } = await listen((req, res) => {
+      seenByFront.push(req.url);
+      req.url = req.url.replace(/^\/recurly\/v3/, '');
+      emulator.handleRequest(req, res);
+    }));
+
+    const client = createClient({ apiKey: 'test-key', apiBaseUrl: `${frontUrl}/recurly/v3/`, maxRetries: 0 });
+    const response = await client.request('GET', '/accounts?limit=1');
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(seenByFront, ['/recurly/v3/accounts?limit=1']);
+  });
+
+  test('follows absolute URLs on the API origin only', async () => {
+    const client = createClient({ apiKey: 'test-key', apiBaseUrl: emulatorUrl, maxRetries: 0 });
+    const response = await client.request('GET', `${emulatorUrl}/accounts/code-base-url-001`);
+    assert.strictEqual(response.data.code, 'base-url-001');
+
+    ({ server: frontServer, url: frontUrl } = await listen((req, res) => {
+      seenByFront.push(req.headers.authorization);
+      res.end('{}');
+    }));
+    await assert.rejects(() => client.request('GET', `${frontUrl}/accounts?cursor=abc`), /Refusing to send API credentials to http:\/\/127\.0\.0\.1/);
+    assert.deepStrictEqual(seenByFront, []);
+  });
+
+  test('sends http requests through the proxy in absolute form', async () => {
+    const proxyHeaders = [];
+    ({ server: frontServer, url: frontUrl } = await listen((req, res) => {
+      seenByFront.push(req.url);
+      proxyHeaders.push(req.headers);
+      req.url = new URL(req.url).pathname + new URL(req.url).search;
+      emulator.handleRequest(req, res);
+    }));
+
+    const proxyUrl = frontUrl.replace('http://', 'http://proxy-user:s%40cret@');
+    const client = createClient({ apiKey: 'test-key', apiBaseUrl: emulatorUrl, proxyUrl, maxRetries: 0 });
+    const response = await client.request('GET', '/accounts/code-base-url-001');
+
+    assert.strictEqual(response.statusCode, 200);
+    assert.deepStrictEqual(seenByFront, [`${emulatorUrl}/accounts/code-base-url-001`]);
+    assert.strictEqual(proxyHeaders[0].host, new URL(emulatorUrl).host);
+    assert.strictEqual(
+      proxyHeaders[0]['proxy-authorization'],
+      `Basic ${Buffer.from('proxy-user:s@cret').toString('base64')}`
+    );
+  });
+
+  test('opens a CONNECT tunnel for https targets', async () => {
+    ({ server: frontServer, url: frontUrl } = await listen((req, res) => {
+      res.writeHead(405);
+      res.end();
+    }));
+    frontServer.on('connect', (req, socket) => {
+      seenByFront.push(req.url);
+      socket.end('HTTP/1.1 407 Proxy Authentication Required\r\n\r\n');
+    });
+
+    const client = createClient({ apiKey: 'test-key', apiBaseUrl: 'https://v3.recurly.com', proxyUrl: frontUrl, maxRetries: 0 });
+
+    await assert.rejects(
+      () => client.request('GET', '/accounts'),
+      /Proxy CONNECT to v3\.recurly\.com:443 failed with status 407/
+    );
+    assert.deepStrictEqual(seenByFront, ['v3.recurly.com:443']);
+  });
+
+  test('rejects unsupported base URL protocol', () => {
+    assert.throws(
+      () => createClient({ apiKey: 'test-key', apiBaseUrl: 'ftp://v3.recurly.com' }),
+      /Invalid API base URL: unsupported protocol 'ftp:'/
+    );
+  });
+
+  test('rejects invalid proxy URL', () => {
+    assert.throws(
+      () => createClient({ apiKey: 'test-key', proxyUrl: 'not-a-url' }),
+      /Invalid proxy URL: 'not-a-url' is not a valid URL/
+    );
+  });
+});
+
+describe('Record and replay cassettes', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { createEmulator } = require('../src/emulator/recurly-emulator');
+
+  let emulator;
+  let emulatorUrl;
+  let dir;
+
+  beforeEach(async () => {
+    emulator = createEmulator({
+      fixtures: { accounts: [{ code: 'cassette-001', email: 'cassette-001@example.com', state: 'closed' }] }
+    });
+    emulatorUrl = await emulator.start();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'client-cassette-'));
+  });
+
+  afterEach(async () => {
+    if (emulator) {
+      await emulator.stop();
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('replays a recorded session without network access', async () => {
+    const recording = createClient({ apiKey: 'record-key', apiBaseUrl: emulatorUrl, record: dir, maxRetries: 0 });
+    const recorded = await recording.request('GET', '/accounts/code-cassette-001');
+    await assert.rejects(() => recording.request('GET', '/accounts/code-missing'), /Couldn't find Account|not found/i);
+
+    await emulator.stop();
+    emulator = null;
+
+    const replaying = createClient({ apiKey: 'any-key', apiBaseUrl: 'http://127.0.0.1:1', replay: dir, maxRetries: 0 });
+    const replayed = await replaying.request('GET', '/accounts/code-cassette-001');
+
+    assert.strictEqual(replayed.statusCode, 200);
+    assert.deepStrictEqual(replayed.data, { ...recorded.data, email: '[REDACTED]', hosted_login_token: '[REDACTED]' });
+    await assert.rejects(
+      () => replaying.request('GET', '/accounts/code-missing'),
+      (error) => error.statusCode === 404
+    );
+    await assert.rejects(() => replaying.request('GET', '/plans'), /No recorded interaction for GET \/plans/);
+
+    for (const name of fs.readdirSync(dir)) {
+      assert.ok(!fs.readFileSync(path.join(dir, name), 'utf8').includes('record-key'));
+    }
+
+  });
+
+  test('rejects combining record and replay', () => {
+    assert.throws(
+      () => createClient({ apiKey: 'test-key', record: dir, replay: dir }),
+      /Cannot combine record and replay modes/
+    );
+  });
+});
+
+describe('paginate', () => {
+  const { paginate, paginatePages, listAll, extractCursor } = require('../src/api/recurly-client');
+
+  /**
+   * Mock client serving numbered items over several pages
+   * @param {number} pageCount - Number of pages
+   * @param {number} perPage - Items per page
+   * @param {Function} [next] - Builds the `next` value for a page number
+   * @returns {Object} Mock client with recorded paths
+   */
+  function createPagedClient(pageCount, perPage, next = page => `/accounts?cursor=c${page + 1}&limit=${perPage}`) {
+    const paths = [];
+    return {
+      paths,
+      request: async (method, path) => {
+        paths.push(path);
+        const match = path.match(/cursor=c(\d+)/);
+        const page = match ? parseInt(match[1], 10) : 1;
+        const data = Array.from({ length: perPage }, (_, i) => ({ id: `p${page}-${i}` }));
+        const hasMore = page < pageCount;
+        return { data: { data, has_more: hasMore, next: hasMore ? next(page) : null } };
+      }
+    };
+  }
+
+  test('follows has_more/next across pages', async () => {
+    const client = createPagedClient(3, 2);
+
+    const items = await listAll(client, '/accounts', { sort: 'updated_at' });
+
+    assert.strictEqual(items.length, 6);
+    assert.strictEqual(client.paths.length, 3);
+    assert.strictEqual(client.paths[0], '/accounts?sort=updated_at&limit=200');
+    assert.strictEqual(client.paths[2], '/accounts?sort=updated_at&limit=200&cursor=c3');
+  });
+
+  test('accepts a bare cursor in next', async () => {
+    const client = createPagedClient(2, 1, page => `c${page + 1}`);
+
+    const items = await listAll(client, '/accounts');
+
+    assert.deepStrictEqual(items.map(i => i.id), ['p1-0', 'p2-0']);
+  });
+
+  test('stops at maxItems without fetching further pages', async () => {
+    const client = createPagedClient(5, 3);
+
+    const items = [];
+    for await (const item of paginate(client, '/accounts', {}, { maxItems: 4 })) {
+      items.push(item);
+    }
+
+    assert.strictEqual(items.length, 4);
+    assert.strictEqual(client.paths.length, 2);
+  });
+
+  test('warns and stops when has_more has no cursor', async () => {
+    const warnings = [];
+    const client = {
+      request: async () => ({ data: { data: [{ id: 'a' }], has_more: true, next: null } })
+    };
+
+    const items = await listAll(client, '/accounts', {}, { onWarning: message => warnings.push(message) });
+
+    assert.strictEqual(items.length, 1);
+    assert.deepStrictEqual(warnings, ['Pagination stopped: has_more=true but no valid cursor returned']);
+  });
+
+  test('stops at maxPages', async () => {
+    const warnings = [];
+    const client = createPagedClient(10, 1);
+
+    const pages = [];
+    for await (const page of paginatePages(client, '/accounts', {}, { maxPages: 3, onWarning: m => warnings.push(m) })) {
+      pages.push(page.page);
+    }
+
+    assert.deepStrictEqual(pages, [1, 2, 3]);
+    assert.deepStrictEqual(warnings, ['Exceeded 3 pages, stopping pagination']);
+  });
+
+  test('requires a valid client', async () => {
+    await assert.rejects(() => listAll(null, '/accounts'), /Valid Recurly client is required/);
+  });
+
+  test('extractCursor handles paths, bare values and empty input', () => {
+    assert.strictEqual(extractCursor('/accounts?cursor=abc%3D&limit=2'), 'abc=');
+    assert.strictEqual(extractCursor('abc'), 'abc');
+    assert.strictEqual(extractCursor(null), null);
+    assert.strictEqual(extractCursor('  '), null);
+  });
+
+  test('client.paginate walks every page of the emulator', async () => {
+    const { createEmulator } = require('../src/emulator/recurly-emulator');
+    const accounts = Array.from({ length: 5 }, (_, i) => ({ code: `page-${i}`, state: 'active' }));
+    const emulator = createEmulator({ fixtures: { accounts } });
+    const url = await emulator.start();
+
+    try {
+      const client = createClient({ apiKey: 'test-key', apiBaseUrl: url, maxRetries: 0 });
+      const codes = [];
+      for await (const account of client.paginate('/accounts', { limit: 2, sort: 'created_at', order: 'asc' })) {
+        codes.push(account.code);
+      }
+
+      assert.deepStrictEqual(codes.sort(), accounts.map(a => a.code).sort());
+      assert.strictEqual(emulator.getRequests().length, 3);
+    } finally {
+      await emulator.stop();
+    }
+  });
+});
+
+describe('Idempotency keys', () => {
+  const { createEmulator } = require('../src/emulator/recurly-emulator');
+
+  test('a repeated key is replayed by the server, not re-executed', async () => {
+    const emulator = createEmulator({
+      fixtures: {
+        plans: [{ code: 'rescue', currencies: [{ currency: 'EUR', unit_amount: 10 }] }],
+        accounts: [{ code: 'idem-001', state: 'active', billing_info: { payment_method: { object: 'credit_card' } } }]
+      }
+    });
+    const url = await emulator.start();
+
+    try {
+      const client = createClient({ apiKey: 'test-key', apiBaseUrl: url, maxRetries: 0 });
+      const body = { plan_code: 'rescue', currency: 'EUR', account: { code: 'idem-001' } };
+
+      const first = await client.request('POST', '/subscriptions', { body, idempotencyKey: 'key-1' });
+      const second = await client.request('POST', '/subscriptions', { body, idempotencyKey: 'key-1' });
+
+      assert.strictEqual(first.idempotentReplayed, false);
+      assert.strictEqual(second.idempotentReplayed, true);
+      assert.strictEqual(second.data.uuid, first.data.uuid);
+      assert.strictEqual(emulator.getStore().subscriptions.length, 1);
+    } finally {
+      await emulator.stop();
+    }
+  });
+});
+
+describe('Typed errors', () => {
+  const { createEmulator } = require('../src/emulator/recurly-emulator');
+  const { ValidationError, TransactionError, NotFoundError } = require('../src/api/errors');
+
+  let emulator;
+  let client;
+
+  beforeEach(async () => {
+    emulator = createEmulator({
+      fixtures: {
+        plans: [{ code: 'rescue', currencies: [{ currency: 'EUR', unit_amount: 10 }] }],
+        accounts: [{ code: 'tds-001', state: 'active', billing_info: { payment_method: { object: 'credit_card' }, decline_code: 'three_d_secure_action_required' } }]
+      }
+    });
+    const url = await emulator.start();
+    client = createClient({ apiKey: 'test-key', apiBaseUrl: url, maxRetries: 0 });
+  });
+
+  afterEach(async () => {
+    await emulator.stop();
+  });
+
+  test('throws NotFoundError for unknown resources', async () => {
+    await assert.rejects(
+      () => client.request('GET', '/accounts/code-missing'),
+      (error) => error instanceof NotFoundError && error.statusCode === 404
+    );
+  });
+
+  test('throws ValidationError with the invalid params', async () => {
+    await assert.rejects(
+      () => client.request('POST', '/subscriptions', { body: { plan_code: 'unknown', currency: 'EUR', account: { code: 'tds-001' } } }),
+      (error) => error instanceof ValidationError &&
+        error.params[0].param === 'plan_code' &&
+        error.message.startsWith('Recurly API error 422:')
+    );
+  });
+
+  test('throws TransactionError with the 3DS action token', async () => {
+    await assert.rejects(
+      () => client.request('POST', '/subscriptions', { body: { plan_code: 'rescue', currency: 'EUR', account: { code: 'tds-001' } } }),
+      (error) => error instanceof TransactionError &&
+        error.requires3DS === true &&
+        error.declineCode === 'three_d_secure_action_required' &&
+        typeof error.threeDSecureActionTokenId === 'string'
+    );
+  });
+});
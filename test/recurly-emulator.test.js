@@ -0,0 +1,501 @@
+/**
+ * Tests for Recurly API Emulator Module
+ * Tests routing, pagination, error bodies and subscription lifecycle
+ */
+
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createEmulator, loadFixtures } = require('../src/emulator/recurly-emulator');
+
+const AUTH = `Basic ${Buffer.from('test-key:').toString('base64')}`;
+
+/**
+ * Send a request to the emulator
+ * @param {string} baseUrl - Emulator base URL
+ * @param {string} method - HTTP method
+ * @param {string} requestPath - Request path
+ * @param {Object} [body] - JSON body
+ * @param {Object} [headers] - Extra headers
+ * @returns {Promise<Object>} { statusCode, headers, body }
+ */
+function send(baseUrl, method, requestPath, body, headers = { Authorization: AUTH }) {
+  return new Promise((resolve, reject) => {
+    const url = new URL(requestPath, baseUrl);
+    const req = http.request({
+      hostname: url.hostname,
+      port: url.port,
+      path: url.pathname + url.search,
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers }
+    }, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: data ? JSON.parse(data) : null });
+      });
+    });
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+}
+
+const fixtures = {
+  plans: [
+    { code: 'rescue', name: 'Rescue', currencies: [{ currency: 'EUR', unit_amount: 24.95 }], add_ons: [{ code: 'support' }] }
+  ],
+  coupons: [
+    { code: 'winback-20', discount: { type: 'percent', percent: 20 } },
+    { code: 'old-promo', state: 'expired' }
+  ],
+  accounts: [
+    {
+      code: 'dunning-1',
+      state: 'closed',
+      email: 'one@example.com',
+      updated_at: '2026-01-10T10:00:00Z',
+      closed_at: '2026-01-10T10:00:00Z',
+      billing_info: { payment_method: { card_type: 'Visa', last_four: '4242' } }
+    },
+    {
+      code: 'dunning-3ds',
+      state: 'closed',
+      updated_at: '2026-01-11T10:00:00Z',
+      billing_info: { payment_method: { card_type: 'Visa', last_four: '0000' }, decline_code: 'three_d_secure_action_required' }
+    },
+    { code: 'no-billing', state: 'active', updated_at: '2026-01-12T10:00:00Z' }
+  ],
+  subscriptions: [
+    { account_code: 'dunning-1', plan_code: 'rescue', state: 'expired', expiration_reason: 'nonpayment' }
+  ]
+};
+
+describe('createEmulator', () => {
+  let emulator;
+  let baseUrl;
+
+  before(async () => {
+    emulator = createEmulator({ fixtures });
+    baseUrl = await emulator.start();
+  });
+
+  after(async () => {
+    await emulator.stop();
+  });
+
+  beforeEach(() => {
+    emulator.reset(fixtures);
+  });
+
+  describe('authentication and headers', () => {
+    test('rejects requests without Basic auth', async () => {
+      const response = await send(baseUrl, 'GET', '/accounts', null, {});
+      assert.strictEqual(response.statusCode, 401);
+      assert.strictEqual(response.body.error.type, 'unauthorized');
+    });
+
+    test('returns rate limit and request id headers', async () => {
+      const response = await send(baseUrl, 'GET', '/accounts');
+      assert.ok(response.headers['x-ratelimit-limit']);
+      assert.ok(response.headers['x-ratelimit-remaining']);
+      assert.ok(response.headers['x-ratelimit-reset']);
+      assert.ok(response.headers['x-request-id']);
+    });
+
+    test('only accepts configured API key', async () => {
+      const strict = createEmulator({ apiKey: 'secret' });
+      const url = await strict.start();
+      try {
+        const rejected = await send(url, 'GET', '/accounts');
+        assert.strictEqual(rejected.statusCode, 401);
+        const accepted = await send(url, 'GET', '/accounts', null, {
+          Authorization: `Basic ${Buffer.from('secret:').toString('base64')}`
+        });
+        assert.strictEqual(accepted.statusCode, 200);
+      } finally {
+        await strict.stop();
+      }
+    });
+  });
+
+  describe('accounts', () => {
+    test('looks up account by code- prefix and internal id', async () => {
+      const byCode = await send(baseUrl, 'GET', '/accounts/code-dunning-1');
+      assert.strictEqual(byCode.statusCode, 200);
+      assert.strictEqual(byCode.body.code, 'dunning-1');
+
+      const byId = await send(baseUrl, 'GET', `/accounts/${byCode.body.id}`);
+      assert.strictEqual(byId.body.code, 'dunning-1');
+    });
+
+    test('returns Recurly not_found error for unknown account', async () => {
+      const response = await send(baseUrl, 'GET', '/accounts/code-missing');
+      assert.strictEqual(response.statusCode, 404);
+      assert.strictEqual(response.body.error.type, 'not_found');
+    });
+
+    test('paginates with has_more and next', async () => {
+      const first = await send(baseUrl, 'GET', '/accounts?limit=2&sort=updated_at&order=asc');
+      assert.strictEqual(first.body.data.length, 2);
+      assert.strictEqual(first.body.has_more, true);
+      assert.ok(first.body.next.includes('cursor='));
+
+      const second = await send(baseUrl, 'GET', first.body.next);
+      assert.strictEqual(second.body.data.length, 1);
+      assert.strictEqual(second.body.has_more, false);
+      assert.strictEqual(second.body.next, null);
+    });
+
+    test('filters by begin_time/end_time', async () => {
+      const response = await send(baseUrl, 'GET', '/accounts?begin_time=2026-01-11T00:00:00Z&end_time=2026-01-11T23:59:59Z');
+      assert.deepStrictEqual(response.body.data.map(a => a.code), ['dunning-3ds']);
+    });
+
+    test('filters by email', async () => {
+      const response = await send(baseUrl, 'GET', '/accounts?email=one%40example.com');
+      assert.deepStrictEqual(response.body.data.map(a => a.code), ['dunning-1']);
+    });
+
+    test('reactivates closed account and rejects already active', async () => {
+      const reopened = await send(baseUrl, 'PUT', '/accounts/code-dunning-1/reactivate');
+      assert.strictEqual(reopened.statusCode, 200);
+      assert.strictEqual(reopened.body.state, 'active');
+
+      const again = await send(baseUrl, 'PUT', '/accounts/code-dunning-1/reactivate');
+      assert.strictEqual(again.statusCode, 422);
+      assert.match(again.body.error.message, /already active/);
+    });
+
+    test('deactivates account and rejects already inactive', async () => {
+      const closed = await send(baseUrl, 'DELETE', '/accounts/code-no-billing');
+      assert.strictEqual(closed.body.state, 'inactive');
+
+      const again = await send(baseUrl, 'DELETE', '/accounts/code-no-billing');
+      assert.strictEqual(again.statusCode, 422);
+      assert.match(again.body.error.message, /already inactive/);
+    });
+
+    test('returns 404 billing info when account has none', async () => {
+      const response = await send(baseUrl, 'GET', '/accounts/code-no-billing/billing_info');
+      assert.strictEqual(response.statusCode, 404);
+    });
+
+    test('lists the billing info as the primary payment method', async () => {
+      const response = await send(baseUrl, 'GET', '/accounts/code-dunning-3ds/billing_infos');
+      assert.strictEqual(response.statusCode, 200);
+      assert.strictEqual(response.body.data.length, 1);
+      assert.strictEqual(response.body.data[0].primary_payment_method, true);
+      assert.strictEqual(response.body.data[0].decline_code, undefined);
+    });
+
+    test('does not expose fixture decline_code in billing info', async () => {
+      const response = await send(baseUrl, 'GET', '/accounts/code-dunning-3ds/billing_info');
+      assert.strictEqual(response.statusCode, 200);
+      assert.strictEqual(response.body.decline_code, undefined);
+      assert.strictEqual(response.body.payment_method.card_type, 'Visa');
+    });
+
+    test('creates account and rejects duplicate code', async () => {
+      const created = await send(baseUrl, 'POST', '/accounts', { code: 'new-1', email: 'new@example.com' });
+      assert.strictEqual(created.statusCode, 201);
+
+      const duplicate = await send(baseUrl, 'POST', '/accounts', { code: 'new-1' });
+      assert.strictEqual(duplicate.statusCode, 422);
+      assert.match(duplicate.body.error.message, /already been taken/);
+    });
+  });
+
+  describe('subscriptions', () => {
+    test('creates charged subscription with paid invoice', async () => {
+      const response = await send(baseUrl, 'POST', '/subscriptions', {
+        plan_code: 'rescue',
+        currency: 'EUR',
+        collection_method: 'automatic',
+        account: { code: 'dunning-1' }
+      });
+
+      assert.strictEqual(response.statusCode, 201);
+      assert.strictEqual(response.body.state, 'active');
+
+      const invoices = await send(baseUrl, 'GET', '/accounts/code-dunning-1/invoices');
+      assert.strictEqual(invoices.body.data.length, 1);
+      assert.strictEqual(invoices.body.data[0].state, 'paid');
+      assert.strictEqual(invoices.body.data[0].total, 24.95);
+    });
+
+    test('does not charge during trial', async () => {
+      const trialEndsAt = new Date(Date.now() + 86400000).toISOString();
+      const response = await send(baseUrl, 'POST', '/subscriptions', {
+        plan_code: 'rescue',
+        currency: 'EUR',
+        trial_ends_at: trialEndsAt,
+        account: { code: 'dunning-1' }
+      });
+
+      assert.strictEqual(response.statusCode, 201);
+      const invoices = await send(baseUrl, 'GET', '/accounts/code-dunning-1/invoices');
+      assert.strictEqual(invoices.body.data.length, 0);
+    });
+
+    test('discounts the first charge with a coupon and rejects unredeemable coupons', async () => {
+      const coupon = await send(baseUrl, 'GET', '/coupons/code-winback-20');
+      assert.strictEqual(coupon.body.state, 'redeemable');
+
+      const response = await send(baseUrl, 'POST', '/subscriptions', {
+        plan_code: 'rescue',
+        currency: 'EUR',
+        coupon_codes: ['winback-20'],
+        account: { code: 'dunning-1' }
+      });
+      assert.strictEqual(response.statusCode, 201);
+      assert.strictEqual(response.body.coupon_redemptions[0].coupon.code, 'winback-20');
+
+      const invoices = await send(baseUrl, 'GET', '/accounts/code-dunning-1/invoices');
+      assert.strictEqual(invoices.body.data[0].total, 19.96);
+      assert.strictEqual(invoices.body.data[0].discount, 4.99);
+
+      const rejected = await send(baseUrl, 'POST', '/subscriptions', {
+        plan_code: 'rescue',
+        currency: 'EUR',
+        coupon_codes: ['old-promo'],
+        account: { code: 'dunning-1' }
+      });
+      assert.strictEqual(rejected.statusCode, 422);
+    });
+
+    test('creates future subscriptions without charging', async () => {
+      const startsAt = new Date(Date.now() + 7 * 86400000).toISOString();
+      const response = await send(baseUrl, 'POST', '/subscriptions', {
+        plan_code: 'rescue',
+        currency: 'EUR',
+        starts_at: startsAt,
+        trial_ends_at: startsAt,
+        account: { code: 'dunning-1' }
+      });
+
+      assert.strictEqual(response.statusCode, 201);
+      assert.strictEqual(response.body.state, 'future');
+      assert.strictEqual(response.body.starts_at, startsAt);
+      const invoices = await send(baseUrl, 'GET', '/accounts/code-dunning-1/invoices');
+      assert.strictEqual(invoices.body.data.length, 0);
+    });
+
+    test('leaves a pending invoice for manual collection, then switches to automatic', async () => {
+      const created = await send(baseUrl, 'POST', '/subscriptions', {
+        plan_code: 'rescue',
+        currency: 'EUR',
+        collection_method: 'manual',
+        net_terms: 7,
+        account: { code: 'dunning-3ds' }
+      });
+
+      assert.strictEqual(created.statusCode, 201);
+      const ref = `uuid-${created.body.uuid}`;
+      const invoices = await send(baseUrl, 'GET', `/subscriptions/${ref}/invoices`);
+      assert.strictEqual(invoices.body.data.length, 1);
+      assert.strictEqual(invoices.body.data[0].state, 'pending');
+      assert.strictEqual(invoices.body.data[0].balance, 24.95);
+
+      const updated = await send(baseUrl, 'PUT', `/subscriptions/${ref}`, { collection_method: 'automatic' });
+      assert.strictEqual(updated.body.collection_method, 'automatic');
+      const invalid = await send(baseUrl, 'PUT', `/subscriptions/${ref}`, { collection_method: 'cash' });
+      assert.strictEqual(invalid.statusCode, 422);
+    });
+
+    test('returns transaction error with 3DS token for declined card', async () => {
+      const response = await send(baseUrl, 'POST', '/subscriptions', {
+        plan_code: 'rescue',
+        currency: 'EUR',
+        account: { code: 'dunning-3ds' }
+      });
+
+      assert.strictEqual(response.statusCode, 422);
+      assert.strictEqual(response.body.error.type, 'transaction');
+      assert.strictEqual(response.body.error.transaction_error.code, 'three_d_secure_action_required');
+      assert.ok(response.body.error.transaction_error.three_d_secure_action_token_id);
+    });
+
+    test('rejects automatic collection without billing info', async () => {
+      const response = await send(baseUrl, 'POST', '/subscriptions', {
+        plan_code: 'rescue',
+        currency: 'EUR',
+        account: { code: 'no-billing' }
+      });
+
+      assert.strictEqual(response.statusCode, 422);
+      assert.strictEqual(response.body.error.params[0].param, 'billing_info');
+    });
+
+    test('rejects currency not priced on plan', async () => {
+      const response = await send(baseUrl, 'POST', '/subscriptions', {
+        plan_code: 'rescue',
+        currency: 'USD',
+        account: { code: 'dunning-1' }
+      });
+
+      assert.strictEqual(response.statusCode, 422);
+      assert.strictEqual(response.body.error.params[0].param, 'currency');
+    });
+
+    test('rejects add-ons the plan does not offer', async () => {
+      const response = await send(baseUrl, 'POST', '/subscriptions', {
+        plan_code: 'rescue',
+        currency: 'EUR',
+        account: { code: 'dunning-1' },
+        add_ons: [{ code: 'support', quantity: 1 }, { code: 'premium-support', quantity: 1 }]
+      });
+
+      assert.strictEqual(response.statusCode, 422);
+      assert.strictEqual(response.body.error.params[0].param, 'add_ons');
+      assert.match(response.body.error.message, /Add-on premium-support is invalid for plan rescue/);
+    });
+
+    test('cancels and terminates by uuid- prefix', async () => {
+      const created = await send(baseUrl, 'POST', '/subscriptions', {
+        plan_code: 'rescue',
+        currency: 'EUR',
+        account: { code: 'dunning-1' }
+      });
+      const ref = `uuid-${created.body.uuid}`;
+
+      const canceled = await send(baseUrl, 'PUT', `/subscriptions/${ref}/cancel`);
+      assert.strictEqual(canceled.body.state, 'canceled');
+
+      const terminated = await send(baseUrl, 'DELETE', `/subscriptions/${ref}`);
+      assert.strictEqual(terminated.body.state, 'expired');
+    });
+
+    test('filters subscription list by state', async () => {
+      const response = await send(baseUrl, 'GET', '/subscriptions?state=expired');
+      assert.strictEqual(response.body.data.length, 1);
+      assert.strictEqual(response.body.data[0].expiration_reason, 'nonpayment');
+    });
+  });
+
+  describe('invoices and transactions', () => {
+    test('expands invoice transactions and refunds them once', async () => {
+      await send(baseUrl, 'POST', '/subscriptions', {
+        plan_code: 'rescue',
+        currency: 'EUR',
+        account: { code: 'dunning-1' }
+      });
+      const invoice = emulator.getStore().invoices[0];
+
+      const expanded = await send(baseUrl, 'GET', `/invoices/number-${invoice.number}?expand=transactions`);
+      assert.strictEqual(expanded.body.transactions.length, 1);
+
+      const txRef = `uuid-${expanded.body.transactions[0].uuid}`;
+      const refund = await send(baseUrl, 'POST', `/transactions/${txRef}/refund`);
+      assert.strictEqual(refund.statusCode, 201);
+      assert.strictEqual(refund.body.type, 'refund');
+
+      const again = await send(baseUrl, 'POST', `/transactions/${txRef}/refund`);
+      assert.strictEqual(again.statusCode, 422);
+    });
+
+    test('returns 404 for unknown invoice number', async () => {
+      const response = await send(baseUrl, 'GET', '/invoices/number-99999');
+      assert.strictEqual(response.statusCode, 404);
+    });
+  });
+
+  describe('plans', () => {
+    test('finds plan and its add-ons by code and rejects duplicate creation', async () => {
+      const found = await send(baseUrl, 'GET', '/plans/code-rescue');
+      assert.strictEqual(found.statusCode, 200);
+
+      const addOns = await send(baseUrl, 'GET', '/plans/code-rescue/add_ons');
+      assert.deepStrictEqual(addOns.body.data.map(addOn => addOn.code), ['support']);
+      assert.strictEqual((await send(baseUrl, 'GET', '/plans/code-missing/add_ons')).statusCode, 404);
+
+      const duplicate = await send(baseUrl, 'POST', '/plans', { code: 'rescue', currencies: [] });
+      assert.strictEqual(duplicate.statusCode, 422);
+      assert.match(duplicate.body.error.message, /already been taken/);
+    });
+  });
+
+  describe('idempotency keys', () => {
+    const idem = (key) => ({ Authorization: AUTH, 'Idempotency-Key': key });
+
+    test('replays the stored response for a repeated key', async () => {
+      const body = { plan_code: 'rescue', currency: 'EUR', account: { code: 'dunning-1' } };
+      const first = await send(baseUrl, 'POST', '/subscriptions', body, idem('k-1'));
+      const second = await send(baseUrl, 'POST', '/subscriptions', body, idem('k-1'));
+
+      assert.strictEqual(first.statusCode, 201);
+      assert.strictEqual(first.headers['idempotent-replayed'], undefined);
+      assert.strictEqual(second.statusCode, 201);
+      assert.strictEqual(second.headers['idempotent-replayed'], 'true');
+      assert.strictEqual(second.body.uuid, first.body.uuid);
+      assert.strictEqual(emulator.getRequests()[1].replayed, true);
+    });
+
+    test('replays stored errors too', async () => {
+      const body = { plan_code: 'rescue', currency: 'EUR', account: { code: 'dunning-3ds' } };
+      await send(baseUrl, 'POST', '/subscriptions', body, idem('k-3ds'));
+      const second = await send(baseUrl, 'POST', '/subscriptions', body, idem('k-3ds'));
+
+      assert.strictEqual(second.statusCode, 422);
+      assert.strictEqual(second.headers['idempotent-replayed'], 'true');
+    });
+
+    test('rejects a key reused for a different request', async () => {
+      await send(baseUrl, 'POST', '/subscriptions', { plan_code: 'rescue', currency: 'EUR', account: { code: 'dunning-1' } }, idem('k-2'));
+      const reused = await send(baseUrl, 'PUT', '/accounts/code-dunning-1/reactivate', null, idem('k-2'));
+
+      assert.strictEqual(reused.statusCode, 422);
+      assert.strictEqual(reused.body.error.type, 'invalid_idempotency_key');
+    });
+  });
+
+  test('records handled requests', async () => {
+    await send(baseUrl, 'GET', '/accounts/code-dunning-1');
+    const requests = emulator.getRequests();
+    assert.strictEqual(requests.length, 1);
+    assert.strictEqual(requests[0].method, 'GET');
+    assert.strictEqual(requests[0].status, 200);
+  });
+
+  test('returns 405 for unsupported method on known path', async () => {
+    const response = await send(baseUrl, 'PATCH', '/accounts');
+    assert.strictEqual(response.statusCode, 405);
+  });
+});
+
+describe('loadFixtures', () => {
+  test('loads JSON fixtures', () => {
+    const file = path.join(os.tmpdir(), `emulator-fixtures-${process.pid}.json`);
+    fs.writeFileSync(file, JSON.stringify({ accounts: [{ code: 'a' }] }));
+    try {
+      assert.strictEqual(loadFixtures(file).accounts[0].code, 'a');
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  test('loads YAML fixtures', () => {
+    const file = path.join(os.tmpdir(), `emulator-fixtures-${process.pid}.yaml`);
+    fs.writeFileSync(file, 'accounts:\n  - code: b\n');
+    try {
+      assert.strictEqual(loadFixtures(file).accounts[0].code, 'b');
+    } finally {
+      fs.unlinkSync(file);
+    }
+  });
+
+  test('throws for missing file', () => {
+    assert.throws(() => loadFixtures('/nonexistent/fixtures.json'), /Fixtures file not found/);
+  });
+
+  test('loads example fixtures shipped with the repo', () => {
+    const fixturesFile = path.join(__dirname, '..', 'emulator-fixtures.example.json');
+    const data = loadFixtures(fixturesFile);
+    const emulator = createEmulator({ fixtures: data });
+    assert.ok(emulator.getStore().accounts.length > 0);
+    assert.ok(emulator.getStore().subscriptions.every(s => s.account));
+  });
+});
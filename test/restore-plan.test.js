@@ -0,0 +1,205 @@
+/**
+ * Tests for Restore Plan Module
+ * Tests plan maps, restored subscriptions and the restore planner against the emulator
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const {
+  buildRestoredSubscription,
+  createRestorePlanner,
+  describeSubscription,
+  findPreviousSubscription,
+  normalizePlanMap
+} = require('../src/rescue/restore-plan');
+const { createClient } = require('../src/api/recurly-client');
+const { createEmulator } = require('../src/emulator/recurly-emulator');
+
+describe('restore plan', () => {
+  describe('normalizePlanMap', () => {
+    test('accepts plan codes and entries with add-on renames', () => {
+      const planMap = normalizePlanMap({
+        'monthly-2023': 'monthly-2025',
+        'premium-legacy': { plan_code: 'premium', add_ons: { 'legacy-support': 'support', 'paper-invoice': null }, keep_price: false }
+      });
+
+      assert.deepStrictEqual(planMap, {
+        'monthly-2023': { plan_code: 'monthly-2025', add_ons: {}, keep_price: true },
+        'premium-legacy': { plan_code: 'premium', add_ons: { 'legacy-support': 'support', 'paper-invoice': null }, keep_price: false }
+      });
+    });
+
+    test('rejects entries without a plan code and unknown options', () => {
+      assert.throws(() => normalizePlanMap({ old: { add_ons: {} } }), /Plan map entry 'old' needs a plan_code/);
+      assert.throws(() => normalizePlanMap({ old: { plan_code: 'new', price: 10 } }), /Unknown option 'price' for plan map entry 'old'/);
+      assert.throws(() => normalizePlanMap({ old: { plan_code: 'new', keep_price: 'yes' } }), /Invalid keep_price/);
+      assert.throws(() => normalizePlanMap(['old']), /must be a mapping/);
+    });
+  });
+
+  describe('buildRestoredSubscription', () => {
+    const original = describeSubscription({
+      uuid: 'abc123',
+      plan: { code: 'premium-legacy' },
+      currency: 'usd',
+      quantity: 2,
+      unit_amount: 39,
+      add_ons: [
+        { add_on: { code: 'legacy-support' }, quantity: 1, unit_amount: 5 },
+        { add_on: { code: 'paper-invoice' }, quantity: 1, unit_amount: 2 }
+      ]
+    });
+
+    test('keeps the plan, currency, quantity, price and add-ons without a mapping', () => {
+      assert.deepStrictEqual(original, {
+        subscription_id: 'abc123',
+        plan_code: 'premium-legacy',
+        currency: 'USD',
+        quantity: 2,
+        unit_amount: 39,
+        add_ons: [{ code: 'legacy-support', quantity: 1, unit_amount: 5 }, { code: 'paper-invoice', quantity: 1, unit_amount: 2 }]
+      });
+      assert.deepStrictEqual(buildRestoredSubscription(original, null).restored, {
+        plan_code: 'premium-legacy',
+        currency: 'USD',
+        quantity: 2,
+        unit_amount: 39,
+        add_ons: original.add_ons
+      });
+    });
+
+    test('renames and drops add-ons, and takes the new plan price when asked', () => {
+      const mapping = normalizePlanMap({
+        'premium-legacy': { plan_code: 'premium', add_ons: { 'legacy-support': 'support', 'paper-invoice': null }, keep_price: false }
+      })['premium-legacy'];
+
+      assert.deepStrictEqual(buildRestoredSubscription(original, mapping), {
+        restored: {
+          plan_code: 'premium',
+          currency: 'USD',
+          quantity: 2,
+          unit_amount: null,
+          add_ons: [{ code: 'support', quantity: 1, unit_amount: null }]
+        },
+        dropped_add_ons: ['paper-invoice']
+      });
+    });
+  });
+
+  describe('findPreviousSubscription', () => {
+    test('picks the most recent expired subscription', () => {
+      const previous = findPreviousSubscription([
+        { id: 'old', state: 'expired', created_at: '2024-01-01T00:00:00Z' },
+        { id: 'recent', state: 'expired', created_at: '2025-06-01T00:00:00Z' },
+        { id: 'canceled', state: 'canceled', created_at: '2025-09-01T00:00:00Z' }
+      ]);
+
+      assert.strictEqual(previous.id, 'recent');
+      assert.strictEqual(findPreviousSubscription([{ state: 'active' }]), null);
+    });
+
+    test('picks the subscription that expired last, not the one created last', () => {
+      const previous = findPreviousSubscription([
+        { id: 'long-running', state: 'expired', created_at: '2020-01-01T00:00:00Z', expired_at: '2025-12-01T00:00:00Z' },
+        { id: 'short-lived', state: 'expired', created_at: '2025-03-01T00:00:00Z', expires_at: '2025-04-01T00:00:00Z' },
+        { id: 'no-expiry', state: 'expired', created_at: '2025-06-01T00:00:00Z' }
+      ]);
+
+      assert.strictEqual(previous.id, 'long-running');
+    });
+  });
+
+  describe('createRestorePlanner', () => {
+    let emulator;
+    let client;
+
+    beforeEach(async () => {
+      emulator = createEmulator({
+        fixtures: {
+          plans: [
+            { code: 'monthly', currencies: [{ currency: 'USD', unit_amount: 19 }, { currency: 'GBP', unit_amount: 15 }], add_ons: [{ code: 'support' }] },
+            { code: 'monthly-2023', state: 'inactive', currencies: [{ currency: 'USD', unit_amount: 15 }] },
+            { code: 'eur-only', currencies: [{ currency: 'EUR', unit_amount: 19 }] }
+          ],
+          accounts: [{ code: 'usd-client' }, { code: 'retired-client' }, { code: 'gbp-client' }, { code: 'no-history' }, { code: 'addon-client' }],
+          subscriptions: [
+            { account_code: 'usd-client', plan_code: 'monthly', currency: 'USD', quantity: 3, unit_amount: 17, state: 'expired' },
+            { account_code: 'retired-client', plan_code: 'monthly-2023', currency: 'USD', unit_amount: 12, state: 'expired' },
+            { account_code: 'gbp-client', plan_code: 'eur-only', currency: 'GBP', state: 'expired' },
+            {
+              account_code: 'addon-client',
+              plan_code: 'monthly-2023',
+              currency: 'USD',
+              state: 'expired',
+              add_ons: [{ add_on: { code: 'legacy-support' }, quantity: 1 }, { add_on: { code: 'paper-invoice' }, quantity: 1 }]
+            }
+          ]
+        }
+      });
+      const url = await emulator.start();
+      client = createClient({ apiKey: 'test-key', apiBaseUrl: url, maxRetries: 0 });
+    });
+
+    afterEach(async () => {
+      await emulator.stop();
+    });
+
+    test('restores the previous subscription and maps retired plans', async () => {
+      const planner = createRestorePlanner(client, normalizePlanMap({ 'monthly-2023': 'monthly' }));
+
+      const usd = await planner.plan('usd-client');
+      assert.strictEqual(usd.error, null);
+      assert.deepStrictEqual(
+        { ...usd.restore.restored, add_ons: undefined },
+        { plan_code: 'monthly', currency: 'USD', quantity: 3, unit_amount: 17, add_ons: undefined }
+      );
+      assert.strictEqual(usd.restore.mapped, false);
+
+      const retired = await planner.plan({ code: 'retired-client' });
+      assert.strictEqual(retired.restore.original.plan_code, 'monthly-2023');
+      assert.strictEqual(retired.restore.restored.plan_code, 'monthly');
+      assert.strictEqual(retired.restore.restored.unit_amount, 12);
+      assert.strictEqual(retired.restore.mapped, true);
+
+      // The plan and its add-ons are looked up once per run
+      const planLookups = emulator.getRequests().filter(r => r.path.startsWith('/plans/'));
+      assert.deepStrictEqual(planLookups.map(r => r.path.split('?')[0]), ['/plans/code-monthly', '/plans/code-monthly/add_ons']);
+      assert.deepStrictEqual(planner.getSummary(), {
+        planned: 2,
+        mapped: 1,
+        failed: 0,
+        by_plan: { monthly: 1, 'monthly-2023 -> monthly': 1 }
+      });
+    });
+
+    test('explains why a subscription cannot be restored', async () => {
+      const planner = createRestorePlanner(client);
+
+      assert.strictEqual((await planner.plan('retired-client')).error,
+        "Cannot restore monthly-2023: plan 'monthly-2023' is retired (inactive); map it to a current plan with --plan-map");
+      assert.strictEqual((await planner.plan('gbp-client')).error, "Cannot restore eur-only: plan 'eur-only' has no GBP price");
+      assert.strictEqual((await planner.plan('no-history')).error, 'No expired subscription to restore');
+
+      const missing = await planner.plan('missing');
+      assert.strictEqual(missing.lookupFailed, true);
+      assert.match(missing.error, /^Could not read subscriptions/);
+      assert.strictEqual(planner.getSummary().failed, 4);
+    });
+
+    test('rejects add-ons the target plan does not offer before any subscription is created', async () => {
+      const badRename = createRestorePlanner(client, normalizePlanMap({
+        'monthly-2023': { plan_code: 'monthly', add_ons: { 'legacy-support': 'premium-support' } }
+      }));
+      assert.strictEqual((await badRename.plan('addon-client')).error,
+        "Cannot restore monthly-2023: plan 'monthly' has no add-on 'premium-support', 'paper-invoice'; rename or drop it in the plan map entry");
+
+      const fixed = createRestorePlanner(client, normalizePlanMap({
+        'monthly-2023': { plan_code: 'monthly', add_ons: { 'legacy-support': 'support', 'paper-invoice': null } }
+      }));
+      const restored = await fixed.plan('addon-client');
+      assert.strictEqual(restored.error, null);
+      assert.deepStrictEqual(restored.restore.restored.add_ons.map(addOn => addOn.code), ['support']);
+      assert.deepStrictEqual(restored.restore.dropped_add_ons, ['paper-invoice']);
+    });
+  });
+});
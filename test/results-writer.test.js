@@ -171,6 +171,192 @@ test('addClientResult() adds client to results', (t) => {
   assert.strictEqual(results.clients[0].status, 'RESCUED');
 });
 
+test('addClientResult() keeps the account reference without its path', (t) => {
+  const { createResultsWriter } = require('../src/output/results-writer');
+
+  const writer = createResultsWriter({
+    project: 'eur',
+    environment: 'sandbox',
+    outputDir: TEST_DIR
+  });
+
+  writer.addClientResult({ id: 'acc_001', account: { id: 'x7k2m9p4q1wz', code: 'acc_001', pathId: 'x7k2m9p4q1wz' }, status: 'SKIPPED' });
+  writer.addClientResult({ id: 'acc_002', status: 'SKIPPED' });
+
+  const results = writer.getResults();
+  assert.deepStrictEqual(results.clients[0].account, { id: 'x7k2m9p4q1wz', code: 'acc_001' });
+  assert.strictEqual('account' in results.clients[1], false);
+});
+
+test('addClientResult() records the payment method verdict of skipped clients', (t) => {
+  const { createResultsWriter } = require('../src/output/results-writer');
+
+  const writer = createResultsWriter({
+    project: 'eur',
+    environment: 'sandbox',
+    outputDir: TEST_DIR
+  });
+
+  const paymentMethod = { verdict: 'EXPIRED_CARD', chargeable: false, type: 'card', detail: 'Visa ending 4242 expired 02/2026', backup: false };
+  writer.addClientResult({ id: 'acc_001', status: 'SKIPPED', reason: paymentMethod.detail, paymentMethod });
+  writer.addClientResult({ id: 'acc_002', status: 'SKIPPED', reason: 'No billing info on file', paymentMethod: { verdict: 'NO_METHOD', detail: 'No billing info on file' } });
+
+  const results = writer.getResults();
+  assert.strictEqual(results.clients[0].reason, 'Visa ending 4242 expired 02/2026');
+  assert.deepStrictEqual(results.clients[0].payment_method, {
+    verdict: 'EXPIRED_CARD',
+    type: 'card',
+    detail: 'Visa ending 4242 expired 02/2026',
+    backup: false
+  });
+  assert.deepStrictEqual(writer.getSummary().skip_reasons, { EXPIRED_CARD: 1, NO_METHOD: 1 });
+});
+
+test('addClientResult() records risk flags and keeps HELD clients out of the success rate', (t) => {
+  const { createResultsWriter, displayStatistics } = require('../src/output/results-writer');
+
+  const writer = createResultsWriter({
+    project: 'eur',
+    environment: 'sandbox',
+    outputDir: TEST_DIR
+  });
+
+  const held = { action: 'hold', flags: [{ check: 'refunds', action: 'hold', detail: '1 refund(s) in the last 90 days, latest 2026-02-20' }] };
+  const skipped = { action: 'skip', flags: [{ check: 'chargebacks', action: 'skip', detail: '1 chargeback(s), latest 2025-06-01' }] };
+  writer.addClientResult({ id: 'acc_001', status: 'HELD', reason: held.flags[0].detail, risk: held });
+  writer.addClientResult({ id: 'acc_002', status: 'SKIPPED', reason: `Risk: ${skipped.flags[0].detail}`, risk: skipped });
+  writer.addClientResult({ id: 'acc_003', status: 'RESCUED', risk: { action: null, flags: [] } });
+
+  const results = writer.getResults();
+  assert.strictEqual(results.clients[0].reason, '1 refund(s) in the last 90 days, latest 2026-02-20');
+  assert.deepStrictEqual(results.clients[0].risk, held);
+  assert.strictEqual('risk' in results.clients[2], false);
+
+  const summary = writer.getSummary();
+  assert.strictEqual(summary.held, 1);
+  assert.deepStrictEqual(summary.skip_reasons, { RISK_CHARGEBACKS: 1 });
+
+  const logs = [];
+  displayStatistics(summary, null, false, { log: (msg) => logs.push(msg) });
+  assert.ok(logs.includes('Held for review:         1 (risk pre-flight)'));
+  assert.ok(logs.includes('Success rate:            100.0%'));
+});
+
+test('addClientResult() records the original and restored subscription side by side', (t) => {
+  const { createResultsWriter } = require('../src/output/results-writer');
+
+  const writer = createResultsWriter({
+    project: 'multi',
+    environment: 'sandbox',
+    outputDir: TEST_DIR
+  });
+
+  const original = { subscription_id: 'sub-1', plan_code: 'monthly-2023', currency: 'USD', quantity: 1, unit_amount: 12, add_ons: [] };
+  const restored = { plan_code: 'monthly', currency: 'USD', quantity: 1, unit_amount: 12, add_ons: [] };
+  writer.addClientResult({ id: 'acc_001', status: 'RESCUED', restore: { original, restored, mapped: true } });
+  writer.setRestore({ plan_map_file: './plans.yaml', planned: 1, mapped: 1, failed: 0, by_plan: { 'monthly-2023 -> monthly': 1 } });
+
+  const results = writer.getResults();
+  assert.deepStrictEqual(results.clients[0].restore, { original, restored, mapped: true, dropped_add_ons: [] });
+  assert.strictEqual(results.restore.mapped, 1);
+});
+
+test('addClientResult() counts outcomes and currency skips per currency', (t) => {
+  const { createResultsWriter, displayStatistics } = require('../src/output/results-writer');
+
+  const writer = createResultsWriter({
+    project: 'multi',
+    environment: 'sandbox',
+    outputDir: TEST_DIR
+  });
+
+  writer.addClientResult({ id: 'acc_001', status: 'RESCUED', currency: { code: 'USD', source: 'subscription' } });
+  writer.addClientResult({ id: 'acc_002', status: 'FAILED', currency: { code: 'USD', source: 'invoice' } });
+  writer.addClientResult({ id: 'acc_003', status: 'RESCUED', currency: { code: 'GBP', source: 'billing_country' } });
+  writer.addClientResult({
+    id: 'acc_004',
+    status: 'SKIPPED',
+    reason: 'JPY (last subscription) is not a supported currency (EUR, USD, GBP, CHF, CAD)',
+    currency: { code: 'JPY', source: 'subscription', verdict: 'UNSUPPORTED_CURRENCY' }
+  });
+
+  const results = writer.getResults();
+  assert.deepStrictEqual(results.clients[0].currency, { code: 'USD', source: 'subscription' });
+
+  const summary = writer.getSummary();
+  assert.deepStrictEqual(summary.by_currency, { USD: { rescued: 1, failed: 1 }, GBP: { rescued: 1 }, JPY: { skipped: 1 } });
+  assert.deepStrictEqual(summary.skip_reasons, { UNSUPPORTED_CURRENCY: 1 });
+
+  const logs = [];
+  displayStatistics(summary, null, false, { log: (msg) => logs.push(msg) });
+  assert.ok(logs.includes('By currency:             GBP 1 rescued, JPY 1 skipped, USD 1 rescued / 1 failed'));
+});
+
+test('addClientResult() records the billing schedule of each client', (t) => {
+  const { createResultsWriter } = require('../src/output/results-writer');
+
+  const writer = createResultsWriter({
+    project: 'eur',
+    environment: 'sandbox',
+    outputDir: TEST_DIR
+  });
+
+  const schedule = {
+    trial_days: 0,
+    starts_at: null,
+    trial_ends_at: '2026-03-15T12:00:00.000Z',
+    next_bill_date: '2026-03-17T08:00:00.000Z',
+    first_bill_at: '2026-03-15T12:00:00.000Z',
+    aligned: true,
+    previous_renewal: '2025-12-17T08:00:00.000Z',
+    note: null
+  };
+  writer.addClientResult({ id: 'acc_001', status: 'RESCUED', schedule });
+  writer.setSchedule({ trial_days: 0, starts_at: null, align_to_previous_renewal: true, scheduled: 1, aligned: 1, not_aligned: 0 });
+
+  const results = writer.getResults();
+  assert.deepStrictEqual(results.clients[0].schedule, schedule);
+  assert.strictEqual(results.schedule.aligned, 1);
+});
+
+test('addClientResult() counts coupons and discounted revenue of rescued clients', (t) => {
+  const { createResultsWriter, displayStatistics } = require('../src/output/results-writer');
+
+  const writer = createResultsWriter({
+    project: 'multi',
+    environment: 'sandbox',
+    outputDir: TEST_DIR
+  });
+
+  const coupon = currency => ({
+    code: 'winback-50',
+    rule: 'loyal',
+    discount: { type: 'percent', percent: 50 },
+    currency,
+    list_price: 29.99,
+    discount_amount: 15
+  });
+  writer.addClientResult({ id: 'acc_001', status: 'RESCUED', coupon: coupon('USD') });
+  writer.addClientResult({ id: 'acc_002', status: 'RESCUED', coupon: coupon('USD') });
+  writer.addClientResult({ id: 'acc_003', status: 'FAILED', coupon: coupon('GBP') });
+  writer.setCoupons({ rules_file: 'coupons.yaml', selected: 3, unmatched: 0, by_coupon: { 'winback-50': 3 }, by_rule: { loyal: 3 } });
+
+  const results = writer.getResults();
+  assert.deepStrictEqual(results.clients[2].coupon, coupon('GBP'));
+  assert.deepStrictEqual(results.summary.coupons, {
+    redeemed: 2,
+    by_coupon: { 'winback-50': 2 },
+    discount: { USD: 30 },
+    revenue: { USD: 29.98 }
+  });
+  assert.strictEqual(results.coupons.rules_file, 'coupons.yaml');
+
+  const lines = [];
+  displayStatistics(results.summary, null, false, { log: line => lines.push(line) });
+  assert.ok(lines.includes('Coupons redeemed:        2 (winback-50 2)'));
+  assert.ok(lines.includes('Discounted revenue:      USD 29.98 (30.00 off)'));
+});
+
 test('addClientResult() updates summary for RESCUED', (t) => {
   const { createResultsWriter } = require('../src/output/results-writer');
 
@@ -288,6 +474,29 @@ test('addClientResult() updates summary for REQUIRES_3DS in rescue mode', (t) =>
   assert.strictEqual(summary.failed, 0);
 });
 
+test('addClientResult() lists EXCLUDED clients with their source, outside the totals', (t) => {
+  const { createResultsWriter } = require('../src/output/results-writer');
+
+  const writer = createResultsWriter({
+    project: 'eur',
+    environment: 'sandbox',
+    mode: 'rescue',
+    outputDir: TEST_DIR
+  });
+
+  writer.addClientResult({ id: 'acc1', status: 'RESCUED', before: {}, after: {} });
+  writer.addClientResult({ id: 'acc2', status: 'EXCLUDED', reason: 'chargeback', source: 'exclusions.txt:4' });
+
+  const summary = writer.getSummary();
+  assert.strictEqual(summary.total, 1);
+  assert.strictEqual(summary.excluded, 1);
+
+  const { filePath } = writer.finalize();
+  const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  assert.deepStrictEqual(saved.clients[1].exclusion, { source: 'exclusions.txt:4', reason: 'chargeback' });
+  assert.strictEqual(saved.clients[1].status, 'EXCLUDED');
+});
+
 test('addClientResult() throws for missing id', (t) => {
   const { createResultsWriter } = require('../src/output/results-writer');
 
@@ -428,6 +637,25 @@ test('finalize() creates JSON file', (t) => {
   assert.strictEqual(result.skipped, false);
 });
 
+test('finalize() writes the clients of a run stopped by an outage', (t) => {
+  const { createResultsWriter } = require('../src/output/results-writer');
+
+  const writer = createResultsWriter({
+    project: 'eur',
+    environment: 'sandbox',
+    outputDir: TEST_DIR
+  });
+
+  writer.addClientResult({ id: 'acc1', status: 'RESCUED', before: {}, after: { subscription_id: 'sub-1' } });
+  writer.setStopped({ reason: 'outage', pending: 2 });
+
+  const content = JSON.parse(fs.readFileSync(writer.finalize().filePath, 'utf8'));
+
+  assert.deepStrictEqual(content.execution.stopped, { reason: 'outage', pending: 2 });
+  assert.strictEqual(content.clients[0].after.subscription_id, 'sub-1');
+  assert.strictEqual(content.summary.rescued, 1);
+});
+
 test('finalize() creates file with correct naming', (t) => {
   const { createResultsWriter } = require('../src/output/results-writer');
 
@@ -689,6 +917,20 @@ test('displayStatistics() shows skipped count when present', (t) => {
   assert.ok(output.includes('Success rate:            94.4%'));
 });
 
+test('displayStatistics() breaks skipped clients down by payment method verdict', (t) => {
+  const { displayStatistics } = require('../src/output/results-writer');
+
+  const logs = [];
+  displayStatistics(
+    { total: 10, rescued: 6, skipped: 4, failed: 0, skip_reasons: { NO_METHOD: 1, EXPIRED_CARD: 3 } },
+    null,
+    false,
+    { log: (msg) => logs.push(msg) }
+  );
+
+  assert.ok(logs.includes('Skipped:                 4 (EXPIRED_CARD 3, NO_METHOD 1)'));
+});
+
 test('displayStatistics() shows dry-run prefix', (t) => {
   const { displayStatistics } = require('../src/output/results-writer');
 
@@ -1026,3 +1268,93 @@ test('workflow with loadResultsFile', (t) => {
   assert.strictEqual(loaded.summary.total, 1);
   assert.strictEqual(loaded.clients[0].id, 'acc1');
 });
+
+test('createResultsWriter() records run ID and idempotent replays', (t) => {
+  const { createResultsWriter } = require('../src/output/results-writer');
+
+  const writer = createResultsWriter({
+    project: 'eur',
+    environment: 'sandbox',
+    outputDir: TEST_DIR,
+    runId: 'run-123'
+  });
+
+  writer.addClientResult({ id: 'acc1', status: 'RESCUED', idempotentReplay: true });
+  writer.addClientResult({ id: 'acc2', status: 'RESCUED' });
+
+  const results = writer.getResults();
+  assert.strictEqual(results.execution.run_id, 'run-123');
+  assert.strictEqual(results.clients[0].idempotent_replay, true);
+  assert.ok(!('idempotent_replay' in results.clients[1]));
+  assert.strictEqual(results.summary.rescued, 2);
+  assert.strictEqual(results.summary.replayed, 1);
+});
+
+test('displayStatistics() reports idempotent replays', (t) => {
+  const { displayStatistics } = require('../src/output/results-writer');
+  const lines = [];
+
+  displayStatistics({ total: 2, rescued: 2, skipped: 0, failed: 0, replayed: 1 }, null, false, { log: line => lines.push(line) });
+
+  assert.ok(lines.some(line => line.includes('Idempotent replays:      1')));
+});
+
+test('addClientResult() records decline details', (t) => {
+  const { createResultsWriter } = require('../src/output/results-writer');
+
+  const writer = createResultsWriter({
+    project: 'eur',
+    environment: 'sandbox',
+    outputDir: TEST_DIR
+  });
+
+  writer.addClientResult({
+    id: 'acc1',
+    status: 'REQUIRES_3DS',
+    error: 'declined',
+    decline: { code: 'three_d_secure_action_required', reason: 'Authenticate', threeDSecureActionTokenId: 'token-1' }
+  });
+  writer.addClientResult({ id: 'acc2', status: 'FAILED', error: 'timeout', decline: { code: undefined } });
+
+  const { clients } = writer.getResults();
+  assert.deepStrictEqual(clients[0].decline, {
+    code: 'three_d_secure_action_required',
+    reason: 'Authenticate',
+    gateway_message: null,
+    three_d_secure_action_token_id: 'token-1'
+  });
+  assert.ok(!('decline' in clients[1]));
+});
+
+test('finalize() stores request metrics in the results file', (t) => {
+  const { createResultsWriter } = require('../src/output/results-writer');
+
+  const writer = createResultsWriter({
+    project: 'eur',
+    environment: 'sandbox',
+    outputDir: TEST_DIR
+  });
+  const metrics = [{ endpoint: 'GET /accounts/{id}', calls: 2, errors: 0, retries: 1, rate_limit_waits: 0, p50_ms: 40, p95_ms: 90, total_ms: 130 }];
+
+  writer.addClientResult({ id: 'acc1', status: 'RESCUED' });
+  writer.setRequestMetrics(metrics);
+  const result = writer.finalize();
+
+  const written = JSON.parse(fs.readFileSync(result.filePath, 'utf8'));
+  assert.deepStrictEqual(written.request_metrics, metrics);
+  assert.deepStrictEqual(result.requestMetrics, metrics);
+});
+
+test('displayStatistics() prints the request metrics table', (t) => {
+  const { displayStatistics } = require('../src/output/results-writer');
+  const lines = [];
+
+  displayStatistics({ total: 1, rescued: 1, skipped: 0, failed: 0 }, null, false, {
+    log: line => lines.push(line),
+    requestMetrics: [{ endpoint: 'POST /subscriptions', calls: 3, errors: 1, retries: 2, rate_limit_waits: 1, p50_ms: 120, p95_ms: 480, total_ms: 800 }]
+  });
+
+  const row = lines.find(line => line.startsWith('POST /subscriptions'));
+  assert.ok(lines.includes('API REQUESTS (by total time)'));
+  assert.deepStrictEqual(row.trim().split(/\s+/).slice(2), ['3', '1', '2', '1', '120', '480']);
+});
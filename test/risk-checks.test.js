@@ -0,0 +1,126 @@
+/**
+ * Tests for Risk Checks Module
+ * Tests risk policies, history assessment and the pre-flight checker against the emulator
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { assessRisk, createRiskChecker, normalizeRiskPolicy } = require('../src/rescue/risk-checks');
+const { createClient } = require('../src/api/recurly-client');
+const { createEmulator } = require('../src/emulator/recurly-emulator');
+
+const NOW = new Date('2026-03-15T12:00:00Z').getTime();
+
+describe('risk checks', () => {
+  describe('normalizeRiskPolicy', () => {
+    test('fills defaults and accepts a bare action', () => {
+      const policy = normalizeRiskPolicy({ refunds: { lookback_days: 30 }, past_due_invoices: 'SKIP', fraud: 'off' });
+
+      assert.deepStrictEqual(policy.refunds, { action: 'hold', lookback_days: 30 });
+      assert.deepStrictEqual(policy.past_due_invoices, { action: 'skip' });
+      assert.deepStrictEqual(policy.fraud, { action: 'off' });
+      assert.deepStrictEqual(policy.chargebacks, { action: 'skip' });
+    });
+
+    test('rejects unknown checks, options and actions', () => {
+      assert.throws(() => normalizeRiskPolicy({ disputes: 'skip' }), /Unknown risk check 'disputes'/);
+      assert.throws(() => normalizeRiskPolicy({ fraud: { lookback_days: 3 } }), /Unknown option 'lookback_days' for risk check 'fraud'/);
+      assert.throws(() => normalizeRiskPolicy({ refunds: 'ignore' }), /Invalid action 'ignore' for risk check 'refunds'/);
+      assert.throws(() => normalizeRiskPolicy({ refunds: { lookback_days: -1 } }), /Invalid lookback_days/);
+    });
+  });
+
+  describe('assessRisk', () => {
+    test('flags each risk and keeps the strictest action', () => {
+      const history = {
+        transactions: [
+          { type: 'purchase', origin: 'chargeback', status: 'success', created_at: '2025-06-01T00:00:00Z' },
+          { type: 'refund', status: 'success', created_at: '2026-02-20T00:00:00Z' },
+          { type: 'purchase', status: 'declined', status_code: 'fraud_velocity', created_at: '2026-01-05T00:00:00Z' }
+        ],
+        invoices: [
+          { type: 'credit', state: 'open', balance: -12.5, currency: 'EUR' },
+          { type: 'charge', state: 'past_due', number: '1042', balance: 29.9, currency: 'EUR' }
+        ]
+      };
+
+      const assessment = assessRisk(history, normalizeRiskPolicy(), { now: NOW });
+
+      assert.strictEqual(assessment.action, 'skip');
+      assert.deepStrictEqual(assessment.flags, [
+        { check: 'chargebacks', action: 'skip', detail: '1 chargeback(s), latest 2025-06-01' },
+        { check: 'refunds', action: 'hold', detail: '1 refund(s) in the last 90 days, latest 2026-02-20' },
+        { check: 'fraud', action: 'skip', detail: '1 fraud-flagged transaction(s) (fraud_velocity)' },
+        { check: 'credit_balance', action: 'hold', detail: 'open credit balance of 12.5 EUR' },
+        { check: 'past_due_invoices', action: 'hold', detail: '1 past-due invoice(s) #1042, 29.9 EUR unpaid' }
+      ]);
+    });
+
+    test('ignores old refunds, approved fraud reviews and disabled checks', () => {
+      const history = {
+        transactions: [
+          { type: 'refund', status: 'success', created_at: '2025-01-01T00:00:00Z' },
+          { type: 'purchase', status: 'success', fraud_info: { decision: 'approve', score: 12 } },
+          { type: 'chargeback', status: 'success' }
+        ],
+        invoices: []
+      };
+
+      const assessment = assessRisk(history, normalizeRiskPolicy({ chargebacks: 'warn' }), { now: NOW });
+      assert.strictEqual(assessment.action, 'warn');
+      assert.deepStrictEqual(assessment.flags.map(flag => flag.check), ['chargebacks']);
+
+      assert.deepStrictEqual(assessRisk(history, normalizeRiskPolicy({ chargebacks: 'off' }), { now: NOW }), { action: null, flags: [] });
+    });
+  });
+
+  describe('createRiskChecker', () => {
+    let emulator;
+    let client;
+
+    beforeEach(async () => {
+      emulator = createEmulator({
+        fixtures: {
+          accounts: [{ code: 'clean' }, { code: 'disputed' }],
+          invoices: [{ account_code: 'clean', number: '1001', state: 'failed', total: 29.9 }],
+          transactions: [
+            { account_code: 'clean', type: 'purchase', status: 'declined' },
+            { account_code: 'disputed', type: 'purchase', origin: 'chargeback', status: 'success', created_at: '2026-01-10T00:00:00Z' }
+          ]
+        }
+      });
+      const url = await emulator.start();
+      client = createClient({ apiKey: 'test-key', apiBaseUrl: url, maxRetries: 0 });
+    });
+
+    afterEach(async () => {
+      await emulator.stop();
+    });
+
+    test('checks account history and counts flagged accounts', async () => {
+      const checker = createRiskChecker(client, normalizeRiskPolicy(), { now: () => NOW });
+
+      assert.deepStrictEqual(await checker.check({ code: 'clean' }), { action: null, flags: [], lookupFailed: false });
+      const disputed = await checker.check('disputed');
+      assert.strictEqual(disputed.action, 'skip');
+      assert.strictEqual(disputed.flags[0].detail, '1 chargeback(s), latest 2026-01-10');
+
+      assert.deepStrictEqual(checker.getSummary(), {
+        checked: 2,
+        flagged: 1,
+        by_check: { chargebacks: 1 },
+        by_action: { skip: 1 }
+      });
+    });
+
+    test('holds accounts whose history cannot be read', async () => {
+      const checker = createRiskChecker(client);
+
+      const assessment = await checker.check('missing');
+
+      assert.strictEqual(assessment.action, 'hold');
+      assert.strictEqual(assessment.lookupFailed, true);
+      assert.strictEqual(assessment.flags[0].check, 'lookup_errors');
+    });
+  });
+});
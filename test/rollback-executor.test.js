@@ -156,7 +156,7 @@ describe('processClient()', () => {
     mockClient = createMockRecurlyClient({
       '/subscriptions/sub_123/cancel': { data: { id: 'sub_123', state: 'canceled' }, statusCode: 200 },
       '/subscriptions/sub_123': { data: { id: 'sub_123', state: 'expired' }, statusCode: 200 }, // For terminate
-      '/accounts/acc1': { data: {}, statusCode: 204 }
+      '/accounts/code-acc1': { data: {}, statusCode: 204 }
     });
     mockLogger = createMockLogger();
     executor = createRollbackExecutor({
@@ -210,7 +210,20 @@ describe('processClient()', () => {
     assert.strictEqual(calls[0].method, 'DELETE');
     assert.strictEqual(calls[0].path, '/subscriptions/sub_123');
     assert.strictEqual(calls[1].method, 'DELETE');
-    assert.strictEqual(calls[1].path, '/accounts/acc1');
+    assert.strictEqual(calls[1].path, '/accounts/code-acc1');
+  });
+
+  test('closes the account by internal ID when the results file has its reference', async () => {
+    const result = await executor.processClient({
+      id: 'acc1',
+      account: { id: 'x7k2m9p4q1wz', code: 'acc1' },
+      status: 'RESCUED',
+      before: { state: 'closed', subscriptions: [] },
+      after: { state: 'active', subscription_id: 'sub_123' }
+    });
+
+    assert.strictEqual(result.status, 'ROLLED_BACK');
+    assert.strictEqual(mockClient.getCalls()[1].path, '/accounts/x7k2m9p4q1wz');
   });
 
   test('skips closeAccount if original state was not closed', async () => {
@@ -264,6 +277,23 @@ describe('processClient()', () => {
     assert.strictEqual(calls[0].path, '/subscriptions/sub_123/cancel');
   });
 
+  test('uses terminate when the schedule shows the subscription was not billed yet', async () => {
+    const result = await executor.processClient({
+      id: 'acc1',
+      status: 'RESCUED',
+      before: { state: 'active', subscriptions: [{ id: 'existing_sub' }] },
+      after: { state: 'active', subscription_id: 'sub_123' },
+      schedule: { trial_days: 7, starts_at: '2099-03-01T00:00:00.000Z', first_bill_at: '2099-03-08T00:00:00.000Z' }
+    });
+
+    assert.strictEqual(result.status, 'ROLLED_BACK');
+
+    const calls = mockClient.getCalls();
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0].method, 'DELETE');
+    assert.strictEqual(calls[0].path, '/subscriptions/sub_123');
+  });
+
   test('fails if no subscription_id in rollback data', async () => {
     const result = await executor.processClient({
       id: 'acc1',
@@ -396,7 +426,7 @@ describe('processAllClients()', () => {
   test('processes multiple clients', async () => {
     const mockClient = createMockRecurlyClient({
       '/subscriptions/sub_1/cancel': { data: {}, statusCode: 200 },
-      '/accounts/acc1': { data: {}, statusCode: 204 }
+      '/accounts/code-acc1': { data: {}, statusCode: 204 }
     });
     const mockLogger = createMockLogger();
 
@@ -0,0 +1,191 @@
+/**
+ * Tests for Scan Snapshot Module
+ * Tests snapshot files, target validation and incremental rescans
+ */
+
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  buildScanSnapshot,
+  writeScanSnapshot,
+  loadScanSnapshot,
+  validateSnapshotTarget,
+  runIncrementalScan,
+  toRejections
+} = require('../src/rescue/scan-snapshot');
+const { createEligibilityEngine } = require('../src/rescue/eligibility-rules');
+const { queryClosedAccounts } = require('../src/api/accounts');
+const { createClient } = require('../src/api/recurly-client');
+const { createEmulator } = require('../src/emulator/recurly-emulator');
+
+const START = new Date('2025-12-01T00:00:00Z');
+const END = new Date('2025-12-31T23:59:59Z');
+
+describe('snapshot files', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-snapshot-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes and loads a snapshot without account PII', () => {
+    const snapshot = buildScanSnapshot({
+      project: 'eur',
+      environment: 'sandbox',
+      startDate: START,
+      endDate: END,
+      complete: true,
+      scan: { strategy: 'accounts', last_updated_at: '2025-12-20T10:00:00Z' },
+      accounts: [{
+        id: 'id1',
+        code: 'a1',
+        state: 'closed',
+        created_at: '2023-05-01T00:00:00Z',
+        closed_at: '2025-12-02T00:00:00Z',
+        updated_at: '2025-12-02T00:00:00Z',
+        email: 'a1@example.com',
+        address: { street1: '1 rue de Paris', city: 'Paris', country: 'FR' }
+      }],
+      rejected: toRejections([
+        { account: 'a1', eligible: true, rule: null, reason: 'matched' },
+        { account: 'a2', eligible: false, rule: 'expiration_reasons', reason: "expiration reason 'canceled' not in [nonpayment]" }
+      ])
+    });
+
+    const filePath = writeScanSnapshot(snapshot, { outputDir: dir });
+    const loaded = loadScanSnapshot(filePath);
+
+    assert.match(path.basename(filePath), /^scan-snapshot-eur-\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}\.json$/);
+    assert.deepStrictEqual(loaded.eligible, [{
+      id: 'id1',
+      code: 'a1',
+      state: 'closed',
+      created_at: '2023-05-01T00:00:00Z',
+      closed_at: '2025-12-02T00:00:00Z',
+      updated_at: '2025-12-02T00:00:00Z',
+      address: { country: 'FR' },
+      custom_fields: []
+    }]);
+    assert.deepStrictEqual(loaded.rejected, [{ account: 'a2', rule: 'expiration_reasons', reason: "expiration reason 'canceled' not in [nonpayment]" }]);
+    assert.strictEqual(loaded.last_updated_at, '2025-12-20T10:00:00Z');
+    assert.strictEqual(loaded.range.start_date, START.toISOString());
+  });
+
+  test('rejects missing or invalid snapshot files', () => {
+    const invalid = path.join(dir, 'invalid.json');
+    fs.writeFileSync(invalid, JSON.stringify({ version: '1.0.0', project: 'eur', environment: 'sandbox' }));
+
+    assert.throws(() => loadScanSnapshot(path.join(dir, 'missing.json')), /Scan snapshot not found/);
+    assert.throws(() => loadScanSnapshot(invalid), /Scan snapshot missing range/);
+  });
+
+  test('validates project and environment', () => {
+    const snapshot = { project: 'eur', environment: 'sandbox' };
+
+    assert.doesNotThrow(() => validateSnapshotTarget(snapshot, 'eur', 'sandbox'));
+    assert.throws(() => validateSnapshotTarget(snapshot, 'eur', 'production'), /Scan snapshot is for sandbox, not production/);
+    assert.throws(() => validateSnapshotTarget(snapshot, 'multi', 'sandbox'), /Scan snapshot is for project 'eur', not 'multi'/);
+  });
+});
+
+describe('runIncrementalScan', () => {
+  let emulator;
+  let client;
+
+  beforeEach(async () => {
+    emulator = createEmulator({
+      fixtures: {
+        plans: [{ code: 'premium' }],
+        accounts: [
+          { code: 'dunned-1', state: 'closed', closed_at: '2025-12-01T10:00:00Z', updated_at: '2025-12-01T10:00:00Z' },
+          { code: 'dunned-2', state: 'closed', closed_at: '2025-12-02T10:00:00Z', updated_at: '2025-12-02T10:00:00Z' },
+          { code: 'canceled-1', state: 'closed', closed_at: '2025-12-03T10:00:00Z', updated_at: '2025-12-03T10:00:00Z' }
+        ],
+        subscriptions: [
+          { account_code: 'dunned-1', plan_code: 'premium', state: 'expired', expiration_reason: 'nonpayment', created_at: '2025-01-01T00:00:00Z', updated_at: '2025-12-01T10:00:00Z' },
+          { account_code: 'dunned-2', plan_code: 'premium', state: 'expired', expiration_reason: 'nonpayment', created_at: '2025-01-01T00:00:00Z', updated_at: '2025-12-02T10:00:00Z' },
+          { account_code: 'canceled-1', plan_code: 'premium', state: 'expired', expiration_reason: 'canceled', created_at: '2025-01-01T00:00:00Z', updated_at: '2025-12-03T10:00:00Z' }
+        ]
+      }
+    });
+    const url = await emulator.start();
+    client = createClient({ apiKey: 'test-key', apiBaseUrl: url, maxRetries: 0 });
+  });
+
+  afterEach(async () => {
+    await emulator.stop();
+  });
+
+  /**
+   * Run a full scan and build its snapshot
+   * @returns {Promise<Object>} Snapshot
+   */
+  async function fullScan() {
+    const eligibility = createEligibilityEngine();
+    let scan = null;
+    const accounts = await queryClosedAccounts(client, {
+      startDate: START,
+      endDate: END,
+      eligibility,
+      onProgress: (event) => {
+        if (event.type === 'complete') scan = event.scan;
+      }
+    });
+    return buildScanSnapshot({
+      project: 'eur',
+      environment: 'sandbox',
+      startDate: START,
+      endDate: END,
+      complete: true,
+      scan,
+      accounts,
+      rejected: toRejections(eligibility.getDecisions())
+    });
+  }
+
+  test('picks up accounts updated since the snapshot and drops resubscribed ones', async () => {
+    const previous = await fullScan();
+    assert.deepStrictEqual(previous.eligible.map(a => a.code), ['dunned-1', 'dunned-2']);
+    assert.strictEqual(previous.last_updated_at, '2025-12-03T10:00:00Z');
+
+    // After the snapshot: canceled-1 expires again for nonpayment, dunned-2 resubscribes without an account update
+    const store = emulator.getStore();
+    const accountRef = code => {
+      const account = store.accounts.find(a => a.code === code);
+      return { object: 'account', id: account.id, code };
+    };
+    store.accounts.find(a => a.code === 'canceled-1').updated_at = '2025-12-10T10:00:00Z';
+    store.subscriptions.push({
+      object: 'subscription', id: 'sub-new', uuid: 'uuid-new', account: accountRef('canceled-1'), plan: { code: 'premium' },
+      state: 'expired', expiration_reason: 'nonpayment', created_at: '2025-06-01T00:00:00Z', updated_at: '2025-12-10T10:00:00Z'
+    });
+    store.subscriptions.push({
+      object: 'subscription', id: 'sub-active', uuid: 'uuid-active', account: accountRef('dunned-2'), plan: { code: 'premium' },
+      state: 'active', created_at: '2025-12-05T00:00:00Z', updated_at: '2025-12-05T00:00:00Z'
+    });
+
+    const result = await runIncrementalScan(client, previous, { eligibility: createEligibilityEngine() });
+
+    assert.deepStrictEqual(result.accounts.map(a => a.code), ['dunned-1', 'canceled-1']);
+    assert.strictEqual(result.rechecked, 2);
+    assert.strictEqual(result.lastUpdatedAt, '2025-12-10T10:00:00Z');
+    assert.deepStrictEqual(result.rejected.map(r => [r.account, r.rule]), [['dunned-2', 'subscription_states']]);
+    assert.strictEqual(result.scan.scanned, 1);
+  });
+
+  test('refuses a partial snapshot', async () => {
+    const previous = { ...(await fullScan()), complete: false };
+
+    await assert.rejects(
+      () => runIncrementalScan(client, previous, { eligibility: createEligibilityEngine() }),
+      /Cannot rescan incrementally from a partial snapshot/
+    );
+  });
+});
@@ -1051,3 +1051,101 @@ test('resume workflow: load and continue', (t) => {
   assert.strictEqual(manager2.getProcessedCount(), 2);
   assert.deepStrictEqual(manager2.getPendingAccounts(), ['acc3']);
 });
+
+// ====================
+// Run ID tests (idempotency keys)
+// ====================
+
+test('initialize() records a run ID in metadata', (t) => {
+  const { createStateManager } = require('../src/state/state-manager');
+
+  const manager = createStateManager({ project: 'eur', environment: 'sandbox', stateDir: TEST_DIR });
+  const state = manager.initialize([{ id: 'acc1' }]);
+
+  assert.ok(state.metadata.runId);
+  assert.strictEqual(manager.getRunId(), state.metadata.runId);
+});
+
+test('initialize() uses the provided run ID', (t) => {
+  const { createStateManager } = require('../src/state/state-manager');
+
+  const manager = createStateManager({ project: 'eur', environment: 'sandbox', stateDir: TEST_DIR, runId: 'run-123' });
+  manager.initialize([{ id: 'acc1' }]);
+
+  assert.strictEqual(manager.getRunId(), 'run-123');
+});
+
+test('resume keeps the run ID of the interrupted execution', (t) => {
+  const { createStateManager, loadStateFile } = require('../src/state/state-manager');
+
+  const manager1 = createStateManager({ project: 'eur', environment: 'sandbox', stateDir: TEST_DIR });
+  manager1.initialize([{ id: 'acc1' }, { id: 'acc2' }]);
+  manager1.markProcessed('acc1', { status: 'rescued' });
+
+  const manager2 = createStateManager({ project: 'eur', environment: 'sandbox', stateDir: TEST_DIR });
+  manager2.resumeFrom(loadStateFile(manager1.getStateFilePath()), manager1.getStateFilePath());
+
+  assert.strictEqual(manager2.getRunId(), manager1.getRunId());
+});
+
+test('resumeFrom() derives a stable run ID for state files without one', (t) => {
+  const { createStateManager } = require('../src/state/state-manager');
+
+  const legacyState = () => ({
+    version: '1.0.0',
+    metadata: { project: 'eur', environment: 'sandbox', startedAt: '2026-01-20T10:00:00.000Z', mode: 'rescue' },
+    progress: { total: 1, processed: 0, currentIndex: 0 },
+    accounts: { processed: [], pending: ['acc1'] }
+  });
+
+  const manager1 = createStateManager({ project: 'eur', environment: 'sandbox', stateDir: TEST_DIR });
+  const manager2 = createStateManager({ project: 'eur', environment: 'sandbox', stateDir: TEST_DIR });
+  manager1.resumeFrom(legacyState(), path.join(TEST_DIR, 'legacy-1.json'));
+  manager2.resumeFrom(legacyState(), path.join(TEST_DIR, 'legacy-2.json'));
+
+  assert.strictEqual(manager1.getRunId(), 'eur-2026-01-20T10:00:00.000Z');
+  assert.strictEqual(manager2.getRunId(), manager1.getRunId());
+});
+
+// ====================
+// getPendingReferences() tests
+// ====================
+
+test('getPendingReferences() resumes accounts by the references of the original run', (t) => {
+  const { createStateManager, loadStateFile } = require('../src/state/state-manager');
+  const { toAccountPathId } = require('../src/api/account-resolver');
+
+  const manager = createStateManager({
+    project: 'eur',
+    environment: 'sandbox',
+    stateDir: TEST_DIR
+  });
+  manager.initialize([
+    { id: 'a1b2c3', code: 'cus_prod_1_abc' },
+    { id: 'd4e5f6', code: 'cus_prod_2_def' },
+    { id: 'g7h8i9', code: null }
+  ]);
+  manager.markProcessed('cus_prod_1_abc', { status: 'rescued' });
+
+  const resumed = createStateManager({ project: 'eur', environment: 'sandbox', stateDir: TEST_DIR });
+  resumed.resumeFrom(loadStateFile(manager.getStateFilePath()), manager.getStateFilePath());
+
+  assert.deepStrictEqual(resumed.getPendingAccounts(), ['cus_prod_2_def', 'g7h8i9']);
+  assert.deepStrictEqual(resumed.getPendingReferences().map(toAccountPathId), ['d4e5f6', 'g7h8i9']);
+});
+
+test('getPendingReferences() takes pending keys of older state files as account codes', (t) => {
+  const { createStateManager } = require('../src/state/state-manager');
+  const { toAccountPathId } = require('../src/api/account-resolver');
+
+  const manager = createStateManager({ project: 'eur', environment: 'sandbox', stateDir: TEST_DIR });
+  manager.resumeFrom({
+    version: '1.0.0',
+    metadata: { project: 'eur', environment: 'sandbox', runId: 'run-1' },
+    progress: { total: 1, processed: 0, currentIndex: 0 },
+    accounts: { processed: [], pending: ['cus_prod_1_abc'] }
+  }, '/fake/path/state.json');
+
+  assert.deepStrictEqual(manager.getPendingReferences(), [{ id: null, code: 'cus_prod_1_abc' }]);
+  assert.strictEqual(toAccountPathId(manager.getPendingReferences()[0]), 'code-cus_prod_1_abc');
+});
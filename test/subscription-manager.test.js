@@ -12,7 +12,9 @@ const {
   buildSubscriptionUrl,
   assignRescuePlan,
   rescueClient,
-  isRetriableError
+  isRetriableError,
+  getAccountInvoices,
+  getAccountLineItems
 } = require('../src/rescue/subscription-manager');
 const { setDryRunMode, resetDryRunState } = require('../src/rescue/dry-run');
 const { getRescuePlanCode } = require('../src/rescue/plan-manager');
@@ -52,6 +54,11 @@ describe('calculateTrialEndDate', () => {
     assert.ok(diffMinutes < 1, `Expected same time, got ${diffMinutes} minutes difference`);
   });
 
+  test('counts the trial from a future start date', () => {
+    assert.strictEqual(calculateTrialEndDate(3, '2099-03-01T00:00:00Z'), '2099-03-04T00:00:00.000Z');
+    assert.strictEqual(calculateTrialEndDate(0, new Date('2099-03-01T00:00:00Z')), '2099-03-01T00:00:00.000Z');
+  });
+
   test('throws for negative trial days', () => {
     assert.throws(
       () => calculateTrialEndDate(-1),
@@ -110,6 +117,47 @@ describe('getSubscriptionPayload', () => {
     assert.strictEqual(payload.account.code, 'client-123');
   });
 
+  test('keeps quantity, unit amount and add-ons of a restored subscription', () => {
+    const payload = getSubscriptionPayload('client-123', 'premium', 'USD', 1, {
+      quantity: 2,
+      unitAmount: 49,
+      addOns: [{ code: 'support', quantity: 1, unit_amount: 5 }, { code: 'seats', quantity: 3, unit_amount: null }]
+    });
+
+    assert.strictEqual(payload.quantity, 2);
+    assert.strictEqual(payload.unit_amount, 49);
+    assert.deepStrictEqual(payload.add_ons, [{ code: 'support', quantity: 1, unit_amount: 5 }, { code: 'seats', quantity: 3 }]);
+    assert.strictEqual('unit_amount' in getSubscriptionPayload('client-123', 'premium', 'USD', 1, { unitAmount: null }), false);
+  });
+
+  test('leaves the first invoice open with manual collection and net terms', () => {
+    const payload = getSubscriptionPayload('client-123', '4weeks-subscription', 'EUR', 0, { collectionMethod: 'manual', netTerms: 7 });
+
+    assert.strictEqual(payload.collection_method, 'manual');
+    assert.strictEqual(payload.net_terms, 7);
+    assert.strictEqual('net_terms' in getSubscriptionPayload('client-123', '4weeks-subscription', 'EUR', 0), false);
+  });
+
+  test('takes the trial end, start date and next bill date of the billing schedule', () => {
+    const payload = getSubscriptionPayload('client-123', '4weeks-subscription', 'EUR', 0, {
+      trialEndsAt: '2099-03-01T00:00:00.000Z',
+      startsAt: '2099-03-01T00:00:00.000Z',
+      nextBillDate: '2099-03-17T00:00:00.000Z'
+    });
+
+    assert.strictEqual(payload.trial_ends_at, '2099-03-01T00:00:00.000Z');
+    assert.strictEqual(payload.starts_at, '2099-03-01T00:00:00.000Z');
+    assert.strictEqual(payload.next_bill_date, '2099-03-17T00:00:00.000Z');
+    assert.strictEqual('starts_at' in getSubscriptionPayload('client-123', '4weeks-subscription', 'EUR'), false);
+  });
+
+  test('adds the win-back coupons', () => {
+    const payload = getSubscriptionPayload('client-123', '4weeks-subscription', 'EUR', 1, { couponCodes: ['winback-50-off'] });
+
+    assert.deepStrictEqual(payload.coupon_codes, ['winback-50-off']);
+    assert.strictEqual('coupon_codes' in getSubscriptionPayload('client-123', '4weeks-subscription', 'EUR', 1, { couponCodes: [] }), false);
+  });
+
   test('uses default 1 day trial when not specified', () => {
     const payload = getSubscriptionPayload('client-123', '4weeks-subscription', 'EUR');
 
@@ -514,6 +562,53 @@ describe('rescueClient', () => {
     assert.strictEqual(result.subscription.__dryRun, true);
     assert.strictEqual(result.error, undefined);
   });
+
+  test('returns REQUIRES_3DS with the action token from a TransactionError', async () => {
+    const { createErrorFromResponse } = require('../src/api/errors');
+    const apiError = createErrorFromResponse({
+      statusCode: 422,
+      body: {
+        error: {
+          type: 'transaction',
+          transaction_error: {
+            code: 'three_d_secure_action_required',
+            message: 'Your transaction was declined.',
+            three_d_secure_action_token_id: 'token-123'
+          }
+        }
+      }
+    }, 'Recurly API error 422');
+
+    const mockClient = {
+      request: mock.fn(async () => { throw apiError; })
+    };
+
+    const result = await rescueClient(mockClient, 'client-3ds', getRescuePlanCode('EUR'), 'EUR', { logger: mockLogger });
+
+    assert.strictEqual(result.status, 'REQUIRES_3DS');
+    assert.strictEqual(result.requires3DS, true);
+    assert.strictEqual(result.declineCode, 'three_d_secure_action_required');
+    assert.strictEqual(result.threeDSecureActionTokenId, 'token-123');
+  });
+
+  test('returns FAILED with decline details from a TransactionError', async () => {
+    const { TransactionError } = require('../src/api/errors');
+    const apiError = new TransactionError('Recurly API error 422', {
+      statusCode: 422,
+      body: { error: { type: 'transaction', transaction_error: { code: 'insufficient_funds', merchant_advice: 'Try later', gateway_message: 'NSF' } } }
+    });
+
+    const mockClient = {
+      request: mock.fn(async () => { throw apiError; })
+    };
+
+    const result = await rescueClient(mockClient, 'client-nsf', getRescuePlanCode('EUR'), 'EUR', { logger: mockLogger });
+
+    assert.strictEqual(result.status, 'FAILED');
+    assert.strictEqual(result.declineCode, 'insufficient_funds');
+    assert.strictEqual(result.declineReason, 'Try later');
+    assert.strictEqual(result.gatewayMessage, 'NSF');
+  });
 });
 
 describe('isRetriableError', () => {
@@ -651,3 +746,118 @@ describe('Integration scenarios', () => {
     assert.strictEqual(mockClient.request.mock.calls.length, 0);
   });
 });
+
+describe('invoice and line item history', () => {
+  /**
+   * Mock client serving items over two pages
+   * @param {Array} firstPage - Items of page 1
+   * @param {Array} secondPage - Items of page 2
+   * @returns {Object} Mock client with recorded paths
+   */
+  function createPagedClient(firstPage, secondPage) {
+    const paths = [];
+    return {
+      paths,
+      request: async (method, path) => {
+        paths.push(path);
+        if (path.includes('cursor=page-2')) {
+          return { data: { data: secondPage, has_more: false, next: null } };
+        }
+        return { data: { data: firstPage, has_more: true, next: `${path.split('?')[0]}?cursor=page-2` } };
+      }
+    };
+  }
+
+  test('getAccountInvoices returns invoices from every page', async () => {
+    const client = createPagedClient([{ id: 'inv-1', number: '1' }], [{ id: 'inv-2', number: '2' }]);
+
+    const invoices = await getAccountInvoices(client, 'acc-1');
+
+    assert.deepStrictEqual(invoices.map(i => i.invoice_id), ['inv-1', 'inv-2']);
+    assert.strictEqual(client.paths.length, 2);
+  });
+
+  test('getAccountLineItems keeps begin_time on every page', async () => {
+    const client = createPagedClient([{ id: 'li-1' }], [{ id: 'li-2' }]);
+
+    const items = await getAccountLineItems(client, 'acc-1', '2026-01-01T00:00:00Z');
+
+    assert.deepStrictEqual(items.map(i => i.line_item_id), ['li-1', 'li-2']);
+    assert.ok(client.paths.every(p => p.includes('begin_time=2026-01-01T00%3A00%3A00Z')));
+  });
+
+  test('looks up account references by internal ID, never as a code', async () => {
+    const client = createPagedClient([], []);
+
+    await getAccountInvoices(client, { id: 'abc123def456', code: null });
+    await getAccountLineItems(client, { id: 'abc123def456', code: 'acc-1' });
+    await getAccountInvoices(client, { id: null, code: 'acc-1' });
+
+    assert.deepStrictEqual(client.paths.filter(p => !p.includes('cursor=')).map(p => p.split('?')[0]), [
+      '/accounts/abc123def456/invoices',
+      '/accounts/abc123def456/line_items',
+      '/accounts/code-acc-1/invoices'
+    ]);
+  });
+});
+
+describe('idempotency keys', () => {
+  const mockLogger = { logSuccess: () => {}, logFailure: () => {} };
+
+  beforeEach(() => {
+    resetDryRunState();
+  });
+
+  test('assignRescuePlan sends the idempotency key', async () => {
+    const mockClient = {
+      request: mock.fn(async () => ({ data: { uuid: 'sub-1' }, statusCode: 201 }))
+    };
+
+    await assignRescuePlan(mockClient, 'client-123', getRescuePlanCode('EUR'), 'EUR', {
+      logger: mockLogger,
+      idempotencyKey: 'key-123'
+    });
+
+    const [, , options] = mockClient.request.mock.calls[0].arguments;
+    assert.strictEqual(options.idempotencyKey, 'key-123');
+  });
+
+  test('rescueClient reports a replayed subscription as RESCUED with idempotentReplay', async () => {
+    const mockClient = {
+      request: async () => ({ data: { uuid: 'sub-1' }, statusCode: 201, idempotentReplayed: true })
+    };
+
+    const result = await rescueClient(mockClient, 'client-123', getRescuePlanCode('EUR'), 'EUR', {
+      logger: mockLogger,
+      idempotencyKey: 'key-123'
+    });
+
+    assert.strictEqual(result.status, 'RESCUED');
+    assert.strictEqual(result.idempotentReplay, true);
+  });
+
+  test('rescueClient reports idempotentReplay false for a fresh subscription', async () => {
+    const mockClient = {
+      request: async () => ({ data: { uuid: 'sub-1' }, statusCode: 201, idempotentReplayed: false })
+    };
+
+    const result = await rescueClient(mockClient, 'client-123', getRescuePlanCode('EUR'), 'EUR', { logger: mockLogger });
+
+    assert.strictEqual(result.idempotentReplay, false);
+  });
+
+  test('rescueClient takes an account reference and creates the subscription by its code', async () => {
+    const mockClient = {
+      request: mock.fn(async () => ({ data: { uuid: 'sub-1' }, statusCode: 201 }))
+    };
+
+    const result = await rescueClient(mockClient, { id: 'abc123def456', code: 'client-123' }, getRescuePlanCode('EUR'), 'EUR', { logger: mockLogger });
+    const missingCode = await rescueClient(mockClient, { id: 'abc123def456', code: null }, getRescuePlanCode('EUR'), 'EUR', { logger: mockLogger });
+
+    assert.strictEqual(result.status, 'RESCUED');
+    assert.strictEqual(mockClient.request.mock.calls[0].arguments[2].body.account.code, 'client-123');
+    assert.strictEqual(missingCode.status, 'FAILED');
+    assert.match(missingCode.error, /Account code is required to create a subscription \(account abc123def456\)/);
+    assert.strictEqual(mockClient.request.mock.calls.length, 1);
+  });
+});